@@ -0,0 +1,108 @@
+/* global process */
+// Used by the Next.js payment pages (pages/payment-success.js); the admin
+// React app has no passenger payment page to use it. Self-contained so the
+// pages can import it with a relative path; it must not pull in the Vite
+// config or the Firebase client.
+// Same-origin by default, or NEXT_PUBLIC_API_BASE_URL when the API lives elsewhere.
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || '';
+
+// Statuses after which a booking's payment will not change on its own
+export const TERMINAL_PAYMENT_STATUSES = ['Paid', 'Payment Failed', 'Payment Expired', 'Refunded'];
+
+// Subscribe to a booking's payment status.
+// Uses the server's SSE stream (the browser reconnects with Last-Event-ID on its
+// own) and falls back to polling where EventSource is unavailable.
+// `onStatus` receives { sessionId, status, changedAt, paymentReference, isCurrent };
+// `onError` receives an Error with the server's `code`.
+// The subscription closes itself once a terminal status arrives, or when the
+// booking doesn't exist.
+// Returns an unsubscribe function.
+export const subscribeToPaymentStatus = (sessionId, {
+  onStatus,
+  onError,
+  baseUrl = API_BASE_URL,
+  pollIntervalMs = 5000
+} = {}) => {
+  let closed = false;
+  let eventSource = null;
+  let pollTimer = null;
+
+  const unsubscribe = () => {
+    closed = true;
+    if (eventSource) eventSource.close();
+    if (pollTimer) clearTimeout(pollTimer);
+  };
+
+  const handleStatus = (statusData) => {
+    if (closed) return;
+    onStatus?.(statusData);
+
+    if (statusData.isCurrent && TERMINAL_PAYMENT_STATUSES.includes(statusData.status)) {
+      unsubscribe();
+    }
+  };
+
+  const encodedId = encodeURIComponent(sessionId);
+
+  if (typeof window !== 'undefined' && 'EventSource' in window) {
+    eventSource = new EventSource(`${baseUrl}/api/payment/status/${encodedId}/stream`);
+
+    eventSource.addEventListener('status', (event) => {
+      try {
+        handleStatus(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error parsing payment status event:', error);
+      }
+    });
+
+    // Connection drops fire the built-in `error` event and are retried by the
+    // browser; failures reported by the server arrive as `stream-error`
+    eventSource.addEventListener('stream-error', (event) => {
+      let error;
+      try {
+        const { error: details } = JSON.parse(event.data);
+        error = Object.assign(new Error(details?.message || 'Payment status stream failed'), { code: details?.code || null });
+      } catch (parseError) {
+        error = parseError;
+      }
+
+      // The server ended the stream; only a missing booking is final, other
+      // failures are retried when the browser reconnects
+      if (error.code === 'BOOKING_NOT_FOUND') unsubscribe();
+      onError?.(error);
+    });
+
+    return unsubscribe;
+  }
+
+  // Polling fallback
+  const poll = async () => {
+    try {
+      const response = await fetch(`${baseUrl}/api/payment/status/${encodedId}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Failed to get payment status');
+      }
+
+      handleStatus({
+        sessionId,
+        status: data.status,
+        changedAt: data.booking?.updatedAt || null,
+        paymentReference: data.paymentReference || null,
+        isCurrent: true
+      });
+    } catch (error) {
+      onError?.(error);
+    }
+
+    if (!closed) {
+      pollTimer = setTimeout(poll, pollIntervalMs);
+    }
+  };
+
+  poll();
+  return unsubscribe;
+};
+
+export default subscribeToPaymentStatus;
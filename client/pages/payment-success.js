@@ -1,20 +1,49 @@
 // pages/payment-success.js
 import { useRouter } from "next/router";
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
+import { subscribeToPaymentStatus } from "../lib/paymentStatusStream.js";
+
+// Redirect this long after the payment is confirmed
+const PAID_REDIRECT_MS = 3000;
+// Redirect anyway if no confirmation arrives (unknown booking, dropped stream)
+const FALLBACK_REDIRECT_MS = 15000;
 
 export default function PaymentSuccess() {
   const router = useRouter();
   const { bookingId, userId } = router.query;
+  const [paymentStatus, setPaymentStatus] = useState("Confirming payment...");
 
+  // Listen for the webhook to confirm the payment instead of polling
   useEffect(() => {
-    if (bookingId && userId) {
-      // Optionally update booking status or send confirmation
+    if (!bookingId) return;
+
+    const unsubscribe = subscribeToPaymentStatus(bookingId, {
+      onStatus: ({ status }) => setPaymentStatus(status),
+      onError: (error) => console.error("Payment status error:", error),
+    });
+
+    return unsubscribe;
+  }, [bookingId]);
+
+  useEffect(() => {
+    if (bookingId && userId && paymentStatus === "Paid") {
       console.log("Payment successful for:", { bookingId, userId });
 
       // Redirect back to app after 3 seconds
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         window.location.href = "bgocapstone://payment-success";
-      }, 3000);
+      }, PAID_REDIRECT_MS);
+      return () => clearTimeout(timer);
+    }
+  }, [bookingId, userId, paymentStatus]);
+
+  // Never leave the user stuck on this page waiting for a confirmation
+  useEffect(() => {
+    if (bookingId && userId) {
+      const timer = setTimeout(() => {
+        window.location.href = "bgocapstone://payment-success";
+      }, FALLBACK_REDIRECT_MS);
+      return () => clearTimeout(timer);
     }
   }, [bookingId, userId]);
 
@@ -49,9 +78,14 @@ export default function PaymentSuccess() {
         <p style={{ color: "#6c757d", fontSize: "14px", marginBottom: "20px" }}>
           Booking ID: {bookingId}
         </p>
-        <p style={{ color: "#6c757d", fontSize: "14px" }}>
-          You will be redirected back to the app in 3 seconds...
+        <p style={{ color: "#6c757d", fontSize: "14px", marginBottom: "20px" }}>
+          Payment status: {paymentStatus}
         </p>
+        {paymentStatus === "Paid" && (
+          <p style={{ color: "#6c757d", fontSize: "14px" }}>
+            You will be redirected back to the app in 3 seconds...
+          </p>
+        )}
         <button
           onClick={() =>
             (window.location.href = "bgocapstone://payment-success")
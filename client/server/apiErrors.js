@@ -0,0 +1,58 @@
+// Every error response uses the same envelope:
+// { success: false, error: { code, message, details } }
+
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function errorBody(code, message, details = null) {
+  return {
+    success: false,
+    error: { code, message, details }
+  };
+}
+
+function sendError(res, status, code, message, details = null) {
+  return res.status(status).json(errorBody(code, message, details));
+}
+
+// Fallback for unknown /api routes
+function notFoundHandler(req, res) {
+  sendError(res, 404, 'ROUTE_NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+// Last middleware: turns thrown errors (including body parser failures) into the envelope
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.code, err.message, err.details);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  console.error('❌ Unhandled error:', err);
+  sendError(res, 500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+}
+
+module.exports = {
+  ApiError,
+  errorBody,
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,30 @@
+const admin = require('firebase-admin');
+
+const AUDIT_LOGS_COLLECTION = 'AuditLogs';
+
+// Write an entry to the same `AuditLogs` collection (and document shape) as
+// logActivity in src/pages/settings/auditService.js. `actor` is `req.admin`
+// for admin actions; events raised by the server itself are logged as "system".
+// Never throws, so a failed log doesn't interrupt the caller.
+async function writeAuditLog(db, { activityType, description, metadata = {}, severity = 'info', actor = null }) {
+  try {
+    const docRef = await db.collection(AUDIT_LOGS_COLLECTION).add({
+      userId: actor?.uid || 'system',
+      userEmail: actor?.email || 'system',
+      userName: actor?.name || 'B-GO Server',
+      userRole: actor?.role || 'system',
+      activityType,
+      description,
+      metadata: JSON.parse(JSON.stringify(metadata)),
+      severity,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      userAgent: 'B-GO Server'
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    return null;
+  }
+}
+
+module.exports = { writeAuditLog, AUDIT_LOGS_COLLECTION };
@@ -0,0 +1,93 @@
+const admin = require('firebase-admin');
+const { sendError } = require('./apiErrors');
+
+// Admin accounts live in the same collection the dashboard logs in against
+const ADMIN_COLLECTION = 'Admin';
+
+// Superadmins implicitly hold every permission (same rule as authService.hasPermission)
+function isSuperAdmin(adminData) {
+  return adminData?.role === 'superadmin' && adminData?.isSuperAdmin === true;
+}
+
+function hasPermission(adminData, permission) {
+  if (isSuperAdmin(adminData)) return true;
+  return Array.isArray(adminData?.permissions) && adminData.permissions.includes(permission);
+}
+
+// Verify `Authorization: Bearer <idToken>` and load the caller's Admin document.
+// On success the caller is available as `req.admin`.
+async function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return sendError(res, 401, 'UNAUTHENTICATED', 'Missing Authorization bearer token');
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(match[1], true);
+  } catch (error) {
+    console.warn('⚠️ Rejected ID token:', error.code || error.message);
+    return sendError(res, 401, 'INVALID_TOKEN', 'Invalid or expired ID token');
+  }
+
+  try {
+    const adminDoc = await admin.firestore().collection(ADMIN_COLLECTION).doc(decodedToken.uid).get();
+
+    if (!adminDoc.exists) {
+      return sendError(res, 403, 'ADMIN_NOT_FOUND', 'Access denied. Admin account not found.');
+    }
+
+    const adminData = adminDoc.data();
+
+    if (adminData.status === 'deleted' || adminData.isActive === false) {
+      return sendError(res, 403, 'ADMIN_INACTIVE', 'Access denied. This admin account is no longer active.');
+    }
+
+    if (adminData.role !== 'admin' && adminData.role !== 'superadmin') {
+      return sendError(res, 403, 'FORBIDDEN_ROLE', `Access denied. Role '${adminData.role}' cannot use admin endpoints.`);
+    }
+
+    req.admin = {
+      ...adminData,
+      uid: decodedToken.uid,
+      email: decodedToken.email || adminData.email
+    };
+    next();
+  } catch (error) {
+    console.error('❌ Error loading admin account:', error);
+    sendError(res, 500, 'ADMIN_LOOKUP_FAILED', 'Failed to load admin account');
+  }
+}
+
+// Allow only callers whose Admin role is one of `roles`
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = req.admin?.role;
+    const allowed = roles.some(r => (r === 'superadmin' ? isSuperAdmin(req.admin) : r === role));
+
+    if (!allowed) {
+      return sendError(res, 403, 'FORBIDDEN_ROLE', `Access denied. Requires role: ${roles.join(' or ')}.`);
+    }
+    next();
+  };
+}
+
+// Allow only callers holding `permission` (superadmins always pass)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.admin, permission)) {
+      return sendError(res, 403, 'MISSING_PERMISSION', `Access denied. Missing permission: ${permission}.`);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requirePermission,
+  hasPermission,
+  isSuperAdmin
+};
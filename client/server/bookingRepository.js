@@ -0,0 +1,147 @@
+const admin = require('firebase-admin');
+
+// Firestore collection holding PayMongo bookings created through the server
+const BOOKINGS_COLLECTION = 'paymentBookings';
+
+// Booking repository backed by Firestore so bookings survive restarts and are
+// shared between every server instance (local Express or Vercel).
+class BookingRepository {
+  constructor(db = admin.firestore()) {
+    this.db = db;
+    this.collection = db.collection(BOOKINGS_COLLECTION);
+  }
+
+  // Build a status history entry
+  buildHistoryEntry(status, source, note = null) {
+    return {
+      status,
+      source,
+      note,
+      changedAt: new Date().toISOString()
+    };
+  }
+
+  // Save a new booking, keyed by its sessionId
+  async create(bookingData, source = 'create-booking') {
+    // Bookings come straight from request bodies; drop undefined fields
+    // (Firestore rejects them) by round-tripping through JSON
+    const booking = {
+      ...JSON.parse(JSON.stringify(bookingData)),
+      updatedAt: bookingData.updatedAt || bookingData.createdAt || new Date().toISOString(),
+      statusHistory: [this.buildHistoryEntry(bookingData.status, source)]
+    };
+
+    await this.collection.doc(bookingData.sessionId).set(booking);
+    return booking;
+  }
+
+  // Get a booking by sessionId, or null if it does not exist
+  async get(sessionId) {
+    if (!sessionId) return null;
+
+    const snapshot = await this.collection.doc(sessionId).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  // Find a booking by the PayMongo checkout session ID attached to it
+  async findByPaymongoSessionId(paymongoSessionId) {
+    const snapshot = await this.collection
+      .where('paymongoSessionId', '==', paymongoSessionId)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  // Find a booking by the PayMongo payment ID recorded when it was paid
+  async findByPaymongoPaymentId(paymongoPaymentId) {
+    const snapshot = await this.collection
+      .where('paymongoPaymentId', '==', paymongoPaymentId)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  // Bookings left in `status` since before `olderThan` (ISO string), oldest
+  // first. Bookings whose `nextReconcileAt` is after `dueAt` are skipped, so
+  // ones in backoff don't use up every slot; at most `maxPages` pages of
+  // `limit` bookings are scanned.
+  async findStale(status, olderThan, { limit = 50, dueAt = new Date().toISOString(), maxPages = 10 } = {}) {
+    const query = this.collection
+      .where('status', '==', status)
+      .where('updatedAt', '<', olderThan)
+      .orderBy('updatedAt', 'asc')
+      .limit(limit);
+
+    const due = [];
+    let lastDoc = null;
+    for (let page = 0; page < maxPages && due.length < limit; page++) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+
+      snapshot.docs.forEach(doc => {
+        const booking = doc.data();
+        if (due.length < limit && !(booking.nextReconcileAt > dueAt)) due.push(booking);
+      });
+
+      if (snapshot.docs.length < limit) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return due;
+  }
+
+  // Merge bookkeeping fields (e.g. reconciliation backoff) without touching
+  // updatedAt or the status history
+  async patch(sessionId, fields) {
+    await this.collection.doc(sessionId).update(fields);
+  }
+
+  // Merge fields into a booking. When `status` changes, a history entry is
+  // appended inside the same transaction so concurrent webhooks can't lose it.
+  // `changes` may be a function of the current booking (return null to skip).
+  // Returns the updated booking, or null if it does not exist.
+  async update(sessionId, changes, { source = 'server', note = null } = {}) {
+    const docRef = this.collection.doc(sessionId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      if (!snapshot.exists) {
+        return null;
+      }
+
+      const current = snapshot.data();
+      const resolvedChanges = typeof changes === 'function' ? changes(current) : changes;
+      if (!resolvedChanges) {
+        return current;
+      }
+
+      const updateData = {
+        ...resolvedChanges,
+        updatedAt: new Date().toISOString()
+      };
+
+      if (resolvedChanges.status && resolvedChanges.status !== current.status) {
+        updateData.statusHistory = [
+          ...(current.statusHistory || []),
+          this.buildHistoryEntry(resolvedChanges.status, source, note)
+        ];
+      }
+
+      transaction.update(docRef, updateData);
+      return { ...current, ...updateData };
+    });
+  }
+
+  // List the most recent bookings (used by the debug route)
+  async list({ limit = 100 } = {}) {
+    const snapshot = await this.collection
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+}
+
+module.exports = { BookingRepository, BOOKINGS_COLLECTION };
@@ -0,0 +1,107 @@
+const { ApiError } = require('./apiErrors');
+const { normalizePlate } = require('./busMigration');
+
+// Same blocking rules as busIssues/busBlockReason in
+// src/pages/buses/busRules.js (test/busBlocks.test.js runs both on the same
+// buses): a bus with expired papers or overdue preventive maintenance can't be
+// given to a conductor or have a reservation approved. Retired buses and
+// plates that aren't in the fleet registry are not blocked.
+
+const BUSES_COLLECTION = 'buses';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BUS_PAPERS = [
+  { label: 'OR/CR registration', expiry: bus => bus.orCrExpiry },
+  { label: 'Insurance', expiry: bus => bus.insuranceExpiry },
+  { label: 'Franchise', expiry: bus => bus.franchise?.expiry }
+];
+
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// "<date> or at <km> km" when preventive maintenance is overdue, otherwise null
+function overdueService(bus, now) {
+  const days = bus.serviceInterval?.days || null;
+  const km = bus.serviceInterval?.km || null;
+  const last = bus.lastService;
+  if ((!days && !km) || !last?.date) return null;
+
+  const dueDate = days ? new Date(toDate(last.date).getTime() + days * DAY_MS) : null;
+  const dueKm = km && last.odometerKm != null ? last.odometerKm + km : null;
+  const odometer = bus.odometerKm ?? last.odometerKm ?? null;
+
+  if ((dueDate && dueDate < now) || (dueKm !== null && odometer !== null && odometer >= dueKm)) {
+    return [dueDate && formatDate(dueDate), dueKm !== null && `${Number(dueKm).toLocaleString('en-US')} km`]
+      .filter(Boolean)
+      .join(' or at ');
+  }
+  return null;
+}
+
+// Why the bus can't be used, or null when it can
+function busBlockReason(bus, now = new Date()) {
+  if (bus.status === 'retired') return null;
+
+  const messages = [];
+  for (const paper of BUS_PAPERS) {
+    const expiry = toDate(paper.expiry(bus));
+    if (expiry && !Number.isNaN(expiry.getTime()) && expiry < now) {
+      messages.push(`${paper.label} expired on ${formatDate(expiry)}`);
+    }
+  }
+
+  const serviceDue = overdueService(bus, now);
+  if (serviceDue) messages.push(`Preventive maintenance overdue (${serviceDue})`);
+
+  return messages.length > 0 ? `Bus ${bus.plateNumber} cannot be used: ${messages.join('; ')}` : null;
+}
+
+async function getBusBlockForPlate(db, plateNumber) {
+  const plate = normalizePlate(plateNumber);
+  if (!plate) return null;
+
+  const snapshot = await db.collection(BUSES_COLLECTION).where('plateNumber', '==', plate).limit(1).get();
+  return snapshot.empty ? null : busBlockReason(snapshot.docs[0].data());
+}
+
+// Same lookup as resolveBus in src/pages/buses/BusFleet.js: the bus document,
+// or the bus that took over an older conductor-based ID (legacyIds)
+async function resolveBus(db, busId) {
+  if (!busId) return null;
+
+  const busDoc = await db.collection(BUSES_COLLECTION).doc(String(busId)).get();
+  if (busDoc.exists) return busDoc.data();
+
+  const legacy = await db.collection(BUSES_COLLECTION).where('legacyIds', 'array-contains', busId).limit(1).get();
+  return legacy.empty ? null : legacy.docs[0].data();
+}
+
+// Throws BUS_BLOCKED when any of a reservation's buses can't be booked
+async function assertBusesBookable(db, busIds, now = new Date()) {
+  const buses = await Promise.all(busIds.map(busId => resolveBus(db, busId)));
+  const reasons = buses.map(bus => (bus ? busBlockReason(bus, now) : null)).filter(Boolean);
+  if (reasons.length > 0) {
+    throw new ApiError(409, 'BUS_BLOCKED', reasons.join('\n'), { busIds });
+  }
+}
+
+// Throws BUS_BLOCKED when the bus with this plate can't be assigned
+async function assertBusAssignable(db, plateNumber) {
+  const reason = await getBusBlockForPlate(db, plateNumber);
+  if (reason) {
+    throw new ApiError(409, 'BUS_BLOCKED', reason, { plateNumber: normalizePlate(plateNumber) });
+  }
+}
+
+module.exports = {
+  busBlockReason,
+  getBusBlockForPlate,
+  assertBusAssignable,
+  assertBusesBookable
+};
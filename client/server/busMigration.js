@@ -0,0 +1,152 @@
+const admin = require('firebase-admin');
+
+// buses/{busId} and busAssignments/{id}, see src/pages/buses/BusFleet.js.
+// Until now a bus only existed as the busNumber/plateNumber fields of the
+// conductor driving it, and reservations referenced it by that conductor's ID.
+const BUSES_COLLECTION = 'buses';
+const BUS_ASSIGNMENTS_COLLECTION = 'busAssignments';
+const BATCH_LIMIT = 400;
+
+// Same rules as src/pages/buses/BusFleet.js
+function normalizePlate(plate) {
+  return String(plate || '').trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+function slugify(text) {
+  return String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Registers a bus for every conductor that has a plate number, assigns it to
+// that conductor and keeps the conductor's ID as a legacy ID so existing
+// reservations still resolve. Capacity and papers are left empty for admins
+// to fill in on the Bus Fleet page. Dry run by default.
+class BusMigration {
+  constructor({ db = admin.firestore(), log = console.log } = {}) {
+    this.db = db;
+    this.log = log;
+  }
+
+  async commit(writes) {
+    for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+      const batch = this.db.batch();
+      writes.slice(start, start + BATCH_LIMIT).forEach(({ ref, data, merge }) => {
+        if (merge) batch.set(ref, data, { merge: true });
+        else batch.update(ref, data);
+      });
+      await batch.commit();
+    }
+  }
+
+  async run({ apply = false } = {}) {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const busesSnapshot = await this.db.collection(BUSES_COLLECTION).get();
+    const buses = new Map(busesSnapshot.docs.map(busDoc => [busDoc.id, busDoc.data()]));
+    const conductors = await this.db.collection('conductors').get();
+    const writes = [];
+    const result = { created: 0, linked: 0, assigned: 0, skipped: [] };
+
+    conductors.docs.forEach(conductorDoc => {
+      const data = conductorDoc.data();
+      const conductorId = conductorDoc.id;
+      if (data.status === 'deleted') return;
+
+      const plate = normalizePlate(data.plateNumber);
+      const busId = slugify(plate);
+      if (!busId) {
+        result.skipped.push({ conductorId, reason: 'no plate number' });
+        return;
+      }
+      if (data.busId) {
+        result.skipped.push({ conductorId, reason: `already linked to ${data.busId}` });
+        return;
+      }
+
+      const busRef = this.db.collection(BUSES_COLLECTION).doc(busId);
+      const existing = buses.get(busId);
+      const conductorName = data.name || conductorId;
+
+      if (!existing) {
+        const bus = {
+          busNumber: data.busNumber != null ? String(data.busNumber) : '',
+          plateNumber: plate,
+          capacity: null,
+          make: '',
+          model: '',
+          year: null,
+          orCrExpiry: null,
+          insuranceExpiry: null,
+          franchise: { caseNumber: '', holder: '', expiry: null },
+          status: 'active',
+          notes: '',
+          imageUrl: data.busImageUrl || null,
+          conductorId: null,
+          conductorName: null,
+          legacyIds: [conductorId]
+        };
+        buses.set(busId, bus);
+        writes.push({
+          ref: busRef,
+          data: { ...bus, createdAt: now, updatedAt: now, updatedBy: 'bus-migration' },
+          merge: true
+        });
+        result.created += 1;
+        this.log(`➕ New bus ${busId}: ${plate} from conductor ${conductorName}`);
+      } else if (!(existing.legacyIds || []).includes(conductorId)) {
+        existing.legacyIds = [...(existing.legacyIds || []), conductorId];
+        writes.push({
+          ref: busRef,
+          data: { legacyIds: admin.firestore.FieldValue.arrayUnion(conductorId), updatedAt: now },
+          merge: true
+        });
+        result.linked += 1;
+        this.log(`🔗 ${busId}: legacy ID ${conductorId}`);
+      }
+
+      // Two conductors on one plate: only the first keeps the bus
+      const bus = buses.get(busId);
+      if (bus.conductorId && bus.conductorId !== conductorId) {
+        result.skipped.push({ conductorId, reason: `bus ${plate} is already assigned to ${bus.conductorName || bus.conductorId}` });
+        return;
+      }
+
+      bus.conductorId = conductorId;
+      bus.conductorName = conductorName;
+      writes.push({
+        ref: busRef,
+        data: { conductorId, conductorName, updatedAt: now },
+        merge: true
+      });
+      writes.push({ ref: conductorDoc.ref, data: { busId, updatedAt: now } });
+      writes.push({
+        ref: this.db.collection(BUS_ASSIGNMENTS_COLLECTION).doc(),
+        data: {
+          busId,
+          plateNumber: plate,
+          busNumber: bus.busNumber || '',
+          conductorId,
+          conductorName,
+          assignedAt: now,
+          assignedBy: 'bus-migration',
+          unassignedAt: null,
+          unassignedBy: null,
+          reason: 'Imported from conductor record'
+        },
+        merge: true
+      });
+      result.assigned += 1;
+    });
+
+    if (apply) {
+      await this.commit(writes);
+    }
+
+    return { applied: apply, ...result, writes: writes.length };
+  }
+}
+
+module.exports = {
+  BusMigration,
+  BUSES_COLLECTION,
+  normalizePlate,
+  slugify
+};
@@ -0,0 +1,387 @@
+const admin = require('firebase-admin');
+const { ApiError } = require('./apiErrors');
+const { assertBusAssignable } = require('./busBlocks');
+const { normalizePlate } = require('./busMigration');
+
+const CONDUCTORS_COLLECTION = 'conductors';
+// Storage folder of a conductor's bus images (see uploadBusImage in the admin panel)
+const BUS_IMAGES_PREFIX = 'bus_images';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMillis(timestamp) {
+  if (!timestamp) return null;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Profile fields admins may change; `email` and `name` are mirrored to Firebase Auth
+const PROFILE_FIELDS = ['name', 'email', 'busNumber', 'route', 'routeId', 'plateNumber', 'registrationNumber', 'driverName', 'codingDay'];
+
+// Same document ID rule as the admin panel and the conductor app
+function conductorDocumentId(email) {
+  return email.split('@')[0].replace(/\./g, '_');
+}
+
+// Email and name a deleted conductor had, including the older browser
+// pseudo-deletions (renamed `deleted_...@deleted.invalid` emails, "[DELETED]" names)
+function originalProfile(data) {
+  return {
+    email: data.originalEmail || data.email,
+    name: data.originalName || String(data.name || '').replace(/^\[DELETED\]\s*/, '')
+  };
+}
+
+// Translate Firebase Auth errors into API errors
+function toApiError(error) {
+  switch (error.code) {
+    case 'auth/email-already-exists':
+      return new ApiError(409, 'EMAIL_ALREADY_EXISTS', 'Email already exists', { authCode: error.code });
+    case 'auth/invalid-email':
+      return new ApiError(400, 'INVALID_EMAIL', 'Invalid email format', { authCode: error.code });
+    case 'auth/invalid-password':
+    case 'auth/weak-password':
+      return new ApiError(400, 'WEAK_PASSWORD', 'Password is too weak', { authCode: error.code });
+    case 'auth/user-not-found':
+      return new ApiError(404, 'AUTH_USER_NOT_FOUND', 'Conductor login account not found', { authCode: error.code });
+    default:
+      return error;
+  }
+}
+
+// Keeps a conductor's Firebase Auth account and `conductors` document in sync.
+// Every change goes through the Admin SDK, so deleted or disabled conductors
+// really lose access instead of relying on renamed emails. Deleted conductors
+// keep their trips and bus images until they are purged, `retentionDays` after
+// deletion; `bucket` is the Storage bucket the bus images live in.
+class ConductorAccounts {
+  constructor({ db = admin.firestore(), auth = admin.auth(), bucket = null, retentionDays = 30 } = {}) {
+    this.db = db;
+    this.auth = auth;
+    this.bucket = bucket;
+    this.retentionMs = retentionDays * DAY_MS;
+    this.collection = db.collection(CONDUCTORS_COLLECTION);
+  }
+
+  async load(conductorId) {
+    const ref = this.collection.doc(conductorId);
+    const snapshot = await ref.get();
+
+    if (!snapshot.exists) {
+      throw new ApiError(404, 'CONDUCTOR_NOT_FOUND', 'Conductor not found');
+    }
+
+    return { ref, data: snapshot.data() };
+  }
+
+  // Older documents may lack `uid`; fall back to the (original) email
+  async resolveUid(data) {
+    if (data.uid) return data.uid;
+
+    try {
+      const userRecord = await this.auth.getUserByEmail(data.originalEmail || data.email);
+      return userRecord.uid;
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  async updateAuthUser(uid, changes) {
+    try {
+      await this.auth.updateUser(uid, changes);
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  // True when creating a conductor with `email` would overwrite an active document
+  async isDocumentIdTaken(email) {
+    const snapshot = await this.collection.doc(conductorDocumentId(email)).get();
+    return snapshot.exists && snapshot.data().status !== 'deleted';
+  }
+
+  // Update profile fields. Email and name changes are applied to Auth first so
+  // the document never claims an email the login account doesn't have.
+  async update(conductorId, changes, actor) {
+    const { ref, data } = await this.load(conductorId);
+
+    if (data.status === 'deleted') {
+      throw new ApiError(409, 'CONDUCTOR_DELETED', 'Reactivate this conductor before editing it');
+    }
+    // Moving the conductor to a bus with expired papers or overdue maintenance is not allowed
+    if (changes.plateNumber && normalizePlate(changes.plateNumber) !== normalizePlate(data.plateNumber)) {
+      await assertBusAssignable(this.db, changes.plateNumber);
+    }
+
+    const uid = await this.resolveUid(data);
+
+    const authChanges = {};
+    if (changes.email && changes.email !== data.email) authChanges.email = changes.email;
+    if (changes.name && changes.name !== data.name) authChanges.displayName = changes.name;
+
+    if (Object.keys(authChanges).length > 0) {
+      await this.updateAuthUser(uid, authChanges);
+    }
+
+    const docChanges = {};
+    for (const field of PROFILE_FIELDS) {
+      if (changes[field] !== undefined) docChanges[field] = changes[field];
+    }
+    if (docChanges.busNumber !== undefined) {
+      docChanges.busNumber = parseInt(docChanges.busNumber, 10);
+    }
+
+    await ref.update({
+      ...docChanges,
+      uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: actor.uid
+    });
+
+    return {
+      conductorId,
+      uid,
+      updatedFields: Object.keys(docChanges),
+      authUpdated: Object.keys(authChanges),
+      previous: Object.fromEntries(Object.keys(docChanges).map(field => [field, data[field] ?? null]))
+    };
+  }
+
+  // Disable or re-enable the login account. Disabling also signs the conductor out everywhere.
+  async setDisabled(conductorId, disabled, actor, reason = null) {
+    const { ref, data } = await this.load(conductorId);
+
+    if (data.status === 'deleted') {
+      throw new ApiError(409, 'CONDUCTOR_DELETED', 'Deleted conductors must be reactivated instead');
+    }
+
+    const uid = await this.resolveUid(data);
+    await this.updateAuthUser(uid, { disabled });
+    if (disabled) {
+      await this.auth.revokeRefreshTokens(uid);
+    }
+
+    const changes = disabled
+      ? {
+        status: 'disabled',
+        authDisabled: true,
+        isOnline: false,
+        disabledAt: admin.firestore.FieldValue.serverTimestamp(),
+        disabledBy: actor.uid,
+        disabledReason: reason
+      }
+      : {
+        status: 'active',
+        authDisabled: false,
+        enabledAt: admin.firestore.FieldValue.serverTimestamp(),
+        enabledBy: actor.uid,
+        disabledReason: null
+      };
+
+    await ref.update({ ...changes, uid, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    return { conductorId, uid, email: data.email, name: data.name, disabled };
+  }
+
+  // Set a new password directly, or generate a reset link for the admin to send
+  async resetPassword(conductorId, actor, newPassword = null) {
+    const { ref, data } = await this.load(conductorId);
+
+    if (data.status === 'deleted') {
+      throw new ApiError(409, 'CONDUCTOR_DELETED', 'Reactivate this conductor before resetting the password');
+    }
+
+    const uid = await this.resolveUid(data);
+    let resetLink = null;
+
+    if (newPassword) {
+      await this.updateAuthUser(uid, { password: newPassword });
+      await this.auth.revokeRefreshTokens(uid);
+    } else {
+      try {
+        resetLink = await this.auth.generatePasswordResetLink(data.email);
+      } catch (error) {
+        throw toApiError(error);
+      }
+    }
+
+    await ref.update({
+      passwordResetAt: admin.firestore.FieldValue.serverTimestamp(),
+      passwordResetBy: actor.uid,
+      passwordResetMethod: newPassword ? 'set_by_admin' : 'reset_link'
+    });
+
+    return { conductorId, uid, email: data.email, name: data.name, passwordChanged: Boolean(newPassword), resetLink };
+  }
+
+  // Delete a conductor: the login account is disabled and signed out, and the
+  // document is marked deleted. Email, name, trips and bus images are kept so
+  // the conductor can be restored until purged.
+  async deactivate(conductorId, actor) {
+    const { ref, data } = await this.load(conductorId);
+
+    if (data.status === 'deleted') {
+      throw new ApiError(409, 'CONDUCTOR_DELETED', 'Conductor is already deleted');
+    }
+
+    const uid = await this.resolveUid(data);
+    await this.updateAuthUser(uid, { disabled: true });
+    await this.auth.revokeRefreshTokens(uid);
+
+    await ref.update({
+      uid,
+      status: 'deleted',
+      authDisabled: true,
+      isOnline: false,
+      // Kept so reactivation can find the conductor by the email it was created with
+      originalEmail: data.email,
+      originalName: data.name,
+      deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+      deletedBy: actor.uid,
+      deletedByEmail: actor.email || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { conductorId, uid, email: data.email, name: data.name, route: data.route, busNumber: data.busNumber };
+  }
+
+  // Bring a deleted conductor back. Handles both server deletions and the
+  // older browser pseudo-deletions (renamed `deleted_...@deleted.invalid` emails).
+  async reactivate(conductorId, profile, actor) {
+    const { ref, data } = await this.load(conductorId);
+
+    if (data.status !== 'deleted') {
+      throw new ApiError(409, 'CONDUCTOR_NOT_DELETED', 'Only deleted conductors can be reactivated');
+    }
+    await assertBusAssignable(this.db, profile.plateNumber ?? data.plateNumber);
+
+    const uid = await this.resolveUid(data);
+    const original = originalProfile(data);
+    const email = profile.email || original.email;
+    const name = profile.name || original.name;
+
+    const authChanges = { email, displayName: name, disabled: false };
+    if (profile.password) authChanges.password = profile.password;
+    await this.updateAuthUser(uid, authChanges);
+
+    const restored = {
+      uid,
+      email,
+      name,
+      busNumber: profile.busNumber !== undefined ? parseInt(profile.busNumber, 10) : data.busNumber,
+      route: profile.route ?? data.route,
+      routeId: profile.routeId ?? data.routeId ?? null,
+      plateNumber: profile.plateNumber ?? data.plateNumber ?? null,
+      registrationNumber: profile.registrationNumber ?? data.registrationNumber ?? null,
+      driverName: profile.driverName ?? data.driverName ?? null,
+      codingDay: profile.codingDay ?? data.codingDay ?? 'Unknown',
+      status: 'active',
+      authDisabled: false,
+      isOnline: false,
+      lastSeen: null,
+      currentLocation: null,
+      deletedAt: null,
+      deletedBy: null,
+      deletedByEmail: null,
+      originalEmail: null,
+      originalName: null,
+      userRole: 'conductor'
+    };
+
+    await ref.update({
+      ...restored,
+      reactivatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reactivatedBy: actor.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { conductorId, conductor: restored };
+  }
+
+  // When a deleted conductor may be purged; older deletions without a
+  // `deletedAt` can be purged right away
+  purgeableAt(data) {
+    const deletedAt = toMillis(data.deletedAt);
+    return deletedAt === null ? null : deletedAt + this.retentionMs;
+  }
+
+  // Deleted conductors, most recently deleted first
+  async listDeleted() {
+    const snapshot = await this.collection.where('status', '==', 'deleted').get();
+    const toISO = time => (time === null ? null : new Date(time).toISOString());
+
+    return snapshot.docs
+      .map(conductorDoc => {
+        const data = conductorDoc.data();
+        return {
+          conductorId: conductorDoc.id,
+          ...originalProfile(data),
+          busNumber: data.busNumber ?? null,
+          plateNumber: data.plateNumber ?? null,
+          route: data.route ?? null,
+          deletedAt: toISO(toMillis(data.deletedAt)),
+          deletedBy: data.deletedBy || null,
+          deletedByEmail: data.deletedByEmail || null,
+          purgeableAt: toISO(this.purgeableAt(data))
+        };
+      })
+      .sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+  }
+
+  // Permanently remove a deleted conductor once the retention period is over:
+  // the Auth user, the bus images in Storage, and the document with every
+  // subcollection (dailyTrips, remittance, ...). The Auth user goes first so
+  // a purge that fails halfway can simply be run again.
+  async purge(conductorId, now = Date.now()) {
+    const { ref, data } = await this.load(conductorId);
+
+    if (data.status !== 'deleted') {
+      throw new ApiError(409, 'CONDUCTOR_NOT_DELETED', 'Only deleted conductors can be purged');
+    }
+    const purgeableAt = this.purgeableAt(data);
+    if (purgeableAt !== null && now < purgeableAt) {
+      throw new ApiError(409, 'RETENTION_NOT_ELAPSED', 'This conductor is still within the retention period', {
+        purgeableAt: new Date(purgeableAt).toISOString()
+      });
+    }
+    if (!this.bucket) {
+      throw new ApiError(500, 'STORAGE_NOT_CONFIGURED', 'FIREBASE_STORAGE_BUCKET is not set, so bus images cannot be removed');
+    }
+
+    let authDeleted = false;
+    try {
+      const uid = await this.resolveUid(data);
+      await this.auth.deleteUser(uid);
+      authDeleted = true;
+    } catch (error) {
+      // Already removed by an earlier attempt
+      if (error.code !== 'auth/user-not-found' && error.code !== 'AUTH_USER_NOT_FOUND') {
+        throw toApiError(error);
+      }
+    }
+
+    const prefix = `${BUS_IMAGES_PREFIX}/${conductorId}/`;
+    const [images] = await this.bucket.getFiles({ prefix });
+    await this.bucket.deleteFiles({ prefix });
+
+    const tripDates = await ref.collection('dailyTrips').listDocuments();
+    await this.db.recursiveDelete(ref);
+
+    return {
+      conductorId,
+      uid: data.uid || null,
+      ...originalProfile(data),
+      authDeleted,
+      deletedImages: images.length,
+      deletedTripDates: tripDates.length
+    };
+  }
+}
+
+module.exports = {
+  ConductorAccounts,
+  CONDUCTORS_COLLECTION,
+  BUS_IMAGES_PREFIX,
+  conductorDocumentId
+};
@@ -0,0 +1,361 @@
+const admin = require('firebase-admin');
+const { RevenueReports, buildSummaryCells, datesBetween, normalizeFilters } = require('./revenueReports');
+
+// dailySummaries/{YYYY-MM-DD}, one precomputed document per day
+const DAILY_SUMMARIES_COLLECTION = 'dailySummaries';
+
+// Bump when the cell layout changes; older documents are then ignored by the
+// reports (they fall back to raw scans) until they are rebuilt
+const SUMMARY_VERSION = 1;
+
+function emptyRollup() {
+  return { revenue: 0, passengers: 0, discounts: 0, tickets: 0, trips: 0 };
+}
+
+function addToRollup(rollup, cell, ticketType = null) {
+  for (const [type, entry] of Object.entries(cell.byTicketType || {})) {
+    if (ticketType && type !== ticketType) continue;
+    rollup.revenue += entry.revenue;
+    rollup.passengers += entry.passengers;
+    rollup.discounts += entry.discounts;
+    rollup.tickets += entry.tickets;
+    if (ticketType) rollup.trips += entry.trips;
+  }
+  if (!ticketType) rollup.trips += cell.trips;
+  return rollup;
+}
+
+// Rollups keyed by conductor, route (trip direction) or ticket type
+function rollupBy(cells, keyOf) {
+  const rollups = {};
+  for (const cell of cells) {
+    const key = keyOf(cell);
+    rollups[key] = addToRollup(rollups[key] || emptyRollup(), cell);
+  }
+  return rollups;
+}
+
+// The day `days` after a YYYY-MM-DD date (negative for earlier days)
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// `final` marks a summary rebuilt after its day ended. Reports only trust
+// past days with a final summary; anything else may be missing late trips.
+function summaryDocument(date, cells, { final = false } = {}) {
+  const byTicketType = {};
+  for (const cell of cells) {
+    for (const type of Object.keys(cell.byTicketType)) {
+      byTicketType[type] = addToRollup(byTicketType[type] || emptyRollup(), cell, type);
+    }
+  }
+
+  return {
+    date,
+    version: SUMMARY_VERSION,
+    final,
+    cells,
+    totals: cells.reduce((rollup, cell) => addToRollup(rollup, cell), emptyRollup()),
+    byTicketType,
+    byConductor: rollupBy(cells, cell => cell.conductorId),
+    byRoute: rollupBy(cells, cell => cell.direction || 'N/A'),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Maintains dailySummaries: per-day, per-conductor, per-route and
+// per-ticket-type revenue, passengers, discounts and trip counts.
+// Days are rebuilt from the raw trips; a single conductor's cells are
+// replaced in a transaction when one of their trips or tickets changes.
+class DailySummaries {
+  constructor({ db = admin.firestore(), reports = null, timeZone = 'Asia/Manila' } = {}) {
+    this.db = db;
+    this.collection = db.collection(DAILY_SUMMARIES_COLLECTION);
+    this.reports = reports || new RevenueReports({ db });
+    this.timeZone = timeZone;
+    this.pending = new Map();
+  }
+
+  // Today's date ID in the operating timezone
+  today() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: this.timeZone });
+  }
+
+  // Map of date → summary for [startDate, endDate]; outdated versions are left out
+  async read(startDate, endDate) {
+    const snapshot = await this.collection
+      .where(admin.firestore.FieldPath.documentId(), '>=', startDate)
+      .where(admin.firestore.FieldPath.documentId(), '<=', endDate)
+      .get();
+
+    const summaries = new Map();
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      if (data.version === SUMMARY_VERSION) summaries.set(doc.id, data);
+    });
+    return summaries;
+  }
+
+  // Recompute a whole day from every conductor's trips
+  async rebuildDay(date) {
+    const final = date < this.today();
+    const filters = normalizeFilters({ startDate: date, endDate: date });
+    const trips = await this.reports.collectTrips(filters, { strict: true });
+    const summary = summaryDocument(date, buildSummaryCells(trips), { final });
+
+    const previous = await this.collection.doc(date).get();
+    await this.collection.doc(date).set(summary);
+
+    // Conductors that were in the old summary but have no trips now drop to zero
+    const conductorIds = new Set([
+      ...(previous.exists ? previous.data().cells || [] : []).map(cell => cell.conductorId),
+      ...summary.cells.map(cell => cell.conductorId)
+    ]);
+    await this.updateTripCounts(date, summary.cells, conductorIds);
+    return summary;
+  }
+
+  // Replace one conductor's cells for a day. Falls back to a full rebuild
+  // when the day has no current summary yet, or when a finished day's
+  // summary is not final (other conductors' cells may be partial too).
+  async refreshConductorDay(conductorId, date) {
+    const isPastDay = date < this.today();
+    const filters = normalizeFilters({ startDate: date, endDate: date });
+    const conductorRef = this.db.collection('conductors').doc(conductorId);
+    const trips = await this.reports.collectConductorTrips(conductorRef, filters, { strict: true });
+    const conductorCells = buildSummaryCells(trips);
+    const summaryRef = this.collection.doc(date);
+
+    const summary = await this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(summaryRef);
+      if (!snapshot.exists || snapshot.data().version !== SUMMARY_VERSION) {
+        return null;
+      }
+      if (isPastDay && !snapshot.data().final) {
+        return null;
+      }
+
+      const cells = snapshot.data().cells
+        .filter(cell => cell.conductorId !== conductorId)
+        .concat(conductorCells);
+      const updated = summaryDocument(date, cells, { final: isPastDay });
+      transaction.set(summaryRef, updated);
+      return updated;
+    });
+
+    if (!summary) return this.rebuildDay(date);
+
+    await this.updateTripCounts(date, conductorCells, [conductorId]);
+    return summary;
+  }
+
+  // Keep the trip counts on the conductor documents in step with a day's
+  // cells: tripCounts maps date → trips that carried passengers, totalTrips
+  // sums them and todayTrips is today's count in the operating timezone.
+  // The conductor pages only read these fields. Documents written before
+  // tripCounts existed get the map backfilled from their full trip history
+  // the first time they are touched, so their totalTrips is never replaced
+  // by a partial sum.
+  async updateTripCounts(date, cells, conductorIds) {
+    const tripsByConductor = new Map(Array.from(conductorIds, conductorId => [conductorId, 0]));
+    cells.forEach(cell => {
+      tripsByConductor.set(cell.conductorId, (tripsByConductor.get(cell.conductorId) || 0) + cell.trips);
+    });
+
+    const today = this.today();
+    await Promise.all(Array.from(tripsByConductor, ([conductorId, trips]) =>
+      this.setConductorTripCount(conductorId, today, { date, trips })));
+  }
+
+  // Store one day's trip count (or only roll todayTrips over to `today`
+  // without a `date`) and recompute the totals. Skips unchanged documents.
+  // `history` is the backfilled tripCounts for a document that has none.
+  async setConductorTripCount(conductorId, today, { date = null, trips = 0 } = {}, history = null) {
+    const conductorRef = this.db.collection('conductors').doc(conductorId);
+
+    const needsHistory = await this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(conductorRef);
+      if (!snapshot.exists || snapshot.data().status === 'deleted') return false;
+
+      const data = snapshot.data();
+      if (!data.tripCounts && !history) return true;
+
+      const tripCounts = { ...(data.tripCounts || history) };
+      if (date) {
+        if (trips > 0) {
+          tripCounts[date] = trips;
+        } else {
+          delete tripCounts[date];
+        }
+      }
+
+      const totalTrips = Object.values(tripCounts).reduce((sum, count) => sum + count, 0);
+      const todayTrips = tripCounts[today] || 0;
+      const unchanged = data.tripCounts && totalTrips === data.totalTrips && todayTrips === data.todayTrips &&
+        (!date || (tripCounts[date] || 0) === (data.tripCounts[date] || 0));
+      if (!unchanged) {
+        transaction.update(conductorRef, { tripCounts, totalTrips, todayTrips });
+      }
+      return false;
+    });
+
+    if (needsHistory) {
+      await this.setConductorTripCount(conductorId, today, { date, trips }, await this.tripCountHistory(conductorId));
+    }
+  }
+
+  // date → trips that carried passengers, over every date the conductor has trips
+  async tripCountHistory(conductorId) {
+    const conductorRef = this.db.collection('conductors').doc(conductorId);
+    const trips = await this.reports.collectConductorTrips(conductorRef, normalizeFilters(), { strict: true });
+
+    const tripCounts = {};
+    trips.forEach(trip => {
+      tripCounts[trip.date] = (tripCounts[trip.date] || 0) + 1;
+    });
+    return tripCounts;
+  }
+
+  // After midnight, todayTrips still holds yesterday's count for conductors
+  // with no trips yet today
+  async rollTodayTrips() {
+    const today = this.today();
+    const snapshot = await this.db.collection('conductors').where('todayTrips', '>', 0).get();
+    await Promise.all(snapshot.docs.map(conductorDoc => this.setConductorTripCount(conductorDoc.id, today)));
+  }
+
+  async refresh(date, conductorId = null) {
+    return conductorId ? this.refreshConductorDay(conductorId, date) : this.rebuildDay(date);
+  }
+
+  // Rebuild every day in [startDate, endDate], one day at a time
+  async rebuild(startDate, endDate = startDate, { onDay = null } = {}) {
+    const dates = datesBetween(startDate, endDate);
+    for (const date of dates) {
+      const summary = await this.rebuildDay(date);
+      if (onDay) onDay(date, summary);
+    }
+    return dates.length;
+  }
+
+  // Rebuild the last `days` finished days that have no final summary, e.g.
+  // because the server was down or restarted over midnight. Older days are
+  // left to rebuildDailySummaries.js. Returns the rebuilt dates.
+  async finalizePastDays(days) {
+    const today = this.today();
+    const startDate = shiftDate(today, -days);
+    const endDate = shiftDate(today, -1);
+    const summaries = await this.read(startDate, endDate);
+
+    const unfinished = datesBetween(startDate, endDate).filter(date => !summaries.get(date)?.final);
+    for (const date of unfinished) {
+      await this.rebuildDay(date);
+    }
+    return unfinished;
+  }
+
+  // Debounced refresh, so a burst of ticket writes costs one recompute
+  schedule(conductorId, date, debounceMs) {
+    const key = `${conductorId}|${date}`;
+    clearTimeout(this.pending.get(key));
+
+    const timer = setTimeout(() => {
+      this.pending.delete(key);
+      this.refreshConductorDay(conductorId, date)
+        .catch(error => console.error(`❌ Daily summary refresh failed for ${conductorId}/${date}:`, error.message));
+    }, debounceMs);
+    if (typeof timer.unref === 'function') timer.unref();
+
+    this.pending.set(key, timer);
+  }
+
+  // Keep today's summary current: each conductor's dailyTrips/{today}
+  // document is watched (trip starts and completions), and a periodic sweep
+  // rebuilds today to pick up tickets synced straight into the subcollections.
+  // When the date rolls over, the sweep rebuilds the finished day once more;
+  // on startup, finished days this process never saw end are rebuilt first.
+  // Each rebuild also updates the conductors' trip counts.
+  // Returns a function that stops everything.
+  start({ sweepMinutes = 15, debounceSeconds = 30, catchUpDays = 7 } = {}) {
+    const debounceMs = debounceSeconds * 1000;
+    const watchers = new Map();
+    let watchDate = this.today();
+
+    const unwatch = conductorId => {
+      const unsubscribe = watchers.get(conductorId);
+      if (unsubscribe) unsubscribe();
+      watchers.delete(conductorId);
+    };
+
+    const watch = conductorId => {
+      unwatch(conductorId);
+      const date = watchDate;
+      let initial = true;
+      const unsubscribe = this.db.collection('conductors').doc(conductorId)
+        .collection('dailyTrips').doc(date)
+        .onSnapshot(() => {
+          if (initial) {
+            initial = false;
+            return;
+          }
+          this.schedule(conductorId, date, debounceMs);
+        }, error => console.error(`❌ Daily summary watcher failed for ${conductorId}:`, error.message));
+      watchers.set(conductorId, unsubscribe);
+    };
+
+    const unsubscribeConductors = this.db.collection('conductors').onSnapshot(snapshot => {
+      snapshot.docChanges().forEach(change => {
+        if (change.type === 'added') watch(change.doc.id);
+        if (change.type === 'removed') unwatch(change.doc.id);
+      });
+    }, error => console.error('❌ Daily summary conductor listener failed:', error.message));
+
+    // todayTrips may be from a day this process never saw end
+    let rolledToday = null;
+    const sweep = async () => {
+      const today = this.today();
+      if (today !== watchDate) {
+        const finishedDay = watchDate;
+        watchDate = today;
+        Array.from(watchers.keys()).forEach(conductorId => {
+          unwatch(conductorId);
+          watch(conductorId);
+        });
+        await this.rebuildDay(finishedDay);
+      }
+      await this.rebuildDay(today);
+      if (rolledToday !== today) {
+        await this.rollTodayTrips();
+        rolledToday = today;
+      }
+    };
+
+    this.finalizePastDays(catchUpDays)
+      .then(dates => {
+        if (dates.length > 0) console.log(`📊 Daily summaries finalized: ${dates.join(', ')}`);
+      })
+      .catch(error => console.error('❌ Daily summary catch-up failed:', error.message))
+      .then(sweep)
+      .catch(error => console.error('❌ Daily summary sweep failed:', error.message));
+    const timer = setInterval(() => {
+      sweep().catch(error => console.error('❌ Daily summary sweep failed:', error.message));
+    }, sweepMinutes * 60 * 1000);
+    if (typeof timer.unref === 'function') timer.unref();
+
+    return () => {
+      clearInterval(timer);
+      unsubscribeConductors();
+      Array.from(watchers.keys()).forEach(unwatch);
+      this.pending.forEach(pendingTimer => clearTimeout(pendingTimer));
+      this.pending.clear();
+    };
+  }
+}
+
+module.exports = {
+  DailySummaries,
+  DAILY_SUMMARIES_COLLECTION,
+  SUMMARY_VERSION
+};
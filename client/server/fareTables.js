@@ -0,0 +1,134 @@
+const admin = require('firebase-admin');
+const { writeAuditLog } = require('./auditLog');
+
+// fareTables/{id}: one version of a route's fare matrix
+//   { routeId, routeName, version, status, effectiveFrom, baseFare, baseKm,
+//     perKmRate, stops: [{ id, name, km }], overrides: [{ fromStopId, toStopId, fare }],
+//     discounts: [{ type, label, percent }] }
+// status: scheduled → active → superseded (or scheduled → cancelled). Tables
+// are never deleted, so past fares stay available for audits.
+const FARE_TABLES_COLLECTION = 'fareTables';
+// fare/{routeId}: copy of the active table for the mobile app (fare/base_fare is the legacy flat fare)
+const FARE_COLLECTION = 'fare';
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+
+// The fields the mobile app needs to price a ticket
+function currentFareDoc(table) {
+  return {
+    routeId: table.routeId,
+    routeName: table.routeName,
+    tableId: table.id,
+    version: table.version,
+    effectiveFrom: table.effectiveFrom,
+    baseFare: table.baseFare,
+    baseKm: table.baseKm,
+    perKmRate: table.perKmRate,
+    stops: table.stops || [],
+    overrides: table.overrides || [],
+    discounts: table.discounts || [],
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+// Activates scheduled fare tables once their effective date passes, on a
+// timer and through POST /api/fares/activate-due when the admin panel saves a
+// table that takes effect immediately. Runs in one process are queued; each
+// activation is a transaction that re-checks the table is still scheduled, so
+// server instances racing on the same table activate (and log) it once.
+class FareTableActivator {
+  constructor({ db = admin.firestore() } = {}) {
+    this.db = db;
+    this.queue = Promise.resolve();
+  }
+
+  // Activates the due tables of every route, or only of `routeId`. `actor` is
+  // the admin who asked for it; timer runs are recorded as "system".
+  // Resolves with the IDs of the tables that went live.
+  activateDue({ routeId = null, actor = null } = {}) {
+    const run = this.queue.then(() => this.runActivation(new Date(), routeId, actor));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runActivation(now, onlyRouteId, actor) {
+    const scheduled = await this.db.collection(FARE_TABLES_COLLECTION).where('status', '==', 'scheduled').get();
+    const dueByRoute = new Map();
+
+    scheduled.docs.forEach(tableDoc => {
+      const table = { id: tableDoc.id, ref: tableDoc.ref, ...tableDoc.data() };
+      if (onlyRouteId && table.routeId !== onlyRouteId) return;
+      if (toMillis(table.effectiveFrom) > now.getTime()) return;
+      dueByRoute.set(table.routeId, [...(dueByRoute.get(table.routeId) || []), table]);
+    });
+
+    const activated = [];
+    for (const [routeId, dueTables] of dueByRoute) {
+      // Only the latest due table goes live; earlier ones were overtaken before they started
+      dueTables.sort((a, b) => toMillis(b.effectiveFrom) - toMillis(a.effectiveFrom));
+      const [table, ...overtaken] = dueTables;
+
+      const activatedNow = await this.db.runTransaction(async transaction => {
+        const current = await transaction.get(table.ref);
+        if (!current.exists || current.data().status !== 'scheduled') return false;
+
+        const routeTables = await transaction.get(
+          this.db.collection(FARE_TABLES_COLLECTION).where('routeId', '==', routeId)
+        );
+        const timestamp = admin.firestore.FieldValue.serverTimestamp();
+        const supersede = { status: 'superseded', supersededAt: timestamp, supersededBy: table.id };
+        const overtakenIds = new Set(overtaken.map(old => old.id));
+
+        routeTables.docs
+          .filter(tableDoc => tableDoc.data().status === 'active' ||
+            (overtakenIds.has(tableDoc.id) && tableDoc.data().status === 'scheduled'))
+          .forEach(tableDoc => transaction.update(tableDoc.ref, supersede));
+        transaction.update(table.ref, { status: 'active', activatedAt: timestamp, activatedBy: actor?.email || 'system' });
+        transaction.set(this.db.collection(FARE_COLLECTION).doc(routeId), currentFareDoc({ id: table.id, ...current.data() }));
+        return true;
+      });
+      // Another instance activated it first
+      if (!activatedNow) continue;
+
+      await writeAuditLog(this.db, {
+        activityType: 'FARE_TABLE_ACTIVATE',
+        description: `Fare table v${table.version} for ${table.routeName} took effect`,
+        metadata: {
+          fareTableId: table.id,
+          routeId,
+          version: table.version,
+          baseFare: table.baseFare,
+          baseKm: table.baseKm,
+          perKmRate: table.perKmRate,
+          overtakenTableIds: overtaken.map(old => old.id)
+        },
+        severity: 'info',
+        actor
+      });
+
+      activated.push(table.id);
+    }
+
+    return activated;
+  }
+
+  // Check on an interval; returns a function that stops the timer
+  start(intervalSeconds = 60) {
+    const run = () => {
+      this.activateDue().catch(error => console.error('❌ Fare table activation failed:', error.message));
+    };
+    run();
+    const timer = setInterval(run, intervalSeconds * 1000);
+
+    // Don't keep the process alive just for fare activation
+    if (typeof timer.unref === 'function') timer.unref();
+    return () => clearInterval(timer);
+  }
+}
+
+module.exports = {
+  FareTableActivator,
+  FARE_TABLES_COLLECTION,
+  FARE_COLLECTION,
+  currentFareDoc
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { sendError } = require('./apiErrors');
+
+// Firestore collection used by the shared idempotency store
+const IDEMPOTENCY_COLLECTION = 'idempotencyKeys';
+
+// How long a stored response can be replayed
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Keys still marked in progress after this long are treated as abandoned
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+
+// How often the stores sweep out expired records
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Expired Firestore records deleted per sweep
+const PRUNE_BATCH_SIZE = 200;
+
+// Decide what to do with an existing record for a key
+function resolveExisting(record, fingerprint, now) {
+  if (!record || record.expiresAt <= now) return null;
+  if (record.fingerprint !== fingerprint) return { state: 'mismatch' };
+  if (record.state === 'completed') return { state: 'completed', response: record.response };
+  if (now - record.startedAt < IN_PROGRESS_TIMEOUT_MS) return { state: 'in_progress' };
+  return null;
+}
+
+// Idempotency records kept in process memory (default, single instance)
+class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+    this.lastPruneAt = 0;
+  }
+
+  async begin(key, fingerprint, ttlMs) {
+    const now = Date.now();
+    this.prune(now);
+    const existing = resolveExisting(this.records.get(key), fingerprint, now);
+    if (existing) return existing;
+
+    this.records.set(key, { state: 'in_progress', fingerprint, startedAt: now, expiresAt: now + ttlMs });
+    return { state: 'new' };
+  }
+
+  async complete(key, response) {
+    const record = this.records.get(key);
+    if (record) {
+      this.records.set(key, { ...record, state: 'completed', response });
+    }
+  }
+
+  async abort(key) {
+    this.records.delete(key);
+  }
+
+  // Drop expired records so the map doesn't grow forever
+  prune(now) {
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+    this.lastPruneAt = now;
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
+
+// Idempotency records in Firestore, shared by every server instance. An
+// expired record is overwritten when its key is used again; the rest are
+// deleted by a sweep that runs at most once per PRUNE_INTERVAL_MS.
+class FirestoreIdempotencyStore {
+  constructor(db = admin.firestore()) {
+    this.db = db;
+    this.collection = db.collection(IDEMPOTENCY_COLLECTION);
+    this.lastPruneAt = 0;
+  }
+
+  docFor(key) {
+    return this.collection.doc(crypto.createHash('sha256').update(key).digest('hex'));
+  }
+
+  async begin(key, fingerprint, ttlMs) {
+    const docRef = this.docFor(key);
+    this.prune(Date.now()).catch(error => {
+      console.error('❌ Failed to prune idempotency keys:', error.message);
+    });
+
+    return this.db.runTransaction(async (transaction) => {
+      const now = Date.now();
+      const snapshot = await transaction.get(docRef);
+      const existing = resolveExisting(snapshot.exists ? snapshot.data() : null, fingerprint, now);
+      if (existing) return existing;
+
+      transaction.set(docRef, { key, state: 'in_progress', fingerprint, startedAt: now, expiresAt: now + ttlMs });
+      return { state: 'new' };
+    });
+  }
+
+  async complete(key, response) {
+    await this.docFor(key).update({ state: 'completed', response, completedAt: Date.now() });
+  }
+
+  async abort(key) {
+    await this.docFor(key).delete();
+  }
+
+  async prune(now) {
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) return 0;
+    this.lastPruneAt = now;
+
+    const expired = await this.collection.where('expiresAt', '<=', now).limit(PRUNE_BATCH_SIZE).get();
+    await Promise.all(expired.docs.map(record => record.ref.delete()));
+    return expired.size;
+  }
+}
+
+function createIdempotencyStore(type = 'memory', db) {
+  return type === 'firestore' ? new FirestoreIdempotencyStore(db) : new MemoryIdempotencyStore();
+}
+
+// Express middleware honouring the `Idempotency-Key` header.
+// The first request with a key runs normally and its response is stored;
+// repeats with the same key and body get the stored response replayed.
+// Requests without the header are not affected.
+function idempotency({ store, ttlMs = DEFAULT_TTL_MS }) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey) return next();
+
+    if (idempotencyKey.length > 255) {
+      return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be at most 255 characters');
+    }
+
+    const scopedKey = `${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    let existing;
+    try {
+      existing = await store.begin(scopedKey, fingerprint, ttlMs);
+    } catch (error) {
+      console.error('❌ Idempotency store failed:', error.message);
+      return sendError(res, 503, 'IDEMPOTENCY_UNAVAILABLE', 'Could not verify Idempotency-Key. Please retry.');
+    }
+
+    if (existing.state === 'mismatch') {
+      return sendError(res, 422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used with a different request body');
+    }
+
+    if (existing.state === 'in_progress') {
+      res.set('Retry-After', '1');
+      return sendError(res, 409, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed');
+    }
+
+    if (existing.state === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Capture the JSON response so repeats can be replayed. Server errors are
+    // not stored, so the client can retry them with the same key.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const response = { statusCode: res.statusCode, body };
+      const settle = res.statusCode >= 500
+        ? store.abort(scopedKey)
+        : store.complete(scopedKey, response);
+
+      Promise.resolve(settle).catch(error => {
+        console.error('❌ Failed to store idempotent response:', error.message);
+      });
+      return originalJson(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  FirestoreIdempotencyStore,
+  createIdempotencyStore,
+  idempotency
+};
@@ -0,0 +1,160 @@
+const admin = require('firebase-admin');
+
+// conductors/{conductorId}/locationHistory/{YYYY-MM-DD}: { date, conductorId, pointCount, lastTime }
+// conductors/{conductorId}/locationHistory/{YYYY-MM-DD}/hours/{HH}: { hour, points: [...] }
+// Points are split per hour so a busy day stays far below Firestore's 1 MiB
+// document limit and each append only rewrites that hour's array.
+// Days recorded before the split keep their points on the day document.
+const LOCATION_HISTORY_COLLECTION = 'locationHistory';
+const LOCATION_HISTORY_HOURS_COLLECTION = 'hours';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function distanceMeters(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+function headingChange(a, b) {
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return 0;
+  const difference = Math.abs(a - b) % 360;
+  return difference > 180 ? 360 - difference : difference;
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return null;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// History point from a conductor document, or null without a usable location
+function toHistoryPoint(conductorData) {
+  const location = conductorData?.currentLocation;
+  if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+    return null;
+  }
+
+  return {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    speed: Number.isFinite(location.speed) ? location.speed : null,
+    heading: Number.isFinite(location.heading) ? location.heading : null,
+    accuracy: Number.isFinite(location.accuracy) ? location.accuracy : null,
+    time: toMillis(location.timestamp) || toMillis(conductorData.lastSeen) || Date.now(),
+    tripDirection: conductorData.activeTrip?.direction || null
+  };
+}
+
+// Downsampling: at most one point per `minIntervalSeconds`, kept only when
+// the bus moved `minDistanceMeters` or turned `minHeadingChange` degrees,
+// but at least one point per `maxIntervalSeconds` so stops still show up.
+function shouldRecord(last, next, { minIntervalSeconds, maxIntervalSeconds, minDistanceMeters, minHeadingChange }) {
+  if (!last) return true;
+
+  const elapsedSeconds = (next.time - last.time) / 1000;
+  if (elapsedSeconds <= 0) return false;
+  if (elapsedSeconds >= maxIntervalSeconds) return true;
+  if (elapsedSeconds < minIntervalSeconds) return false;
+
+  return distanceMeters(last, next) >= minDistanceMeters ||
+    headingChange(last.heading, next.heading) >= minHeadingChange;
+}
+
+// Conductor apps overwrite `currentLocation` on every fix; this keeps a
+// downsampled copy of each position per conductor per day so trips can be
+// played back later.
+class LocationHistoryRecorder {
+  constructor({
+    db = admin.firestore(),
+    timeZone = 'Asia/Manila',
+    minIntervalSeconds = 10,
+    maxIntervalSeconds = 120,
+    minDistanceMeters = 50,
+    minHeadingChange = 30,
+    staleAfterMinutes = 10
+  } = {}) {
+    this.db = db;
+    this.timeZone = timeZone;
+    this.sampling = { minIntervalSeconds, maxIntervalSeconds, minDistanceMeters, minHeadingChange };
+    this.staleAfterMs = staleAfterMinutes * 60 * 1000;
+    this.lastPoints = new Map();
+  }
+
+  dateOf(time) {
+    return new Date(time).toLocaleDateString('en-CA', { timeZone: this.timeZone });
+  }
+
+  // Two-digit hour (00-23) in the operating timezone
+  hourOf(time) {
+    return new Date(time).toLocaleTimeString('en-GB', { timeZone: this.timeZone, hour: '2-digit', hourCycle: 'h23' });
+  }
+
+  // Append the conductor's current location if it passes the downsampling.
+  // Returns the stored point, or null when it was skipped.
+  async record(conductorId, conductorData) {
+    const point = toHistoryPoint(conductorData);
+    if (!point || Date.now() - point.time > this.staleAfterMs) {
+      return null;
+    }
+
+    if (!shouldRecord(this.lastPoints.get(conductorId), point, this.sampling)) {
+      return null;
+    }
+    this.lastPoints.set(conductorId, point);
+
+    const date = this.dateOf(point.time);
+    const hour = this.hourOf(point.time);
+    const dayRef = this.db.collection('conductors').doc(conductorId)
+      .collection(LOCATION_HISTORY_COLLECTION).doc(date);
+
+    const batch = this.db.batch();
+    batch.set(dayRef, {
+      date,
+      conductorId,
+      pointCount: admin.firestore.FieldValue.increment(1),
+      lastTime: point.time,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+    batch.set(dayRef.collection(LOCATION_HISTORY_HOURS_COLLECTION).doc(hour), {
+      hour,
+      points: admin.firestore.FieldValue.arrayUnion(point)
+    }, { merge: true });
+    await batch.commit();
+
+    return point;
+  }
+
+  // Watch every conductor's location; returns a function that stops watching
+  start() {
+    const unsubscribe = this.db.collection('conductors').onSnapshot(snapshot => {
+      snapshot.docChanges().forEach(change => {
+        if (change.type === 'removed') {
+          this.lastPoints.delete(change.doc.id);
+          return;
+        }
+
+        const data = change.doc.data();
+        if (data.status === 'deleted') return;
+
+        this.record(change.doc.id, data)
+          .catch(error => console.error(`❌ Location history write failed for ${change.doc.id}:`, error.message));
+      });
+    }, error => console.error('❌ Location history listener failed:', error.message));
+
+    return unsubscribe;
+  }
+}
+
+module.exports = {
+  LocationHistoryRecorder,
+  LOCATION_HISTORY_COLLECTION,
+  LOCATION_HISTORY_HOURS_COLLECTION,
+  distanceMeters,
+  shouldRecord,
+  toHistoryPoint
+};
@@ -0,0 +1,48 @@
+// migrateBuses.js - register the buses recorded on conductor accounts in the `buses` collection
+// Usage: node server/migrateBuses.js [--apply]
+//   Without --apply nothing is written; the planned changes are only printed.
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+const { BusMigration } = require('./busMigration');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--apply');
+
+  if (unknown.length > 0) {
+    console.error('Usage: node server/migrateBuses.js [--apply]');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    }),
+    projectId: process.env.FIREBASE_PROJECT_ID
+  });
+
+  const apply = args.includes('--apply');
+  const migration = new BusMigration({ db: admin.firestore() });
+
+  console.log(`🚌 Migrating conductor buses${apply ? '' : ' (dry run)'}...`);
+  const result = await migration.run({ apply });
+
+  console.log(`Buses created: ${result.created}, legacy IDs linked: ${result.linked}, assignments opened: ${result.assigned}`);
+  result.skipped.forEach(entry => {
+    console.log(`⚠️  Skipped conductor ${entry.conductorId}: ${entry.reason}`);
+  });
+  if (result.created > 0) {
+    console.log('ℹ️  New buses have no capacity yet; set it on the Bus Fleet page before editing them');
+  }
+  console.log(apply ? `🎉 Wrote ${result.writes} changes` : `Dry run: ${result.writes} changes planned, run with --apply to write them`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Bus migration failed:', error.message);
+    process.exit(1);
+  });
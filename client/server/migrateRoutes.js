@@ -0,0 +1,47 @@
+// migrateRoutes.js - link the free-text route strings to the `routes` collection
+// Usage: node server/migrateRoutes.js [--apply] [--create-missing]
+//   Without --apply nothing is written; the planned changes are only printed.
+//   --create-missing creates a two-terminal route for each unmatched "A - B" string.
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+const { RouteMigration } = require('./routeMigration');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => !['--apply', '--create-missing'].includes(arg));
+
+  if (unknown.length > 0) {
+    console.error('Usage: node server/migrateRoutes.js [--apply] [--create-missing]');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    }),
+    projectId: process.env.FIREBASE_PROJECT_ID
+  });
+
+  const apply = args.includes('--apply');
+  const migration = new RouteMigration({ db: admin.firestore() });
+
+  console.log(`🛣️  Migrating route strings${apply ? '' : ' (dry run)'}...`);
+  const result = await migration.run({ apply, createMissing: args.includes('--create-missing') });
+
+  console.log(`Routes created: ${result.routesCreated}, aliases added: ${result.aliasesAdded}`);
+  console.log(`Linked: ${result.updated.conductors} conductors, ${result.updated.schedules} schedules, ${result.updated.reservations} reservations`);
+  result.unmatched.forEach(entry => {
+    console.log(`⚠️  No route for "${entry.text}" (${entry.count}× in ${entry.sources.join(', ')})`);
+  });
+  console.log(apply ? `🎉 Wrote ${result.writes} changes` : `Dry run: ${result.writes} changes planned, run with --apply to write them`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Route migration failed:', error.message);
+    process.exit(1);
+  });
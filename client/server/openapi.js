@@ -0,0 +1,1328 @@
+// OpenAPI 3 description of the B-GO server. The validation middleware in
+// openapiValidator.js is driven by this document, and it is served at
+// /api/docs so client code can be generated from it.
+
+const { REFUND_REASONS } = require('./paymongoClient');
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const jsonBody = schema => ({
+  required: true,
+  content: { 'application/json': { schema } }
+});
+
+// Conductor profile fields accepted by update and reactivate
+const conductorProfileProperties = {
+  name: { type: 'string', minLength: 1 },
+  email: { type: 'string', format: 'email' },
+  busNumber: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'string', pattern: '^\\d+$' }] },
+  route: { type: 'string', minLength: 1 },
+  routeId: { type: 'string', nullable: true, description: 'Document ID in the `routes` collection' },
+  plateNumber: { type: 'string', nullable: true },
+  registrationNumber: { type: 'string', pattern: '^\\d{9}$', nullable: true },
+  driverName: { type: 'string', nullable: true },
+  codingDay: { type: 'string', nullable: true }
+};
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'B-GO Server API',
+    version: '1.0.0',
+    description: 'Conductor management, user management, revenue report and PayMongo payment endpoints used by the B-GO admin panel and mobile app. ' +
+      'Every error response uses the envelope `{ success: false, error: { code, message, details } }`.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Conductors' },
+    { name: 'Users' },
+    { name: 'Payments' },
+    { name: 'Refunds' },
+    { name: 'Reservations' },
+    { name: 'Reconciliation' },
+    { name: 'Revenue' },
+    { name: 'Fares' },
+    { name: 'Webhooks' }
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'Firebase ID token',
+        description: 'ID token of a signed-in account in the Admin collection'
+      }
+    },
+    parameters: {
+      SessionId: {
+        name: 'sessionId',
+        in: 'path',
+        required: true,
+        description: 'B-GO booking session ID',
+        schema: { type: 'string', minLength: 1 }
+      },
+      ConductorId: {
+        name: 'conductorId',
+        in: 'path',
+        required: true,
+        description: 'Conductor document ID (email prefix with dots replaced by underscores)',
+        schema: { type: 'string', minLength: 1 }
+      },
+      IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Retries with the same key and body replay the first response',
+        schema: { type: 'string', minLength: 1, maxLength: 255 }
+      },
+      StartDate: {
+        name: 'startDate',
+        in: 'query',
+        required: false,
+        description: 'First trip date to include (dailyTrips document ID)',
+        schema: { type: 'string', format: 'date' }
+      },
+      EndDate: {
+        name: 'endDate',
+        in: 'query',
+        required: false,
+        description: 'Last trip date to include (dailyTrips document ID)',
+        schema: { type: 'string', format: 'date' }
+      },
+      RevenueRoute: {
+        name: 'route',
+        in: 'query',
+        required: false,
+        description: 'Trip direction to include; empty or `all` for every route',
+        schema: { type: 'string', maxLength: 200 }
+      },
+      TicketType: {
+        name: 'ticketType',
+        in: 'query',
+        required: false,
+        description: 'Only count one ticket source; empty for all',
+        schema: { type: 'string', enum: ['conductor', 'pre-book', 'pre-ticket'] }
+      }
+    },
+    responses: {
+      BadRequest: errorResponse('Request validation failed'),
+      Unauthorized: errorResponse('Missing or invalid ID token'),
+      Forbidden: errorResponse('Caller lacks the required role or permission'),
+      NotFound: errorResponse('Resource not found'),
+      TooManyRequests: errorResponse('Rate limit exceeded; see the Retry-After header'),
+      ServerError: errorResponse('Unexpected server error')
+    },
+    schemas: {
+      ErrorResponse: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { type: 'string', description: 'Stable machine-readable error code' },
+              message: { type: 'string' },
+              details: { nullable: true, description: 'Extra context, e.g. a list of validation problems' }
+            }
+          }
+        }
+      },
+      CreateConductorRequest: {
+        type: 'object',
+        required: ['busNumber', 'email', 'name', 'route', 'password'],
+        properties: {
+          busNumber: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'string', pattern: '^\\d+$' }] },
+          email: { type: 'string', format: 'email' },
+          name: { type: 'string', minLength: 1 },
+          route: { type: 'string', minLength: 1 },
+          routeId: { type: 'string', nullable: true, description: 'Document ID in the `routes` collection' },
+          password: { type: 'string', minLength: 6 },
+          plateNumber: { type: 'string', nullable: true },
+          registrationNumber: { type: 'string', nullable: true },
+          driverName: { type: 'string', nullable: true },
+          codingDay: { type: 'string', nullable: true }
+        }
+      },
+      Conductor: {
+        type: 'object',
+        required: ['busNumber', 'email', 'name', 'route', 'uid'],
+        properties: {
+          busNumber: { type: 'integer' },
+          email: { type: 'string' },
+          name: { type: 'string' },
+          route: { type: 'string' },
+          routeId: { type: 'string', nullable: true },
+          plateNumber: { type: 'string', nullable: true },
+          registrationNumber: { type: 'string', nullable: true },
+          driverName: { type: 'string', nullable: true },
+          busImageUrl: { type: 'string', nullable: true },
+          isOnline: { type: 'boolean' },
+          uid: { type: 'string' },
+          status: { type: 'string' },
+          codingDay: { type: 'string' },
+          userRole: { type: 'string' }
+        }
+      },
+      ConductorProfileUpdate: {
+        type: 'object',
+        properties: conductorProfileProperties
+      },
+      ConductorAccountResult: {
+        type: 'object',
+        required: ['success', 'conductorId'],
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          message: { type: 'string' },
+          conductorId: { type: 'string' },
+          uid: { type: 'string' },
+          email: { type: 'string' },
+          name: { type: 'string' },
+          disabled: { type: 'boolean' },
+          passwordChanged: { type: 'boolean' },
+          resetLink: { type: 'string', nullable: true, description: 'Firebase password reset link for the admin to share' },
+          updatedFields: { type: 'array', items: { type: 'string' } },
+          authUpdated: { type: 'array', items: { type: 'string' }, description: 'Auth fields changed (email, displayName)' },
+          conductor: { $ref: '#/components/schemas/Conductor' }
+        }
+      },
+      PassengerInfo: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          email: { type: 'string', format: 'email', nullable: true },
+          phone: { type: 'string', nullable: true },
+          userId: { type: 'string', nullable: true }
+        }
+      },
+      TripDetails: {
+        type: 'object',
+        required: ['origin', 'destination'],
+        properties: {
+          origin: { type: 'string', minLength: 1 },
+          destination: { type: 'string', minLength: 1 },
+          departureTime: { type: 'string', nullable: true },
+          departureDate: { type: 'string', nullable: true },
+          routeId: { type: 'string', nullable: true },
+          busId: { type: 'string', nullable: true },
+          seats: { type: 'array', items: { type: 'string' }, nullable: true }
+        }
+      },
+      StatusHistoryEntry: {
+        type: 'object',
+        required: ['status', 'changedAt'],
+        properties: {
+          status: { type: 'string' },
+          source: { type: 'string' },
+          note: { type: 'string', nullable: true },
+          changedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Refund: {
+        type: 'object',
+        required: ['refundId', 'amount', 'reason', 'status'],
+        properties: {
+          requestId: { type: 'string', description: 'Server-side ID of the refund request' },
+          refundId: { type: 'string', nullable: true, description: 'PayMongo refund ID; null until PayMongo accepts the request' },
+          amount: { type: 'integer', description: 'Amount in centavos' },
+          reason: { type: 'string' },
+          notes: { type: 'string', nullable: true },
+          status: {
+            type: 'string',
+            description: "'requested' while the amount is reserved and PayMongo is being called, 'failed' when PayMongo rejected it",
+            example: 'pending'
+          },
+          error: { type: 'string' },
+          requestedAt: { type: 'string', format: 'date-time' },
+          requestedBy: { type: 'string' },
+          requestedByEmail: { type: 'string', nullable: true }
+        }
+      },
+      Booking: {
+        type: 'object',
+        required: ['sessionId', 'status', 'passengerInfo', 'tripDetails', 'billingInfo'],
+        properties: {
+          sessionId: { type: 'string' },
+          status: {
+            type: 'string',
+            enum: ['Pending Payment', 'Processing Payment', 'Paid', 'Payment Failed', 'Payment Expired',
+              'Refund Pending', 'Partially Refunded', 'Refunded']
+          },
+          passengerInfo: { $ref: '#/components/schemas/PassengerInfo' },
+          tripDetails: { $ref: '#/components/schemas/TripDetails' },
+          billingInfo: {
+            type: 'object',
+            required: ['amount', 'currency'],
+            properties: {
+              amount: { type: 'number' },
+              numberOfPassengers: { type: 'integer' },
+              farePerPassenger: { type: 'number' },
+              discounts: { type: 'array' },
+              currency: { type: 'string' }
+            }
+          },
+          paymentReference: { type: 'string', nullable: true },
+          paymongoSessionId: { type: 'string', nullable: true },
+          paymongoPaymentId: { type: 'string', nullable: true },
+          reservationId: { type: 'string', nullable: true },
+          refunds: { type: 'array', items: { $ref: '#/components/schemas/Refund' } },
+          statusHistory: { type: 'array', items: { $ref: '#/components/schemas/StatusHistoryEntry' } },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Discrepancy: {
+        type: 'object',
+        required: ['sessionId', 'type', 'resolved', 'detectedAt'],
+        properties: {
+          id: { type: 'string' },
+          sessionId: { type: 'string' },
+          paymongoSessionId: { type: 'string', nullable: true },
+          bookingStatus: { type: 'string' },
+          type: { type: 'string', enum: ['missing_checkout_session', 'lookup_failed', 'status_mismatch'] },
+          paymongoStatus: { type: 'string', nullable: true },
+          resolvedTo: { type: 'string', nullable: true },
+          resolved: { type: 'boolean' },
+          message: { type: 'string' },
+          detectedAt: { type: 'string', format: 'date-time', description: 'First time this discrepancy was seen' },
+          lastDetectedAt: { type: 'string', format: 'date-time' },
+          occurrences: { type: 'integer', description: 'Runs that found this discrepancy' }
+        }
+      },
+      RevenueTotals: {
+        type: 'object',
+        required: ['totalRevenue', 'totalPassengers', 'averageFare', 'conductorRevenue', 'preBookingRevenue', 'preTicketingRevenue', 'trips'],
+        properties: {
+          totalRevenue: { type: 'number' },
+          totalPassengers: { type: 'number' },
+          averageFare: { type: 'number' },
+          conductorRevenue: { type: 'number' },
+          preBookingRevenue: { type: 'number' },
+          preTicketingRevenue: { type: 'number' },
+          trips: { type: 'integer', description: 'Trips with at least one counted ticket' },
+          tickets: { type: 'integer' }
+        }
+      },
+      RevenueSource: {
+        type: 'string',
+        enum: ['summaries', 'raw'],
+        description: 'Whether the report was built from dailySummaries or a raw scan of the trips'
+      },
+      SummaryRollup: {
+        type: 'object',
+        required: ['revenue', 'passengers', 'discounts', 'tickets', 'trips'],
+        properties: {
+          revenue: { type: 'number' },
+          passengers: { type: 'number' },
+          discounts: { type: 'number' },
+          tickets: { type: 'integer' },
+          trips: { type: 'integer' }
+        }
+      },
+      DailySummary: {
+        type: 'object',
+        required: ['date', 'version', 'cells', 'totals'],
+        description: 'dailySummaries/{date}: one cell per conductor and trip direction, with rollups',
+        properties: {
+          date: { type: 'string', format: 'date' },
+          version: { type: 'integer' },
+          final: { type: 'boolean', description: 'Rebuilt after the day ended; reports only use finished days with a final summary' },
+          cells: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['conductorId', 'trips', 'byTicketType'],
+              properties: {
+                conductorId: { type: 'string' },
+                direction: { type: 'string', nullable: true },
+                trips: { type: 'integer' },
+                byTicketType: {
+                  type: 'object',
+                  description: 'Keyed by ticket type (conductor, pre-book, pre-ticket); each entry also lists `segments` per ticket route',
+                  additionalProperties: { type: 'object' }
+                }
+              }
+            }
+          },
+          totals: { $ref: '#/components/schemas/SummaryRollup' },
+          byTicketType: { type: 'object', additionalProperties: { $ref: '#/components/schemas/SummaryRollup' } },
+          byConductor: { type: 'object', additionalProperties: { $ref: '#/components/schemas/SummaryRollup' } },
+          byRoute: { type: 'object', additionalProperties: { $ref: '#/components/schemas/SummaryRollup' } },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      RevenueFilters: {
+        type: 'object',
+        properties: {
+          startDate: { type: 'string', format: 'date', nullable: true },
+          endDate: { type: 'string', format: 'date', nullable: true },
+          route: { type: 'string', nullable: true },
+          ticketType: { type: 'string', nullable: true }
+        }
+      },
+      WebhookEvent: {
+        type: 'object',
+        required: ['data'],
+        description: 'PayMongo event envelope (see PayMongo webhook docs)',
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              type: { type: 'string', example: 'event' },
+              attributes: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', example: 'checkout_session.payment.paid' },
+                  livemode: { type: 'boolean' },
+                  data: { type: 'object' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  paths: {
+    '/api/conductors/create': {
+      post: {
+        operationId: 'createConductor',
+        tags: ['Conductors'],
+        summary: 'Create a conductor Auth account and profile',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        requestBody: jsonBody({ $ref: '#/components/schemas/CreateConductorRequest' }),
+        responses: {
+          200: jsonResponse('Conductor created', {
+            type: 'object',
+            required: ['success', 'conductorId', 'uid', 'conductor'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              message: { type: 'string' },
+              conductorId: { type: 'string' },
+              uid: { type: 'string' },
+              conductor: { $ref: '#/components/schemas/Conductor' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          409: errorResponse('Email already registered (EMAIL_ALREADY_EXISTS), document ID in use (CONDUCTOR_ID_TAKEN), or the bus has expired papers or overdue maintenance (BUS_BLOCKED)'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/{conductorId}': {
+      parameters: [{ $ref: '#/components/parameters/ConductorId' }],
+      patch: {
+        operationId: 'updateConductor',
+        tags: ['Conductors'],
+        summary: 'Update a conductor; email and name are synced to the Auth account',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        requestBody: jsonBody({ $ref: '#/components/schemas/ConductorProfileUpdate' }),
+        responses: {
+          200: jsonResponse('Done', { $ref: '#/components/schemas/ConductorAccountResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is in the wrong state for this action, the email is taken, or the bus is blocked by expired papers or overdue maintenance (BUS_BLOCKED)'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      },
+      delete: {
+        operationId: 'deleteConductor',
+        tags: ['Conductors'],
+        summary: 'Delete a conductor: disable the Auth account and mark the document deleted',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'superadmin',
+        responses: {
+          200: jsonResponse('Done', { $ref: '#/components/schemas/ConductorAccountResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is in the wrong state for this action, or the email is taken'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/{conductorId}/disable': {
+      parameters: [{ $ref: '#/components/parameters/ConductorId' }],
+      post: {
+        operationId: 'disableConductor',
+        tags: ['Conductors'],
+        summary: 'Disable the conductor login and revoke its sessions',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: {
+            type: 'object',
+            properties: { reason: { type: 'string', maxLength: 500, nullable: true } }
+          } } }
+        },
+        responses: {
+          200: jsonResponse('Done', { $ref: '#/components/schemas/ConductorAccountResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is in the wrong state for this action, or the email is taken'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/{conductorId}/enable': {
+      parameters: [{ $ref: '#/components/parameters/ConductorId' }],
+      post: {
+        operationId: 'enableConductor',
+        tags: ['Conductors'],
+        summary: 'Re-enable a disabled conductor login',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        responses: {
+          200: jsonResponse('Done', { $ref: '#/components/schemas/ConductorAccountResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is in the wrong state for this action, or the email is taken'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/{conductorId}/reset-password': {
+      parameters: [{ $ref: '#/components/parameters/ConductorId' }],
+      post: {
+        operationId: 'resetConductorPassword',
+        tags: ['Conductors'],
+        summary: 'Set a new password, or generate a reset link when none is given',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: {
+            type: 'object',
+            properties: { newPassword: { type: 'string', minLength: 6, nullable: true } }
+          } } }
+        },
+        responses: {
+          200: jsonResponse('Done', { $ref: '#/components/schemas/ConductorAccountResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is in the wrong state for this action, or the email is taken'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/{conductorId}/reactivate': {
+      parameters: [{ $ref: '#/components/parameters/ConductorId' }],
+      post: {
+        operationId: 'reactivateConductor',
+        tags: ['Conductors'],
+        summary: 'Reactivate a deleted conductor, optionally with new profile details and password',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: {
+            type: 'object',
+            properties: {
+              ...conductorProfileProperties,
+              password: { type: 'string', minLength: 6, nullable: true }
+            }
+          } } }
+        },
+        responses: {
+          200: jsonResponse('Done', { $ref: '#/components/schemas/ConductorAccountResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is in the wrong state for this action, the email is taken, or the bus is blocked by expired papers or overdue maintenance (BUS_BLOCKED)'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/deleted': {
+      get: {
+        operationId: 'listDeletedConductors',
+        tags: ['Conductors'],
+        summary: 'Deleted conductors that can still be restored, most recently deleted first',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_conductors',
+        responses: {
+          200: jsonResponse('Deleted conductors', {
+            type: 'object',
+            required: ['success', 'retentionDays', 'conductors'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              retentionDays: { type: 'integer', description: 'Days a deleted conductor is kept before it can be purged' },
+              conductors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['conductorId', 'name', 'email'],
+                  properties: {
+                    conductorId: { type: 'string' },
+                    name: { type: 'string', description: 'Name before deletion' },
+                    email: { type: 'string', description: 'Email before deletion' },
+                    busNumber: { nullable: true, description: 'Bus number; older documents store it as a string' },
+                    plateNumber: { type: 'string', nullable: true },
+                    route: { type: 'string', nullable: true },
+                    deletedAt: { type: 'string', format: 'date-time', nullable: true },
+                    deletedBy: { type: 'string', nullable: true, description: 'UID of the admin who deleted it' },
+                    deletedByEmail: { type: 'string', nullable: true },
+                    purgeableAt: { type: 'string', format: 'date-time', nullable: true, description: 'Null when it can be purged now' }
+                  }
+                }
+              }
+            }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/conductors/{conductorId}/purge': {
+      parameters: [{ $ref: '#/components/parameters/ConductorId' }],
+      delete: {
+        operationId: 'purgeConductor',
+        tags: ['Conductors'],
+        summary: 'Permanently remove a deleted conductor: Auth user, bus images and all trip data',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'superadmin',
+        responses: {
+          200: jsonResponse('Purged', {
+            type: 'object',
+            required: ['success', 'conductorId'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              message: { type: 'string' },
+              conductorId: { type: 'string' },
+              uid: { type: 'string', nullable: true },
+              email: { type: 'string' },
+              name: { type: 'string' },
+              authDeleted: { type: 'boolean', description: 'False when the Auth user was already gone' },
+              deletedImages: { type: 'integer' },
+              deletedTripDates: { type: 'integer' }
+            }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Conductor is not deleted (CONDUCTOR_NOT_DELETED) or still within the retention period (RETENTION_NOT_ELAPSED)'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/users/delete/{userId}': {
+      delete: {
+        operationId: 'deleteUser',
+        tags: ['Users'],
+        summary: 'Delete a passenger profile (superadmin only)',
+        security: [{ bearerAuth: [] }],
+        'x-role': 'superadmin',
+        parameters: [
+          { name: 'userId', in: 'path', required: true, schema: { type: 'string', minLength: 1 } }
+        ],
+        responses: {
+          200: jsonResponse('User profile deleted', {
+            type: 'object',
+            required: ['success', 'deletedUser'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              message: { type: 'string' },
+              authDeleted: { type: 'boolean' },
+              deletedUser: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  email: { type: 'string', nullable: true }
+                }
+              },
+              deletedBy: {
+                type: 'object',
+                properties: {
+                  uid: { type: 'string' },
+                  email: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/create-booking': {
+      post: {
+        operationId: 'createBooking',
+        tags: ['Payments'],
+        summary: 'Create a booking awaiting payment',
+        parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['passengerInfo', 'tripDetails', 'amount'],
+          properties: {
+            passengerInfo: { $ref: '#/components/schemas/PassengerInfo' },
+            tripDetails: { $ref: '#/components/schemas/TripDetails' },
+            amount: { type: 'number', exclusiveMinimum: 0, description: 'Total fare in PHP' },
+            numberOfPassengers: { type: 'integer', minimum: 1 },
+            discounts: { type: 'array' },
+            reservationId: { type: 'string', nullable: true }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Booking created', {
+            type: 'object',
+            required: ['success', 'sessionId', 'booking', 'paymentPageURL'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              sessionId: { type: 'string' },
+              booking: { $ref: '#/components/schemas/Booking' },
+              paymentPageURL: { type: 'string', format: 'uri' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          409: errorResponse('A request with this Idempotency-Key is in progress'),
+          422: errorResponse('Idempotency-Key reused with a different body'),
+          429: { $ref: '#/components/responses/TooManyRequests' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/booking/{sessionId}': {
+      get: {
+        operationId: 'getBooking',
+        tags: ['Payments'],
+        summary: 'Get a booking',
+        parameters: [{ $ref: '#/components/parameters/SessionId' }],
+        responses: {
+          200: jsonResponse('Booking', {
+            type: 'object',
+            required: ['success', 'booking'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              booking: { $ref: '#/components/schemas/Booking' }
+            }
+          }),
+          404: { $ref: '#/components/responses/NotFound' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/initiate-payment': {
+      post: {
+        operationId: 'initiatePayment',
+        tags: ['Payments'],
+        summary: 'Create a PayMongo checkout session for a booking',
+        parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['sessionId', 'paymentMethod'],
+          properties: {
+            sessionId: { type: 'string', minLength: 1 },
+            paymentMethod: { type: 'string', minLength: 1, example: 'gcash', description: 'card, gcash, paymaya or all' }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Checkout session created', {
+            type: 'object',
+            required: ['success', 'checkoutUrl', 'sessionId'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              checkoutUrl: { type: 'string', format: 'uri' },
+              sessionId: { type: 'string', description: 'PayMongo checkout session ID' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Booking already paid (code BOOKING_ALREADY_PAID) or idempotent request in progress'),
+          422: errorResponse('Idempotency-Key reused with a different body'),
+          429: { $ref: '#/components/responses/TooManyRequests' },
+          502: errorResponse('PayMongo rejected the checkout session'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/status/{sessionId}': {
+      get: {
+        operationId: 'getPaymentStatus',
+        tags: ['Payments'],
+        summary: 'Get the payment status of a booking',
+        parameters: [{ $ref: '#/components/parameters/SessionId' }],
+        responses: {
+          200: jsonResponse('Payment status', {
+            type: 'object',
+            required: ['success', 'status', 'booking'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              status: { type: 'string' },
+              paymentReference: { type: 'string', nullable: true },
+              booking: { $ref: '#/components/schemas/Booking' }
+            }
+          }),
+          404: { $ref: '#/components/responses/NotFound' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/status/{sessionId}/stream': {
+      get: {
+        operationId: 'streamPaymentStatus',
+        tags: ['Payments'],
+        summary: 'Stream payment status changes (Server-Sent Events)',
+        description: '`status` events carry `{ sessionId, status, source, changedAt, paymentReference, isCurrent }`; ' +
+          'event IDs are statusHistory positions, so reconnecting with Last-Event-ID replays missed changes. ' +
+          'A `stream-error` event (`{ sessionId, success: false, error: { code, message } }`, e.g. BOOKING_NOT_FOUND) ends the stream.',
+        parameters: [
+          { $ref: '#/components/parameters/SessionId' },
+          { name: 'Last-Event-ID', in: 'header', required: false, schema: { type: 'integer', minimum: 0 } }
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+        }
+      }
+    },
+    '/api/webhook/paymongo-webhook': {
+      post: {
+        operationId: 'paymongoWebhook',
+        tags: ['Webhooks'],
+        summary: 'Receive PayMongo events',
+        description: 'The raw body is verified against the Paymongo-Signature header before it is parsed. The header is checked by the route, so a missing signature is rejected with 401 like an invalid one.',
+        'x-raw-body': true,
+        parameters: [
+          { name: 'Paymongo-Signature', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        requestBody: jsonBody({ $ref: '#/components/schemas/WebhookEvent' }),
+        responses: {
+          200: jsonResponse('Event accepted', {
+            type: 'object',
+            required: ['received'],
+            properties: {
+              received: { type: 'boolean' },
+              duplicate: { type: 'boolean' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: errorResponse('Signature missing, invalid or too old'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/reservations/{reservationId}/approve': {
+      parameters: [
+        { name: 'reservationId', in: 'path', required: true, description: 'reservations document ID', schema: { type: 'string', minLength: 1 } }
+      ],
+      post: {
+        operationId: 'approveReservation',
+        tags: ['Reservations'],
+        summary: 'Confirm a reservation whose buses are not blocked',
+        description: 'Refused with BUS_BLOCKED when a selected bus has expired papers or overdue preventive maintenance.',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'update_booking_status',
+        responses: {
+          200: jsonResponse('Reservation confirmed', {
+            type: 'object',
+            required: ['success', 'reservationId', 'status'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              reservationId: { type: 'string' },
+              status: { type: 'string', enum: ['confirmed'] }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('A selected bus has expired papers or overdue maintenance (BUS_BLOCKED)'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/refund': {
+      post: {
+        operationId: 'refundPayment',
+        tags: ['Refunds'],
+        summary: 'Refund a PayMongo-paid booking (full or partial)',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'update_booking_status',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['sessionId', 'reason'],
+          properties: {
+            sessionId: { type: 'string', minLength: 1 },
+            amount: { type: 'number', exclusiveMinimum: 0, nullable: true, description: 'PHP; omit to refund the remaining balance' },
+            reason: { type: 'string', enum: REFUND_REASONS },
+            notes: { type: 'string', nullable: true },
+            reservationId: { type: 'string', nullable: true }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Refund requested', {
+            type: 'object',
+            required: ['success', 'refund', 'status', 'refundableBalance'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              refund: { $ref: '#/components/schemas/Refund' },
+              status: { type: 'string' },
+              refundableBalance: { type: 'number' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/NotFound' },
+          409: errorResponse('Booking is not refundable'),
+          502: errorResponse('PayMongo rejected the refund'),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/reconciliation/discrepancies': {
+      get: {
+        operationId: 'listReconciliationDiscrepancies',
+        tags: ['Reconciliation'],
+        summary: 'List reconciliation log entries',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_payments',
+        parameters: [
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 500 } },
+          { name: 'unresolved', in: 'query', required: false, schema: { type: 'boolean' } }
+        ],
+        responses: {
+          200: jsonResponse('Discrepancies', {
+            type: 'object',
+            required: ['success', 'count', 'discrepancies'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              count: { type: 'integer' },
+              discrepancies: { type: 'array', items: { $ref: '#/components/schemas/Discrepancy' } }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/reconciliation/run': {
+      post: {
+        operationId: 'runReconciliation',
+        tags: ['Reconciliation'],
+        summary: 'Reconcile stale bookings now',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'update_booking_status',
+        responses: {
+          200: jsonResponse('Reconciliation summary', {
+            type: 'object',
+            required: ['success', 'skipped', 'checked', 'discrepancies'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              skipped: { type: 'boolean', description: 'True when another run was already in progress' },
+              checked: { type: 'integer' },
+              discrepancies: { type: 'array', items: { $ref: '#/components/schemas/Discrepancy' } }
+            }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/revenue/daily': {
+      get: {
+        operationId: 'getDailyRevenue',
+        tags: ['Revenue'],
+        summary: 'Revenue totals per trip date',
+        description: 'With both startDate and endDate, dates without revenue are returned as zeros. ' +
+          'Served from dailySummaries when they cover the range; `includeTickets` always scans the raw trips.',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_analytics',
+        parameters: [
+          { $ref: '#/components/parameters/StartDate' },
+          { $ref: '#/components/parameters/EndDate' },
+          { $ref: '#/components/parameters/RevenueRoute' },
+          { $ref: '#/components/parameters/TicketType' },
+          { name: 'includeTickets', in: 'query', required: false, description: 'Also return the counted tickets', schema: { type: 'boolean' } }
+        ],
+        responses: {
+          200: jsonResponse('Daily revenue', {
+            type: 'object',
+            required: ['success', 'filters', 'totals', 'days'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              filters: { $ref: '#/components/schemas/RevenueFilters' },
+              source: { $ref: '#/components/schemas/RevenueSource' },
+              totals: { $ref: '#/components/schemas/RevenueTotals' },
+              days: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['date', 'totalRevenue', 'totalPassengers', 'trips'],
+                  properties: {
+                    date: { type: 'string', format: 'date' },
+                    totalRevenue: { type: 'number' },
+                    totalPassengers: { type: 'number' },
+                    averageFare: { type: 'number' },
+                    conductorRevenue: { type: 'number' },
+                    preBookingRevenue: { type: 'number' },
+                    preTicketingRevenue: { type: 'number' },
+                    trips: { type: 'integer' }
+                  }
+                }
+              },
+              tickets: {
+                type: 'object',
+                properties: {
+                  conductorTrips: { type: 'array', items: { type: 'object' } },
+                  preBookingTrips: { type: 'array', items: { type: 'object' } },
+                  preTicketing: { type: 'array', items: { type: 'object' } }
+                }
+              }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/revenue/monthly': {
+      get: {
+        operationId: 'getMonthlyRevenue',
+        tags: ['Revenue'],
+        summary: 'Revenue totals per month',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_analytics',
+        parameters: [
+          { $ref: '#/components/parameters/StartDate' },
+          { $ref: '#/components/parameters/EndDate' },
+          { $ref: '#/components/parameters/RevenueRoute' },
+          { $ref: '#/components/parameters/TicketType' }
+        ],
+        responses: {
+          200: jsonResponse('Monthly revenue', {
+            type: 'object',
+            required: ['success', 'filters', 'totals', 'months'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              filters: { $ref: '#/components/schemas/RevenueFilters' },
+              source: { $ref: '#/components/schemas/RevenueSource' },
+              totals: { $ref: '#/components/schemas/RevenueTotals' },
+              months: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['month', 'totalRevenue', 'totalPassengers', 'activeDays'],
+                  properties: {
+                    month: { type: 'string', pattern: '^\\d{4}-\\d{2}$' },
+                    totalRevenue: { type: 'number' },
+                    totalPassengers: { type: 'number' },
+                    averageFare: { type: 'number' },
+                    conductorRevenue: { type: 'number' },
+                    preBookingRevenue: { type: 'number' },
+                    preTicketingRevenue: { type: 'number' },
+                    trips: { type: 'integer' },
+                    activeDays: { type: 'integer' },
+                    averageDailyRevenue: { type: 'number' }
+                  }
+                }
+              }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/revenue/routes': {
+      get: {
+        operationId: 'getRouteRevenue',
+        tags: ['Revenue'],
+        summary: 'Revenue per ticket route and per trip direction',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_analytics',
+        parameters: [
+          { $ref: '#/components/parameters/StartDate' },
+          { $ref: '#/components/parameters/EndDate' },
+          { $ref: '#/components/parameters/RevenueRoute' },
+          { $ref: '#/components/parameters/TicketType' }
+        ],
+        responses: {
+          200: jsonResponse('Route revenue', {
+            type: 'object',
+            required: ['success', 'filters', 'totals', 'routes', 'directions'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              filters: { $ref: '#/components/schemas/RevenueFilters' },
+              source: { $ref: '#/components/schemas/RevenueSource' },
+              totals: { $ref: '#/components/schemas/RevenueTotals' },
+              routes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['route', 'revenue', 'passengers'],
+                  properties: {
+                    route: { type: 'string', example: 'Batangas → Lipa' },
+                    revenue: { type: 'number' },
+                    passengers: { type: 'number' },
+                    tickets: { type: 'integer' },
+                    tripDirection: { type: 'string' },
+                    sources: {
+                      type: 'object',
+                      properties: {
+                        conductorTrips: { type: 'number' },
+                        preBooking: { type: 'number' },
+                        preTicketing: { type: 'number' }
+                      }
+                    }
+                  }
+                }
+              },
+              directions: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['direction', 'totalRevenue', 'totalPassengers', 'trips'],
+                  properties: {
+                    direction: { type: 'string' },
+                    totalRevenue: { type: 'number' },
+                    totalPassengers: { type: 'number' },
+                    averageFare: { type: 'number' },
+                    conductorRevenue: { type: 'number' },
+                    preBookingRevenue: { type: 'number' },
+                    preTicketingRevenue: { type: 'number' },
+                    trips: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/revenue/conductors': {
+      get: {
+        operationId: 'getConductorRevenue',
+        tags: ['Revenue'],
+        summary: 'Revenue, passengers and discounts per conductor, with per-day rows',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_analytics',
+        parameters: [
+          { $ref: '#/components/parameters/StartDate' },
+          { $ref: '#/components/parameters/EndDate' },
+          { $ref: '#/components/parameters/RevenueRoute' },
+          { $ref: '#/components/parameters/TicketType' }
+        ],
+        responses: {
+          200: jsonResponse('Conductor revenue', {
+            type: 'object',
+            required: ['success', 'filters', 'totals', 'conductors'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              filters: { $ref: '#/components/schemas/RevenueFilters' },
+              source: { $ref: '#/components/schemas/RevenueSource' },
+              totals: {
+                type: 'object',
+                required: ['totalRevenue', 'totalPassengers', 'trips', 'discounts'],
+                properties: {
+                  totalRevenue: { type: 'number' },
+                  totalPassengers: { type: 'number' },
+                  averageFare: { type: 'number' },
+                  trips: { type: 'integer' },
+                  discounts: { type: 'number' }
+                }
+              },
+              conductors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['conductorId', 'totalRevenue', 'totalPassengers', 'trips', 'discounts', 'days'],
+                  properties: {
+                    conductorId: { type: 'string' },
+                    totalRevenue: { type: 'number' },
+                    totalPassengers: { type: 'number' },
+                    averageFare: { type: 'number' },
+                    conductorRevenue: { type: 'number', description: 'Revenue from tickets the conductor collected on board' },
+                    preBookingRevenue: { type: 'number' },
+                    preTicketingRevenue: { type: 'number' },
+                    trips: { type: 'integer' },
+                    discounts: { type: 'number' },
+                    days: {
+                      type: 'array',
+                      description: 'Days the conductor had trips, oldest first',
+                      items: {
+                        type: 'object',
+                        required: ['date', 'totalRevenue', 'totalPassengers', 'trips', 'discounts'],
+                        properties: {
+                          date: { type: 'string', format: 'date' },
+                          totalRevenue: { type: 'number' },
+                          totalPassengers: { type: 'number' },
+                          conductorRevenue: { type: 'number' },
+                          trips: { type: 'integer' },
+                          discounts: { type: 'number' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/revenue/summaries': {
+      get: {
+        operationId: 'getDailySummaries',
+        tags: ['Revenue'],
+        summary: 'Stored daily summaries for a date range',
+        description: '`missingDates` lists dates without a current summary (rebuild them with `npm run summaries:rebuild`).',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_analytics',
+        parameters: [
+          { name: 'startDate', in: 'query', required: true, schema: { type: 'string', format: 'date' } },
+          { name: 'endDate', in: 'query', required: true, schema: { type: 'string', format: 'date' } }
+        ],
+        responses: {
+          200: jsonResponse('Daily summaries', {
+            type: 'object',
+            required: ['success', 'summaries', 'missingDates'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              summaries: { type: 'array', items: { $ref: '#/components/schemas/DailySummary' } },
+              missingDates: { type: 'array', items: { type: 'string', format: 'date' } }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/fares/activate-due': {
+      post: {
+        operationId: 'activateDueFareTables',
+        tags: ['Fares'],
+        summary: 'Put scheduled fare tables whose effective date has passed into effect',
+        description: 'With `routeId`, only that route\'s tables are checked. The latest due table of a route becomes active and is copied to fare/{routeId}; earlier due tables are superseded.',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_routes',
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: {
+            type: 'object',
+            properties: {
+              routeId: { type: 'string', minLength: 1 }
+            }
+          } } }
+        },
+        responses: {
+          200: jsonResponse('Fare tables that went live', {
+            type: 'object',
+            required: ['success', 'activated'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              activated: { type: 'array', items: { type: 'string' }, description: 'fareTables document IDs' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/revenue/summaries/refresh': {
+      post: {
+        operationId: 'refreshDailySummary',
+        tags: ['Revenue'],
+        summary: 'Recompute a daily summary',
+        description: 'With `conductorId`, only that conductor\'s part of the day is recomputed.',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'manage_trips',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['date'],
+          properties: {
+            date: { type: 'string', format: 'date' },
+            conductorId: { type: 'string', minLength: 1 }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Refreshed summary', {
+            type: 'object',
+            required: ['success', 'summary'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              summary: { $ref: '#/components/schemas/DailySummary' }
+            }
+          }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/api/payment/debug/bookings': {
+      get: {
+        operationId: 'listBookings',
+        tags: ['Payments'],
+        summary: 'List recent bookings (debugging)',
+        security: [{ bearerAuth: [] }],
+        'x-permission': 'view_payments',
+        responses: {
+          200: jsonResponse('Bookings', {
+            type: 'object',
+            required: ['success', 'count', 'bookings'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              count: { type: 'integer' },
+              bookings: { type: 'array', items: { $ref: '#/components/schemas/Booking' } }
+            }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = spec;
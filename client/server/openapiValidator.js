@@ -0,0 +1,262 @@
+const { sendError, errorBody } = require('./apiErrors');
+
+// Validates requests and responses against the OpenAPI document.
+// Supports the JSON Schema subset the spec uses: $ref, type, nullable, enum,
+// required, properties, additionalProperties, items, oneOf/anyOf, string
+// length/pattern/format, numeric bounds and array sizes.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FORMAT_CHECKS = {
+  email: value => EMAIL_PATTERN.test(value),
+  date: value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+function resolveRef(spec, schema) {
+  if (!schema?.$ref) return schema;
+  const path = schema.$ref.replace(/^#\//, '').split('/');
+  return resolveRef(spec, path.reduce((node, key) => node?.[key], spec));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+// Returns a list of { path, message } problems (empty when valid)
+function validateSchema(spec, rawSchema, value, path = '') {
+  const schema = resolveRef(spec, rawSchema);
+  if (!schema) return [];
+
+  const label = path || 'value';
+
+  if (value === null) {
+    return schema.nullable || schema.type === undefined ? [] : [{ path: label, message: 'must not be null' }];
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const matches = options.filter(option => validateSchema(spec, option, value, path).length === 0);
+    const ok = schema.oneOf ? matches.length === 1 : matches.length > 0;
+    return ok ? [] : [{ path: label, message: 'does not match any allowed schema' }];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [{ path: label, message: `must be ${schema.type}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: label, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: label, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: label, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: label, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      errors.push({ path: label, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: label, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: label, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: label, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: label, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: label, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(spec, schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      const propertyPath = path ? `${path}.${key}` : key;
+
+      if (properties[key]) {
+        errors.push(...validateSchema(spec, properties[key], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(spec, schema.additionalProperties, propertyValue, propertyPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Query strings and headers arrive as text; convert them to the schema type
+function coerceParameter(spec, rawSchema, value) {
+  const schema = resolveRef(spec, rawSchema) || {};
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    return value === '' || Number.isNaN(number) ? value : number;
+  }
+  if (schema.type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  return value;
+}
+
+// Index operations by operationId
+function indexOperations(spec) {
+  const operations = new Map();
+  for (const pathItem of Object.values(spec.paths)) {
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (operation.operationId) {
+        operations.set(operation.operationId, {
+          ...operation,
+          method,
+          parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        });
+      }
+    }
+  }
+  return operations;
+}
+
+function validateParameters(spec, operation, req) {
+  const errors = [];
+  const sources = {
+    path: name => req.params?.[name],
+    query: name => req.query?.[name],
+    header: name => req.get(name)
+  };
+
+  for (const rawParameter of operation.parameters) {
+    const parameter = resolveRef(spec, rawParameter);
+    const read = sources[parameter.in];
+    if (!read) continue;
+
+    const rawValue = read(parameter.name);
+    const label = `${parameter.in}.${parameter.name}`;
+
+    if (rawValue === undefined || rawValue === '') {
+      if (parameter.required) errors.push({ path: label, message: 'is required' });
+      continue;
+    }
+
+    const value = coerceParameter(spec, parameter.schema, rawValue);
+    errors.push(...validateSchema(spec, parameter.schema, value, label));
+  }
+
+  return errors;
+}
+
+function validateBody(spec, operation, req) {
+  const requestBody = resolveRef(spec, operation.requestBody);
+  // Raw bodies (webhooks) are validated by the route after signature checks
+  if (!requestBody || operation['x-raw-body']) return [];
+
+  const schema = requestBody.content?.['application/json']?.schema;
+  const body = req.body;
+  const isEmpty = body === undefined || (typeOf(body) === 'object' && Object.keys(body).length === 0);
+
+  if (isEmpty) {
+    return requestBody.required ? [{ path: 'body', message: 'is required' }] : [];
+  }
+
+  return validateSchema(spec, schema, body, 'body');
+}
+
+// Build `validate(operationId)` middleware from the spec.
+// `responseMode` is 'off', 'warn' (log mismatches) or 'strict' (replace
+// mismatched responses with a 500 so contract drift is caught in testing).
+function createOpenApiValidator(spec, { responseMode = 'warn' } = {}) {
+  const operations = indexOperations(spec);
+
+  return function validate(operationId) {
+    const operation = operations.get(operationId);
+    if (!operation) {
+      throw new Error(`Unknown OpenAPI operationId: ${operationId}`);
+    }
+
+    return (req, res, next) => {
+      const errors = [
+        ...validateParameters(spec, operation, req),
+        ...validateBody(spec, operation, req)
+      ];
+
+      if (errors.length > 0) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'Request validation failed', errors);
+      }
+
+      if (responseMode !== 'off') {
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+          const response = resolveRef(spec, operation.responses[res.statusCode] || operation.responses.default);
+          const schema = response?.content?.['application/json']?.schema;
+          const responseErrors = schema ? validateSchema(spec, schema, body, 'response') : [];
+
+          if (responseErrors.length > 0) {
+            console.warn(`⚠️ ${operationId} ${res.statusCode} response does not match the OpenAPI spec:`, responseErrors);
+            if (responseMode === 'strict') {
+              res.status(500);
+              return originalJson(errorBody('RESPONSE_VALIDATION_FAILED', 'Response did not match the API contract', responseErrors));
+            }
+          }
+          return originalJson(body);
+        };
+      }
+
+      next();
+    };
+  };
+}
+
+module.exports = {
+  createOpenApiValidator,
+  validateSchema
+};
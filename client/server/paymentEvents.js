@@ -0,0 +1,93 @@
+const { BOOKINGS_COLLECTION } = require('./bookingRepository');
+const { errorBody } = require('./apiErrors');
+
+// Interval between SSE heartbeat comments (keeps proxies from closing the stream)
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+// Delay the browser should wait before reconnecting (sent as `retry:`)
+const RECONNECT_DELAY_MS = 3000;
+
+// Not `error`: EventSource fires its own `error` event for dropped connections
+const STREAM_ERROR_EVENT = 'stream-error';
+
+function writeStatusEvent(res, sessionId, booking, index) {
+  const entry = booking.statusHistory[index];
+  const payload = {
+    sessionId,
+    status: entry.status,
+    source: entry.source,
+    changedAt: entry.changedAt,
+    paymentReference: booking.paymentReference || null,
+    // The latest entry reflects the booking as it is now
+    isCurrent: index === booking.statusHistory.length - 1
+  };
+
+  res.write(`id: ${index}\n`);
+  res.write('event: status\n');
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+function writeErrorEvent(res, sessionId, code, message) {
+  res.write(`event: ${STREAM_ERROR_EVENT}\n`);
+  res.write(`data: ${JSON.stringify({ sessionId, ...errorBody(code, message) })}\n\n`);
+}
+
+// Stream a booking's status changes as Server-Sent Events.
+// Event IDs are positions in the booking's statusHistory, so a client that
+// reconnects with `Last-Event-ID: n` receives every change after entry n.
+// The stream listens to the Firestore document, so changes made by any server
+// instance (webhook, reconciliation, refunds) are pushed immediately.
+// Failures are sent as a `stream-error` event and end the stream.
+function streamBookingStatus(req, res, { db, heartbeatMs = DEFAULT_HEARTBEAT_MS }) {
+  const { sessionId } = req.params;
+  const lastEventHeader = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const parsedLastEventId = parseInt(lastEventHeader, 10);
+  let lastSentIndex = Number.isFinite(parsedLastEventId) ? parsedLastEventId : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, heartbeatMs);
+
+  const unsubscribe = db.collection(BOOKINGS_COLLECTION).doc(sessionId).onSnapshot((snapshot) => {
+    if (!snapshot.exists) {
+      writeErrorEvent(res, sessionId, 'BOOKING_NOT_FOUND', 'Booking not found');
+      cleanup();
+      res.end();
+      return;
+    }
+
+    const booking = snapshot.data();
+    const history = booking.statusHistory || [];
+    if (history.length === 0) return;
+
+    // First connection: send only the current status. Reconnects: replay what was missed.
+    const startIndex = lastSentIndex === null ? history.length - 1 : lastSentIndex + 1;
+    for (let index = Math.max(startIndex, 0); index < history.length; index++) {
+      writeStatusEvent(res, sessionId, booking, index);
+      lastSentIndex = index;
+    }
+  }, (error) => {
+    console.error(`❌ Status stream error for booking ${sessionId}:`, error.message);
+    writeErrorEvent(res, sessionId, 'STREAM_FAILED', 'Status stream failed');
+    cleanup();
+    res.end();
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+}
+
+module.exports = { streamBookingStatus };
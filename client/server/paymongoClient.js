@@ -0,0 +1,80 @@
+// Thin PayMongo REST client. The base URL is configurable so the server can be
+// pointed at a local stub (PAYMONGO_API_BASE_URL) instead of the real API.
+const DEFAULT_BASE_URL = 'https://api.paymongo.com/v1';
+
+// Refund reasons accepted by PayMongo
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer', 'others'];
+
+class PaymongoError extends Error {
+  constructor(message, status, errors = []) {
+    super(message);
+    this.name = 'PaymongoError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+class PaymongoClient {
+  constructor({ secretKey, baseUrl = DEFAULT_BASE_URL } = {}) {
+    this.secretKey = secretKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async request(method, path, data) {
+    if (!this.secretKey) {
+      throw new PaymongoError('PayMongo secret key is not configured', 500);
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Basic ${Buffer.from(this.secretKey + ':').toString('base64')}`
+      },
+      body: data ? JSON.stringify({ data }) : undefined
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      payload = null;
+    }
+
+    if (!response.ok) {
+      const errors = payload?.errors || [];
+      const detail = errors.map(e => e.detail).filter(Boolean).join('; ');
+      throw new PaymongoError(
+        detail || `PayMongo request failed with status ${response.status}`,
+        response.status,
+        errors
+      );
+    }
+
+    return payload;
+  }
+
+  async createCheckoutSession(data) {
+    return this.request('POST', '/checkout_sessions', data);
+  }
+
+  async retrieveCheckoutSession(checkoutSessionId) {
+    return this.request('GET', `/checkout_sessions/${encodeURIComponent(checkoutSessionId)}`);
+  }
+
+  // amount is in centavos
+  async createRefund({ paymentId, amount, reason, notes, metadata }) {
+    return this.request('POST', '/refunds', {
+      attributes: {
+        payment_id: paymentId,
+        amount,
+        reason,
+        notes: notes || undefined,
+        metadata: metadata || undefined
+      }
+    });
+  }
+}
+
+module.exports = { PaymongoClient, PaymongoError, REFUND_REASONS };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Firestore collection recording every webhook event we have accepted
+const WEBHOOK_EVENTS_COLLECTION = 'paymongoWebhookEvents';
+
+// Signatures older than this are rejected as replays (seconds)
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// A 'processing' claim older than this is treated as abandoned (the handler
+// crashed or timed out), so PayMongo's next retry can claim the event again
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+// Parse a `Paymongo-Signature` header: "t=<unix>,te=<hex>,li=<hex>"
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const parts = {};
+  header.split(',').forEach(part => {
+    const [key, ...rest] = part.trim().split('=');
+    if (key) parts[key] = rest.join('=');
+  });
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp)) return null;
+
+  return {
+    timestamp,
+    testSignature: parts.te || '',
+    liveSignature: parts.li || ''
+  };
+}
+
+// Constant-time comparison of two hex strings
+function safeCompareHex(expected, actual) {
+  if (!expected || !actual || expected.length !== actual.length) return false;
+
+  try {
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(actual, 'hex'));
+  } catch {
+    return false;
+  }
+}
+
+// Verify a PayMongo webhook against the raw request body.
+// PayMongo signs `${t}.${rawBody}` with HMAC-SHA256 and sends the digest in
+// `te` for test-mode events and in `li` for live-mode events.
+// Returns { valid: true } or { valid: false, reason }.
+function verifyWebhookSignature(rawBody, signatureHeader, webhookSecret, options = {}) {
+  const toleranceSeconds = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+
+  if (!webhookSecret) {
+    return { valid: false, reason: 'Webhook secret is not configured' };
+  }
+
+  if (!Buffer.isBuffer(rawBody) && typeof rawBody !== 'string') {
+    return { valid: false, reason: 'Raw request body is unavailable' };
+  }
+
+  const signature = parseSignatureHeader(signatureHeader);
+  if (!signature) {
+    return { valid: false, reason: 'Missing or malformed Paymongo-Signature header' };
+  }
+
+  if (Math.abs(now - signature.timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Signature timestamp is outside the allowed tolerance' };
+  }
+
+  const bodyString = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+  const computedSignature = crypto
+    .createHmac('sha256', webhookSecret)
+    .update(`${signature.timestamp}.${bodyString}`, 'utf8')
+    .digest('hex');
+
+  // Check the signature matching the event's mode
+  let livemode = false;
+  try {
+    livemode = JSON.parse(bodyString)?.data?.attributes?.livemode === true;
+  } catch {
+    return { valid: false, reason: 'Request body is not valid JSON' };
+  }
+
+  const providedSignature = livemode ? signature.liveSignature : signature.testSignature;
+  if (!safeCompareHex(computedSignature, providedSignature)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+// Stores processed webhook event IDs so retried deliveries are idempotent
+class WebhookEventStore {
+  constructor(db = admin.firestore(), { leaseMs = PROCESSING_LEASE_MS } = {}) {
+    this.db = db;
+    this.collection = db.collection(WEBHOOK_EVENTS_COLLECTION);
+    this.leaseMs = leaseMs;
+  }
+
+  // Claim an event for processing. Returns false when the event was already
+  // processed (or is being processed by another instance), true otherwise.
+  // Events that previously failed, or whose processing lease has expired,
+  // can be claimed again.
+  async claim(eventId, eventType, now = Date.now()) {
+    const docRef = this.collection.doc(eventId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      const existing = snapshot.exists ? snapshot.data() : null;
+
+      if (existing?.status === 'processed') {
+        return false;
+      }
+      if (existing?.status === 'processing') {
+        // Claims written before leases existed fall back to updatedAt
+        const leaseExpiresAt = existing.leaseExpiresAt
+          ? Date.parse(existing.leaseExpiresAt)
+          : Date.parse(existing.updatedAt) + this.leaseMs;
+        if (!(leaseExpiresAt <= now)) return false;
+      }
+
+      transaction.set(docRef, {
+        eventId,
+        eventType: eventType || null,
+        status: 'processing',
+        attempts: (existing?.attempts || 0) + 1,
+        leaseExpiresAt: new Date(now + this.leaseMs).toISOString(),
+        receivedAt: existing?.receivedAt || new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString()
+      });
+      return true;
+    });
+  }
+
+  async markProcessed(eventId) {
+    await this.collection.doc(eventId).update({
+      status: 'processed',
+      processedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async markFailed(eventId, error) {
+    await this.collection.doc(eventId).update({
+      status: 'failed',
+      error: error?.message || String(error),
+      updatedAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  WebhookEventStore,
+  WEBHOOK_EVENTS_COLLECTION,
+  PROCESSING_LEASE_MS,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { sendError } = require('./apiErrors');
+
+// Firestore collection used by the shared rate limit store
+const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+// Fixed-window counters kept in process memory (default, single instance)
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    this.prune(now);
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  // Drop expired windows so the map doesn't grow forever
+  prune(now) {
+    if (this.windows.size < 10000) return;
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+// Fixed-window counters in Firestore, shared by every server instance
+class FirestoreRateLimitStore {
+  constructor(db = admin.firestore()) {
+    this.db = db;
+    this.collection = db.collection(RATE_LIMITS_COLLECTION);
+  }
+
+  async increment(key, windowMs) {
+    // Hash the key so IPs/user IDs are valid document IDs
+    const docRef = this.collection.doc(crypto.createHash('sha256').update(key).digest('hex'));
+
+    return this.db.runTransaction(async (transaction) => {
+      const now = Date.now();
+      const snapshot = await transaction.get(docRef);
+      const current = snapshot.exists ? snapshot.data() : null;
+
+      const entry = !current || current.resetAt <= now
+        ? { count: 1, resetAt: now + windowMs }
+        : { count: current.count + 1, resetAt: current.resetAt };
+
+      transaction.set(docRef, { ...entry, key, updatedAt: new Date(now).toISOString() });
+      return entry;
+    });
+  }
+}
+
+function createRateLimitStore(type = 'memory', db) {
+  return type === 'firestore' ? new FirestoreRateLimitStore(db) : new MemoryRateLimitStore();
+}
+
+// Identify the caller: a verified admin, otherwise the client IP. IDs sent in
+// the request body are not trusted, since a client could change them on
+// every request to get a fresh window. The booking and payment routes are
+// not authenticated (no req.admin), so their limits are per IP only and
+// passengers sharing an address share one window.
+function defaultKeyGenerator(req) {
+  if (req.admin?.uid) {
+    return `user:${req.admin.uid}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+// Express middleware allowing `max` requests per `windowMs` per caller.
+// Over the limit it answers 429 with a Retry-After header.
+function rateLimit({ store, name, windowMs = 60000, max = 10, keyGenerator = defaultKeyGenerator }) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await store.increment(`${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      // Never block payments because the limiter itself failed
+      console.error(`❌ Rate limiter (${name}) failed:`, error.message);
+      return next();
+    }
+
+    const retryAfterSeconds = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+    if (result.count > max) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return sendError(res, 429, 'RATE_LIMITED',
+        `Too many requests. Please wait ${retryAfterSeconds} seconds and try again.`,
+        { retryAfter: retryAfterSeconds });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  FirestoreRateLimitStore,
+  createRateLimitStore,
+  rateLimit
+};
@@ -0,0 +1,45 @@
+// rebuildDailySummaries.js - recompute dailySummaries (and the conductors'
+// per-day trip counts) for historical dates
+// Usage: node server/rebuildDailySummaries.js <startDate> [endDate]
+//   e.g. node server/rebuildDailySummaries.js 2025-01-01 2025-03-31
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+const { DailySummaries } = require('./dailySummaries');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function main() {
+  const [startDate, endDate = startDate] = process.argv.slice(2);
+
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate) || startDate > endDate) {
+    console.error('Usage: node server/rebuildDailySummaries.js <startDate> [endDate]  (dates as YYYY-MM-DD)');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    }),
+    projectId: process.env.FIREBASE_PROJECT_ID
+  });
+
+  const summaries = new DailySummaries({ db: admin.firestore() });
+
+  console.log(`📊 Rebuilding daily summaries from ${startDate} to ${endDate}...`);
+  const days = await summaries.rebuild(startDate, endDate, {
+    onDay: (date, summary) => {
+      console.log(`✅ ${date}: ₱${summary.totals.revenue.toFixed(2)}, ${summary.totals.passengers} passengers, ${summary.totals.trips} trips`);
+    }
+  });
+  console.log(`🎉 Rebuilt ${days} daily summaries`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Rebuild failed:', error.message);
+    process.exit(1);
+  });
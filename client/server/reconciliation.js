@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Firestore collection holding the reconciliation audit trail
+const RECONCILIATION_LOGS_COLLECTION = 'paymentReconciliationLogs';
+
+// Longest wait between checks of a booking that can't be settled yet
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+// Wait before the next check after `attempts` unsettled checks: the stale
+// threshold, doubled each time, capped at MAX_BACKOFF_MINUTES
+function reconcileBackoffMinutes(attempts, baseMinutes) {
+  return Math.min(MAX_BACKOFF_MINUTES, baseMinutes * 2 ** Math.max(0, attempts - 1));
+}
+
+// Work out what a PayMongo checkout session says about the booking.
+// Returns { status, paymongoPaymentId } or null when the session is still open.
+function resolveCheckoutSessionStatus(checkoutSession) {
+  const attributes = checkoutSession?.attributes || {};
+  const payments = attributes.payments || [];
+
+  const paidPayment = payments.find(payment => payment.attributes?.status === 'paid');
+  if (paidPayment || attributes.payment_intent?.attributes?.status === 'succeeded') {
+    return {
+      status: 'Paid',
+      paymongoPaymentId: paidPayment?.id || null
+    };
+  }
+
+  if (attributes.status === 'expired') {
+    return { status: 'Payment Expired', paymongoPaymentId: null };
+  }
+
+  const lastPayment = payments[payments.length - 1];
+  if (lastPayment?.attributes?.status === 'failed') {
+    return { status: 'Payment Failed', paymongoPaymentId: null };
+  }
+
+  return null;
+}
+
+// Finds bookings stuck in `Processing Payment` (e.g. because a webhook was
+// lost), asks PayMongo for the real checkout session state and settles them.
+// Every mismatch is written to the reconciliation log, one entry per booking
+// and discrepancy type. Bookings that can't be settled yet are checked again
+// with a growing backoff instead of on every run.
+class PaymentReconciler {
+  constructor({ bookings, paymongo, db = admin.firestore(), staleAfterMinutes = 15, onPaid = null }) {
+    this.bookings = bookings;
+    this.paymongo = paymongo;
+    this.db = db;
+    this.logs = db.collection(RECONCILIATION_LOGS_COLLECTION);
+    this.staleAfterMinutes = staleAfterMinutes;
+    this.onPaid = onPaid;
+    this.isRunning = false;
+  }
+
+  // Record a discrepancy. A repeat of the same type for the same booking
+  // updates the existing entry (lastDetectedAt, occurrences) instead of
+  // adding another one.
+  async logDiscrepancy(booking, details) {
+    const docRef = this.logs.doc(crypto.createHash('sha256')
+      .update(`${booking.sessionId}:${details.type}`)
+      .digest('hex'));
+    const now = new Date().toISOString();
+
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      const existing = snapshot.exists ? snapshot.data() : null;
+
+      const entry = {
+        sessionId: booking.sessionId,
+        paymongoSessionId: booking.paymongoSessionId || null,
+        bookingStatus: booking.status,
+        ...details,
+        detectedAt: existing?.detectedAt || now,
+        lastDetectedAt: now,
+        occurrences: (existing?.occurrences || 0) + 1
+      };
+
+      transaction.set(docRef, entry);
+      return entry;
+    });
+  }
+
+  // Push the next check of a booking that could not be settled back
+  async deferBooking(booking) {
+    const attempts = (booking.reconcileAttempts || 0) + 1;
+    const now = Date.now();
+
+    await this.bookings.patch(booking.sessionId, {
+      lastReconciledAt: new Date(now).toISOString(),
+      nextReconcileAt: new Date(now + reconcileBackoffMinutes(attempts, this.staleAfterMinutes) * 60 * 1000).toISOString(),
+      reconcileAttempts: attempts
+    });
+  }
+
+  // Reconcile a single booking against its checkout session. Bookings left
+  // unsettled (no session, lookup failed, session still open) are deferred.
+  async reconcileBooking(booking) {
+    const result = await this.checkBooking(booking);
+    if (!result || !result.resolved) {
+      await this.deferBooking(booking);
+    }
+    return result;
+  }
+
+  async checkBooking(booking) {
+    if (!booking.paymongoSessionId) {
+      return this.logDiscrepancy(booking, {
+        type: 'missing_checkout_session',
+        paymongoStatus: null,
+        resolvedTo: null,
+        resolved: false,
+        message: 'Booking is processing payment but has no PayMongo checkout session'
+      });
+    }
+
+    let checkoutSession;
+    try {
+      const response = await this.paymongo.retrieveCheckoutSession(booking.paymongoSessionId);
+      checkoutSession = response.data;
+    } catch (error) {
+      return this.logDiscrepancy(booking, {
+        type: 'lookup_failed',
+        paymongoStatus: null,
+        resolvedTo: null,
+        resolved: false,
+        message: error.message
+      });
+    }
+
+    const resolution = resolveCheckoutSessionStatus(checkoutSession);
+    if (!resolution || resolution.status === booking.status) {
+      return null;
+    }
+
+    const changes = { status: resolution.status };
+    if (resolution.status === 'Paid') {
+      changes.paymongoPaymentId = resolution.paymongoPaymentId;
+      changes.paymentReference = resolution.paymongoPaymentId || checkoutSession.id;
+      changes.paymentCompletedAt = new Date().toISOString();
+    } else if (resolution.status === 'Payment Failed') {
+      changes.paymentFailedAt = new Date().toISOString();
+    } else {
+      changes.paymentExpiredAt = new Date().toISOString();
+    }
+
+    // Only settle bookings that are still processing; a late webhook may have won
+    const updatedBooking = await this.bookings.update(booking.sessionId, (current) => (
+      current.status === 'Processing Payment' ? changes : null
+    ), { source: 'reconciliation', note: `Checkout session ${checkoutSession.id} is ${checkoutSession.attributes?.status}` });
+
+    if (resolution.status === 'Paid' && updatedBooking && this.onPaid) {
+      await this.onPaid(updatedBooking);
+    }
+
+    return this.logDiscrepancy(booking, {
+      type: 'status_mismatch',
+      paymongoStatus: checkoutSession.attributes?.status || null,
+      resolvedTo: updatedBooking?.status || null,
+      resolved: updatedBooking?.status === resolution.status,
+      message: `Booking was '${booking.status}' but PayMongo reports '${resolution.status}'`
+    });
+  }
+
+  // Reconcile every stale booking. Returns a summary of the run.
+  async run({ limit = 50 } = {}) {
+    if (this.isRunning) {
+      return { skipped: true, checked: 0, discrepancies: [] };
+    }
+
+    this.isRunning = true;
+    try {
+      const now = Date.now();
+      const olderThan = new Date(now - this.staleAfterMinutes * 60 * 1000).toISOString();
+      const staleBookings = await this.bookings.findStale('Processing Payment', olderThan, {
+        limit,
+        dueAt: new Date(now).toISOString()
+      });
+
+      const discrepancies = [];
+      for (const booking of staleBookings) {
+        try {
+          const discrepancy = await this.reconcileBooking(booking);
+          if (discrepancy) discrepancies.push(discrepancy);
+        } catch (error) {
+          console.error(`❌ Reconciliation failed for booking ${booking.sessionId}:`, error.message);
+        }
+      }
+
+      return { skipped: false, checked: staleBookings.length, discrepancies };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Latest reconciliation log entries, optionally only unresolved ones
+  async listDiscrepancies({ limit = 100, unresolvedOnly = false } = {}) {
+    let query = this.logs.orderBy('detectedAt', 'desc').limit(limit);
+    if (unresolvedOnly) {
+      query = this.logs.where('resolved', '==', false).orderBy('detectedAt', 'desc').limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Run on an interval; returns a function that stops the timer
+  start(intervalMinutes) {
+    const timer = setInterval(() => {
+      this.run().catch(error => console.error('❌ Reconciliation run failed:', error.message));
+    }, intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for reconciliation
+    if (typeof timer.unref === 'function') timer.unref();
+    return () => clearInterval(timer);
+  }
+}
+
+module.exports = {
+  PaymentReconciler,
+  RECONCILIATION_LOGS_COLLECTION,
+  reconcileBackoffMinutes,
+  resolveCheckoutSessionStatus
+};
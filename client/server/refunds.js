@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { ApiError } = require('./apiErrors');
+
+// Booking statuses that can still be refunded
+const REFUNDABLE_STATUSES = ['Paid', 'Partially Refunded', 'Refund Pending'];
+
+// Refunds that hold part of the paid amount: reserved before PayMongo is
+// called ('requested'), waiting on PayMongo ('pending') or done ('succeeded')
+const RESERVED_REFUND_STATUSES = ['requested', 'pending', 'succeeded'];
+
+function sumRefunds(refunds, statuses) {
+  return refunds
+    .filter(refund => statuses.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+function paidCentavos(booking) {
+  return Math.round(booking.billingInfo.amount * 100);
+}
+
+// Sum refunds (in centavos) that are reserved, pending or already succeeded
+function getReservedRefundCentavos(booking) {
+  return sumRefunds(booking.refunds || [], RESERVED_REFUND_STATUSES);
+}
+
+// Derive the booking status from its refunds
+function getRefundBookingStatus(booking, refunds) {
+  const succeededCentavos = sumRefunds(refunds, ['succeeded']);
+
+  if (succeededCentavos >= paidCentavos(booking)) return 'Refunded';
+  if (refunds.some(refund => refund.status === 'pending' || refund.status === 'requested')) return 'Refund Pending';
+  if (succeededCentavos > 0) return 'Partially Refunded';
+  return 'Paid';
+}
+
+// Full and partial PayMongo refunds for paid bookings.
+// The amount is reserved on the booking inside a transaction before PayMongo
+// is called, so concurrent refunds can never go past the paid amount. The
+// reservation is then completed with the PayMongo refund, or released as
+// 'failed' when PayMongo rejects it.
+class RefundService {
+  constructor({ bookings, paymongo, db = admin.firestore() }) {
+    this.bookings = bookings;
+    this.paymongo = paymongo;
+    this.reservations = db.collection('reservations');
+  }
+
+  // amount is in PHP; omit it to refund the remaining balance.
+  // Returns { refund, booking, refundableBalance }.
+  async requestRefund({ sessionId, amount = null, reason, notes = null, reservationId = null, requestedBy }) {
+    const requestId = crypto.randomUUID();
+    let refundCentavos = 0;
+    let refundableCentavos = 0;
+
+    const reserved = await this.bookings.update(sessionId, (current) => {
+      if (!REFUNDABLE_STATUSES.includes(current.status) || !current.paymongoPaymentId) {
+        throw new ApiError(409, 'BOOKING_NOT_REFUNDABLE', 'Only bookings paid through PayMongo can be refunded');
+      }
+
+      refundableCentavos = paidCentavos(current) - getReservedRefundCentavos(current);
+      refundCentavos = amount !== undefined && amount !== null
+        ? Math.round(amount * 100)
+        : refundableCentavos;
+
+      if (refundCentavos <= 0) {
+        throw new ApiError(400, 'INVALID_REFUND_AMOUNT', 'Refund amount must be greater than zero');
+      }
+
+      if (refundCentavos > refundableCentavos) {
+        throw new ApiError(400, 'REFUND_EXCEEDS_BALANCE',
+          `Refund amount exceeds the refundable balance of PHP ${(refundableCentavos / 100).toFixed(2)}`,
+          { refundableBalance: refundableCentavos / 100 });
+      }
+
+      const refunds = [...(current.refunds || []), {
+        requestId,
+        refundId: null,
+        amount: refundCentavos,
+        reason,
+        notes: notes || null,
+        status: 'requested',
+        requestedAt: new Date().toISOString(),
+        requestedBy: requestedBy.uid,
+        requestedByEmail: requestedBy.email || null
+      }];
+
+      return {
+        refunds,
+        reservationId: reservationId || current.reservationId || null,
+        status: getRefundBookingStatus(current, refunds)
+      };
+    }, { source: 'refund', note: `Refund reserved by ${requestedBy.email || requestedBy.uid}` });
+
+    if (!reserved) {
+      throw new ApiError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+    }
+
+    let refundResponse;
+    try {
+      refundResponse = await this.paymongo.createRefund({
+        paymentId: reserved.paymongoPaymentId,
+        amount: refundCentavos,
+        reason,
+        notes,
+        metadata: {
+          booking_id: sessionId,
+          reservation_id: reserved.reservationId || '',
+          refund_request_id: requestId
+        }
+      });
+    } catch (error) {
+      await this.settleRequest(sessionId, requestId, { status: 'failed', error: error.message },
+        'Refund request rejected by PayMongo');
+      throw error;
+    }
+
+    const updatedBooking = await this.settleRequest(sessionId, requestId, {
+      refundId: refundResponse.data.id,
+      status: refundResponse.data.attributes?.status || 'pending'
+    }, `Refund ${refundResponse.data.id} requested by ${requestedBy.email || requestedBy.uid}`);
+
+    await this.syncReservation(updatedBooking);
+
+    return {
+      refund: updatedBooking.refunds.find(refund => refund.requestId === requestId),
+      booking: updatedBooking,
+      refundableBalance: (refundableCentavos - refundCentavos) / 100
+    };
+  }
+
+  // Complete or release a reserved refund. A webhook that already moved the
+  // refund past 'requested' keeps its status.
+  async settleRequest(sessionId, requestId, changes, note) {
+    return this.bookings.update(sessionId, (current) => {
+      const refunds = (current.refunds || []).map(refund => {
+        if (refund.requestId !== requestId) return refund;
+        const status = refund.status === 'requested' ? changes.status : refund.status;
+        return { ...refund, ...changes, status, updatedAt: new Date().toISOString() };
+      });
+
+      return {
+        refunds,
+        status: getRefundBookingStatus(current, refunds)
+      };
+    }, { source: 'refund', note });
+  }
+
+  // Handle refund webhooks. `payment.refund.updated` carries a refund resource,
+  // `payment.refunded` carries the payment resource with its refunds attached.
+  // Returns the updated booking, or null when no booking matches.
+  async applyWebhook(eventData) {
+    const isRefundResource = eventData?.type === 'refund' || eventData?.id?.startsWith('ref_');
+    const attributes = eventData?.attributes || {};
+
+    const refundUpdates = isRefundResource
+      ? [{ refundId: eventData.id, requestId: attributes.metadata?.refund_request_id || null, status: attributes.status }]
+      : (attributes.refunds || []).map(refund => ({
+        refundId: refund.id,
+        requestId: refund.attributes?.metadata?.refund_request_id || null,
+        status: refund.attributes?.status || refund.status
+      }));
+
+    // Locate the booking from the refund metadata or the payment ID
+    let sessionId = attributes.metadata?.booking_id || null;
+    if (!sessionId) {
+      const paymentId = isRefundResource ? attributes.payment_id : eventData?.id;
+      const booking = paymentId ? await this.bookings.findByPaymongoPaymentId(paymentId) : null;
+      sessionId = booking?.sessionId || null;
+    }
+
+    if (!sessionId) {
+      console.error('❌ No booking found for refund webhook');
+      return null;
+    }
+
+    const updatedBooking = await this.bookings.update(sessionId, (current) => {
+      const refunds = (current.refunds || []).map(refund => {
+        // Match on the refund ID, or on our request ID when the webhook beat
+        // the refund ID being stored
+        const update = refundUpdates.find(u =>
+          u.refundId === refund.refundId || (u.requestId && u.requestId === refund.requestId));
+        // A bare payment.refunded event without refund details settles pending refunds
+        if (!update && !isRefundResource && refundUpdates.length === 0 && refund.status === 'pending') {
+          return { ...refund, status: 'succeeded', updatedAt: new Date().toISOString() };
+        }
+        return update?.status
+          ? { ...refund, refundId: refund.refundId || update.refundId, status: update.status, updatedAt: new Date().toISOString() }
+          : refund;
+      });
+
+      return {
+        refunds,
+        status: getRefundBookingStatus(current, refunds)
+      };
+    }, { source: 'webhook', note: 'Refund status updated' });
+
+    if (!updatedBooking) {
+      console.error(`❌ Booking ${sessionId} not found`);
+      return null;
+    }
+
+    await this.syncReservation(updatedBooking);
+    return updatedBooking;
+  }
+
+  // Mirror refund progress onto the linked reservation, if any
+  async syncReservation(booking) {
+    if (!booking?.reservationId) return;
+
+    const refunds = (booking.refunds || []).filter(refund => refund.refundId);
+
+    try {
+      await this.reservations.doc(booking.reservationId).update({
+        refundStatus: booking.status,
+        refundedAmount: sumRefunds(refunds, ['succeeded']) / 100,
+        refunds: refunds.map(refund => ({
+          refundId: refund.refundId,
+          amount: refund.amount / 100,
+          reason: refund.reason,
+          status: refund.status,
+          requestedAt: refund.requestedAt
+        })),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not sync refund to reservation ${booking.reservationId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  RefundService,
+  getReservedRefundCentavos,
+  getRefundBookingStatus
+};
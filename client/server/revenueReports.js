@@ -0,0 +1,681 @@
+const admin = require('firebase-admin');
+const { ApiError } = require('./apiErrors');
+
+const CONDUCTORS_COLLECTION = 'conductors';
+
+// Report `ticketType` filter values (same as the admin report dropdowns)
+const TICKET_TYPES = ['conductor', 'pre-book', 'pre-ticket'];
+
+const SOURCES = {
+  conductor: 'Conductor Trips',
+  'pre-book': 'Pre-booking',
+  'pre-ticket': 'Pre-ticketing'
+};
+
+// Firestore Timestamps become ISO strings so the JSON response is plain data
+function serializeValue(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  return value;
+}
+
+function serializeFields(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, serializeValue(value)]));
+}
+
+function parseQrData(qrData) {
+  if (!qrData) return null;
+  try {
+    if (typeof qrData === 'string') return JSON.parse(qrData);
+    if (typeof qrData === 'object') return qrData;
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+// Trip maps live directly on the dailyTrips/{date} document as `trip*` fields
+function tripMaps(dateData) {
+  return Object.entries(dateData)
+    .filter(([key, value]) => key.startsWith('trip') && typeof value === 'object' && value !== null)
+    .map(([tripName, tripMap]) => ({
+      tripName,
+      direction: typeof tripMap.direction === 'string' ? tripMap.direction.trim() : null,
+      currentTrip: tripMap.currentTrip || null
+    }));
+}
+
+function isPreTicket(data) {
+  return data.documentType === 'preTicket' || data.ticketType === 'preTicket';
+}
+
+function isPreBooking(data) {
+  return data.documentType === 'preBooking' || data.ticketType === 'preBooking';
+}
+
+// Regular conductor tickets. Pre-bookings and pre-tickets copied into this
+// path are skipped; they are counted from their own subcollections.
+function toConductorTicket(doc, context) {
+  const data = doc.data();
+  if (!data.totalFare || !data.quantity || isPreTicket(data) || isPreBooking(data)) {
+    return null;
+  }
+
+  return {
+    ...serializeFields(data),
+    ...context,
+    id: doc.id,
+    totalFare: parseFloat(data.totalFare),
+    quantity: data.quantity || 1,
+    timestamp: serializeValue(data.timestamp),
+    discountAmount: parseFloat(data.discountAmount || 0),
+    ticketType: data.ticketType || data.documentType || null,
+    documentType: data.documentType || data.ticketType || null,
+    discountBreakdown: data.discountBreakdown || [],
+    discountList: data.discountList || [],
+    source: SOURCES.conductor
+  };
+}
+
+// Pre-bookings only count once the conductor has scanned them
+function toPreBooking(doc, context) {
+  const data = doc.data();
+  if (!data.scannedAt || !data.totalFare || !data.quantity) {
+    return null;
+  }
+
+  return {
+    ...context,
+    id: doc.id,
+    tripDirection: context.tripDirection || data.direction || null,
+    totalFare: parseFloat(data.totalFare),
+    quantity: data.quantity,
+    from: data.from,
+    to: data.to,
+    timestamp: serializeValue(data.scannedAt),
+    discountAmount: parseFloat(data.discountAmount || 0),
+    startKm: data.startKm || 0,
+    endKm: data.endKm || 0,
+    totalKm: data.totalKm || 0,
+    farePerPassenger: data.farePerPassenger || [],
+    discountBreakdown: data.discountBreakdown || [],
+    discountList: data.discountList || [],
+    active: data.active !== undefined ? data.active : true,
+    source: SOURCES['pre-book'],
+    ticketType: data.ticketType || 'preBooking',
+    documentType: data.documentType || data.ticketType || 'preBooking'
+  };
+}
+
+// "Passenger 1: Senior (20% off) — 12.00 PHP"
+function parseBreakdownLine(line) {
+  const fareTypeMatch = line.match(/(Senior|Student|PWD|Regular)/);
+  const amountMatch = line.match(/(\d+\.?\d*)\s*PHP/);
+  const discountMatch = line.match(/(\d+)%/);
+
+  const fare = amountMatch ? parseFloat(amountMatch[1]) : 0;
+  const discountPercent = discountMatch ? parseInt(discountMatch[1], 10) : 0;
+  const originalFare = discountPercent > 0 ? fare / (1 - discountPercent / 100) : fare;
+
+  return {
+    type: fareTypeMatch ? fareTypeMatch[1] : 'Regular',
+    count: 1,
+    discount: originalFare - fare,
+    fare,
+    originalFare,
+    discountPercent
+  };
+}
+
+// Pre-tickets keep their details in the `qrData` JSON; only scanned ones count
+function toPreTicket(doc, context) {
+  const data = doc.data();
+  if (!data.scannedAt) {
+    return null;
+  }
+
+  const parsedQrData = parseQrData(data.qrData);
+  const sourceData = parsedQrData || data;
+  if (!sourceData.amount && !sourceData.totalFare) {
+    return null;
+  }
+
+  let discountBreakdown = [];
+  let discountList = [];
+
+  if (Array.isArray(sourceData.discountBreakdown)) {
+    discountBreakdown = sourceData.discountBreakdown.map(parseBreakdownLine);
+  }
+
+  if (Array.isArray(sourceData.fareTypes)) {
+    const passengerFares = sourceData.passengerFares || [];
+    discountList = sourceData.fareTypes.map((type, index) => ({ type, fare: passengerFares[index] || 0, count: 1 }));
+
+    if (discountBreakdown.length === 0 && sourceData.passengerFares) {
+      const regularFare = sourceData.fare || 15;
+      discountBreakdown = sourceData.fareTypes.map((type, index) => {
+        const fare = passengerFares[index] || 0;
+        const discount = type !== 'Regular' ? regularFare - fare : 0;
+        return {
+          type,
+          count: 1,
+          discount,
+          fare,
+          originalFare: regularFare,
+          discountPercent: discount ? Math.round((discount / regularFare) * 100) : 0
+        };
+      });
+    }
+  }
+
+  const totalDiscountAmount = discountBreakdown.reduce((sum, entry) => sum + entry.discount, 0);
+
+  return {
+    ...context,
+    id: doc.id,
+    tripDirection: context.tripDirection || sourceData.direction || data.direction || null,
+    totalFare: parseFloat(sourceData.amount || sourceData.totalFare || 0),
+    quantity: sourceData.quantity || data.quantity || 1,
+    from: sourceData.from || data.from,
+    to: sourceData.to || data.to,
+    timestamp: serializeValue(data.scannedAt),
+    discountAmount: parseFloat(data.discountAmount || totalDiscountAmount || 0),
+    startKm: sourceData.fromKm || data.startKm || data.fromKm || 0,
+    endKm: sourceData.toKm || data.endKm || data.toKm || 0,
+    totalKm: sourceData.totalKm || data.totalKm || ((sourceData.toKm || 0) - (sourceData.fromKm || 0)),
+    farePerPassenger: sourceData.passengerFares || data.farePerPassenger || data.passengerFares || [],
+    discountBreakdown,
+    discountList,
+    active: data.active !== undefined ? data.active : true,
+    source: SOURCES['pre-ticket'],
+    ticketType: sourceData.ticketType || data.ticketType || 'preTicket',
+    documentType: sourceData.type || data.documentType || data.ticketType || 'preTicket',
+    route: sourceData.route || data.route || null,
+    direction: sourceData.direction || data.direction || null,
+    scannedAt: serializeValue(data.scannedAt),
+    scannedBy: data.scannedBy || null,
+    status: data.status || null,
+    qrData: data.qrData || null,
+    qrDataParsed: parsedQrData,
+    fareTypes: sourceData.fareTypes || data.fareTypes || null,
+    placeCollection: sourceData.placeCollection || data.placeCollection || null,
+    time: sourceData.time || data.time || null,
+    amount: sourceData.amount || data.amount || null,
+    passengerFares: sourceData.passengerFares || data.passengerFares || null,
+    fare: sourceData.fare || null
+  };
+}
+
+function emptyTotals() {
+  return {
+    totalRevenue: 0,
+    totalPassengers: 0,
+    averageFare: 0,
+    conductorRevenue: 0,
+    preBookingRevenue: 0,
+    preTicketingRevenue: 0,
+    trips: 0,
+    tickets: 0
+  };
+}
+
+function finishTotals(totals) {
+  totals.averageFare = totals.totalPassengers > 0 ? totals.totalRevenue / totals.totalPassengers : 0;
+  return totals;
+}
+
+function tripTicketList(trip) {
+  return [...trip.conductorTrips, ...trip.preBookingTrips, ...trip.preTicketing];
+}
+
+// Every YYYY-MM-DD from start to end (inclusive), computed in UTC so the
+// server timezone can't shift the calendar dates the client asked for
+function datesBetween(startDate, endDate) {
+  const dates = [];
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (cursor <= end) {
+    dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+// Normalize query filters: '' / 'all' mean "no filter"
+function normalizeFilters({ startDate = null, endDate = null, route = null, ticketType = null } = {}) {
+  const filters = {
+    startDate: startDate || null,
+    endDate: endDate || null,
+    route: route && route !== 'all' ? route.trim() : null,
+    ticketType: ticketType || null
+  };
+
+  if (filters.ticketType && !TICKET_TYPES.includes(filters.ticketType)) {
+    throw new ApiError(400, 'INVALID_TICKET_TYPE', `ticketType must be one of: ${TICKET_TYPES.join(', ')}`);
+  }
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    throw new ApiError(400, 'INVALID_DATE_RANGE', 'startDate must not be after endDate', {
+      startDate: filters.startDate,
+      endDate: filters.endDate
+    });
+  }
+
+  return filters;
+}
+
+
+// Ticket type for a normalized ticket's `source`
+const TYPE_BY_SOURCE = Object.fromEntries(Object.entries(SOURCES).map(([type, source]) => [source, type]));
+
+// emptyTotals() field and route `sources` field each ticket type adds to
+const REVENUE_FIELDS = {
+  conductor: 'conductorRevenue',
+  'pre-book': 'preBookingRevenue',
+  'pre-ticket': 'preTicketingRevenue'
+};
+const ROUTE_SOURCE_FIELDS = {
+  conductor: 'conductorTrips',
+  'pre-book': 'preBooking',
+  'pre-ticket': 'preTicketing'
+};
+
+// Collected trips of one day reduced to cells, one per conductor and trip
+// direction:
+//   { conductorId, direction, trips, byTicketType: { [ticketType]: {
+//       revenue, passengers, discounts, tickets, trips,
+//       segments: [{ route: 'from → to', revenue, passengers, tickets }] } } }
+// This is what dailySummaries stores, and what every report aggregates.
+function buildSummaryCells(trips) {
+  const cells = new Map();
+
+  for (const trip of trips) {
+    const cellKey = `${trip.conductorId}|${trip.direction || ''}`;
+    if (!cells.has(cellKey)) {
+      cells.set(cellKey, {
+        conductorId: trip.conductorId,
+        direction: trip.direction || null,
+        trips: 0,
+        byTicketType: {}
+      });
+    }
+    const cell = cells.get(cellKey);
+    cell.trips++;
+
+    const tripTypes = new Set();
+    for (const ticket of tripTicketList(trip)) {
+      const type = TYPE_BY_SOURCE[ticket.source];
+      if (!cell.byTicketType[type]) {
+        cell.byTicketType[type] = { revenue: 0, passengers: 0, discounts: 0, tickets: 0, trips: 0, segments: [] };
+      }
+      const entry = cell.byTicketType[type];
+      const fare = Number(ticket.totalFare) || 0;
+      const passengers = Number(ticket.quantity) || 0;
+
+      entry.revenue += fare;
+      entry.passengers += passengers;
+      entry.discounts += Number(ticket.discountAmount) || 0;
+      entry.tickets++;
+      tripTypes.add(type);
+
+      if (!ticket.from || !ticket.to) continue;
+      const route = `${ticket.from} → ${ticket.to}`;
+      let segment = entry.segments.find(candidate => candidate.route === route);
+      if (!segment) {
+        segment = { route, revenue: 0, passengers: 0, tickets: 0 };
+        entry.segments.push(segment);
+      }
+      segment.revenue += fare;
+      segment.passengers += passengers;
+      segment.tickets++;
+    }
+    tripTypes.forEach(type => { cell.byTicketType[type].trips++; });
+  }
+
+  return Array.from(cells.values());
+}
+
+// Ticket-type entries of a cell that pass the `ticketType` filter
+function cellEntries(cell, ticketType) {
+  return Object.entries(cell.byTicketType || {})
+    .filter(([type]) => !ticketType || type === ticketType);
+}
+
+// Report totals (emptyTotals() shape) for a list of cells
+function summarizeCells(cells, ticketType = null) {
+  const totals = emptyTotals();
+  for (const cell of cells) {
+    for (const [type, entry] of cellEntries(cell, ticketType)) {
+      totals.totalRevenue += entry.revenue;
+      totals.totalPassengers += entry.passengers;
+      totals[REVENUE_FIELDS[type]] += entry.revenue;
+      totals.tickets += entry.tickets;
+      if (ticketType) totals.trips += entry.trips;
+    }
+    if (!ticketType) totals.trips += cell.trips;
+  }
+  return finishTotals(totals);
+}
+
+// Discounts given across a list of cells
+function cellDiscounts(cells, ticketType = null) {
+  return cells.reduce((sum, cell) => sum + cellEntries(cell, ticketType)
+    .reduce((cellSum, [, entry]) => cellSum + (entry.discounts || 0), 0), 0);
+}
+
+// Group collected trips into [{ date, cells }], zero-filling the range when
+// both bounds are given so charts get a continuous series
+function tripDays(trips, filters) {
+  const tripsByDate = new Map();
+  if (filters.startDate && filters.endDate) {
+    datesBetween(filters.startDate, filters.endDate).forEach(date => tripsByDate.set(date, []));
+  }
+  for (const trip of trips) {
+    if (!tripsByDate.has(trip.date)) tripsByDate.set(trip.date, []);
+    tripsByDate.get(trip.date).push(trip);
+  }
+
+  return Array.from(tripsByDate.keys())
+    .sort()
+    .map(date => ({ date, cells: buildSummaryCells(tripsByDate.get(date)) }));
+}
+
+// Revenue aggregates for the report pages and dashboard, computed with the
+// Admin SDK. Reports read the precomputed dailySummaries when they cover the
+// requested range and fall back to scanning the raw trips otherwise. Raw
+// scans select date documents with a document-ID range query per conductor,
+// read trip maps from the date document itself (no extra getDoc per trip),
+// and only read the ticket subcollections the `ticketType` filter needs.
+class RevenueReports {
+  constructor({ db = admin.firestore(), summaries = null } = {}) {
+    this.db = db;
+    this.summaries = summaries;
+  }
+
+  // Scanned tickets grouped by trip: [{ conductorId, date, tripId, direction, conductorTrips, preBookingTrips, preTicketing }]
+  // With `strict`, read errors are thrown instead of skipping the conductor
+  // or trip (summaries must never silently drop data).
+  async collectTrips(rawFilters = {}, { strict = false } = {}) {
+    const filters = normalizeFilters(rawFilters);
+    const conductorsSnapshot = await this.db.collection(CONDUCTORS_COLLECTION).select().get();
+
+    const conductorResults = await Promise.all(
+      conductorsSnapshot.docs.map(conductorDoc => this.collectConductorTrips(conductorDoc.ref, filters, { strict }))
+    );
+
+    return conductorResults.flat();
+  }
+
+  async collectConductorTrips(conductorRef, filters, { strict = false } = {}) {
+    let query = conductorRef.collection('dailyTrips');
+    if (filters.startDate) {
+      query = query.where(admin.firestore.FieldPath.documentId(), '>=', filters.startDate);
+    }
+    if (filters.endDate) {
+      query = query.where(admin.firestore.FieldPath.documentId(), '<=', filters.endDate);
+    }
+
+    try {
+      const datesSnapshot = await query.get();
+      const dateResults = await Promise.all(datesSnapshot.docs.map(dateDoc => {
+        const trips = tripMaps(dateDoc.data())
+          .filter(trip => !filters.route || trip.direction === filters.route);
+
+        return Promise.all(trips.map(trip => this.collectTrip(conductorRef.id, dateDoc, trip, filters, { strict })));
+      }));
+
+      return dateResults.flat().filter(Boolean);
+    } catch (error) {
+      if (strict) throw error;
+      console.warn(`⚠️ Revenue: skipped conductor ${conductorRef.id}:`, error.message);
+      return [];
+    }
+  }
+
+  async collectTrip(conductorId, dateDoc, trip, filters, { strict = false } = {}) {
+    const tripRef = dateDoc.ref.collection(trip.tripName);
+    const wants = type => !filters.ticketType || filters.ticketType === type;
+    const read = async (docId, type, normalize) => {
+      if (!wants(type)) return [];
+      const snapshot = await tripRef.doc(docId).collection(docId).get();
+      const context = {
+        conductorId,
+        tripId: trip.tripName,
+        currentTrip: trip.currentTrip,
+        tripDirection: trip.direction,
+        date: dateDoc.id
+      };
+      return snapshot.docs.map(doc => normalize(doc, context)).filter(Boolean);
+    };
+
+    try {
+      const [conductorTrips, preBookingTrips, preTicketing] = await Promise.all([
+        read('tickets', 'conductor', toConductorTicket),
+        read('preBookings', 'pre-book', toPreBooking),
+        read('preTickets', 'pre-ticket', toPreTicket)
+      ]);
+
+      if (conductorTrips.length + preBookingTrips.length + preTicketing.length === 0) {
+        return null;
+      }
+
+      return {
+        conductorId,
+        date: dateDoc.id,
+        tripId: trip.tripName,
+        direction: trip.direction,
+        conductorTrips,
+        preBookingTrips,
+        preTicketing
+      };
+    } catch (error) {
+      if (strict) throw error;
+      console.warn(`⚠️ Revenue: skipped ${conductorId}/${dateDoc.id}/${trip.tripName}:`, error.message);
+      return null;
+    }
+  }
+
+  // [{ date, cells }] for every date in the range from dailySummaries, or null
+  // when summaries are not configured, the range is open-ended, or a date up
+  // to today has no usable summary: today needs a current one, finished days
+  // a final one (rebuilt after the day ended). Dates after today have no trips yet.
+  async summaryDays(filters) {
+    if (!this.summaries || !filters.startDate || !filters.endDate) return null;
+
+    try {
+      const summaries = await this.summaries.read(filters.startDate, filters.endDate);
+      const today = this.summaries.today();
+      const dates = datesBetween(filters.startDate, filters.endDate);
+      const isUsable = date => (date === today ? summaries.has(date) : summaries.get(date)?.final === true);
+      if (dates.some(date => date <= today && !isUsable(date))) return null;
+
+      return dates.map(date => ({
+        date,
+        cells: (summaries.get(date)?.cells || [])
+          .filter(cell => !filters.route || cell.direction === filters.route)
+      }));
+    } catch (error) {
+      console.warn('⚠️ Revenue: daily summaries unavailable, scanning trips:', error.message);
+      return null;
+    }
+  }
+
+  // Summaries first, raw scan as the fallback
+  async reportDays(filters) {
+    const summaryDays = await this.summaryDays(filters);
+    if (summaryDays) {
+      return { source: 'summaries', days: summaryDays };
+    }
+
+    const trips = await this.collectTrips(filters);
+    return { source: 'raw', days: tripDays(trips, filters), trips };
+  }
+
+  // Per-day totals. With both startDate and endDate, days without revenue
+  // are included as zeros so charts get a continuous series. Ticket lists
+  // are only in the raw trips, so `includeTickets` always scans.
+  async daily(rawFilters = {}, { includeTickets = false } = {}) {
+    const filters = normalizeFilters(rawFilters);
+    const report = includeTickets
+      ? await this.collectTrips(filters).then(trips => ({ source: 'raw', days: tripDays(trips, filters), trips }))
+      : await this.reportDays(filters);
+
+    const result = {
+      filters,
+      source: report.source,
+      totals: summarizeCells(report.days.flatMap(day => day.cells), filters.ticketType),
+      days: report.days.map(day => ({ date: day.date, ...summarizeCells(day.cells, filters.ticketType) }))
+    };
+
+    if (includeTickets) {
+      result.tickets = {
+        conductorTrips: report.trips.flatMap(trip => trip.conductorTrips),
+        preBookingTrips: report.trips.flatMap(trip => trip.preBookingTrips),
+        preTicketing: report.trips.flatMap(trip => trip.preTicketing)
+      };
+    }
+
+    return result;
+  }
+
+  // Per-month (YYYY-MM) totals; `activeDays` counts days that had revenue
+  async monthly(rawFilters = {}) {
+    const filters = normalizeFilters(rawFilters);
+    const report = await this.reportDays(filters);
+
+    const daysByMonth = new Map();
+    for (const day of report.days) {
+      const totals = summarizeCells(day.cells, filters.ticketType);
+      if (totals.trips === 0) continue;
+      const month = day.date.slice(0, 7);
+      if (!daysByMonth.has(month)) daysByMonth.set(month, []);
+      daysByMonth.get(month).push(day);
+    }
+
+    const months = Array.from(daysByMonth.keys())
+      .sort()
+      .map(month => {
+        const monthDays = daysByMonth.get(month);
+        const totals = summarizeCells(monthDays.flatMap(day => day.cells), filters.ticketType);
+        return {
+          month,
+          ...totals,
+          activeDays: monthDays.length,
+          averageDailyRevenue: totals.totalRevenue / monthDays.length
+        };
+      });
+
+    return {
+      filters,
+      source: report.source,
+      totals: summarizeCells(report.days.flatMap(day => day.cells), filters.ticketType),
+      months
+    };
+  }
+
+  // Revenue per ticket route (`from → to`, as the report charts group it)
+  // and per trip direction
+  async routes(rawFilters = {}) {
+    const filters = normalizeFilters(rawFilters);
+    const report = await this.reportDays(filters);
+    const cells = report.days.flatMap(day => day.cells);
+
+    const routes = new Map();
+    const directions = new Map();
+
+    for (const cell of cells) {
+      const entries = cellEntries(cell, filters.ticketType);
+      if (filters.ticketType && entries.length === 0) continue;
+
+      const directionKey = cell.direction || 'N/A';
+      if (!directions.has(directionKey)) {
+        directions.set(directionKey, { direction: directionKey, ...emptyTotals() });
+      }
+      const direction = directions.get(directionKey);
+      const cellTotals = summarizeCells([cell], filters.ticketType);
+      Object.keys(cellTotals)
+        .filter(key => key !== 'averageFare')
+        .forEach(key => { direction[key] += cellTotals[key]; });
+
+      for (const [type, entry] of entries) {
+        for (const segment of entry.segments) {
+          if (!routes.has(segment.route)) {
+            routes.set(segment.route, {
+              route: segment.route,
+              revenue: 0,
+              passengers: 0,
+              tickets: 0,
+              tripDirection: directionKey,
+              sources: { conductorTrips: 0, preBooking: 0, preTicketing: 0 }
+            });
+          }
+
+          const route = routes.get(segment.route);
+          route.revenue += segment.revenue;
+          route.passengers += segment.passengers;
+          route.tickets += segment.tickets;
+          route.sources[ROUTE_SOURCE_FIELDS[type]] += segment.revenue;
+        }
+      }
+    }
+
+    return {
+      filters,
+      source: report.source,
+      totals: summarizeCells(cells, filters.ticketType),
+      routes: Array.from(routes.values())
+        .filter(route => route.revenue > 0)
+        .sort((a, b) => b.revenue - a.revenue),
+      directions: Array.from(directions.values())
+        .map(finishTotals)
+        .sort((a, b) => b.totalRevenue - a.totalRevenue)
+    };
+  }
+
+  // Totals and discounts per conductor, with a row for every day the
+  // conductor had trips, for scorecards and their trend charts
+  async conductors(rawFilters = {}) {
+    const filters = normalizeFilters(rawFilters);
+    const report = await this.reportDays(filters);
+    const cells = report.days.flatMap(day => day.cells);
+
+    const cellsByConductor = new Map();
+    for (const day of report.days) {
+      for (const cell of day.cells) {
+        if (filters.ticketType && cellEntries(cell, filters.ticketType).length === 0) continue;
+        if (!cellsByConductor.has(cell.conductorId)) cellsByConductor.set(cell.conductorId, new Map());
+        const days = cellsByConductor.get(cell.conductorId);
+        if (!days.has(day.date)) days.set(day.date, []);
+        days.get(day.date).push(cell);
+      }
+    }
+
+    const totalsOf = (someCells) => ({
+      ...summarizeCells(someCells, filters.ticketType),
+      discounts: cellDiscounts(someCells, filters.ticketType)
+    });
+
+    return {
+      filters,
+      source: report.source,
+      totals: totalsOf(cells),
+      conductors: Array.from(cellsByConductor.entries())
+        .map(([conductorId, days]) => ({
+          conductorId,
+          ...totalsOf(Array.from(days.values()).flat()),
+          days: Array.from(days.keys())
+            .sort()
+            .map(date => ({ date, ...totalsOf(days.get(date)) }))
+        }))
+        .sort((a, b) => b.totalRevenue - a.totalRevenue)
+    };
+  }
+}
+
+module.exports = {
+  RevenueReports,
+  TICKET_TYPES,
+  buildSummaryCells,
+  datesBetween,
+  normalizeFilters
+};
@@ -0,0 +1,287 @@
+const admin = require('firebase-admin');
+
+// routes/{routeId}: { name, code, active, stops: [{ id, name, km, latitude, longitude, terminal }], aliases: [...] }
+// Stops are ordered from the first terminal to the last. `aliases` holds the
+// hand-typed strings (conductor routes, trip directions, SOS routes) that
+// refer to the route, so reports can keep filtering by trip direction.
+const ROUTES_COLLECTION = 'routes';
+const TRIP_SCHEDULES_COLLECTION = 'trip_sched';
+const BATCH_LIMIT = 400;
+
+// Same rules as normalizeRouteName/slugify in src/pages/routes/RouteManagement.js,
+// so migrated route IDs match the ones the route editor creates
+function normalizeRouteName(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function slugify(text) {
+  return normalizeRouteName(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// "Batangas - Lipa", "Batangas → Lipa", "Batangas to Lipa" → ['Batangas', 'Lipa']
+function splitTerminals(text) {
+  const parts = String(text || '')
+    .split(/\s*(?:→|->|–|—|-)\s*|\s+to\s+/i)
+    .map(part => part.trim())
+    .filter(Boolean);
+  return parts.length === 2 ? parts : null;
+}
+
+function terminalPairKey(from, to) {
+  return [normalizeRouteName(from), normalizeRouteName(to)].sort().join('|');
+}
+
+function routeTerminals(route) {
+  const stops = route.stops || [];
+  if (stops.length < 2) return null;
+  return [stops[0].name, stops[stops.length - 1].name];
+}
+
+// Lookup from any known spelling of a route to the route document
+function buildRouteIndex(routes) {
+  const byName = new Map();
+  const byTerminals = new Map();
+
+  routes.forEach(route => {
+    [route.name, ...(route.aliases || [])].forEach(text => {
+      const key = normalizeRouteName(text);
+      if (key && !byName.has(key)) byName.set(key, route);
+    });
+
+    const terminals = routeTerminals(route) || splitTerminals(route.name);
+    if (terminals) {
+      const key = terminalPairKey(...terminals);
+      if (!byTerminals.has(key)) byTerminals.set(key, route);
+    }
+  });
+
+  return {
+    match(text) {
+      const direct = byName.get(normalizeRouteName(text));
+      if (direct) return direct;
+      const terminals = splitTerminals(text);
+      return terminals ? byTerminals.get(terminalPairKey(...terminals)) || null : null;
+    }
+  };
+}
+
+function findStop(route, name) {
+  const key = normalizeRouteName(name);
+  return key ? (route.stops || []).find(stop => normalizeRouteName(stop.name) === key) || null : null;
+}
+
+// Converts the free-text route strings already stored in Firestore into
+// references to the `routes` collection. Dry run by default.
+class RouteMigration {
+  constructor({ db = admin.firestore(), log = console.log } = {}) {
+    this.db = db;
+    this.log = log;
+  }
+
+  async loadRoutes() {
+    const snapshot = await this.db.collection(ROUTES_COLLECTION).get();
+    return snapshot.docs.map(routeDoc => ({ id: routeDoc.id, ...routeDoc.data() }));
+  }
+
+  // Every route string in use: text → { text, count, sources }
+  async collectRouteStrings() {
+    const strings = new Map();
+    const add = (text, source) => {
+      const key = normalizeRouteName(text);
+      if (!key) return;
+      const entry = strings.get(key) || { text: String(text).trim(), count: 0, sources: new Set() };
+      entry.count += 1;
+      entry.sources.add(source);
+      strings.set(key, entry);
+    };
+
+    // Conductor routes first, so new routes are named the way admins typed them
+    const conductors = await this.db.collection('conductors').get();
+    conductors.docs.forEach(conductorDoc => add(conductorDoc.data().route, 'conductors'));
+
+    for (const conductorDoc of conductors.docs) {
+      const days = await conductorDoc.ref.collection('dailyTrips').get();
+      days.docs.forEach(dayDoc => {
+        Object.entries(dayDoc.data()).forEach(([key, value]) => {
+          if (key.startsWith('trip') && typeof value === 'object' && value !== null) {
+            add(value.direction, 'trips');
+          }
+        });
+      });
+    }
+
+    const schedules = await this.db.collection(TRIP_SCHEDULES_COLLECTION).get();
+    schedules.docs.forEach(scheduleDoc => add(scheduleDoc.data().route, 'schedules'));
+
+    const sosRequests = await this.db.collection('sosRequests').get();
+    sosRequests.docs.forEach(sosDoc => add(sosDoc.data().route, 'sosRequests'));
+
+    return strings;
+  }
+
+  // Create a two-terminal route for each unmatched "A - B" string (reverse
+  // directions share one route). Stops get no km or coordinates; admins
+  // complete them on the Routes page.
+  planMissingRoutes(strings, routes) {
+    const index = buildRouteIndex(routes);
+    const planned = new Map();
+    const usedIds = new Set(routes.map(route => route.id));
+
+    strings.forEach(entry => {
+      if (index.match(entry.text)) return;
+      const terminals = splitTerminals(entry.text);
+      if (!terminals) return;
+
+      const key = terminalPairKey(...terminals);
+      if (planned.has(key)) {
+        planned.get(key).aliases.push(entry.text);
+        return;
+      }
+
+      const name = `${terminals[0]} - ${terminals[1]}`;
+      const aliases = normalizeRouteName(entry.text) === normalizeRouteName(name) ? [] : [entry.text];
+      let id = slugify(name) || 'route';
+      for (let suffix = 2; usedIds.has(id); suffix++) id = `${slugify(name)}-${suffix}`;
+      usedIds.add(id);
+
+      planned.set(key, {
+        id,
+        name,
+        code: '',
+        active: true,
+        stops: terminals.map((stopName, position) => ({
+          id: slugify(stopName),
+          name: stopName,
+          km: position === 0 ? 0 : null,
+          latitude: null,
+          longitude: null,
+          terminal: true
+        })),
+        aliases
+      });
+    });
+
+    return Array.from(planned.values());
+  }
+
+  async commit(writes) {
+    for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+      const batch = this.db.batch();
+      writes.slice(start, start + BATCH_LIMIT).forEach(({ ref, data, merge }) => {
+        if (merge) batch.set(ref, data, { merge: true });
+        else batch.update(ref, data);
+      });
+      await batch.commit();
+    }
+  }
+
+  async run({ apply = false, createMissing = false } = {}) {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    let routes = await this.loadRoutes();
+    const strings = await this.collectRouteStrings();
+    const writes = [];
+
+    // 1. Routes for strings nothing matches yet
+    const created = createMissing ? this.planMissingRoutes(strings, routes) : [];
+    created.forEach(route => {
+      const { id, ...data } = route;
+      writes.push({
+        ref: this.db.collection(ROUTES_COLLECTION).doc(id),
+        data: { ...data, createdAt: now, updatedAt: now, updatedBy: 'route-migration' },
+        merge: true
+      });
+      this.log(`➕ New route ${id}: ${route.name}${route.aliases.length ? ` (also ${route.aliases.join(', ')})` : ''}`);
+    });
+    routes = [...routes, ...created];
+    const index = buildRouteIndex(routes);
+
+    // 2. Remember every spelling as an alias of its route
+    const newAliases = new Map();
+    const unmatched = [];
+    strings.forEach(entry => {
+      const route = index.match(entry.text);
+      if (!route) {
+        unmatched.push({ text: entry.text, count: entry.count, sources: Array.from(entry.sources) });
+        return;
+      }
+      if (created.includes(route)) return;
+
+      const known = [route.name, ...(route.aliases || []), ...(newAliases.get(route.id) || [])].map(normalizeRouteName);
+      if (!known.includes(normalizeRouteName(entry.text))) {
+        newAliases.set(route.id, [...(newAliases.get(route.id) || []), entry.text]);
+      }
+    });
+    newAliases.forEach((aliases, routeId) => {
+      writes.push({
+        ref: this.db.collection(ROUTES_COLLECTION).doc(routeId),
+        data: { aliases: admin.firestore.FieldValue.arrayUnion(...aliases), updatedAt: now },
+        merge: true
+      });
+      this.log(`🔤 ${routeId}: aliases ${aliases.join(', ')}`);
+    });
+
+    // 3. Point conductors and schedules at their route
+    const updated = { conductors: 0, schedules: 0, reservations: 0 };
+    const conductors = await this.db.collection('conductors').get();
+    conductors.docs.forEach(conductorDoc => {
+      const data = conductorDoc.data();
+      const route = data.route ? index.match(data.route) : null;
+      if (route && data.routeId !== route.id) {
+        writes.push({ ref: conductorDoc.ref, data: { routeId: route.id } });
+        updated.conductors += 1;
+      }
+    });
+
+    const schedules = await this.db.collection(TRIP_SCHEDULES_COLLECTION).get();
+    schedules.docs.forEach(scheduleDoc => {
+      const data = scheduleDoc.data();
+      const route = data.route ? index.match(data.route) : null;
+      if (route && data.routeId !== route.id) {
+        writes.push({ ref: scheduleDoc.ref, data: { routeId: route.id } });
+        updated.schedules += 1;
+      }
+    });
+
+    // 4. Reservations whose from/to are stops of one route
+    const reservations = await this.db.collection('reservations').get();
+    reservations.docs.forEach(reservationDoc => {
+      const data = reservationDoc.data();
+      if (!data.from || !data.to || data.routeId) return;
+
+      const route = routes.find(candidate => findStop(candidate, data.from) && findStop(candidate, data.to));
+      if (route) {
+        writes.push({
+          ref: reservationDoc.ref,
+          data: {
+            routeId: route.id,
+            fromStopId: findStop(route, data.from).id,
+            toStopId: findStop(route, data.to).id
+          }
+        });
+        updated.reservations += 1;
+      }
+    });
+
+    if (apply) {
+      await this.commit(writes);
+    }
+
+    return {
+      applied: apply,
+      routesCreated: created.length,
+      aliasesAdded: Array.from(newAliases.values()).reduce((sum, aliases) => sum + aliases.length, 0),
+      updated,
+      writes: writes.length,
+      unmatched
+    };
+  }
+}
+
+module.exports = {
+  RouteMigration,
+  ROUTES_COLLECTION,
+  buildRouteIndex,
+  normalizeRouteName,
+  splitTerminals,
+  slugify
+};
@@ -0,0 +1,269 @@
+const admin = require('firebase-admin');
+const { distanceMeters, toHistoryPoint } = require('./locationHistory');
+const { writeAuditLog } = require('./auditLog');
+
+// routeCorridors/{id}: { name, route, polyline: [{ latitude, longitude }], corridorWidthMeters, active }
+const ROUTE_CORRIDORS_COLLECTION = 'routeCorridors';
+// routeAlerts/{id}: one document per off-route episode (status active → acknowledged → resolved)
+const ROUTE_ALERTS_COLLECTION = 'routeAlerts';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Conductor `route` strings are typed by hand, so compare them loosely
+function normalizeRoute(route) {
+  return String(route || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Shortest distance in meters from a point to a polyline, using a local
+// flat projection (accurate enough at corridor scale)
+function distanceToPolyline(point, polyline) {
+  if (!polyline || polyline.length === 0) return Infinity;
+  if (polyline.length === 1) return distanceMeters(point, polyline[0]);
+
+  const metersPerDegree = (EARTH_RADIUS_METERS * Math.PI) / 180;
+  const cosLatitude = Math.cos((point.latitude * Math.PI) / 180);
+  const toLocal = vertex => ({
+    x: (vertex.longitude - point.longitude) * metersPerDegree * cosLatitude,
+    y: (vertex.latitude - point.latitude) * metersPerDegree
+  });
+
+  let shortest = Infinity;
+  for (let index = 1; index < polyline.length; index++) {
+    const a = toLocal(polyline[index - 1]);
+    const b = toLocal(polyline[index]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point on the segment to the origin (the bus)
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return shortest;
+}
+
+// Watches conductor locations and raises an off-route alert when a bus stays
+// outside its route corridor for `alertSeconds` or travels `alertDistanceMeters`
+// outside it. The alert resolves itself once the bus is back in the corridor.
+class RouteMonitor {
+  constructor({
+    db = admin.firestore(),
+    alertDistanceMeters = 300,
+    alertSeconds = 120,
+    staleAfterMinutes = 10
+  } = {}) {
+    this.db = db;
+    this.alertDistanceMeters = alertDistanceMeters;
+    this.alertSeconds = alertSeconds;
+    this.staleAfterMs = staleAfterMinutes * 60 * 1000;
+    this.corridors = new Map();
+    this.states = new Map();
+    this.queues = new Map();
+  }
+
+  setCorridors(docs) {
+    this.corridors = new Map();
+    docs.forEach(corridorDoc => {
+      const corridor = { id: corridorDoc.id, ...corridorDoc.data() };
+      const polyline = (corridor.polyline || [])
+        .filter(vertex => Number.isFinite(vertex?.latitude) && Number.isFinite(vertex?.longitude));
+      if (corridor.active === false || polyline.length < 2 || !corridor.route) return;
+
+      this.corridors.set(normalizeRoute(corridor.route), {
+        ...corridor,
+        polyline,
+        corridorWidthMeters: Number(corridor.corridorWidthMeters) || 200
+      });
+    });
+  }
+
+  corridorFor(conductorData) {
+    return this.corridors.get(normalizeRoute(conductorData.route)) || null;
+  }
+
+  // Off-route alerts still open from before a restart
+  async loadOpenAlerts() {
+    const snapshot = await this.db.collection(ROUTE_ALERTS_COLLECTION)
+      .where('status', 'in', ['active', 'acknowledged'])
+      .get();
+
+    snapshot.docs.forEach(alertDoc => {
+      const alert = alertDoc.data();
+      this.states.set(alert.conductorId, {
+        alertId: alertDoc.id,
+        outsideSince: alert.startedAt?.toMillis ? alert.startedAt.toMillis() : Date.now(),
+        offRouteMeters: alert.offRouteMeters || 0,
+        maxDistanceMeters: alert.distanceFromRouteMeters || 0,
+        lastPoint: null
+      });
+    });
+  }
+
+  // Check one conductor update against its corridor. Returns the resulting
+  // state ('no_corridor', 'inside', 'outside', 'alerted') for logging/tests.
+  async evaluate(conductorId, conductorData) {
+    const point = toHistoryPoint(conductorData);
+    if (!point || conductorData.isOnline === false || Date.now() - point.time > this.staleAfterMs) {
+      return null;
+    }
+
+    const corridor = this.corridorFor(conductorData);
+    if (!corridor) {
+      const state = this.states.get(conductorId);
+      if (state && !state.alertId) this.states.delete(conductorId);
+      return 'no_corridor';
+    }
+
+    const distanceFromRoute = distanceToPolyline(point, corridor.polyline);
+    const state = this.states.get(conductorId);
+
+    if (distanceFromRoute <= corridor.corridorWidthMeters / 2) {
+      if (state?.alertId) {
+        await this.resolve(conductorId, conductorData, corridor, state, point);
+      }
+      this.states.delete(conductorId);
+      return 'inside';
+    }
+
+    if (!state) {
+      this.states.set(conductorId, {
+        alertId: null,
+        outsideSince: point.time,
+        offRouteMeters: 0,
+        maxDistanceMeters: distanceFromRoute,
+        lastPoint: point
+      });
+    } else {
+      if (state.lastPoint && point.time > state.lastPoint.time) {
+        state.offRouteMeters += distanceMeters(state.lastPoint, point);
+      }
+      state.lastPoint = point;
+      state.maxDistanceMeters = Math.max(state.maxDistanceMeters, distanceFromRoute);
+    }
+
+    const current = this.states.get(conductorId);
+    if (current.alertId) return 'alerted';
+
+    const offRouteSeconds = (point.time - current.outsideSince) / 1000;
+    if (current.offRouteMeters >= this.alertDistanceMeters || offRouteSeconds >= this.alertSeconds) {
+      await this.raise(conductorId, conductorData, corridor, current, point, distanceFromRoute);
+      return 'alerted';
+    }
+    return 'outside';
+  }
+
+  async raise(conductorId, conductorData, corridor, state, point, distanceFromRoute) {
+    const offRouteSeconds = Math.round((point.time - state.outsideSince) / 1000);
+    const alertRef = await this.db.collection(ROUTE_ALERTS_COLLECTION).add({
+      conductorId,
+      conductorName: conductorData.name || conductorId,
+      busNumber: conductorData.busNumber || null,
+      route: conductorData.route || null,
+      corridorId: corridor.id,
+      corridorName: corridor.name || corridor.route,
+      status: 'active',
+      location: { latitude: point.latitude, longitude: point.longitude },
+      distanceFromRouteMeters: Math.round(distanceFromRoute),
+      offRouteMeters: Math.round(state.offRouteMeters),
+      offRouteSeconds,
+      startedAt: admin.firestore.Timestamp.fromMillis(state.outsideSince),
+      raisedAt: admin.firestore.FieldValue.serverTimestamp(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null
+    });
+    state.alertId = alertRef.id;
+
+    console.log(`🚧 Off-route alert: ${conductorId} is ${Math.round(distanceFromRoute)}m from ${corridor.name || corridor.route}`);
+    await writeAuditLog(this.db, {
+      activityType: 'ROUTE_DEVIATION',
+      description: `Bus ${conductorData.busNumber || 'N/A'} (${conductorData.name || conductorId}) left the ${corridor.name || corridor.route} corridor`,
+      metadata: {
+        alertId: alertRef.id,
+        conductorId,
+        route: conductorData.route || null,
+        corridorId: corridor.id,
+        distanceFromRouteMeters: Math.round(distanceFromRoute),
+        offRouteMeters: Math.round(state.offRouteMeters),
+        offRouteSeconds,
+        location: { latitude: point.latitude, longitude: point.longitude }
+      },
+      severity: 'warning'
+    });
+  }
+
+  async resolve(conductorId, conductorData, corridor, state, point) {
+    const offRouteSeconds = Math.round((point.time - state.outsideSince) / 1000);
+    await this.db.collection(ROUTE_ALERTS_COLLECTION).doc(state.alertId).update({
+      status: 'resolved',
+      resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      distanceFromRouteMeters: Math.round(state.maxDistanceMeters),
+      offRouteMeters: Math.round(state.offRouteMeters),
+      offRouteSeconds
+    });
+
+    console.log(`✅ Off-route alert resolved: ${conductorId} is back on ${corridor.name || corridor.route}`);
+    await writeAuditLog(this.db, {
+      activityType: 'ROUTE_DEVIATION_RESOLVED',
+      description: `Bus ${conductorData.busNumber || 'N/A'} (${conductorData.name || conductorId}) returned to the ${corridor.name || corridor.route} corridor`,
+      metadata: {
+        alertId: state.alertId,
+        conductorId,
+        corridorId: corridor.id,
+        maxDistanceFromRouteMeters: Math.round(state.maxDistanceMeters),
+        offRouteMeters: Math.round(state.offRouteMeters),
+        offRouteSeconds
+      },
+      severity: 'info'
+    });
+  }
+
+  // Evaluations for one conductor run one after another so an update can't
+  // raise a second alert while the first is still being written
+  enqueue(conductorId, conductorData) {
+    const previous = this.queues.get(conductorId) || Promise.resolve();
+    const next = previous
+      .then(() => this.evaluate(conductorId, conductorData))
+      .catch(error => console.error(`❌ Route check failed for ${conductorId}:`, error.message));
+    this.queues.set(conductorId, next);
+    return next;
+  }
+
+  // Watch corridors and conductor locations; returns a function that stops watching
+  start() {
+    const unsubscribeCorridors = this.db.collection(ROUTE_CORRIDORS_COLLECTION).onSnapshot(
+      snapshot => this.setCorridors(snapshot.docs),
+      error => console.error('❌ Route corridor listener failed:', error.message)
+    );
+
+    let unsubscribeConductors = () => {};
+    let stopped = false;
+
+    this.loadOpenAlerts()
+      .catch(error => console.error('❌ Failed to load open route alerts:', error.message))
+      .then(() => {
+        if (stopped) return;
+        unsubscribeConductors = this.db.collection('conductors').onSnapshot(snapshot => {
+          snapshot.docChanges().forEach(change => {
+            if (change.type === 'removed') return;
+            const data = change.doc.data();
+            if (data.status === 'deleted') return;
+            this.enqueue(change.doc.id, data);
+          });
+        }, error => console.error('❌ Route monitor listener failed:', error.message));
+      });
+
+    return () => {
+      stopped = true;
+      unsubscribeCorridors();
+      unsubscribeConductors();
+    };
+  }
+}
+
+module.exports = {
+  RouteMonitor,
+  ROUTE_CORRIDORS_COLLECTION,
+  ROUTE_ALERTS_COLLECTION,
+  distanceToPolyline,
+  normalizeRoute
+};
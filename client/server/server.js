@@ -4,6 +4,26 @@ require('dotenv').config();
 
 // Firebase Admin SDK setup
 const admin = require('firebase-admin');
+const { BookingRepository } = require('./bookingRepository');
+const { WebhookEventStore, verifyWebhookSignature } = require('./paymongoWebhook');
+const { authenticate, requireRole, requirePermission } = require('./authMiddleware');
+const { PaymongoClient } = require('./paymongoClient');
+const { PaymentReconciler } = require('./reconciliation');
+const { RefundService } = require('./refunds');
+const { streamBookingStatus } = require('./paymentEvents');
+const { createIdempotencyStore, idempotency } = require('./idempotency');
+const { createRateLimitStore, rateLimit } = require('./rateLimiter');
+const { ApiError, sendError, notFoundHandler, errorHandler } = require('./apiErrors');
+const { createOpenApiValidator, validateSchema } = require('./openapiValidator');
+const openApiSpec = require('./openapi');
+const { ConductorAccounts, conductorDocumentId } = require('./conductorAccounts');
+const { assertBusAssignable, assertBusesBookable } = require('./busBlocks');
+const { RevenueReports, datesBetween } = require('./revenueReports');
+const { DailySummaries } = require('./dailySummaries');
+const { LocationHistoryRecorder } = require('./locationHistory');
+const { RouteMonitor } = require('./routeMonitor');
+const { ShiftRecorder } = require('./shiftRecorder');
+const { FareTableActivator } = require('./fareTables');
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -15,12 +35,22 @@ if (!admin.apps.length) {
 
   admin.initializeApp({
     credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET
   });
 }
 
 const app = express();
 
+// Behind Vercel/ngrok the client IP comes from X-Forwarded-For (used by rate limiting)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
+// Raw body parsing for webhook signature verification. Must run before
+// express.json() so the exact bytes PayMongo signed are kept as a Buffer.
+app.use('/api/webhook', express.raw({ type: 'application/json' }));
 
 // Body parsing middleware
 app.use(express.json());
@@ -39,8 +69,9 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin);
   }
   
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Last-Event-ID, Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Idempotent-Replayed');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   if (req.method === 'OPTIONS') {
@@ -50,34 +81,118 @@ app.use((req, res, next) => {
   }
 });
 
-// Raw body parsing for webhook signature verification
-//app.use('/api/webhook', express.raw({ type: 'application/json' }));
-
 // PayMongo Configuration
 const PAYMONGO_SECRET_KEY = process.env.PAYMONGO_SECRET_KEY;
 const PAYMONGO_PUBLIC_KEY = process.env.PAYMONGO_PUBLIC_KEY;
 const PAYMONGO_WEBHOOK_SECRET = process.env.PAYMONGO_WEBHOOK_SECRET;
+const PAYMONGO_WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.PAYMONGO_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+const PAYMONGO_API_BASE_URL = process.env.PAYMONGO_API_BASE_URL || 'https://api.paymongo.com/v1';
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.RECONCILE_INTERVAL_MINUTES, 10) || 10;
+const RECONCILE_STALE_MINUTES = parseInt(process.env.RECONCILE_STALE_MINUTES, 10) || 15;
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60;
+const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 10;
+// 0 turns the daily summary worker off (reports then always scan raw trips,
+// and the conductors' trip counts are no longer maintained)
+const DAILY_SUMMARY_SWEEP_MINUTES = parseInt(process.env.DAILY_SUMMARY_SWEEP_MINUTES ?? '15', 10) || 0;
+const DAILY_SUMMARY_DEBOUNCE_SECONDS = parseInt(process.env.DAILY_SUMMARY_DEBOUNCE_SECONDS, 10) || 30;
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Manila';
+const LOCATION_HISTORY_ENABLED = process.env.LOCATION_HISTORY_ENABLED !== 'false';
+const ROUTE_MONITOR_ENABLED = process.env.ROUTE_MONITOR_ENABLED !== 'false';
+const SHIFT_RECORDER_ENABLED = process.env.SHIFT_RECORDER_ENABLED !== 'false';
+const FARE_ACTIVATION_INTERVAL_SECONDS = parseInt(process.env.FARE_ACTIVATION_INTERVAL_SECONDS, 10) || 60;
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
-// In-memory storage for bookings (replace with your database later)
-const bookings = new Map();
+// Firestore-backed storage for bookings
+const bookings = new BookingRepository(admin.firestore());
+
+// Processed webhook event IDs (replay protection / idempotent retries)
+const webhookEvents = new WebhookEventStore(admin.firestore());
 
 // PayMongo API Helper
-const paymongoAPI = {
-  async createCheckoutSession(data) {
-    const response = await fetch('https://api.paymongo.com/v1/checkout_sessions', {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'Authorization': `Basic ${Buffer.from(PAYMONGO_SECRET_KEY + ':').toString('base64')}`
-      },
-      body: JSON.stringify({ data })
-    });
-    return await response.json();
-  }
-};
+const paymongoAPI = new PaymongoClient({
+  secretKey: PAYMONGO_SECRET_KEY,
+  baseUrl: PAYMONGO_API_BASE_URL
+});
+
+// Full and partial refunds of paid bookings
+const refundService = new RefundService({ bookings, paymongo: paymongoAPI, db: admin.firestore() });
+
+// Conductor Auth accounts + profile documents, kept in sync
+const conductorAccounts = new ConductorAccounts({
+  db: admin.firestore(),
+  auth: admin.auth(),
+  bucket: process.env.FIREBASE_STORAGE_BUCKET ? admin.storage().bucket() : null,
+  retentionDays: parseInt(process.env.CONDUCTOR_PURGE_RETENTION_DAYS, 10) || 30
+});
+
+// Precomputed per-day revenue totals, read by the reports before raw scans
+const dailySummaries = new DailySummaries({ db: admin.firestore(), timeZone: REPORT_TIMEZONE });
+
+// Downsampled conductor location history for trip playback
+const locationHistory = new LocationHistoryRecorder({
+  db: admin.firestore(),
+  timeZone: REPORT_TIMEZONE,
+  minIntervalSeconds: parseInt(process.env.LOCATION_HISTORY_MIN_INTERVAL_SECONDS, 10) || 10,
+  maxIntervalSeconds: parseInt(process.env.LOCATION_HISTORY_MAX_INTERVAL_SECONDS, 10) || 120,
+  minDistanceMeters: parseInt(process.env.LOCATION_HISTORY_MIN_DISTANCE_METERS, 10) || 50
+});
+
+// Off-route alerts from the route corridors
+const routeMonitor = new RouteMonitor({
+  db: admin.firestore(),
+  alertDistanceMeters: parseInt(process.env.OFF_ROUTE_ALERT_DISTANCE_METERS, 10) || 300,
+  alertSeconds: parseInt(process.env.OFF_ROUTE_ALERT_SECONDS, 10) || 120
+});
+
+// Online/offline and trip start/end events for attendance
+const shiftRecorder = new ShiftRecorder({
+  db: admin.firestore(),
+  timeZone: REPORT_TIMEZONE,
+  staleAfterMinutes: parseInt(process.env.SHIFT_OFFLINE_AFTER_MINUTES, 10) || 10
+});
+
+// Puts scheduled fare tables into effect
+const fareTableActivator = new FareTableActivator({ db: admin.firestore() });
+
+// Revenue aggregates for the report pages and dashboard
+const revenueReports = new RevenueReports({ db: admin.firestore(), summaries: dailySummaries });
+
+// Reconciles bookings whose webhook never arrived
+const reconciler = new PaymentReconciler({
+  bookings,
+  paymongo: paymongoAPI,
+  db: admin.firestore(),
+  staleAfterMinutes: RECONCILE_STALE_MINUTES,
+  onPaid: linkReservationPayment
+});
+
+// Booking/payment request guards. Stores default to memory; set them to
+// 'firestore' when running more than one server instance.
+const idempotencyStore = createIdempotencyStore(process.env.IDEMPOTENCY_STORE, admin.firestore());
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE, admin.firestore());
+
+const bookingRateLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'create-booking',
+  windowMs: RATE_LIMIT_WINDOW_SECONDS * 1000,
+  max: RATE_LIMIT_MAX_REQUESTS
+});
+
+const paymentRateLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'initiate-payment',
+  windowMs: RATE_LIMIT_WINDOW_SECONDS * 1000,
+  max: RATE_LIMIT_MAX_REQUESTS
+});
+
+const idempotentRequest = idempotency({ store: idempotencyStore });
+
+// Request/response validation generated from the OpenAPI document.
+// OPENAPI_RESPONSE_VALIDATION: 'off', 'warn' (default) or 'strict'.
+const validate = createOpenApiValidator(openApiSpec, {
+  responseMode: process.env.OPENAPI_RESPONSE_VALIDATION || 'warn'
+});
 
 // Helper function to get payment method types
 function getPaymentMethodTypes(paymentMethod) {
@@ -90,25 +205,6 @@ function getPaymentMethodTypes(paymentMethod) {
   return methodMap[paymentMethod] || ['card', 'gcash', 'paymongo'];
 }
 
-// Verify webhook signature
-// Fixed webhook signature verification
-function verifyWebhookSignature(payload, signature, webhookSecret) {
-  if (!signature || !webhookSecret) return true;
-  
-  // Convert payload to string if it's an object
-  const payloadString = typeof payload === 'string' ? payload : JSON.stringify(payload);
-  
-  const computedSignature = crypto
-    .createHmac('sha256', webhookSecret)
-    .update(payloadString, 'utf8')
-    .digest('hex');
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'hex'),
-    Buffer.from(computedSignature, 'hex')
-  );
-}
-
 // ==================== YOUR EXISTING ROUTES ====================
 
 // Your existing API route (keeping it exactly as you had it)
@@ -116,21 +212,59 @@ app.get("/api", (req, res) => {
   res.json({ fruits: ["Apple", "strawberry", "mango"] });
 });
 
+// ==================== API DOCUMENTATION ====================
+
+// OpenAPI document (used by the mobile team to generate a client)
+app.get('/api/docs/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Swagger UI for browsing the API
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>B-GO Server API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/docs/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`);
+});
+
 // ==================== CONDUCTOR MANAGEMENT API ====================
 
 // CREATE CONDUCTOR ENDPOINT
-app.post('/api/conductors/create', async (req, res) => {
+app.post('/api/conductors/create', authenticate, requirePermission('manage_conductors'), validate('createConductor'), async (req, res) => {
   try {
-    const { busNumber, email, name, route, password } = req.body;
+    const {
+      busNumber,
+      email,
+      name,
+      route,
+      routeId,
+      password,
+      plateNumber,
+      registrationNumber,
+      driverName,
+      codingDay
+    } = req.body;
 
-    // Validate required fields
-    if (!busNumber || !email || !name || !route || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'All fields are required: busNumber, email, name, route, password'
-      });
-    }
+    // Extract document ID from email (same logic as frontend)
+    const documentId = conductorDocumentId(email);
 
+    // An active conductor (e.g. one whose email was changed) may already own this ID
+    if (await conductorAccounts.isDocumentIdTaken(email)) {
+      return sendError(res, 409, 'CONDUCTOR_ID_TAKEN', 'An active conductor already uses this email address prefix');
+    }
+    // A bus with expired papers or overdue maintenance can't be given to a conductor
+    await assertBusAssignable(admin.firestore(), plateNumber);
 
     // Create Firebase Auth user using Admin SDK
     const userRecord = await admin.auth().createUser({
@@ -140,9 +274,6 @@ app.post('/api/conductors/create', async (req, res) => {
     });
 
 
-    // Extract document ID from email (same logic as frontend)
-    const documentId = email.split('@')[0].replace(/\./g, '_');
-
     // Create conductor document in Firestore using Admin SDK
     const db = admin.firestore();
     const conductorData = {
@@ -150,14 +281,25 @@ app.post('/api/conductors/create', async (req, res) => {
       email: email,
       name: name,
       route: route,
+      routeId: routeId || null,
+      plateNumber: plateNumber || null,
+      registrationNumber: registrationNumber || null,
+      driverName: driverName || null,
+      busImageUrl: null,
+      busImagePath: null,
       isOnline: false,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: req.admin.uid,
       lastSeen: null,
       currentLocation: null,
       uid: userRecord.uid,
       totalTrips: 0,
       todayTrips: 0,
-      status: 'offline'
+      status: 'offline',
+      busAvailabilityStatus: 'no-reservation',
+      codingDay: codingDay || 'Unknown',
+      userRole: 'conductor'
     };
 
     await db.collection('conductors').doc(documentId).set(conductorData);
@@ -167,51 +309,177 @@ app.post('/api/conductors/create', async (req, res) => {
       success: true,
       message: 'Conductor created successfully',
       conductorId: documentId,
-      uid: userRecord.uid
+      uid: userRecord.uid,
+      conductor: {
+        ...conductorData,
+        createdAt: null,
+        updatedAt: null
+      }
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return sendError(res, error.status, error.code, error.message, error.details);
+    }
     console.error('❌ Error creating conductor:', error);
     
+    let errorCode = 'CONDUCTOR_CREATE_FAILED';
     let errorMessage = 'Failed to create conductor';
+    let statusCode = 500;
     if (error.code === 'auth/email-already-exists') {
+      errorCode = 'EMAIL_ALREADY_EXISTS';
       errorMessage = 'Email already exists';
+      statusCode = 409;
     } else if (error.code === 'auth/invalid-email') {
+      errorCode = 'INVALID_EMAIL';
       errorMessage = 'Invalid email format';
-    } else if (error.code === 'auth/weak-password') {
+      statusCode = 400;
+    } else if (error.code === 'auth/weak-password' || error.code === 'auth/invalid-password') {
+      errorCode = 'WEAK_PASSWORD';
       errorMessage = 'Password is too weak';
+      statusCode = 400;
     }
 
-    res.status(500).json({
-      success: false,
-      error: errorMessage,
-      details: error.message
+    sendError(res, statusCode, errorCode, errorMessage, {
+      authCode: error.code || null,
+      reason: error.message
     });
   }
 });
 
-// DELETE USER ENDPOINT (using Firebase Admin SDK)
-app.delete('/api/users/delete/:userId', async (req, res) => {
+// Send ApiErrors as-is; anything else becomes a 500 with the given code
+function sendConductorError(res, error, code, message) {
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.code, error.message, error.details);
+  }
+  console.error(`❌ ${message}:`, error);
+  sendError(res, 500, code, `${message}: ${error.message}`);
+}
+
+// UPDATE CONDUCTOR (email/name are synced to the Auth account)
+app.patch('/api/conductors/:conductorId', authenticate, requirePermission('manage_conductors'), validate('updateConductor'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { adminInfo } = req.body;
+    const result = await conductorAccounts.update(req.params.conductorId, req.body, req.admin);
 
-    // Validate required fields
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Conductor updated successfully',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'CONDUCTOR_UPDATE_FAILED', 'Failed to update conductor');
+  }
+});
 
-    // Check if admin has superadmin role
-    if (!adminInfo || adminInfo.role !== 'superadmin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied. Only super administrators can delete users.'
-      });
-    }
+// DISABLE CONDUCTOR LOGIN
+app.post('/api/conductors/:conductorId/disable', authenticate, requirePermission('manage_conductors'), validate('disableConductor'), async (req, res) => {
+  try {
+    const result = await conductorAccounts.setDisabled(req.params.conductorId, true, req.admin, req.body?.reason || null);
+
+    res.json({
+      success: true,
+      message: 'Conductor login disabled',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'CONDUCTOR_DISABLE_FAILED', 'Failed to disable conductor');
+  }
+});
+
+// ENABLE CONDUCTOR LOGIN
+app.post('/api/conductors/:conductorId/enable', authenticate, requirePermission('manage_conductors'), validate('enableConductor'), async (req, res) => {
+  try {
+    const result = await conductorAccounts.setDisabled(req.params.conductorId, false, req.admin);
+
+    res.json({
+      success: true,
+      message: 'Conductor login enabled',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'CONDUCTOR_ENABLE_FAILED', 'Failed to enable conductor');
+  }
+});
+
+// RESET CONDUCTOR PASSWORD (set directly, or return a reset link to share)
+app.post('/api/conductors/:conductorId/reset-password', authenticate, requirePermission('manage_conductors'), validate('resetConductorPassword'), async (req, res) => {
+  try {
+    const result = await conductorAccounts.resetPassword(req.params.conductorId, req.admin, req.body?.newPassword || null);
+
+    res.json({
+      success: true,
+      message: result.passwordChanged ? 'Password changed' : 'Password reset link generated',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'PASSWORD_RESET_FAILED', 'Failed to reset password');
+  }
+});
+
+// REACTIVATE DELETED CONDUCTOR
+app.post('/api/conductors/:conductorId/reactivate', authenticate, requirePermission('manage_conductors'), validate('reactivateConductor'), async (req, res) => {
+  try {
+    const result = await conductorAccounts.reactivate(req.params.conductorId, req.body || {}, req.admin);
+
+    res.json({
+      success: true,
+      message: 'Conductor reactivated successfully',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'CONDUCTOR_REACTIVATE_FAILED', 'Failed to reactivate conductor');
+  }
+});
+
+// DELETE CONDUCTOR (disables the Auth account and marks the document deleted)
+app.delete('/api/conductors/:conductorId', authenticate, requireRole('superadmin'), validate('deleteConductor'), async (req, res) => {
+  try {
+    const result = await conductorAccounts.deactivate(req.params.conductorId, req.admin);
+
+    res.json({
+      success: true,
+      message: 'Conductor deleted and login disabled',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'CONDUCTOR_DELETE_FAILED', 'Failed to delete conductor');
+  }
+});
+
+// DELETED CONDUCTORS (recycle bin)
+app.get('/api/conductors/deleted', authenticate, requirePermission('manage_conductors'), validate('listDeletedConductors'), async (req, res) => {
+  try {
+    const conductors = await conductorAccounts.listDeleted();
+
+    res.json({
+      success: true,
+      retentionDays: Math.round(conductorAccounts.retentionMs / (24 * 60 * 60 * 1000)),
+      conductors
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'DELETED_CONDUCTORS_FAILED', 'Failed to load deleted conductors');
+  }
+});
+
+// PURGE DELETED CONDUCTOR (Auth user, bus images and all trip data)
+app.delete('/api/conductors/:conductorId/purge', authenticate, requireRole('superadmin'), validate('purgeConductor'), async (req, res) => {
+  try {
+    const result = await conductorAccounts.purge(req.params.conductorId);
+
+    res.json({
+      success: true,
+      message: 'Conductor permanently removed',
+      ...result
+    });
+  } catch (error) {
+    sendConductorError(res, error, 'CONDUCTOR_PURGE_FAILED', 'Failed to purge conductor');
+  }
+});
 
+// DELETE USER ENDPOINT (using Firebase Admin SDK)
+app.delete('/api/users/delete/:userId', authenticate, requireRole('superadmin'), validate('deleteUser'), async (req, res) => {
+  try {
+    const { userId } = req.params;
 
     const db = admin.firestore();
 
@@ -220,10 +488,7 @@ app.delete('/api/users/delete/:userId', async (req, res) => {
     const userDocSnap = await userDocRef.get();
     
     if (!userDocSnap.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+      return sendError(res, 404, 'USER_NOT_FOUND', 'User not found');
     }
 
     const userData = userDocSnap.data();
@@ -244,15 +509,16 @@ app.delete('/api/users/delete/:userId', async (req, res) => {
         id: userId,
         name: userName,
         email: userData.email
+      },
+      deletedBy: {
+        uid: req.admin.uid,
+        email: req.admin.email
       }
     });
 
   } catch (error) {
     console.error('❌ Error deleting user:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete user: ' + error.message
-    });
+    sendError(res, 500, 'USER_DELETE_FAILED', 'Failed to delete user: ' + error.message);
   }
 });
 
@@ -260,24 +526,17 @@ app.delete('/api/users/delete/:userId', async (req, res) => {
 // ==================== PAYMONGO API ROUTES ====================
 
 // 1. CREATE BOOKING WITH PAYMENT SESSION
-app.post('/api/payment/create-booking', async (req, res) => {
+app.post('/api/payment/create-booking', bookingRateLimit, idempotentRequest, validate('createBooking'), async (req, res) => {
   try {
     const {
       passengerInfo,
       tripDetails,
       amount,
       numberOfPassengers,
-      discounts
+      discounts,
+      reservationId
     } = req.body;
 
-    // Validate required fields
-    if (!passengerInfo || !tripDetails || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required booking information'
-      });
-    }
-
     // Generate payment session ID
     const sessionId = crypto.randomUUID();
 
@@ -308,41 +567,36 @@ app.post('/api/payment/create-booking', async (req, res) => {
       },
       status: 'Pending Payment',
       createdAt: new Date().toISOString(),
-      paymentReference: null
+      paymentReference: null,
+      // Optional link to the passenger's reservation document
+      reservationId: reservationId || null
     };
 
-    // Save booking to memory (replace with your database later)
-    bookings.set(sessionId, bookingData);
-
+    // Save booking to Firestore
+    const booking = await bookings.create(bookingData);
 
     // Return booking data
     res.json({
       success: true,
       sessionId,
-      booking: bookingData,
+      booking: booking,
       paymentPageURL: `${FRONTEND_URL}/payment/${sessionId}`
     });
 
   } catch (error) {
     console.error('Error creating booking:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create booking'
-    });
+    sendError(res, 500, 'BOOKING_CREATE_FAILED', 'Failed to create booking');
   }
 });
 
 // 2. GET BOOKING DETAILS (for React frontend)
-app.get('/api/payment/booking/:sessionId', (req, res) => {
+app.get('/api/payment/booking/:sessionId', validate('getBooking'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const booking = bookings.get(sessionId);
+    const booking = await bookings.get(sessionId);
     
     if (!booking) {
-      return res.status(404).json({
-        success: false,
-        error: 'Booking not found'
-      });
+      return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found');
     }
 
     res.json({
@@ -352,41 +606,25 @@ app.get('/api/payment/booking/:sessionId', (req, res) => {
 
   } catch (error) {
     console.error('Error getting booking:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get booking'
-    });
+    sendError(res, 500, 'BOOKING_LOOKUP_FAILED', 'Failed to get booking');
   }
 });
 
 // 3. INITIATE PAYMENT
-app.post('/api/payment/initiate-payment', async (req, res) => {
+app.post('/api/payment/initiate-payment', paymentRateLimit, idempotentRequest, validate('initiatePayment'), async (req, res) => {
   try {
     const { sessionId, paymentMethod } = req.body;
 
-    if (!sessionId || !paymentMethod) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing sessionId or paymentMethod'
-      });
-    }
-
     // Get booking details
-    const booking = bookings.get(sessionId);
+    const booking = await bookings.get(sessionId);
     
     if (!booking) {
-      return res.status(404).json({
-        success: false,
-        error: 'Booking not found'
-      });
+      return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found');
     }
 
     // Check if already paid
     if (booking.status === 'Paid') {
-      return res.json({
-        success: false,
-        error: 'This booking has already been paid'
-      });
+      return sendError(res, 409, 'BOOKING_ALREADY_PAID', 'This booking has already been paid');
     }
 
 
@@ -421,11 +659,10 @@ app.post('/api/payment/initiate-payment', async (req, res) => {
 
     if (checkoutSession.data) {
       // Update booking with PayMongo session info
-      booking.paymongoSessionId = checkoutSession.data.id;
-      booking.status = 'Processing Payment';
-      booking.updatedAt = new Date().toISOString();
-      bookings.set(sessionId, booking);
-
+      await bookings.update(sessionId, {
+        paymongoSessionId: checkoutSession.data.id,
+        status: 'Processing Payment'
+      }, { source: 'initiate-payment', note: `Payment method: ${paymentMethod}` });
 
       res.json({
         success: true,
@@ -439,24 +676,20 @@ app.post('/api/payment/initiate-payment', async (req, res) => {
 
   } catch (error) {
     console.error('Error initiating payment:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to initiate payment: ' + error.message
-    });
+    // PaymongoError carries the HTTP status PayMongo answered with
+    sendError(res, error.status ? 502 : 500, error.status ? 'PAYMONGO_ERROR' : 'PAYMENT_INITIATION_FAILED',
+      'Failed to initiate payment: ' + error.message, error.errors || null);
   }
 });
 
 // 4. GET PAYMENT STATUS (for polling from React)
-app.get('/api/payment/status/:sessionId', (req, res) => {
+app.get('/api/payment/status/:sessionId', validate('getPaymentStatus'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const booking = bookings.get(sessionId);
+    const booking = await bookings.get(sessionId);
     
     if (!booking) {
-      return res.status(404).json({
-        success: false,
-        error: 'Booking not found'
-      });
+      return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found');
     }
 
     res.json({
@@ -468,25 +701,60 @@ app.get('/api/payment/status/:sessionId', (req, res) => {
 
   } catch (error) {
     console.error('Error getting payment status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get payment status'
-    });
+    sendError(res, 500, 'PAYMENT_STATUS_FAILED', 'Failed to get payment status');
   }
 });
 
-// 5. WEBHOOK HANDLER
-// 5. WEBHOOK HANDLER (Simplified - No signature verification)
-// 5. WEBHOOK HANDLER (Fixed event type detection)
-app.post('/api/webhook/paymongo-webhook', express.json(), async (req, res) => {
+// 4b. STREAM PAYMENT STATUS (Server-Sent Events, replaces polling)
+app.get('/api/payment/status/:sessionId/stream', validate('streamPaymentStatus'), (req, res) => {
+  streamBookingStatus(req, res, { db: admin.firestore() });
+});
+
+// 5. WEBHOOK HANDLER (signature verified against the raw body)
+app.post('/api/webhook/paymongo-webhook', validate('paymongoWebhook'), async (req, res) => {
+  // Verify the Paymongo-Signature header before trusting anything in the body
+  const verification = verifyWebhookSignature(
+    req.body,
+    req.get('Paymongo-Signature'),
+    PAYMONGO_WEBHOOK_SECRET,
+    { toleranceSeconds: PAYMONGO_WEBHOOK_TOLERANCE_SECONDS }
+  );
+
+  if (!verification.valid) {
+    console.warn('⚠️ Rejected webhook:', verification.reason);
+    return sendError(res, 401, 'INVALID_SIGNATURE', 'Invalid webhook signature');
+  }
+
+  // Only parse and validate the body once the signature is trusted
+  let event;
+  try {
+    event = JSON.parse(req.body.toString('utf8'));
+  } catch {
+    return sendError(res, 400, 'INVALID_JSON', 'Webhook body is not valid JSON');
+  }
+
+  const eventErrors = validateSchema(openApiSpec, openApiSpec.components.schemas.WebhookEvent, event, 'body');
+  if (eventErrors.length > 0) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Webhook event validation failed', eventErrors);
+  }
+
+  let eventId = null;
+
   try {
-    
-    const event = req.body;
-    
     // Fix: PayMongo webhook structure can vary, let's handle both formats
     const eventType = event.data?.attributes?.type || event.type;
     const eventData = event.data?.attributes?.data || event.data;
-    
+    eventId = event.data?.id || event.id;
+
+    if (!eventId) {
+      return sendError(res, 400, 'MISSING_EVENT_ID', 'Webhook event ID is missing');
+    }
+
+    // Skip events we have already processed (PayMongo retries deliveries)
+    const claimed = await webhookEvents.claim(eventId, eventType);
+    if (!claimed) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
 
     // Handle different webhook events
     switch (eventType) {
@@ -499,17 +767,33 @@ app.post('/api/webhook/paymongo-webhook', express.json(), async (req, res) => {
       case 'payment.failed':
         await handlePaymentFailed(eventData);
         break;
+
+      case 'payment.refunded':
+      case 'payment.refund.updated':
+        await refundService.applyWebhook(eventData);
+        break;
         
       default:
         console.log('❓ Unhandled webhook event:', eventType);
     }
 
+    await webhookEvents.markProcessed(eventId);
     res.status(200).json({ received: true });
 
   } catch (error) {
     console.error('❌ Webhook processing error:', error.message);
     console.error('Stack:', error.stack);
-    res.status(500).json({ error: 'Webhook processing failed' });
+
+    // Release the event so PayMongo's retry can process it again
+    if (eventId) {
+      try {
+        await webhookEvents.markFailed(eventId, error);
+      } catch (markError) {
+        console.error('❌ Failed to record webhook failure:', markError.message);
+      }
+    }
+
+    sendError(res, 500, 'WEBHOOK_PROCESSING_FAILED', 'Webhook processing failed');
   }
 });
 
@@ -534,32 +818,54 @@ async function handlePaymentPaid(eventData) {
       return;
     }
 
-    const booking = bookings.get(sessionId);
-    if (!booking) {
-      console.error(`❌ Booking ${sessionId} not found in memory`);
-      return;
-    }
+    const paymentReference = eventData?.id || eventData?.attributes?.id || 'PAID_' + Date.now();
 
+    // Keep the PayMongo payment ID (pay_...) - refunds are issued against it
+    const paymongoPaymentId = eventData?.id?.startsWith('pay_')
+      ? eventData.id
+      : eventData?.attributes?.payments?.[0]?.id || null;
 
     // Update booking status to Paid
-    booking.status = 'Paid';
-    booking.paymentReference = eventData?.id || eventData?.attributes?.id || 'PAID_' + Date.now();
-    booking.paymentCompletedAt = new Date().toISOString();
-    booking.updatedAt = new Date().toISOString();
-    
-    // Add webhook event info for debugging
-    booking.webhookEventReceived = {
-      eventType: eventData?.type || 'payment.paid',
-      receivedAt: new Date().toISOString(),
-      paymentId: eventData?.id || eventData?.attributes?.id
-    };
-    
-    bookings.set(sessionId, booking);
+    const booking = await bookings.update(sessionId, {
+      status: 'Paid',
+      paymentReference: paymentReference,
+      paymongoPaymentId: paymongoPaymentId,
+      paymentCompletedAt: new Date().toISOString(),
+      // Add webhook event info for debugging
+      webhookEventReceived: {
+        eventType: eventData?.type || 'payment.paid',
+        receivedAt: new Date().toISOString(),
+        paymentId: eventData?.id || eventData?.attributes?.id || null
+      }
+    }, { source: 'webhook', note: `Payment reference: ${paymentReference}` });
+
+    if (!booking) {
+      console.error(`❌ Booking ${sessionId} not found`);
+      return;
+    }
 
+    await linkReservationPayment(booking);
 
   } catch (error) {
     console.error('❌ Error handling payment success:', error);
     console.error('Error stack:', error.stack);
+    throw error;
+  }
+}
+
+// Link a paid booking to its reservation so the admin panel can refund it
+async function linkReservationPayment(booking) {
+  if (!booking?.reservationId) return;
+
+  try {
+    await admin.firestore().collection('reservations').doc(booking.reservationId).update({
+      paymentSessionId: booking.sessionId,
+      paymongoPaymentId: booking.paymongoPaymentId || null,
+      paymentMethod: 'PayMongo',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (linkError) {
+    console.warn(`⚠️ Could not link booking to reservation ${booking.reservationId}:`, linkError.message);
   }
 }
 
@@ -574,33 +880,260 @@ async function handlePaymentFailed(eventData) {
     }
 
 
-    const booking = bookings.get(sessionId);
-    if (booking) {
-      booking.status = 'Payment Failed';
-      booking.paymentFailedAt = new Date().toISOString();
-      booking.updatedAt = new Date().toISOString();
-      bookings.set(sessionId, booking);
+    const booking = await bookings.update(sessionId, {
+      status: 'Payment Failed',
+      paymentFailedAt: new Date().toISOString()
+    }, { source: 'webhook' });
+
+    if (!booking) {
+      console.error(`❌ Booking ${sessionId} not found`);
     }
 
   } catch (error) {
     console.error('❌ Error handling payment failure:', error);
+    throw error;
   }
 }
 
-// 6. DEBUG ROUTE - View all bookings (for testing)
-app.get('/api/payment/debug/bookings', (req, res) => {
-  const allBookings = Array.from(bookings.entries()).map(([id, booking]) => ({
-    sessionId: id,
-    ...booking
-  }));
-
-  res.json({
-    success: true,
-    count: allBookings.length,
-    bookings: allBookings
-  });
+// ==================== REFUNDS ====================
+
+// 6. REFUND A PAID BOOKING (full or partial)
+app.post('/api/payment/refund', authenticate, requirePermission('update_booking_status'), validate('refundPayment'), async (req, res) => {
+  try {
+    const { sessionId, amount, reason, notes, reservationId } = req.body;
+
+    const result = await refundService.requestRefund({
+      sessionId,
+      amount,
+      reason,
+      notes,
+      reservationId,
+      requestedBy: req.admin
+    });
+
+    res.json({
+      success: true,
+      refund: result.refund,
+      status: result.booking.status,
+      refundableBalance: result.refundableBalance
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendError(res, error.status, error.code, error.message, error.details);
+    }
+    console.error('Error creating refund:', error);
+    sendError(res, error.status ? 502 : 500, error.status ? 'PAYMONGO_ERROR' : 'REFUND_FAILED',
+      'Failed to create refund: ' + error.message, error.errors || null);
+  }
+});
+
+// ==================== RESERVATIONS ====================
+
+// APPROVE A RESERVATION (its buses must not be blocked by expired papers or
+// overdue maintenance; the admin panel then updates the conductors)
+app.post('/api/reservations/:reservationId/approve', authenticate, requirePermission('update_booking_status'), validate('approveReservation'), async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const db = admin.firestore();
+    const reservationRef = db.collection('reservations').doc(reservationId);
+    const snapshot = await reservationRef.get();
+
+    if (!snapshot.exists) {
+      return sendError(res, 404, 'RESERVATION_NOT_FOUND', 'Reservation not found');
+    }
+
+    await assertBusesBookable(db, snapshot.data().selectedBusIds || []);
+
+    await reservationRef.update({
+      status: 'confirmed',
+      approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      approvedBy: req.admin.email || req.admin.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`✅ Reservation ${reservationId} approved by ${req.admin.email}`);
+    res.json({ success: true, reservationId, status: 'confirmed' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendError(res, error.status, error.code, error.message, error.details);
+    }
+    console.error('❌ Error approving reservation:', error);
+    sendError(res, 500, 'RESERVATION_APPROVE_FAILED', `Failed to approve reservation: ${error.message}`);
+  }
+});
+
+// ==================== RECONCILIATION ====================
+
+// 7. LIST RECONCILIATION DISCREPANCIES
+app.get('/api/payment/reconciliation/discrepancies', authenticate, requirePermission('view_payments'), validate('listReconciliationDiscrepancies'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const unresolvedOnly = req.query.unresolved === 'true';
+    const discrepancies = await reconciler.listDiscrepancies({ limit, unresolvedOnly });
+
+    res.json({
+      success: true,
+      count: discrepancies.length,
+      discrepancies
+    });
+  } catch (error) {
+    console.error('Error listing reconciliation discrepancies:', error);
+    sendError(res, 500, 'RECONCILIATION_LIST_FAILED', 'Failed to list discrepancies');
+  }
+});
+
+// 8. RUN RECONCILIATION NOW (also usable from a scheduled cron on serverless hosts)
+app.post('/api/payment/reconciliation/run', authenticate, requirePermission('update_booking_status'), validate('runReconciliation'), async (req, res) => {
+  try {
+    const result = await reconciler.run();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    sendError(res, 500, 'RECONCILIATION_FAILED', 'Failed to run reconciliation: ' + error.message);
+  }
+});
+
+// 9. DEBUG ROUTE - View all bookings (for testing)
+app.get('/api/payment/debug/bookings', authenticate, requirePermission('view_payments'), validate('listBookings'), async (req, res) => {
+  try {
+    const allBookings = await bookings.list({ limit: 100 });
+
+    res.json({
+      success: true,
+      count: allBookings.length,
+      bookings: allBookings
+    });
+  } catch (error) {
+    console.error('Error listing bookings:', error);
+    sendError(res, 500, 'BOOKING_LIST_FAILED', 'Failed to list bookings');
+  }
+});
+
+// ==================== REVENUE REPORTS ====================
+
+// Query filters shared by the revenue routes
+function revenueFilters(query) {
+  return {
+    startDate: query.startDate,
+    endDate: query.endDate,
+    route: query.route,
+    ticketType: query.ticketType
+  };
+}
+
+function sendRevenueError(res, error, message) {
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.code, error.message, error.details);
+  }
+  console.error(`❌ ${message}:`, error);
+  sendError(res, 500, 'REVENUE_REPORT_FAILED', `${message}: ${error.message}`);
+}
+
+// DAILY REVENUE (optionally with the counted tickets for detail tables)
+app.get('/api/revenue/daily', authenticate, requirePermission('view_analytics'), validate('getDailyRevenue'), async (req, res) => {
+  try {
+    const includeTickets = req.query.includeTickets === 'true';
+    const result = await revenueReports.daily(revenueFilters(req.query), { includeTickets });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendRevenueError(res, error, 'Failed to load daily revenue');
+  }
+});
+
+// MONTHLY REVENUE
+app.get('/api/revenue/monthly', authenticate, requirePermission('view_analytics'), validate('getMonthlyRevenue'), async (req, res) => {
+  try {
+    const result = await revenueReports.monthly(revenueFilters(req.query));
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendRevenueError(res, error, 'Failed to load monthly revenue');
+  }
+});
+
+// REVENUE PER ROUTE
+app.get('/api/revenue/routes', authenticate, requirePermission('view_analytics'), validate('getRouteRevenue'), async (req, res) => {
+  try {
+    const result = await revenueReports.routes(revenueFilters(req.query));
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendRevenueError(res, error, 'Failed to load route revenue');
+  }
+});
+
+// REVENUE PER CONDUCTOR
+app.get('/api/revenue/conductors', authenticate, requirePermission('view_analytics'), validate('getConductorRevenue'), async (req, res) => {
+  try {
+    const result = await revenueReports.conductors(revenueFilters(req.query));
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendRevenueError(res, error, 'Failed to load conductor revenue');
+  }
+});
+
+// DAILY SUMMARIES (raw stored documents, for checking coverage)
+app.get('/api/revenue/summaries', authenticate, requirePermission('view_analytics'), validate('getDailySummaries'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if (startDate > endDate) {
+      throw new ApiError(400, 'INVALID_DATE_RANGE', 'startDate must not be after endDate', { startDate, endDate });
+    }
+
+    const summaries = await dailySummaries.read(startDate, endDate);
+    const missingDates = datesBetween(startDate, endDate).filter(date => !summaries.has(date));
+
+    res.json({ success: true, summaries: Array.from(summaries.values()), missingDates });
+  } catch (error) {
+    sendRevenueError(res, error, 'Failed to load daily summaries');
+  }
+});
+
+// REFRESH A DAILY SUMMARY (after an admin edits or deletes tickets)
+app.post('/api/revenue/summaries/refresh', authenticate, requirePermission('manage_trips'), validate('refreshDailySummary'), async (req, res) => {
+  try {
+    const { date, conductorId = null } = req.body;
+    const summary = await dailySummaries.refresh(date, conductorId);
+
+    console.log(`📊 Daily summary refreshed: ${date}${conductorId ? ` (${conductorId})` : ''} by ${req.admin.email}`);
+    res.json({ success: true, summary });
+  } catch (error) {
+    sendRevenueError(res, error, 'Failed to refresh daily summary');
+  }
+});
+
+// ==================== FARE TABLES API ====================
+
+// PUT DUE FARE TABLES INTO EFFECT (the admin panel calls this after saving a
+// table that takes effect immediately; the timer covers the rest)
+app.post('/api/fares/activate-due', authenticate, requirePermission('manage_routes'), validate('activateDueFareTables'), async (req, res) => {
+  try {
+    const { routeId = null } = req.body || {};
+    const activated = await fareTableActivator.activateDue({ routeId, actor: req.admin });
+
+    if (activated.length > 0) {
+      console.log(`💱 Fare tables activated: ${activated.join(', ')} by ${req.admin.email}`);
+    }
+    res.json({ success: true, activated });
+  } catch (error) {
+    console.error('❌ Error activating fare tables:', error);
+    sendError(res, 500, 'FARE_ACTIVATION_FAILED', `Failed to activate fare tables: ${error.message}`);
+  }
 });
 
+// ==================== ERROR HANDLING ====================
+
+// Unknown API routes and uncaught errors use the standard error envelope
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 // ==================== SERVER START ====================
 
 app.listen(3000, '0.0.0.0', () => {
@@ -610,9 +1143,46 @@ app.listen(3000, '0.0.0.0', () => {
   if (PAYMONGO_SECRET_KEY) {
     console.log("💳 PayMongo integration ready!");
     console.log(`📡 Webhook URL: ${BASE_URL}/api/webhook/paymongo-webhook`);
+
+    // Settle bookings whose webhook was lost
+    reconciler.start(RECONCILE_INTERVAL_MINUTES);
+    console.log(`🔁 Payment reconciliation every ${RECONCILE_INTERVAL_MINUTES} minutes`);
   } else {
     console.log("⚠️  PayMongo not configured. Add PAYMONGO_SECRET_KEY to .env file");
   }
+
+  // Keep today's revenue summary current for the reports
+  if (DAILY_SUMMARY_SWEEP_MINUTES > 0) {
+    dailySummaries.start({
+      sweepMinutes: DAILY_SUMMARY_SWEEP_MINUTES,
+      debounceSeconds: DAILY_SUMMARY_DEBOUNCE_SECONDS
+    });
+    console.log(`📊 Daily revenue summaries refreshed every ${DAILY_SUMMARY_SWEEP_MINUTES} minutes (${REPORT_TIMEZONE})`);
+  } else {
+    console.log("⚠️  Daily summary worker off (DAILY_SUMMARY_SWEEP_MINUTES=0): conductor trip counts will not update");
+  }
+
+  // Record where each bus went (conductor apps only keep currentLocation)
+  if (LOCATION_HISTORY_ENABLED) {
+    locationHistory.start();
+    console.log("🛰️  Recording conductor location history");
+  }
+
+  // Compare each bus location with its route corridor
+  if (ROUTE_MONITOR_ENABLED) {
+    routeMonitor.start();
+    console.log("🚧 Watching buses for off-route alerts");
+  }
+
+  // Record when conductors go online/offline and start/end trips
+  if (SHIFT_RECORDER_ENABLED) {
+    shiftRecorder.start();
+    console.log("🕒 Recording conductor shifts for attendance");
+  }
+
+  // Scheduled fare table versions take effect on their own
+  fareTableActivator.start(FARE_ACTIVATION_INTERVAL_SECONDS);
+  console.log(`💱 Activating scheduled fare tables every ${FARE_ACTIVATION_INTERVAL_SECONDS} seconds`);
   
 });
 
@@ -0,0 +1,182 @@
+const admin = require('firebase-admin');
+
+// conductorSessions/{id}: { conductorId, conductorName, busNumber, type, time, date, tripDirection }
+// type is 'online' | 'offline' | 'trip_start' | 'trip_end'; time is epoch ms
+// and date the day it falls on in the report timezone.
+const SESSION_EVENTS_COLLECTION = 'conductorSessions';
+// conductorSessionStates/{conductorId}: { online, tripDirection, lastEventAt }, what was last recorded
+const SESSION_STATES_COLLECTION = 'conductorSessionStates';
+
+function toMillis(timestamp) {
+  if (!timestamp) return null;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Online means the app says so and has been heard from recently; apps that
+// are killed never get to set isOnline back to false
+function sessionStateOf(conductorData, now, staleAfterMs) {
+  const lastSeen = toMillis(conductorData.lastSeen);
+  const online = conductorData.isOnline === true &&
+    conductorData.status !== 'deleted' &&
+    (lastSeen === null || now - lastSeen <= staleAfterMs);
+
+  const trip = conductorData.activeTrip;
+  const tripDirection = trip && typeof trip === 'object' && trip.isActive !== false && trip.direction
+    ? trip.direction
+    : null;
+
+  return { online, tripDirection };
+}
+
+// Events that take `previous` to `next`, in the order they happened: coming
+// online comes first and going offline last. A trip changing direction without
+// being cleared first ends one trip and starts another.
+function transitions(previous, next) {
+  const events = [];
+  const wentOnline = !previous.online && next.online;
+  const wentOffline = previous.online && !next.online;
+
+  if (wentOnline) {
+    events.push({ type: 'online', tripDirection: null });
+  }
+  if (previous.tripDirection !== next.tripDirection) {
+    if (previous.tripDirection) events.push({ type: 'trip_end', tripDirection: previous.tripDirection });
+    if (next.tripDirection) events.push({ type: 'trip_start', tripDirection: next.tripDirection });
+  }
+  if (wentOffline) {
+    events.push({ type: 'offline', tripDirection: null });
+  }
+  return events;
+}
+
+// Conductor apps overwrite isOnline, lastSeen and activeTrip in place; this
+// records every online/offline and trip start/end transition so shifts and
+// timesheets can be rebuilt later (see src/pages/attendance/attendanceService.js).
+class ShiftRecorder {
+  constructor({ db = admin.firestore(), timeZone = 'Asia/Manila', staleAfterMinutes = 10 } = {}) {
+    this.db = db;
+    this.timeZone = timeZone;
+    this.staleAfterMs = staleAfterMinutes * 60 * 1000;
+    this.states = new Map();
+    this.latest = new Map();
+    this.queues = new Map();
+  }
+
+  dateOf(time) {
+    return new Date(time).toLocaleDateString('en-CA', { timeZone: this.timeZone });
+  }
+
+  // What was recorded before a restart, so transitions aren't logged twice
+  async loadStates() {
+    const snapshot = await this.db.collection(SESSION_STATES_COLLECTION).get();
+    snapshot.docs.forEach(stateDoc => {
+      const state = stateDoc.data();
+      this.states.set(stateDoc.id, {
+        online: state.online === true,
+        tripDirection: state.tripDirection || null,
+        lastEventAt: state.lastEventAt || 0
+      });
+    });
+  }
+
+  // Record the transitions of one conductor update. Returns the events written.
+  async record(conductorId, conductorData, now = Date.now()) {
+    const previous = this.states.get(conductorId) || { online: false, tripDirection: null, lastEventAt: 0 };
+    const next = sessionStateOf(conductorData, now, this.staleAfterMs);
+    const events = transitions(previous, next);
+    if (events.length === 0) return [];
+
+    // A silent app went offline (and off its trip) when it was last heard from
+    const lastSeen = toMillis(conductorData.lastSeen);
+    const at = previous.online && !next.online && lastSeen && lastSeen <= now ? lastSeen : now;
+    const time = Math.max(at, previous.lastEventAt);
+
+    const batch = this.db.batch();
+    const written = events.map(event => {
+      const record = {
+        conductorId,
+        conductorName: conductorData.name || conductorId,
+        busNumber: conductorData.busNumber ?? null,
+        type: event.type,
+        tripDirection: event.tripDirection,
+        time,
+        date: this.dateOf(time),
+        recordedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      batch.set(this.db.collection(SESSION_EVENTS_COLLECTION).doc(), record);
+      return record;
+    });
+
+    const state = { ...next, lastEventAt: written[written.length - 1].time };
+    batch.set(this.db.collection(SESSION_STATES_COLLECTION).doc(conductorId), {
+      ...state,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    this.states.set(conductorId, state);
+    return written;
+  }
+
+  // Updates for one conductor are recorded one after another so a transition
+  // isn't compared against a state that is still being written
+  enqueue(conductorId, conductorData) {
+    const previous = this.queues.get(conductorId) || Promise.resolve();
+    const next = previous
+      .then(() => this.record(conductorId, conductorData))
+      .catch(error => console.error(`❌ Shift event write failed for ${conductorId}:`, error.message));
+    this.queues.set(conductorId, next);
+    return next;
+  }
+
+  // Conductors whose app stopped reporting don't produce an update, so the
+  // last known documents are re-checked for going stale
+  sweep() {
+    this.latest.forEach((data, conductorId) => {
+      if (this.states.get(conductorId)?.online) {
+        this.enqueue(conductorId, data);
+      }
+    });
+  }
+
+  // Watch every conductor; returns a function that stops watching
+  start(sweepSeconds = 60) {
+    let unsubscribe = () => {};
+    let stopped = false;
+
+    this.loadStates()
+      .catch(error => console.error('❌ Failed to load conductor session states:', error.message))
+      .then(() => {
+        if (stopped) return;
+        unsubscribe = this.db.collection('conductors').onSnapshot(snapshot => {
+          snapshot.docChanges().forEach(change => {
+            const data = change.type === 'removed' ? { isOnline: false } : change.doc.data();
+            if (change.type === 'removed') {
+              this.latest.delete(change.doc.id);
+            } else {
+              this.latest.set(change.doc.id, data);
+            }
+            this.enqueue(change.doc.id, data);
+          });
+        }, error => console.error('❌ Shift recorder listener failed:', error.message));
+      });
+
+    const timer = setInterval(() => this.sweep(), sweepSeconds * 1000);
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }
+}
+
+module.exports = {
+  ShiftRecorder,
+  SESSION_EVENTS_COLLECTION,
+  SESSION_STATES_COLLECTION,
+  sessionStateOf,
+  transitions
+};
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { busBlockReason, assertBusesBookable } = require('../busBlocks');
+const { ConductorAccounts } = require('../conductorAccounts');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+
+const NOW = new Date('2025-03-10T08:00:00Z');
+const ADMIN = { uid: 'admin-1', email: 'admin@bgo.test' };
+
+function bus(overrides = {}) {
+  return {
+    plateNumber: 'ABC 123',
+    status: 'active',
+    orCrExpiry: '2026-01-01',
+    insuranceExpiry: '2026-01-01',
+    franchise: { expiry: '2026-01-01' },
+    serviceInterval: { km: 5000, days: 90 },
+    lastService: { date: '2025-02-01', odometerKm: 10000 },
+    odometerKm: 12000,
+    ...overrides
+  };
+}
+
+test.describe('busBlockReason', () => {
+  test('allows a bus with valid papers and service on schedule', () => {
+    assert.equal(busBlockReason(bus(), NOW), null);
+  });
+
+  test('blocks expired papers and overdue service', () => {
+    const reason = busBlockReason(bus({ insuranceExpiry: '2025-03-01', odometerKm: 15000 }), NOW);
+    assert.equal(reason, 'Bus ABC 123 cannot be used: Insurance expired on Mar 1, 2025; Preventive maintenance overdue (May 2, 2025 or at 15,000 km)');
+  });
+
+  test('never blocks a retired bus', () => {
+    assert.equal(busBlockReason(bus({ status: 'retired', orCrExpiry: '2024-01-01' }), NOW), null);
+  });
+});
+
+// The admin panel's rules (ES module without Firebase imports)
+const CLIENT_RULES_URL = pathToFileURL(path.join(__dirname, '../../src/pages/buses/busRules.js')).href;
+
+test.describe('busBlockReason matches the admin panel', () => {
+  const cases = {
+    'valid bus': bus(),
+    'expired OR/CR': bus({ orCrExpiry: '2025-03-09' }),
+    'expiring insurance (not blocking)': bus({ insuranceExpiry: '2025-03-20' }),
+    'expired franchise as a Firestore timestamp': bus({ franchise: { expiry: { toDate: () => new Date('2025-01-31') } } }),
+    'service overdue by days': bus({ lastService: { date: '2024-11-01', odometerKm: 10000 } }),
+    'service overdue by km only': bus({ serviceInterval: { km: 5000 }, odometerKm: 15500 }),
+    'service due soon (not blocking)': bus({ odometerKm: 14800 }),
+    'no service logged': bus({ lastService: null }),
+    'no interval': bus({ serviceInterval: null, orCrExpiry: '2024-12-01' }),
+    'missing papers': bus({ orCrExpiry: null, insuranceExpiry: undefined, franchise: null }),
+    'retired with everything expired': bus({ status: 'retired', orCrExpiry: '2020-01-01', odometerKm: 90000 })
+  };
+
+  test('gives the same reason for every case', async () => {
+    const clientRules = await import(CLIENT_RULES_URL);
+    for (const [name, testBus] of Object.entries(cases)) {
+      assert.equal(busBlockReason(testBus, NOW), clientRules.busBlockReason(testBus, NOW), name);
+    }
+  });
+});
+
+test.describe('assertBusesBookable', () => {
+  test('rejects a reservation with a blocked bus, found by ID or legacy ID', async () => {
+    const db = new FakeFirestore({
+      'buses/abc-123': bus({ orCrExpiry: '2020-01-01', legacyIds: ['juan'] }),
+      'buses/xyz-789': bus({ plateNumber: 'XYZ 789' })
+    });
+
+    await assertBusesBookable(db, ['xyz-789', 'unregistered'], NOW);
+    await assert.rejects(assertBusesBookable(db, ['xyz-789', 'juan'], NOW), { code: 'BUS_BLOCKED', status: 409 });
+  });
+});
+
+test.describe('ConductorAccounts bus block', () => {
+  let db;
+  let accounts;
+  let authUpdates;
+
+  test.beforeEach(() => {
+    db = new FakeFirestore({
+      'buses/abc-123': bus({ orCrExpiry: '2020-01-01' }),
+      'buses/xyz-789': bus({ plateNumber: 'XYZ 789' }),
+      'conductors/juan': { uid: 'uid-1', email: 'juan@bgo.test', name: 'Juan', plateNumber: 'XYZ 789', status: 'offline' }
+    });
+    authUpdates = [];
+    accounts = new ConductorAccounts({
+      db,
+      auth: { updateUser: async (uid, changes) => { authUpdates.push(changes); } }
+    });
+  });
+
+  test('rejects moving a conductor to a blocked bus', async () => {
+    await assert.rejects(
+      accounts.update('juan', { plateNumber: 'abc  123', email: 'new@bgo.test' }, ADMIN),
+      { code: 'BUS_BLOCKED', status: 409 }
+    );
+    assert.deepEqual(authUpdates, []);
+    assert.equal(db.data('conductors/juan').plateNumber, 'XYZ 789');
+  });
+
+  test('rejects reactivating a conductor onto a blocked bus', async () => {
+    await db.doc('conductors/juan').update({ status: 'deleted', plateNumber: 'ABC 123' });
+
+    await assert.rejects(accounts.reactivate('juan', {}, ADMIN), { code: 'BUS_BLOCKED' });
+    assert.equal(db.data('conductors/juan').status, 'deleted');
+  });
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DailySummaries, SUMMARY_VERSION } = require('../dailySummaries');
+const { RevenueReports, normalizeFilters } = require('../revenueReports');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+
+const TODAY = '2025-03-10';
+
+function trip(conductorId, date, fare) {
+  return {
+    conductorId,
+    date,
+    tripId: 'trip1',
+    direction: 'A → B',
+    conductorTrips: [{ source: 'Conductor Trips', totalFare: fare, quantity: 1, from: 'A', to: 'B' }],
+    preBookingTrips: [],
+    preTicketing: []
+  };
+}
+
+function storedSummary(date, { final }) {
+  return { date, version: SUMMARY_VERSION, final, cells: [], totals: {} };
+}
+
+test.describe('DailySummaries', () => {
+  let db;
+  let summaries;
+  let rebuilt;
+  let stored;
+
+  test.beforeEach(() => {
+    db = new FakeFirestore();
+    rebuilt = [];
+    stored = new Map();
+
+    summaries = new DailySummaries({
+      db,
+      reports: {
+        collectTrips: async ({ startDate }) => {
+          rebuilt.push(startDate);
+          return [trip('cond-1', startDate, 50)];
+        },
+        collectConductorTrips: async () => [trip('cond-1', TODAY, 20)]
+      }
+    });
+    summaries.today = () => TODAY;
+    // dailySummaries/{date} by document-ID range, as Firestore would return it
+    summaries.read = async (startDate, endDate) => new Map(
+      Array.from(stored).filter(([date]) => date >= startDate && date <= endDate)
+    );
+  });
+
+  test('rebuilds finished days as final and today as not final', async () => {
+    assert.equal((await summaries.rebuildDay('2025-03-09')).final, true);
+    assert.equal((await summaries.rebuildDay(TODAY)).final, false);
+    assert.equal(db.data('dailySummaries/2025-03-09').totals.revenue, 50);
+  });
+
+  test('finalizes recent days whose summary was written before the day ended', async () => {
+    stored.set('2025-03-07', storedSummary('2025-03-07', { final: true }));
+    stored.set('2025-03-08', storedSummary('2025-03-08', { final: true }));
+    stored.set('2025-03-09', storedSummary('2025-03-09', { final: false }));
+
+    const dates = await summaries.finalizePastDays(3);
+
+    assert.deepEqual(dates, ['2025-03-09']);
+    assert.deepEqual(rebuilt, ['2025-03-09']);
+    assert.equal(db.data('dailySummaries/2025-03-09').final, true);
+  });
+
+  test('a conductor refresh on a non-final finished day rebuilds the whole day', async () => {
+    await db.doc('dailySummaries/2025-03-09').set(storedSummary('2025-03-09', { final: false }));
+
+    const summary = await summaries.refreshConductorDay('cond-1', '2025-03-09');
+
+    assert.deepEqual(rebuilt, ['2025-03-09']);
+    assert.equal(summary.final, true);
+  });
+
+  test('keeps the trip counts on the conductor documents', async () => {
+    await db.doc('conductors/cond-1').set({ status: 'offline', tripCounts: { '2025-03-01': 4 }, totalTrips: 4, todayTrips: 0 });
+
+    await summaries.rebuildDay(TODAY);
+    await summaries.rebuildDay('2025-03-09');
+
+    const conductor = db.data('conductors/cond-1');
+    assert.deepEqual(conductor.tripCounts, { '2025-03-01': 4, '2025-03-09': 1, [TODAY]: 1 });
+    assert.equal(conductor.totalTrips, 6);
+    assert.equal(conductor.todayTrips, 1);
+  });
+
+  test('drops a conductor whose trips are gone to zero for that day', async () => {
+    await db.doc('conductors/cond-1').set({ status: 'offline', tripCounts: { [TODAY]: 2 }, totalTrips: 2, todayTrips: 2 });
+    await db.doc(`dailySummaries/${TODAY}`).set(storedSummary(TODAY, { final: false }));
+    summaries.reports.collectConductorTrips = async () => [];
+
+    await summaries.refreshConductorDay('cond-1', TODAY);
+
+    const conductor = db.data('conductors/cond-1');
+    assert.deepEqual(conductor.tripCounts, {});
+    assert.equal(conductor.totalTrips, 0);
+    assert.equal(conductor.todayTrips, 0);
+  });
+
+  test('backfills the trip counts of a conductor document written before tripCounts', async () => {
+    await db.doc('conductors/cond-1').set({ status: 'offline', totalTrips: 120, todayTrips: 0 });
+    // 118 trips on 2025-01-15, one yesterday and one today
+    const history = [
+      ...Array.from({ length: 118 }, () => trip('cond-1', '2025-01-15', 30)),
+      trip('cond-1', '2025-03-09', 50),
+      trip('cond-1', TODAY, 20)
+    ];
+    const inRange = filters => history.filter(item =>
+      !filters.startDate || (item.date >= filters.startDate && item.date <= filters.endDate));
+    summaries.reports.collectTrips = async filters => inRange(filters);
+    summaries.reports.collectConductorTrips = async (conductorRef, filters) => inRange(filters);
+
+    await summaries.finalizePastDays(3);
+    await summaries.rebuildDay(TODAY);
+    await summaries.rollTodayTrips();
+
+    const conductor = db.data('conductors/cond-1');
+    assert.equal(conductor.totalTrips, 120);
+    assert.equal(conductor.todayTrips, 1);
+    assert.equal(conductor.tripCounts['2025-01-15'], 118);
+  });
+
+  test('rolls todayTrips over to the new day', async () => {
+    await db.doc('conductors/cond-1').set({ status: 'offline', tripCounts: { '2025-03-09': 3 }, totalTrips: 3, todayTrips: 3 });
+
+    await summaries.rollTodayTrips();
+
+    const conductor = db.data('conductors/cond-1');
+    assert.equal(conductor.todayTrips, 0);
+    assert.equal(conductor.totalTrips, 3);
+  });
+
+  test('a conductor refresh on today replaces only that conductor', async () => {
+    await db.doc(`dailySummaries/${TODAY}`).set(storedSummary(TODAY, { final: false }));
+
+    const summary = await summaries.refreshConductorDay('cond-1', TODAY);
+
+    assert.deepEqual(rebuilt, []);
+    assert.equal(summary.final, false);
+    assert.equal(summary.totals.revenue, 20);
+  });
+});
+
+test.describe('RevenueReports summaryDays', () => {
+  const reportsWith = days => new RevenueReports({
+    db: new FakeFirestore(),
+    summaries: {
+      today: () => TODAY,
+      read: async () => new Map(Object.entries(days))
+    }
+  });
+  const filters = normalizeFilters({ startDate: '2025-03-09', endDate: TODAY });
+
+  test('uses final past days and a current summary for today', async () => {
+    const reports = reportsWith({
+      '2025-03-09': storedSummary('2025-03-09', { final: true }),
+      [TODAY]: storedSummary(TODAY, { final: false })
+    });
+
+    const days = await reports.summaryDays(filters);
+    assert.deepEqual(days.map(day => day.date), ['2025-03-09', TODAY]);
+  });
+
+  test('treats a non-final past day as missing', async () => {
+    const reports = reportsWith({
+      '2025-03-09': storedSummary('2025-03-09', { final: false }),
+      [TODAY]: storedSummary(TODAY, { final: false })
+    });
+
+    assert.equal(await reports.summaryDays(filters), null);
+  });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FareTableActivator } = require('../fareTables');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ADMIN = { uid: 'admin-1', email: 'admin@bgo.test' };
+
+function fareTable(routeId, version, status, hoursFromNow) {
+  return {
+    routeId,
+    routeName: `Route ${routeId}`,
+    version,
+    status,
+    effectiveFrom: new Date(Date.now() + hoursFromNow * HOUR_MS).toISOString(),
+    baseFare: 13 + version,
+    baseKm: 4,
+    perKmRate: 2,
+    stops: [],
+    overrides: [],
+    discounts: []
+  };
+}
+
+test.describe('FareTableActivator', () => {
+  let db;
+  let activator;
+
+  test.beforeEach(() => {
+    db = new FakeFirestore({
+      'fareTables/a1': fareTable('a', 1, 'active', -48),
+      'fareTables/a2': fareTable('a', 2, 'scheduled', -2),
+      'fareTables/a3': fareTable('a', 3, 'scheduled', -1),
+      'fareTables/a4': fareTable('a', 4, 'scheduled', 24),
+      'fareTables/b1': fareTable('b', 1, 'scheduled', -1)
+    });
+    activator = new FareTableActivator({ db });
+  });
+
+  test('puts the latest due table of a route into effect', async () => {
+    const activated = await activator.activateDue({ routeId: 'a', actor: ADMIN });
+
+    assert.deepEqual(activated, ['a3']);
+    assert.equal(db.data('fareTables/a1').status, 'superseded');
+    assert.equal(db.data('fareTables/a2').supersededBy, 'a3');
+    assert.equal(db.data('fareTables/a3').activatedBy, 'admin@bgo.test');
+    assert.equal(db.data('fareTables/a4').status, 'scheduled');
+    assert.equal(db.data('fare/a').baseFare, 16);
+    // Other routes are left for the timer
+    assert.equal(db.data('fareTables/b1').status, 'scheduled');
+  });
+
+  test('two server instances activate a table once', async () => {
+    const other = new FareTableActivator({ db });
+
+    const [first, second] = await Promise.all([
+      activator.activateDue({ routeId: 'a' }),
+      other.activateDue({ routeId: 'a' })
+    ]);
+
+    assert.deepEqual([...first, ...second], ['a3']);
+    const logs = (await db.collection('AuditLogs').get()).docs.map(doc => doc.data());
+    assert.equal(logs.length, 1);
+  });
+
+  test('overlapping runs activate each table once', async () => {
+    const [timer, request] = await Promise.all([
+      activator.activateDue(),
+      activator.activateDue({ routeId: 'a', actor: ADMIN })
+    ]);
+
+    assert.deepEqual(timer.sort(), ['a3', 'b1']);
+    assert.deepEqual(request, []);
+    assert.equal(db.data('fareTables/a3').activatedBy, 'system');
+
+    const [log] = (await db.collection('AuditLogs').get()).docs.map(doc => doc.data());
+    assert.equal(log.userId, 'system');
+  });
+});
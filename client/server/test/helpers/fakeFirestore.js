@@ -0,0 +1,194 @@
+// Minimal in-memory stand-in for the firebase-admin Firestore API used by the
+// server modules under test. Transactions run one at a time, which gives the
+// same isolation Firestore's optimistic retries provide.
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'in': (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class FakeDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(field) {
+    return this._data?.[field];
+  }
+}
+
+class FakeQuery {
+  constructor(db, path, { filters = [], orders = [], max = null, after = null } = {}) {
+    this.db = db;
+    this.path = path;
+    this.filters = filters;
+    this.orders = orders;
+    this.max = max;
+    this.after = after;
+  }
+
+  with(changes) {
+    return new FakeQuery(this.db, this.path, {
+      filters: this.filters,
+      orders: this.orders,
+      max: this.max,
+      after: this.after,
+      ...changes
+    });
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.orders, { field, direction }] });
+  }
+
+  limit(max) {
+    return this.with({ max });
+  }
+
+  // Cursor from a document snapshot of a previous page
+  startAfter(snapshot) {
+    return this.with({ after: snapshot.id });
+  }
+
+  async get() {
+    let docs = this.db.documentsIn(this.path)
+      .filter(({ data }) => this.filters.every(({ field, op, value }) =>
+        data[field] !== undefined && OPERATORS[op](data[field], value)));
+
+    for (const { field, direction } of [...this.orders].reverse()) {
+      docs = docs.slice().sort((a, b) =>
+        compare(a.data[field], b.data[field]) * (direction === 'desc' ? -1 : 1));
+    }
+    if (this.after !== null) docs = docs.slice(docs.findIndex(({ id }) => id === this.after) + 1);
+    if (this.max !== null) docs = docs.slice(0, this.max);
+
+    const snapshots = docs.map(({ id, data }) => new FakeDocumentSnapshot(this.db.doc(`${this.path}/${id}`), clone(data)));
+    return { docs: snapshots, empty: snapshots.length === 0, size: snapshots.length };
+  }
+}
+
+class FakeCollectionReference extends FakeQuery {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = `auto-${++this.db.autoId}`) {
+    return this.db.doc(`${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class FakeDocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return this.db.collection(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new FakeDocumentSnapshot(this, clone(this.db.store.get(this.path)));
+  }
+
+  async set(data, { merge = false } = {}) {
+    const current = merge ? this.db.store.get(this.path) || {} : {};
+    this.db.store.set(this.path, { ...current, ...clone(data) });
+  }
+
+  async update(data) {
+    if (!this.db.store.has(this.path)) {
+      throw new Error(`No document to update: ${this.path}`);
+    }
+    this.db.store.set(this.path, { ...this.db.store.get(this.path), ...clone(data) });
+  }
+
+  async delete() {
+    this.db.store.delete(this.path);
+  }
+}
+
+class FakeFirestore {
+  constructor(documents = {}) {
+    this.store = new Map();
+    this.autoId = 0;
+    this.queue = Promise.resolve();
+    Object.entries(documents).forEach(([path, data]) => this.store.set(path, clone(data)));
+  }
+
+  collection(path) {
+    return new FakeCollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new FakeDocumentReference(this, path);
+  }
+
+  // Documents directly inside a collection path
+  documentsIn(path) {
+    const depth = path.split('/').length + 1;
+    return [...this.store.entries()]
+      .filter(([docPath]) => docPath.startsWith(`${path}/`) && docPath.split('/').length === depth)
+      .map(([docPath, data]) => ({ id: docPath.split('/').pop(), data }));
+  }
+
+  // Plain data of a document, for assertions
+  data(path) {
+    return clone(this.store.get(path));
+  }
+
+  runTransaction(updateFunction) {
+    const run = this.queue.then(async () => {
+      const writes = [];
+      const transaction = {
+        get: refOrQuery => refOrQuery.get(),
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        delete: ref => writes.push(() => ref.delete())
+      };
+
+      const result = await updateFunction(transaction);
+      for (const write of writes) await write();
+      return result;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = { FakeFirestore };
@@ -0,0 +1,66 @@
+const http = require('http');
+
+// Local stand-in for the PayMongo REST API. Point PaymongoClient's baseUrl at
+// `stub.baseUrl`; every request is recorded in `stub.requests`.
+//   stub.checkoutSessions[id] = session resource returned by GET /checkout_sessions/:id
+//   stub.failRefunds = { status, detail } makes POST /refunds fail
+//   stub.refundDelayMs delays POST /refunds responses
+async function startPaymongoStub() {
+  const stub = {
+    requests: [],
+    checkoutSessions: {},
+    failRefunds: null,
+    refundDelayMs: 0,
+    refundCount: 0
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      stub.requests.push({ method: req.method, path: req.url, body, authorization: req.headers.authorization });
+
+      if (req.method === 'POST' && req.url === '/refunds') {
+        if (stub.refundDelayMs) {
+          await new Promise(resolve => setTimeout(resolve, stub.refundDelayMs));
+        }
+        if (stub.failRefunds) {
+          return send(res, stub.failRefunds.status, { errors: [{ code: 'parameter_invalid', detail: stub.failRefunds.detail }] });
+        }
+
+        const attributes = body.data.attributes;
+        stub.refundCount += 1;
+        return send(res, 200, {
+          data: {
+            id: `ref_${stub.refundCount}`,
+            type: 'refund',
+            attributes: { ...attributes, status: 'pending' }
+          }
+        });
+      }
+
+      const sessionMatch = req.method === 'GET' && req.url.match(/^\/checkout_sessions\/([^/?]+)$/);
+      if (sessionMatch) {
+        const session = stub.checkoutSessions[decodeURIComponent(sessionMatch[1])];
+        return session
+          ? send(res, 200, { data: session })
+          : send(res, 404, { errors: [{ code: 'resource_not_found', detail: 'No such checkout_session' }] });
+      }
+
+      send(res, 404, { errors: [{ code: 'route_not_found', detail: `${req.method} ${req.url}` }] });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise(resolve => server.close(resolve));
+  return stub;
+}
+
+module.exports = { startPaymongoStub };
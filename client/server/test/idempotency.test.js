@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FirestoreIdempotencyStore } = require('../idempotency');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test.describe('FirestoreIdempotencyStore', () => {
+  let db;
+  let store;
+
+  const keyCount = async () => (await db.collection('idempotencyKeys').get()).size;
+
+  test.beforeEach(() => {
+    db = new FakeFirestore();
+    store = new FirestoreIdempotencyStore(db);
+  });
+
+  test('replays a completed response for the same key and body', async () => {
+    assert.deepEqual(await store.begin('POST:/api/x:k1', 'body-a', HOUR_MS), { state: 'new' });
+    await store.complete('POST:/api/x:k1', { statusCode: 200, body: { ok: true } });
+
+    assert.deepEqual(await store.begin('POST:/api/x:k1', 'body-a', HOUR_MS), {
+      state: 'completed',
+      response: { statusCode: 200, body: { ok: true } }
+    });
+    assert.deepEqual(await store.begin('POST:/api/x:k1', 'body-b', HOUR_MS), { state: 'mismatch' });
+  });
+
+  test('overwrites an expired key that is used again', async () => {
+    await store.begin('POST:/api/x:k1', 'body-a', -1);
+    await store.complete('POST:/api/x:k1', { statusCode: 200, body: { ok: true } });
+
+    assert.deepEqual(await store.begin('POST:/api/x:k1', 'body-b', HOUR_MS), { state: 'new' });
+    assert.equal(await keyCount(), 1);
+  });
+
+  test('deletes expired keys that are never used again', async () => {
+    await store.begin('POST:/api/x:old', 'body-a', -1);
+    await store.begin('POST:/api/x:current', 'body-a', HOUR_MS);
+    assert.equal(await keyCount(), 2);
+
+    const deleted = await store.prune(Date.now() + 2 * 60 * 1000);
+
+    assert.equal(deleted, 1);
+    assert.equal(await keyCount(), 1);
+  });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { streamBookingStatus } = require('../paymentEvents');
+
+// Firestore stand-in whose document listener delivers one snapshot,
+// asynchronously like the real listener
+function dbWithSnapshot(snapshot) {
+  const db = { unsubscribed: false };
+  db.collection = () => ({
+    doc: () => ({
+      onSnapshot: (next) => {
+        setImmediate(() => next(snapshot));
+        return () => { db.unsubscribed = true; };
+      }
+    })
+  });
+  return db;
+}
+
+function sseRequest(sessionId) {
+  const req = new EventEmitter();
+  req.params = { sessionId };
+  req.query = {};
+  req.get = () => undefined;
+
+  const res = {
+    chunks: [],
+    ended: false,
+    set() {},
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; }
+  };
+  return { req, res };
+}
+
+test.describe('streamBookingStatus', () => {
+  test('sends the current status', async () => {
+    const { req, res } = sseRequest('BGO-1');
+    const db = dbWithSnapshot({
+      exists: true,
+      data: () => ({ statusHistory: [{ status: 'Pending' }, { status: 'Paid', source: 'webhook' }] })
+    });
+
+    streamBookingStatus(req, res, { db });
+    await new Promise(setImmediate);
+    req.emit('close');
+
+    const output = res.chunks.join('');
+    assert.match(output, /id: 1\nevent: status\n/);
+    assert.match(output, /"status":"Paid"/);
+    assert.equal(res.ended, false);
+  });
+
+  test('ends the stream with a stream-error event for an unknown booking', async () => {
+    const { req, res } = sseRequest('BGO-404');
+    const db = dbWithSnapshot({ exists: false });
+
+    streamBookingStatus(req, res, { db });
+    await new Promise(setImmediate);
+
+    const output = res.chunks.join('');
+    assert.match(output, /event: stream-error\n/);
+    assert.match(output, /BOOKING_NOT_FOUND/);
+    assert.doesNotMatch(output, /event: error\n/);
+    assert.equal(res.ended, true);
+    assert.equal(db.unsubscribed, true);
+  });
+});
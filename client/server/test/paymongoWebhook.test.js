@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { WebhookEventStore, verifyWebhookSignature } = require('../paymongoWebhook');
+const { createOpenApiValidator } = require('../openapiValidator');
+const openApiSpec = require('../openapi');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+
+const SECRET = 'whsk_test_secret';
+const NOW = 1741600000;
+const MINUTE_MS = 60 * 1000;
+
+function eventBody(livemode) {
+  return JSON.stringify({ data: { id: 'evt_1', attributes: { type: 'checkout_session.payment.paid', livemode } } });
+}
+
+function sign(body, timestamp = NOW, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+}
+
+test.describe('verifyWebhookSignature', () => {
+  const verify = (body, header) => verifyWebhookSignature(Buffer.from(body), header, SECRET, { now: NOW });
+
+  test('accepts a test-mode event signed in te', () => {
+    const body = eventBody(false);
+    assert.deepEqual(verify(body, `t=${NOW},te=${sign(body)},li=`), { valid: true });
+  });
+
+  test('accepts a live-mode event signed in li', () => {
+    const body = eventBody(true);
+    assert.deepEqual(verify(body, `t=${NOW},te=,li=${sign(body)}`), { valid: true });
+  });
+
+  test('rejects a timestamp outside the tolerance', () => {
+    const body = eventBody(false);
+    const stale = NOW - 301;
+    const result = verify(body, `t=${stale},te=${sign(body, stale)},li=`);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /tolerance/);
+  });
+
+  test('rejects a signature sent for the other mode', () => {
+    const body = eventBody(true);
+    assert.equal(verify(body, `t=${NOW},te=${sign(body)},li=`).valid, false);
+  });
+
+  test('rejects a tampered body or signature', () => {
+    const body = eventBody(false);
+    const signature = sign(body);
+    const tampered = body.replace('evt_1', 'evt_2');
+    assert.equal(verify(tampered, `t=${NOW},te=${signature},li=`).reason, 'Signature mismatch');
+    assert.equal(verify(body, `t=${NOW},te=${sign(body, NOW, 'whsk_other')},li=`).reason, 'Signature mismatch');
+  });
+
+  test('rejects a missing header', () => {
+    assert.equal(verify(eventBody(false), undefined).valid, false);
+  });
+
+  test('a missing header reaches the route instead of failing request validation', () => {
+    const validate = createOpenApiValidator(openApiSpec)('paymongoWebhook');
+    let passed = false;
+    const req = { get: () => undefined, body: Buffer.from(eventBody(false)) };
+    const res = { status: () => res, json: () => res };
+
+    validate(req, res, () => { passed = true; });
+    assert.equal(passed, true);
+  });
+});
+
+test.describe('WebhookEventStore', () => {
+  let db;
+  let store;
+  const start = Date.parse('2025-03-10T08:00:00Z');
+
+  test.beforeEach(() => {
+    db = new FakeFirestore();
+    store = new WebhookEventStore(db, { leaseMs: 2 * MINUTE_MS });
+  });
+
+  test('a processed event is not claimed again', async () => {
+    assert.equal(await store.claim('evt_1', 'payment.paid', start), true);
+    await store.markProcessed('evt_1');
+
+    assert.equal(await store.claim('evt_1', 'payment.paid', start + 10 * MINUTE_MS), false);
+  });
+
+  test('an event being processed is not claimed until its lease expires', async () => {
+    assert.equal(await store.claim('evt_1', 'payment.paid', start), true);
+    assert.equal(await store.claim('evt_1', 'payment.paid', start + MINUTE_MS), false);
+
+    assert.equal(await store.claim('evt_1', 'payment.paid', start + 3 * MINUTE_MS), true);
+    const event = db.data('paymongoWebhookEvents/evt_1');
+    assert.equal(event.attempts, 2);
+    assert.equal(event.receivedAt, new Date(start).toISOString());
+  });
+
+  test('a failed event can be claimed by the next retry', async () => {
+    await store.claim('evt_1', 'payment.paid', start);
+    await store.markFailed('evt_1', new Error('boom'));
+
+    assert.equal(await store.claim('evt_1', 'payment.paid', start + MINUTE_MS), true);
+  });
+});
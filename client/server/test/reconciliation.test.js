@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BookingRepository } = require('../bookingRepository');
+const { PaymongoClient } = require('../paymongoClient');
+const { PaymentReconciler, reconcileBackoffMinutes } = require('../reconciliation');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+const { startPaymongoStub } = require('./helpers/paymongoStub');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR_MS).toISOString();
+}
+
+function processingBooking(sessionId, hours, overrides = {}) {
+  return {
+    sessionId,
+    status: 'Processing Payment',
+    paymongoSessionId: `cs_${sessionId}`,
+    billingInfo: { amount: 250, currency: 'PHP' },
+    createdAt: hoursAgo(hours),
+    updatedAt: hoursAgo(hours),
+    statusHistory: [],
+    ...overrides
+  };
+}
+
+function checkoutSession(id, status, payments = []) {
+  return { id, type: 'checkout_session', attributes: { status, payments } };
+}
+
+test.describe('PaymentReconciler', () => {
+  let stub;
+  let db;
+  let bookings;
+  let paid;
+
+  const reconciler = () => new PaymentReconciler({
+    bookings,
+    paymongo: new PaymongoClient({ secretKey: 'sk_test_stub', baseUrl: stub.baseUrl }),
+    db,
+    staleAfterMinutes: 15,
+    onPaid: async booking => { paid.push(booking.sessionId); }
+  });
+
+  const logEntries = async () => (await db.collection('paymentReconciliationLogs').get()).docs.map(doc => doc.data());
+
+  test.before(async () => {
+    stub = await startPaymongoStub();
+  });
+
+  test.after(() => stub.close());
+
+  test.beforeEach(() => {
+    stub.requests = [];
+    stub.checkoutSessions = {};
+    db = new FakeFirestore();
+    bookings = new BookingRepository(db);
+    paid = [];
+  });
+
+  test('settles a booking whose checkout session was paid', async () => {
+    await db.doc('paymentBookings/BGO-1').set(processingBooking('BGO-1', 2));
+    stub.checkoutSessions['cs_BGO-1'] = checkoutSession('cs_BGO-1', 'active', [
+      { id: 'pay_1', attributes: { status: 'paid' } }
+    ]);
+
+    const result = await reconciler().run();
+
+    assert.equal(result.checked, 1);
+    const booking = db.data('paymentBookings/BGO-1');
+    assert.equal(booking.status, 'Paid');
+    assert.equal(booking.paymongoPaymentId, 'pay_1');
+    assert.equal(booking.nextReconcileAt, undefined);
+    assert.deepEqual(paid, ['BGO-1']);
+
+    const [entry] = await logEntries();
+    assert.equal(entry.type, 'status_mismatch');
+    assert.equal(entry.resolved, true);
+    assert.equal(entry.resolvedTo, 'Paid');
+  });
+
+  test('marks expired checkout sessions as Payment Expired', async () => {
+    await db.doc('paymentBookings/BGO-1').set(processingBooking('BGO-1', 2));
+    stub.checkoutSessions['cs_BGO-1'] = checkoutSession('cs_BGO-1', 'expired');
+
+    await reconciler().run();
+
+    assert.equal(db.data('paymentBookings/BGO-1').status, 'Payment Expired');
+    assert.deepEqual(paid, []);
+  });
+
+  test('backs off bookings whose checkout session is still open', async () => {
+    await db.doc('paymentBookings/BGO-1').set(processingBooking('BGO-1', 2));
+    stub.checkoutSessions['cs_BGO-1'] = checkoutSession('cs_BGO-1', 'active');
+    const { updatedAt } = db.data('paymentBookings/BGO-1');
+
+    const first = await reconciler().run();
+    assert.equal(first.checked, 1);
+    assert.deepEqual(first.discrepancies, []);
+
+    const booking = db.data('paymentBookings/BGO-1');
+    assert.equal(booking.status, 'Processing Payment');
+    assert.equal(booking.reconcileAttempts, 1);
+    assert.ok(booking.nextReconcileAt > new Date().toISOString());
+    assert.equal(booking.updatedAt, updatedAt);
+    assert.ok(booking.lastReconciledAt);
+
+    const second = await reconciler().run();
+    assert.equal(second.checked, 0);
+    assert.equal(stub.requests.length, 1);
+  });
+
+  test('bookings in backoff do not block newer stale bookings', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await db.doc(`paymentBookings/OLD-${i}`).set(processingBooking(`OLD-${i}`, 10 + i, { paymongoSessionId: null }));
+    }
+    await db.doc('paymentBookings/NEW-1').set(processingBooking('NEW-1', 1));
+    stub.checkoutSessions['cs_NEW-1'] = checkoutSession('cs_NEW-1', 'expired');
+
+    const first = await reconciler().run({ limit: 3 });
+    assert.equal(first.checked, 3);
+    assert.equal(db.data('paymentBookings/NEW-1').status, 'Processing Payment');
+
+    const second = await reconciler().run({ limit: 3 });
+    assert.equal(second.checked, 1);
+    assert.equal(db.data('paymentBookings/NEW-1').status, 'Payment Expired');
+  });
+
+  test('repeated discrepancies update one log entry', async () => {
+    await db.doc('paymentBookings/BGO-1').set(processingBooking('BGO-1', 2, { paymongoSessionId: 'cs_missing' }));
+
+    await reconciler().run();
+    // Make the booking due again, as if the backoff had passed
+    await db.doc('paymentBookings/BGO-1').update({ nextReconcileAt: hoursAgo(1) });
+    await reconciler().run();
+
+    const entries = await logEntries();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].type, 'lookup_failed');
+    assert.equal(entries[0].occurrences, 2);
+    assert.equal(entries[0].resolved, false);
+    assert.ok(entries[0].lastDetectedAt >= entries[0].detectedAt);
+    assert.equal(db.data('paymentBookings/BGO-1').reconcileAttempts, 2);
+  });
+
+  test('backoff doubles from the stale threshold up to a day', () => {
+    assert.equal(reconcileBackoffMinutes(1, 15), 15);
+    assert.equal(reconcileBackoffMinutes(3, 15), 60);
+    assert.equal(reconcileBackoffMinutes(20, 15), 24 * 60);
+  });
+});
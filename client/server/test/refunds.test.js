@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BookingRepository } = require('../bookingRepository');
+const { PaymongoClient } = require('../paymongoClient');
+const { RefundService } = require('../refunds');
+const { FakeFirestore } = require('./helpers/fakeFirestore');
+const { startPaymongoStub } = require('./helpers/paymongoStub');
+
+const ADMIN = { uid: 'admin-1', email: 'admin@bgo.test' };
+
+function paidBooking(overrides = {}) {
+  return {
+    sessionId: 'BGO-1',
+    status: 'Paid',
+    paymongoPaymentId: 'pay_123',
+    reservationId: 'res-1',
+    billingInfo: { amount: 500, currency: 'PHP' },
+    statusHistory: [],
+    ...overrides
+  };
+}
+
+test.describe('RefundService', () => {
+  let stub;
+  let db;
+  let bookings;
+  let refunds;
+
+  test.before(async () => {
+    stub = await startPaymongoStub();
+  });
+
+  test.after(() => stub.close());
+
+  test.beforeEach(() => {
+    stub.requests = [];
+    stub.failRefunds = null;
+    stub.refundDelayMs = 0;
+    db = new FakeFirestore({
+      'paymentBookings/BGO-1': paidBooking(),
+      'reservations/res-1': { status: 'cancelled' }
+    });
+    bookings = new BookingRepository(db);
+    refunds = new RefundService({
+      bookings,
+      paymongo: new PaymongoClient({ secretKey: 'sk_test_stub', baseUrl: stub.baseUrl }),
+      db
+    });
+  });
+
+  test('refunds the full remaining balance when no amount is given', async () => {
+    const result = await refunds.requestRefund({ sessionId: 'BGO-1', reason: 'requested_by_customer', requestedBy: ADMIN });
+
+    assert.equal(stub.requests.length, 1);
+    const sent = stub.requests[0].body.data.attributes;
+    assert.equal(sent.payment_id, 'pay_123');
+    assert.equal(sent.amount, 50000);
+    assert.equal(sent.metadata.booking_id, 'BGO-1');
+    assert.equal(sent.metadata.refund_request_id, result.refund.requestId);
+
+    assert.equal(result.refund.refundId, 'ref_1');
+    assert.equal(result.refund.status, 'pending');
+    assert.equal(result.refundableBalance, 0);
+    assert.equal(result.booking.status, 'Refund Pending');
+
+    const reservation = db.data('reservations/res-1');
+    assert.equal(reservation.refundStatus, 'Refund Pending');
+    assert.deepEqual(reservation.refunds.map(refund => refund.refundId), ['ref_1']);
+  });
+
+  test('refunds part of the amount and keeps the rest refundable', async () => {
+    const first = await refunds.requestRefund({ sessionId: 'BGO-1', amount: 120.5, reason: 'others', requestedBy: ADMIN });
+    assert.equal(stub.requests[0].body.data.attributes.amount, 12050);
+    assert.equal(first.refundableBalance, 379.5);
+
+    const second = await refunds.requestRefund({ sessionId: 'BGO-1', reason: 'others', requestedBy: ADMIN });
+    assert.equal(stub.requests[1].body.data.attributes.amount, 37950);
+    assert.equal(second.refundableBalance, 0);
+
+    await assert.rejects(
+      refunds.requestRefund({ sessionId: 'BGO-1', amount: 1, reason: 'others', requestedBy: ADMIN }),
+      { code: 'REFUND_EXCEEDS_BALANCE' }
+    );
+    assert.equal(stub.requests.length, 2);
+  });
+
+  test('concurrent partial refunds cannot go past the paid amount', async () => {
+    stub.refundDelayMs = 50;
+
+    const results = await Promise.allSettled([
+      refunds.requestRefund({ sessionId: 'BGO-1', amount: 300, reason: 'others', requestedBy: ADMIN }),
+      refunds.requestRefund({ sessionId: 'BGO-1', amount: 300, reason: 'others', requestedBy: ADMIN })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'REFUND_EXCEEDS_BALANCE');
+    assert.equal(stub.requests.length, 1);
+
+    const booking = db.data('paymentBookings/BGO-1');
+    assert.equal(booking.refunds.length, 1);
+    assert.equal(booking.refunds[0].amount, 30000);
+  });
+
+  test('releases the reserved amount when PayMongo rejects the refund', async () => {
+    stub.failRefunds = { status: 400, detail: 'Payment is not refundable' };
+
+    await assert.rejects(
+      refunds.requestRefund({ sessionId: 'BGO-1', amount: 100, reason: 'others', requestedBy: ADMIN }),
+      { name: 'PaymongoError', status: 400 }
+    );
+
+    const booking = db.data('paymentBookings/BGO-1');
+    assert.equal(booking.refunds[0].status, 'failed');
+    assert.equal(booking.refunds[0].error, 'Payment is not refundable');
+    assert.equal(booking.status, 'Paid');
+
+    stub.failRefunds = null;
+    const retry = await refunds.requestRefund({ sessionId: 'BGO-1', reason: 'others', requestedBy: ADMIN });
+    assert.equal(stub.requests[1].body.data.attributes.amount, 50000);
+    assert.equal(retry.refundableBalance, 0);
+  });
+
+  test('rejects bookings that were not paid through PayMongo', async () => {
+    await db.doc('paymentBookings/BGO-1').set(paidBooking({ status: 'Processing Payment' }));
+
+    await assert.rejects(
+      refunds.requestRefund({ sessionId: 'BGO-1', reason: 'others', requestedBy: ADMIN }),
+      { code: 'BOOKING_NOT_REFUNDABLE' }
+    );
+    await assert.rejects(
+      refunds.requestRefund({ sessionId: 'BGO-404', reason: 'others', requestedBy: ADMIN }),
+      { code: 'BOOKING_NOT_FOUND' }
+    );
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('payment.refund.updated settles a single refund', async () => {
+    const { refund } = await refunds.requestRefund({ sessionId: 'BGO-1', amount: 200, reason: 'others', requestedBy: ADMIN });
+
+    const booking = await refunds.applyWebhook({
+      id: refund.refundId,
+      type: 'refund',
+      attributes: { status: 'succeeded', payment_id: 'pay_123', metadata: { booking_id: 'BGO-1' } }
+    });
+
+    assert.equal(booking.refunds[0].status, 'succeeded');
+    assert.equal(booking.status, 'Partially Refunded');
+    assert.equal(db.data('reservations/res-1').refundedAmount, 200);
+  });
+
+  test('payment.refund.updated finds the booking by payment ID and marks a full refund as Refunded', async () => {
+    const { refund } = await refunds.requestRefund({ sessionId: 'BGO-1', reason: 'others', requestedBy: ADMIN });
+
+    const booking = await refunds.applyWebhook({
+      id: refund.refundId,
+      type: 'refund',
+      attributes: { status: 'succeeded', payment_id: 'pay_123' }
+    });
+
+    assert.equal(booking.status, 'Refunded');
+    const history = db.data('paymentBookings/BGO-1').statusHistory.map(entry => entry.status);
+    assert.deepEqual(history, ['Refund Pending', 'Refunded']);
+  });
+
+  test('payment.refund.updated that arrives before the refund ID is stored matches on the request ID', async () => {
+    await db.doc('paymentBookings/BGO-1').update({
+      status: 'Refund Pending',
+      refunds: [{ requestId: 'req-1', refundId: null, amount: 50000, reason: 'others', status: 'requested' }]
+    });
+
+    const booking = await refunds.applyWebhook({
+      id: 'ref_9',
+      type: 'refund',
+      attributes: { status: 'succeeded', payment_id: 'pay_123', metadata: { booking_id: 'BGO-1', refund_request_id: 'req-1' } }
+    });
+    assert.equal(booking.refunds[0].refundId, 'ref_9');
+    assert.equal(booking.status, 'Refunded');
+
+    // The late PayMongo response must not move the refund back to pending
+    const settled = await refunds.settleRequest('BGO-1', 'req-1', { refundId: 'ref_9', status: 'pending' }, 'late response');
+    assert.equal(settled.refunds[0].status, 'succeeded');
+  });
+
+  test('payment.refunded applies the refund statuses attached to the payment', async () => {
+    const first = await refunds.requestRefund({ sessionId: 'BGO-1', amount: 100, reason: 'others', requestedBy: ADMIN });
+    const second = await refunds.requestRefund({ sessionId: 'BGO-1', amount: 50, reason: 'others', requestedBy: ADMIN });
+
+    const booking = await refunds.applyWebhook({
+      id: 'pay_123',
+      type: 'payment',
+      attributes: {
+        refunds: [
+          { id: first.refund.refundId, attributes: { status: 'succeeded' } },
+          { id: second.refund.refundId, attributes: { status: 'failed' } }
+        ]
+      }
+    });
+
+    assert.deepEqual(booking.refunds.map(refund => refund.status), ['succeeded', 'failed']);
+    assert.equal(booking.status, 'Partially Refunded');
+  });
+
+  test('a bare payment.refunded event settles pending refunds', async () => {
+    await refunds.requestRefund({ sessionId: 'BGO-1', reason: 'others', requestedBy: ADMIN });
+
+    const booking = await refunds.applyWebhook({ id: 'pay_123', type: 'payment', attributes: {} });
+
+    assert.equal(booking.refunds[0].status, 'succeeded');
+    assert.equal(booking.status, 'Refunded');
+  });
+
+  test('refund webhooks for unknown payments are ignored', async () => {
+    const booking = await refunds.applyWebhook({ id: 'ref_x', type: 'refund', attributes: { status: 'succeeded', payment_id: 'pay_unknown' } });
+    assert.equal(booking, null);
+  });
+});
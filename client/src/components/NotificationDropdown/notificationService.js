@@ -1,5 +1,6 @@
 import { collection, query, orderBy, onSnapshot, where, limit, doc, getDoc } from "firebase/firestore";
 import { db } from "/src/firebase/firebase.js";
+import { busIssues } from "/src/pages/buses/BusMaintenance.js";
 
 // Listen to SOS requests for notifications
 export const listenToSOSNotifications = (callback) => {
@@ -158,6 +159,70 @@ export const listenToIDVerificationNotifications = (callback) => {
   });
 };
 
+// Listen to off-route alerts raised by the server route monitor
+export const listenToRouteAlertNotifications = (callback) => {
+  const q = query(
+    collection(db, "routeAlerts"),
+    orderBy("raisedAt", "desc"),
+    limit(10)
+  );
+
+  return onSnapshot(q, (querySnapshot) => {
+    const notifications = [];
+    querySnapshot.forEach((doc) => {
+      const data = doc.data();
+
+      // Acknowledged or resolved alerts drop out of the notifications
+      if (data.status === 'active') {
+        notifications.push({
+          id: `route_alert_${doc.id}`,
+          title: `Bus Off Route - Bus ${data.busNumber || 'N/A'}`,
+          message: `${data.conductorName || 'Conductor'} is ${data.distanceFromRouteMeters || 0}m outside the ${data.corridorName || data.route} corridor`,
+          type: 'warning',
+          timestamp: data.raisedAt?.seconds ? new Date(data.raisedAt.seconds * 1000) : new Date(),
+          read: false,
+          category: 'route_alert',
+          sourceId: doc.id,
+          sourceData: data
+        });
+      }
+    });
+
+    callback(notifications);
+  });
+};
+
+// Listen to expiring papers and due maintenance in the bus fleet
+export const listenToBusReminderNotifications = (callback) => {
+  return onSnapshot(collection(db, "buses"), (querySnapshot) => {
+    const notifications = [];
+    const now = new Date();
+    querySnapshot.forEach((doc) => {
+      const data = doc.data();
+
+      // Buses without any service logged are only flagged on the fleet page
+      busIssues(data, now)
+        .filter(issue => issue.status !== 'unlogged')
+        .forEach(issue => {
+          notifications.push({
+            id: `bus_reminder_${doc.id}_${issue.key}`,
+            title: `${issue.blocking ? 'Bus Blocked' : 'Bus Reminder'} - ${data.plateNumber}`,
+            message: issue.message,
+            type: issue.blocking ? 'error' : 'warning',
+            // Upcoming dates sort as new; past ones by when they lapsed
+            timestamp: issue.date && issue.date < now ? issue.date : now,
+            read: false,
+            category: 'bus_reminder',
+            sourceId: doc.id,
+            sourceData: data
+          });
+        });
+    });
+
+    callback(notifications);
+  });
+};
+
 // Combined notification listener
 export const listenToAllNotifications = (callback) => {
   const notifications = [];
@@ -165,11 +230,13 @@ export const listenToAllNotifications = (callback) => {
   let reservationNotifications = [];
   let receiptNotifications = [];
   let idVerificationNotifications = [];
+  let routeAlertNotifications = [];
+  let busReminderNotifications = [];
 
   // Listen to SOS notifications
   const unsubscribeSOS = listenToSOSNotifications((sosNotifs) => {
     sosNotifications = sosNotifs;
-    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications];
+    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications, ...routeAlertNotifications, ...busReminderNotifications];
 
     // Sort by timestamp (newest first)
     allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -180,7 +247,7 @@ export const listenToAllNotifications = (callback) => {
   // Listen to reservation notifications
   const unsubscribeReservations = listenToReservationNotifications((reservationNotifs) => {
     reservationNotifications = reservationNotifs;
-    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications];
+    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications, ...routeAlertNotifications, ...busReminderNotifications];
 
     // Sort by timestamp (newest first)
     allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -191,7 +258,7 @@ export const listenToAllNotifications = (callback) => {
   // Listen to receipt upload notifications
   const unsubscribeReceipts = listenToReceiptUploadNotifications((receiptNotifs) => {
     receiptNotifications = receiptNotifs;
-    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications];
+    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications, ...routeAlertNotifications, ...busReminderNotifications];
 
     // Sort by timestamp (newest first)
     allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -202,7 +269,29 @@ export const listenToAllNotifications = (callback) => {
   // Listen to ID verification notifications
   const unsubscribeIDVerifications = listenToIDVerificationNotifications((idVerificationNotifs) => {
     idVerificationNotifications = idVerificationNotifs;
-    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications];
+    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications, ...routeAlertNotifications, ...busReminderNotifications];
+
+    // Sort by timestamp (newest first)
+    allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    callback(allNotifications);
+  });
+
+  // Listen to off-route alerts
+  const unsubscribeRouteAlerts = listenToRouteAlertNotifications((routeAlertNotifs) => {
+    routeAlertNotifications = routeAlertNotifs;
+    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications, ...routeAlertNotifications, ...busReminderNotifications];
+
+    // Sort by timestamp (newest first)
+    allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    callback(allNotifications);
+  });
+
+  // Listen to bus paper and maintenance reminders
+  const unsubscribeBusReminders = listenToBusReminderNotifications((busReminderNotifs) => {
+    busReminderNotifications = busReminderNotifs;
+    const allNotifications = [...sosNotifications, ...reservationNotifications, ...receiptNotifications, ...idVerificationNotifications, ...routeAlertNotifications, ...busReminderNotifications];
 
     // Sort by timestamp (newest first)
     allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -216,6 +305,8 @@ export const listenToAllNotifications = (callback) => {
     unsubscribeReservations();
     unsubscribeReceipts();
     unsubscribeIDVerifications();
+    unsubscribeRouteAlerts();
+    unsubscribeBusReminders();
   };
 };
 
@@ -260,6 +351,16 @@ export const handleNotificationClick = (notification, navigate) => {
       navigate('/admin/payments');
       break;
 
+    case 'route_alert':
+      // Show the bus on the live fleet map
+      navigate(`/admin/conductor?view=map&conductorId=${notification.sourceData?.conductorId || ''}`);
+      break;
+
+    case 'bus_reminder':
+      // Open the bus on the fleet page
+      navigate(`/admin/buses?busId=${notification.sourceId}`);
+      break;
+
     default:
       console.warn(`Unknown notification category: ${notification.category}`);
       break;
@@ -273,6 +374,8 @@ export const getNotificationCountByCategory = (notifications) => {
     sos: 0,
     reservation: 0,
     receipt: 0,
+    route_alert: 0,
+    bus_reminder: 0,
     total: 0
   };
 
@@ -35,10 +35,18 @@ const Layout = () => {
         return "Bus Reservation";
       case "/admin/conductor":
         return "Conductor & Bus";
+      case "/admin/buses":
+        return "Bus Fleet";
+      case "/admin/attendance":
+        return "Attendance";
       case "/admin/verification":
         return "ID Verification";
       case "/admin/schedules":
         return "Trip Schedules";
+      case "/admin/routes":
+        return "Routes & Stops";
+      case "/admin/fares":
+        return "Fare Matrix";
       case "/admin/user":
         return "User Management";
       case "/admin/ticketing":
@@ -55,6 +63,10 @@ const Layout = () => {
         return "Ticket Report";
       case "/admin/reports/user-reports":
         return "User Reports";
+      case "/admin/reports/fare-compliance":
+        return "Fare Compliance Report";
+      case "/admin/reports/conductor-scorecard":
+        return "Conductor Scorecard";
       case "/admin/payments":
         return "Payment Transactions";
       case "/admin/settings":
@@ -16,8 +16,10 @@ import { FaBusSimple } from "react-icons/fa6";
 import { MdConfirmationNumber, MdEventSeat } from "react-icons/md";
 import { TbReportSearch } from "react-icons/tb";
 import { FaChartLine, FaBus, FaUserTie, FaCalendarAlt } from "react-icons/fa";
-import { FaRoute } from "react-icons/fa";
+import { FaRoute, FaMoneyBillWave, FaBalanceScale } from "react-icons/fa";
 import { FaRegUser } from "react-icons/fa";
+import { FaUserClock } from "react-icons/fa";
+import { FaTrophy } from "react-icons/fa";
 import { BsFillTicketDetailedFill } from "react-icons/bs";
 import { FaUserCog } from "react-icons/fa";
 
@@ -45,6 +47,16 @@ const Nav = ({ collapsed, setCollapsed }) => {
       Icon: FaUserCog,
       to: "/admin/reports/user-reports"
     },
+    {
+      title: "Fare Compliance",
+      Icon: FaBalanceScale,
+      to: "/admin/reports/fare-compliance"
+    },
+    {
+      title: "Conductor Scorecard",
+      Icon: FaTrophy,
+      to: "/admin/reports/conductor-scorecard"
+    },
   ];
 
   return (
@@ -67,8 +79,12 @@ const Nav = ({ collapsed, setCollapsed }) => {
       <div className="nav-scroll">
         <NavIcon title="Dashboard" Icon={MdDashboard} to="/admin" collapsed={collapsed} />
         <NavIcon title="Conductor & Bus" Icon={IoTicket} to="/admin/conductor" collapsed={collapsed} />
+        <NavIcon title="Bus Fleet" Icon={FaBus} to="/admin/buses" collapsed={collapsed} />
+        <NavIcon title="Attendance" Icon={FaUserClock} to="/admin/attendance" collapsed={collapsed} />
         <NavIcon title="ID Verification" Icon={MdDomainVerification} to="/admin/verification" collapsed={collapsed} />
         <NavIcon title="Trip Schedules" Icon={GrSchedules} to="/admin/schedules" collapsed={collapsed} />
+        <NavIcon title="Routes & Stops" Icon={FaRoute} to="/admin/routes" collapsed={collapsed} />
+        <NavIcon title="Fare Matrix" Icon={FaMoneyBillWave} to="/admin/fares" collapsed={collapsed} />
         <NavIcon title="User Management" Icon={FaRegUser} to="/admin/user" collapsed={collapsed} />
         <NavIcon title="Ticketing" Icon={BsFillTicketDetailedFill} to="/admin/ticketing" collapsed={collapsed} />
 
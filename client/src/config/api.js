@@ -1,3 +1,43 @@
+import { auth } from '/src/firebase/firebase.js';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
 
+// Calls the B-GO server with the signed-in admin's Firebase ID token.
+// Resolves with the parsed JSON body; rejects with an Error carrying
+// `status`, `code` and `details` from the server's error envelope
+// ({ success: false, error: { code, message, details } }).
+export const authorizedFetch = async (path, options = {}) => {
+  if (!auth.currentUser) {
+    throw new Error('No authenticated user found');
+  }
+
+  const idToken = await auth.currentUser.getIdToken();
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+      Authorization: `Bearer ${idToken}`
+    }
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok) {
+    const error = new Error(data?.error?.message || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = data?.error?.code || null;
+    error.details = data?.error?.details || null;
+    throw error;
+  }
+
+  return data;
+};
+
 export default API_BASE_URL;
@@ -14,12 +14,18 @@ import UserManagement from "/src/pages/UserManagement/UserManagement.jsx";
 import PageTransitionWrapper from "/src/components/PageTransition/PageTransition.jsx";
 import Login from "/src/pages/auth/login.jsx";
 import Conductor from "/src/pages/conductor/conductor.jsx";
+import RouteManagement from "/src/pages/routes/RouteManagement.jsx";
+import FareMatrix from "/src/pages/fares/FareMatrix.jsx";
+import BusFleet from "/src/pages/buses/BusFleet.jsx";
+import Attendance from "/src/pages/attendance/Attendance.jsx";
 
 // Reports components
 import DailyRevenue from "./pages/reports/DailyRevenue/DailyRevenue.jsx";
 import SOSReport from "./pages/reports/SOSReport/SOSReport.jsx";
 import TicketReport from "./pages/reports/TicketReport/TicketReport.jsx";
 import UserReports from "./pages/reports/UserReports/UserReports.jsx";
+import FareCompliance from "./pages/reports/FareCompliance/FareCompliance.jsx";
+import Scorecard from "./pages/reports/Scorecard/Scorecard.jsx";
 
 
 createRoot(document.getElementById("root")).render(
@@ -82,6 +88,38 @@ createRoot(document.getElementById("root")).render(
               </PageTransitionWrapper>
             }
           />
+          <Route
+            path="routes"
+            element={
+              <PageTransitionWrapper>
+                <RouteManagement />
+              </PageTransitionWrapper>
+            }
+          />
+          <Route
+            path="fares"
+            element={
+              <PageTransitionWrapper>
+                <FareMatrix />
+              </PageTransitionWrapper>
+            }
+          />
+          <Route
+            path="buses"
+            element={
+              <PageTransitionWrapper>
+                <BusFleet />
+              </PageTransitionWrapper>
+            }
+          />
+          <Route
+            path="attendance"
+            element={
+              <PageTransitionWrapper>
+                <Attendance />
+              </PageTransitionWrapper>
+            }
+          />
 
           {/* Ticketing route */}
           <Route
@@ -155,6 +193,22 @@ createRoot(document.getElementById("root")).render(
               </PageTransitionWrapper>
             }
           />
+          <Route
+            path="reports/fare-compliance"
+            element={
+              <PageTransitionWrapper>
+                <FareCompliance />
+              </PageTransitionWrapper>
+            }
+          />
+          <Route
+            path="reports/conductor-scorecard"
+            element={
+              <PageTransitionWrapper>
+                <Scorecard />
+              </PageTransitionWrapper>
+            }
+          />
 
           <Route
             path="payments"
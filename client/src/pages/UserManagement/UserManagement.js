@@ -1,8 +1,9 @@
-import { collection, getDocs, doc, deleteDoc, getDoc, setDoc, onSnapshot } from "firebase/firestore";
+import { collection, getDocs, doc, getDoc, setDoc, onSnapshot } from "firebase/firestore";
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInWithEmailAndPassword, deleteUser as deleteAuthUser } from 'firebase/auth';
 import { db } from "/src/firebase/firebase.js";
 import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { authorizedFetch } from '/src/config/api.js';
 
 /**
  * Checks if a user account has been disabled/deleted by admin
@@ -120,7 +121,8 @@ export const fetchUserById = async (userId) => {
 };
 
 /**
- * Deletes a user directly from Firestore (superadmin only).
+ * Deletes a user through the server (superadmin only).
+ * The request carries the admin's ID token; the server re-checks the superadmin role.
  * Note: This only deletes the Firestore profile, NOT the Firebase Auth account.
  * @param {string} userId - The user ID to delete.
  * @param {Object} adminInfo - Current admin information for role checking and logging.
@@ -147,8 +149,10 @@ export const deleteUser = async (userId, adminInfo = null) => {
       : userData.name || userData.displayName || 'Unknown User';
     const userEmail = userData.email || 'No email';
 
-    // Delete the user document from Firestore
-    await deleteDoc(userDocRef);
+    // Delete the user document through the server
+    await authorizedFetch(`/api/users/delete/${encodeURIComponent(userId)}`, {
+      method: 'DELETE'
+    });
 
     // Log the deletion activity
     const cleanUserData = {};
@@ -176,7 +180,7 @@ export const deleteUser = async (userId, adminInfo = null) => {
         adminEmail: adminInfo?.email || 'Unknown Email',
         authDeleted: false,
         deletionType: 'profile-only',
-        deletionMethod: 'client-side',
+        deletionMethod: 'server',
         note: 'Firebase Auth account was not deleted (requires Admin SDK)',
         deletedAt: new Date().toISOString()
       }
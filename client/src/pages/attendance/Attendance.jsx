@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaChevronLeft, FaChevronRight, FaClock, FaUserClock, FaExclamationTriangle, FaHourglassHalf } from 'react-icons/fa';
+import { PiMicrosoftExcelLogoFill } from 'react-icons/pi';
+import {
+  getWeeklyAttendance,
+  exportAttendanceToExcel,
+  formatDuration,
+  LATE_GRACE_MINUTES
+} from './attendanceService.js';
+import './Attendance.css';
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+const formatClock = (time) => new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+const formatScheduled = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`;
+};
+
+function Attendance() {
+  const [weekOf, setWeekOf] = useState(() => new Date());
+  const [attendance, setAttendance] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadAttendance = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setAttendance(await getWeeklyAttendance(weekOf));
+    } catch (error) {
+      console.error('Error loading attendance:', error);
+      setError('Failed to load attendance: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [weekOf]);
+
+  useEffect(() => {
+    loadAttendance();
+  }, [loadAttendance]);
+
+  const shiftWeek = (weeks) => {
+    setWeekOf(current => {
+      const next = new Date(current);
+      next.setDate(next.getDate() + weeks * 7);
+      return next;
+    });
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await exportAttendanceToExcel(attendance);
+    } catch (error) {
+      console.error('Error exporting attendance:', error);
+      alert('Failed to export attendance: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const isCurrentWeek = attendance && Date.now() >= attendance.start.getTime() && Date.now() < attendance.end.getTime();
+  const timesheets = attendance?.timesheets || [];
+  const shifts = attendance?.shifts || [];
+  const selected = timesheets.find(sheet => sheet.conductorId === selectedId) || null;
+  const selectedShifts = shifts.filter(shift => shift.conductorId === selectedId);
+
+  const totalMinutes = timesheets.reduce((sum, sheet) => sum + sheet.minutes, 0);
+  const idleMinutes = timesheets.reduce((sum, sheet) => sum + sheet.idleMinutes, 0);
+  const lateStarts = timesheets.reduce((sum, sheet) => sum + sheet.lateStarts, 0);
+  const onShift = shifts.filter(shift => shift.ongoing).length;
+
+  return (
+    <div className="attendance-container">
+      <div className="attendance-wrapper">
+        <div className="attendance-header">
+          <div className="attendance-header-top">
+            <h1 className="attendance-main-title">Conductor Attendance</h1>
+            <div className="attendance-week-nav">
+              <button type="button" onClick={() => shiftWeek(-1)} disabled={loading} title="Previous week">
+                <FaChevronLeft />
+              </button>
+              <span>
+                {attendance ? `${formatDay(attendance.days[0])} – ${formatDay(attendance.days[6])}` : 'Loading...'}
+              </span>
+              <button type="button" onClick={() => shiftWeek(1)} disabled={loading || isCurrentWeek} title="Next week">
+                <FaChevronRight />
+              </button>
+              {!isCurrentWeek && (
+                <button type="button" className="attendance-today-btn" onClick={() => setWeekOf(new Date())} disabled={loading}>
+                  This week
+                </button>
+              )}
+              <button
+                type="button"
+                className="attendance-export-btn"
+                onClick={handleExport}
+                disabled={loading || exporting || !attendance}
+              >
+                <PiMicrosoftExcelLogoFill /> {exporting ? 'Exporting...' : 'Export for Payroll'}
+              </button>
+            </div>
+          </div>
+
+          <div className="attendance-stats">
+            <div className="attendance-stat-card">
+              <FaClock className="attendance-stat-icon" />
+              <div>
+                <div className="attendance-stat-number">{formatDuration(totalMinutes)}</div>
+                <div className="attendance-stat-label">Hours on shift</div>
+              </div>
+            </div>
+            <div className="attendance-stat-card">
+              <FaHourglassHalf className="attendance-stat-icon" />
+              <div>
+                <div className="attendance-stat-number">{formatDuration(idleMinutes)}</div>
+                <div className="attendance-stat-label">Idle between trips</div>
+              </div>
+            </div>
+            <div className="attendance-stat-card">
+              <FaExclamationTriangle className="attendance-stat-icon" />
+              <div>
+                <div className="attendance-stat-number">{lateStarts}</div>
+                <div className="attendance-stat-label">Late starts</div>
+              </div>
+            </div>
+            {isCurrentWeek && (
+              <div className="attendance-stat-card">
+                <FaUserClock className="attendance-stat-icon" />
+                <div>
+                  <div className="attendance-stat-number">{onShift}</div>
+                  <div className="attendance-stat-label">On shift now</div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="attendance-error">{error}</div>}
+
+        <div className="attendance-panel">
+          <h3>Weekly Timesheet</h3>
+          <p className="attendance-muted">
+            Hours count on the day a shift started. A start more than {LATE_GRACE_MINUTES} minutes after the
+            conductor's first scheduled trip is late.
+          </p>
+
+          {loading ? (
+            <div className="attendance-loading">Loading attendance...</div>
+          ) : timesheets.length === 0 ? (
+            <div className="attendance-empty">No conductors found.</div>
+          ) : (
+            <div className="attendance-table-scroll">
+              <table className="attendance-table">
+                <thead>
+                  <tr>
+                    <th>Conductor</th>
+                    {attendance.days.map(date => <th key={date}>{formatDay(date)}</th>)}
+                    <th>Total</th>
+                    <th>Trips</th>
+                    <th>Idle</th>
+                    <th>Late</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {timesheets.map(sheet => (
+                    <tr
+                      key={sheet.conductorId}
+                      className={sheet.conductorId === selectedId ? 'selected' : ''}
+                      onClick={() => setSelectedId(sheet.conductorId === selectedId ? null : sheet.conductorId)}
+                    >
+                      <td>
+                        <div className="attendance-name">{sheet.conductorName}</div>
+                        {sheet.busNumber !== null && <div className="attendance-muted">Bus {sheet.busNumber}</div>}
+                      </td>
+                      {attendance.days.map(date => {
+                        const day = sheet.days[date];
+                        return (
+                          <td key={date} className={day.lateMinutes > 0 ? 'late' : ''} title={day.lateMinutes > 0 ? `${day.lateMinutes} minutes late` : ''}>
+                            {day.shifts > 0 ? formatDuration(day.minutes) : '—'}
+                          </td>
+                        );
+                      })}
+                      <td className="attendance-total">{formatDuration(sheet.minutes)}</td>
+                      <td>{sheet.trips}</td>
+                      <td>{formatDuration(sheet.idleMinutes)}</td>
+                      <td>{sheet.lateStarts > 0 ? <span className="attendance-late-badge">{sheet.lateStarts}</span> : 0}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {selected && (
+          <div className="attendance-panel">
+            <h3>{selected.conductorName} — Shifts</h3>
+            <p className="attendance-muted">
+              {selected.scheduledStart !== null
+                ? `First scheduled trip: ${formatScheduled(selected.scheduledStart)}`
+                : 'No active trip schedule, so late starts are not checked.'}
+            </p>
+
+            {selectedShifts.length === 0 ? (
+              <div className="attendance-empty">No shifts recorded this week.</div>
+            ) : (
+              <table className="attendance-table attendance-shifts">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Shift</th>
+                    <th>Hours</th>
+                    <th>Trips</th>
+                    <th>Idle</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedShifts.map(shift => (
+                    <tr key={`${shift.conductorId}-${shift.start}`}>
+                      <td>{formatDay(shift.date)}</td>
+                      <td>
+                        {formatClock(shift.start)} – {shift.ongoing ? 'now' : formatClock(shift.end)}
+                        {shift.ongoing && <span className="attendance-flag ongoing">On shift</span>}
+                        {shift.incomplete && !shift.ongoing && (
+                          <span className="attendance-flag" title="The app went online or offline without it being recorded">
+                            Incomplete
+                          </span>
+                        )}
+                      </td>
+                      <td>{formatDuration(shift.minutes)}</td>
+                      <td>
+                        {shift.trips.length === 0 ? '—' : shift.trips.map(trip => (
+                          <div key={trip.start}>
+                            {trip.direction}: {formatClock(trip.start)} – {formatClock(trip.end)}
+                          </div>
+                        ))}
+                      </td>
+                      <td>{formatDuration(shift.idleMinutes)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Attendance;
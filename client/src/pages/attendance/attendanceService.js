@@ -0,0 +1,311 @@
+import * as XLSX from 'xlsx';
+import { collection, getDocs, query, where, orderBy } from 'firebase/firestore';
+import { db } from '/src/firebase/firebase.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { timeToMinutes } from '/src/pages/settings/numberCoding.js';
+
+// ATTENDANCE
+// Shifts are rebuilt from the conductorSessions events the server records
+// (server/shiftRecorder.js): an online event opens a shift, offline closes it,
+// and trip_start/trip_end inside it are the trips. A shift counts on the day
+// it started, even when it runs past midnight.
+const SESSION_EVENTS_COLLECTION = 'conductorSessions';
+const TRIP_SCHEDULES_COLLECTION = 'trip_sched';
+
+// Coming online this long after the first scheduled trip counts as a late start
+export const LATE_GRACE_MINUTES = 10;
+
+const toLocalISODate = (date) => date.toLocaleDateString('en-CA');
+
+// Monday-to-Sunday week containing `date`
+export const weekRange = (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+  const days = Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(start);
+    day.setDate(start.getDate() + index);
+    return toLocalISODate(day);
+  });
+
+  const end = new Date(start);
+  end.setDate(start.getDate() + 7);
+  return { start, end, days };
+};
+
+export const getSessionEvents = async (start, end) => {
+  const snapshot = await getDocs(query(
+    collection(db, SESSION_EVENTS_COLLECTION),
+    where('time', '>=', start.getTime()),
+    where('time', '<', end.getTime()),
+    orderBy('time', 'asc')
+  ));
+  return snapshot.docs.map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() }));
+};
+
+const minutesBetween = (start, end) => Math.max(0, Math.round((end - start) / 60000));
+
+const finishShift = (shift) => {
+  const trips = shift.trips;
+  const tripMinutes = trips.reduce((sum, trip) => sum + minutesBetween(trip.start, trip.end), 0);
+  const idleMinutes = trips.slice(1).reduce((sum, trip, index) => sum + minutesBetween(trips[index].end, trip.start), 0);
+  return { ...shift, minutes: minutesBetween(shift.start, shift.end), tripMinutes, idleMinutes };
+};
+
+// Shifts of every conductor from events sorted by time. Shifts already running
+// when the range starts begin at `rangeStart`; shifts still running when it ends
+// stop at `now` when that falls inside the range, else at their last event.
+// Either kind is flagged `incomplete`; the first also `carriedIn`, the
+// running one `ongoing`.
+export const buildShifts = (events, { rangeStart, rangeEnd, now = Date.now() }) => {
+  const byConductor = new Map();
+  events.forEach(event => {
+    if (!byConductor.has(event.conductorId)) byConductor.set(event.conductorId, []);
+    byConductor.get(event.conductorId).push(event);
+  });
+
+  const shifts = [];
+  byConductor.forEach((conductorEvents, conductorId) => {
+    let shift = null;
+    let trip = null;
+
+    const open = (event, carriedIn) => {
+      shift = {
+        conductorId,
+        conductorName: event.conductorName || conductorId,
+        busNumber: event.busNumber ?? null,
+        date: carriedIn ? toLocalISODate(new Date(rangeStart)) : event.date,
+        start: carriedIn ? rangeStart : event.time,
+        end: null,
+        lastEventAt: event.time,
+        carriedIn,
+        incomplete: carriedIn,
+        ongoing: false,
+        trips: []
+      };
+    };
+
+    const endTrip = (end) => {
+      if (trip) shift.trips.push({ ...trip, end });
+      trip = null;
+    };
+
+    const close = (end, flags = {}) => {
+      endTrip(end);
+      shifts.push(finishShift({ ...shift, ...flags, end }));
+      shift = null;
+    };
+
+    conductorEvents.forEach(event => {
+      switch (event.type) {
+        case 'online':
+          // A missed offline: the earlier shift ends at its last event
+          if (shift) close(shift.lastEventAt, { incomplete: true });
+          open(event, false);
+          break;
+        case 'trip_start':
+          if (!shift) open(event, false);
+          endTrip(event.time);
+          trip = { direction: event.tripDirection, start: event.time };
+          break;
+        case 'trip_end':
+          if (!shift) open(event, true);
+          if (!trip) trip = { direction: event.tripDirection, start: shift.start };
+          endTrip(event.time);
+          break;
+        case 'offline':
+          if (!shift) open(event, true);
+          close(event.time);
+          return;
+        default:
+          return;
+      }
+      shift.lastEventAt = event.time;
+    });
+
+    if (shift) {
+      if (now >= shift.start && now < rangeEnd) {
+        close(now, { ongoing: true, incomplete: true });
+      } else {
+        close(shift.lastEventAt, { incomplete: true });
+      }
+    }
+  });
+
+  return shifts.sort((a, b) => a.start - b.start);
+};
+
+// Earliest active scheduled trip per conductor, in minutes after midnight
+export const getScheduleStarts = async () => {
+  const snapshot = await getDocs(collection(db, TRIP_SCHEDULES_COLLECTION));
+  const starts = new Map();
+  snapshot.docs.forEach(scheduleDoc => {
+    const data = scheduleDoc.data();
+    if (data.status && data.status !== 'active') return;
+
+    const times = (Array.isArray(data.schedules) ? data.schedules : String(data.schedules || '').split(','))
+      .map(timeToMinutes)
+      .filter(minutes => minutes !== null);
+    if (times.length > 0) starts.set(scheduleDoc.id, Math.min(...times));
+  });
+  return starts;
+};
+
+const minutesOfDay = (time) => {
+  const date = new Date(time);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+// Weekly timesheet rows: one per conductor, with per-day totals, the week's
+// totals and late starts against the conductor's first scheduled trip
+export const buildTimesheets = (shifts, { days, conductors = [], scheduleStarts = new Map() }) => {
+  const sheets = new Map();
+  const sheetFor = (conductorId, name, busNumber) => {
+    if (!sheets.has(conductorId)) {
+      sheets.set(conductorId, {
+        conductorId,
+        conductorName: name || conductorId,
+        busNumber: busNumber ?? null,
+        scheduledStart: scheduleStarts.get(conductorId) ?? null,
+        days: Object.fromEntries(days.map(date => [date, { minutes: 0, tripMinutes: 0, idleMinutes: 0, trips: 0, shifts: 0, firstStart: null, lateMinutes: 0 }])),
+        minutes: 0,
+        tripMinutes: 0,
+        idleMinutes: 0,
+        trips: 0,
+        daysWorked: 0,
+        lateStarts: 0
+      });
+    }
+    return sheets.get(conductorId);
+  };
+
+  conductors.forEach(conductor => sheetFor(conductor.id, conductor.name, conductor.busNumber));
+
+  shifts.forEach(shift => {
+    const sheet = sheetFor(shift.conductorId, shift.conductorName, shift.busNumber);
+    const day = sheet.days[shift.date];
+    if (!day) return;
+
+    day.minutes += shift.minutes;
+    day.tripMinutes += shift.tripMinutes;
+    day.idleMinutes += shift.idleMinutes;
+    day.trips += shift.trips.length;
+    day.shifts += 1;
+    // A shift carried in from the day before isn't a start
+    if (!shift.carriedIn) {
+      day.firstStart = day.firstStart === null ? shift.start : Math.min(day.firstStart, shift.start);
+    }
+  });
+
+  sheets.forEach(sheet => {
+    Object.values(sheet.days).forEach(day => {
+      if (day.firstStart !== null && sheet.scheduledStart !== null) {
+        const late = minutesOfDay(day.firstStart) - sheet.scheduledStart;
+        day.lateMinutes = late > LATE_GRACE_MINUTES ? late : 0;
+      }
+      sheet.minutes += day.minutes;
+      sheet.tripMinutes += day.tripMinutes;
+      sheet.idleMinutes += day.idleMinutes;
+      sheet.trips += day.trips;
+      if (day.shifts > 0) sheet.daysWorked += 1;
+      if (day.lateMinutes > 0) sheet.lateStarts += 1;
+    });
+  });
+
+  return Array.from(sheets.values()).sort((a, b) => a.conductorName.localeCompare(b.conductorName));
+};
+
+const getConductors = async () => {
+  const snapshot = await getDocs(collection(db, 'conductors'));
+  return snapshot.docs
+    .map(conductorDoc => ({ id: conductorDoc.id, ...conductorDoc.data() }))
+    .filter(conductor => conductor.status !== 'deleted');
+};
+
+// Shifts and timesheets of the week containing `date`
+export const getWeeklyAttendance = async (date = new Date()) => {
+  const range = weekRange(date);
+  const [events, scheduleStarts, conductors] = await Promise.all([
+    getSessionEvents(range.start, range.end),
+    getScheduleStarts(),
+    getConductors()
+  ]);
+
+  const shifts = buildShifts(events, { rangeStart: range.start.getTime(), rangeEnd: range.end.getTime() });
+  return {
+    ...range,
+    shifts,
+    timesheets: buildTimesheets(shifts, { days: range.days, conductors, scheduleStarts })
+  };
+};
+
+export const formatHours = (minutes) => (minutes / 60).toFixed(2);
+
+export const formatDuration = (minutes) => {
+  if (!minutes) return '0m';
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const formatClock = (time) => new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+// Payroll workbook: a weekly timesheet sheet (hours per day) and every shift
+export const exportAttendanceToExcel = async ({ days, timesheets, shifts }) => {
+  const dayHeaders = days.map(date => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }));
+
+  const timesheetSheet = XLSX.utils.aoa_to_sheet([
+    ['Conductor', 'Bus Number', ...dayHeaders, 'Total Hours', 'Trip Hours', 'Idle Hours', 'Trips', 'Days Worked', 'Late Starts'],
+    ...timesheets.map(sheet => [
+      sheet.conductorName,
+      sheet.busNumber ?? '',
+      ...days.map(date => Number(formatHours(sheet.days[date].minutes))),
+      Number(formatHours(sheet.minutes)),
+      Number(formatHours(sheet.tripMinutes)),
+      Number(formatHours(sheet.idleMinutes)),
+      sheet.trips,
+      sheet.daysWorked,
+      sheet.lateStarts
+    ])
+  ]);
+  timesheetSheet['!cols'] = [{ wch: 28 }, { wch: 12 }, ...days.map(() => ({ wch: 14 })), { wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 8 }, { wch: 12 }, { wch: 12 }];
+
+  const shiftsSheet = XLSX.utils.aoa_to_sheet([
+    ['Conductor', 'Date', 'Start', 'End', 'Hours', 'Trips', 'Trip Hours', 'Idle Hours', 'Note'],
+    ...shifts.map(shift => [
+      shift.conductorName,
+      shift.date,
+      formatClock(shift.start),
+      formatClock(shift.end),
+      Number(formatHours(shift.minutes)),
+      shift.trips.length,
+      Number(formatHours(shift.tripMinutes)),
+      Number(formatHours(shift.idleMinutes)),
+      shift.ongoing ? 'Still on shift' : shift.incomplete ? 'Start or end not recorded' : ''
+    ])
+  ]);
+  shiftsSheet['!cols'] = [{ wch: 28 }, { wch: 12 }, { wch: 10 }, { wch: 10 }, { wch: 8 }, { wch: 8 }, { wch: 10 }, { wch: 10 }, { wch: 26 }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, timesheetSheet, 'Timesheet');
+  XLSX.utils.book_append_sheet(workbook, shiftsSheet, 'Shifts');
+
+  const filename = `Attendance_${days[0]}_to_${days[days.length - 1]}.xlsx`;
+  XLSX.writeFile(workbook, filename);
+
+  try {
+    await logActivity(
+      ACTIVITY_TYPES.DATA_EXPORT,
+      `Exported conductor attendance for ${days[0]} to ${days[days.length - 1]}`,
+      {
+        exportType: 'Conductor Attendance',
+        filename,
+        format: 'Excel (.xlsx)',
+        conductors: timesheets.length,
+        shifts: shifts.length
+      }
+    );
+  } catch (logError) {
+    console.warn('Failed to log export activity:', logError);
+  }
+};
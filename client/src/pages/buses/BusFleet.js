@@ -0,0 +1,469 @@
+import {
+  collection,
+  onSnapshot,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+  query,
+  where,
+  limit,
+  writeBatch,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from '/src/firebase/firebase.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { getCodingDayFromPlate } from '/src/pages/settings/numberCoding.js';
+import { normalizePlate, busBlockReason } from './BusMaintenance.js';
+
+// BUSES
+// buses/{busId}: { busNumber, plateNumber, capacity, make, model, year,
+//   orCrExpiry, insuranceExpiry, franchise: { caseNumber, holder, expiry },
+//   status, notes, conductorId, conductorName, legacyIds }
+// plus the service fields described in BusMaintenance.js.
+// The ID is taken from the plate number when the bus is registered and never
+// changes. `legacyIds` holds the IDs older reservations used for the bus in
+// `selectedBusIds` (the conductor's document ID), see server/busMigration.js.
+// The assigned conductor keeps `busId` plus copies of `busNumber` and
+// `plateNumber`, since the mobile app reads those from the conductor.
+//
+// busAssignments/{id}: { busId, plateNumber, busNumber, conductorId,
+//   conductorName, assignedAt, assignedBy, unassignedAt, unassignedBy, reason }
+// One record per stint; the open one has `unassignedAt: null`.
+
+const BUSES_COLLECTION = 'buses';
+const BUS_ASSIGNMENTS_COLLECTION = 'busAssignments';
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+export const BUS_STATUSES = [
+  { value: 'active', label: 'In service' },
+  { value: 'maintenance', label: 'Under maintenance' },
+  { value: 'retired', label: 'Retired' }
+];
+
+let busesCache = null;
+let busesCacheTime = 0;
+
+const slugify = (text) => String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const toBus = (busDoc) => {
+  const data = busDoc.data();
+  return {
+    id: busDoc.id,
+    ...data,
+    franchise: data.franchise || {},
+    legacyIds: data.legacyIds || []
+  };
+};
+
+const sortBuses = (buses) => buses.sort((a, b) =>
+  String(a.busNumber || '').localeCompare(String(b.busNumber || ''), undefined, { numeric: true })
+);
+
+// Conductor documents store the bus number as a number
+const conductorBusNumber = (busNumber) => {
+  const number = parseInt(busNumber, 10);
+  return Number.isNaN(number) ? busNumber : number;
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// "12 (ABC 1234)" for lists and reservation cards
+export const busLabel = (bus) => {
+  if (!bus) return 'N/A';
+  return bus.busNumber ? `${bus.busNumber} (${bus.plateNumber})` : bus.plateNumber;
+};
+
+// real-time subscription to the whole fleet
+export const subscribeToBuses = (callback, errorCallback) => {
+  try {
+    return onSnapshot(
+      collection(db, BUSES_COLLECTION),
+      (querySnapshot) => {
+        const buses = sortBuses(querySnapshot.docs.map(toBus));
+        busesCache = buses;
+        busesCacheTime = Date.now();
+        callback(buses);
+      },
+      (error) => {
+        console.error('Error subscribing to buses:', error);
+        if (errorCallback) {
+          errorCallback('Failed to load buses: ' + error.message);
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Error setting up buses subscription:', error);
+    if (errorCallback) {
+      errorCallback('Failed to initialize buses: ' + error.message);
+    }
+    return () => {};
+  }
+};
+
+// One-time read for pickers and lookups, cached
+export const getBuses = async () => {
+  try {
+    if (!busesCache || Date.now() - busesCacheTime >= CACHE_DURATION) {
+      const snapshot = await getDocs(collection(db, BUSES_COLLECTION));
+      busesCache = sortBuses(snapshot.docs.map(toBus));
+      busesCacheTime = Date.now();
+    }
+    return busesCache;
+  } catch (error) {
+    console.error('Error fetching buses:', error);
+    return [];
+  }
+};
+
+// The bus an ID from a reservation's `selectedBusIds` refers to: the bus
+// document itself, or the bus that took over that legacy ID. Null if neither.
+export const resolveBus = async (busId) => {
+  if (!busId) return null;
+
+  const busDoc = await getDoc(doc(db, BUSES_COLLECTION, String(busId)));
+  if (busDoc.exists()) return toBus(busDoc);
+
+  const legacy = await getDocs(query(collection(db, BUSES_COLLECTION), where('legacyIds', 'array-contains', busId), limit(1)));
+  return legacy.empty ? null : toBus(legacy.docs[0]);
+};
+
+// real-time assignment history of one bus, newest first
+export const subscribeToBusAssignments = (busId, callback, errorCallback) => {
+  try {
+    return onSnapshot(
+      query(collection(db, BUS_ASSIGNMENTS_COLLECTION), where('busId', '==', busId)),
+      (querySnapshot) => {
+        const assignments = querySnapshot.docs
+          .map(assignmentDoc => ({ id: assignmentDoc.id, ...assignmentDoc.data() }))
+          .sort((a, b) => (toDate(b.assignedAt) || new Date()) - (toDate(a.assignedAt) || new Date()));
+        callback(assignments);
+      },
+      (error) => {
+        console.error('Error subscribing to bus assignments:', error);
+        if (errorCallback) {
+          errorCallback('Failed to load assignment history: ' + error.message);
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Error setting up bus assignments subscription:', error);
+    if (errorCallback) {
+      errorCallback('Failed to initialize assignment history: ' + error.message);
+    }
+    return () => {};
+  }
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? NaN : Timestamp.fromDate(date);
+};
+
+// Create (no id) or update a bus
+export const saveBus = async ({ id, busNumber, plateNumber, capacity, make, model, year, orCrExpiry, insuranceExpiry, franchise = {}, status, notes }) => {
+  try {
+    const plate = normalizePlate(plateNumber);
+    if (!plate) {
+      return { success: false, error: 'Plate number is required' };
+    }
+
+    const seats = Number(capacity);
+    if (!Number.isInteger(seats) || seats <= 0) {
+      return { success: false, error: 'Capacity must be a whole number of seats' };
+    }
+
+    const modelYear = year === '' || year === null || year === undefined ? null : Number(year);
+    if (modelYear !== null && (!Number.isInteger(modelYear) || modelYear < 1950 || modelYear > new Date().getFullYear() + 1)) {
+      return { success: false, error: 'Year model is not valid' };
+    }
+
+    const orCrDate = parseDate(orCrExpiry);
+    const insuranceDate = parseDate(insuranceExpiry);
+    const franchiseDate = parseDate(franchise.expiry);
+    if ([orCrDate, insuranceDate, franchiseDate].some(date => Number.isNaN(date))) {
+      return { success: false, error: 'Expiry dates are not valid' };
+    }
+
+    if (!BUS_STATUSES.some(option => option.value === status)) {
+      return { success: false, error: 'Choose a bus status' };
+    }
+
+    // Plate numbers are unique across the fleet
+    const samePlate = await getDocs(query(collection(db, BUSES_COLLECTION), where('plateNumber', '==', plate)));
+    if (samePlate.docs.some(busDoc => busDoc.id !== id)) {
+      return { success: false, error: `A bus with plate ${plate} is already registered` };
+    }
+
+    let busId = id;
+    let current = null;
+    if (!busId) {
+      busId = slugify(plate);
+      if (!busId) {
+        return { success: false, error: 'Plate number must contain letters or numbers' };
+      }
+      const existing = await getDoc(doc(db, BUSES_COLLECTION, busId));
+      if (existing.exists()) {
+        return { success: false, error: `A bus with ID ${busId} is already registered` };
+      }
+    } else {
+      const currentDoc = await getDoc(doc(db, BUSES_COLLECTION, busId));
+      current = currentDoc.exists() ? currentDoc.data() : null;
+    }
+
+    if (status === 'retired' && current?.conductorId) {
+      return { success: false, error: `Unassign ${current.conductorName || current.conductorId} before retiring this bus` };
+    }
+
+    const data = {
+      busNumber: String(busNumber || '').trim(),
+      plateNumber: plate,
+      capacity: seats,
+      make: (make || '').trim(),
+      model: (model || '').trim(),
+      year: modelYear,
+      orCrExpiry: orCrDate,
+      insuranceExpiry: insuranceDate,
+      franchise: {
+        caseNumber: (franchise.caseNumber || '').trim(),
+        holder: (franchise.holder || '').trim(),
+        expiry: franchiseDate
+      },
+      status,
+      notes: (notes || '').trim(),
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.email || null
+    };
+
+    if (id) {
+      await updateDoc(doc(db, BUSES_COLLECTION, busId), data);
+
+      // Keep the assigned conductor's copies in step
+      if (current?.conductorId && (current.plateNumber !== plate || current.busNumber !== data.busNumber)) {
+        await updateDoc(doc(db, 'conductors', current.conductorId), {
+          busNumber: conductorBusNumber(data.busNumber),
+          plateNumber: plate,
+          codingDay: await getCodingDayFromPlate(plate),
+          updatedAt: serverTimestamp()
+        });
+      }
+    } else {
+      await setDoc(doc(db, BUSES_COLLECTION, busId), {
+        ...data,
+        conductorId: null,
+        conductorName: null,
+        legacyIds: [],
+        createdAt: serverTimestamp()
+      });
+    }
+    busesCache = null;
+
+    await logActivity(
+      id ? ACTIVITY_TYPES.BUS_UPDATE : ACTIVITY_TYPES.BUS_CREATE,
+      `${id ? 'Updated' : 'Registered'} bus ${busLabel(data)}`,
+      {
+        busId,
+        plateNumber: plate,
+        previousPlateNumber: current && current.plateNumber !== plate ? current.plateNumber : null,
+        busNumber: data.busNumber,
+        capacity: seats,
+        status,
+        orCrExpiry: orCrDate ? orCrDate.toDate().toISOString() : null,
+        insuranceExpiry: insuranceDate ? insuranceDate.toDate().toISOString() : null,
+        franchiseExpiry: franchiseDate ? franchiseDate.toDate().toISOString() : null
+      },
+      'info'
+    );
+
+    return { success: true, id: busId };
+  } catch (error) {
+    console.error('Error saving bus:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Conductors a bus can be assigned to (deleted and disabled accounts left out)
+export const getAssignableConductors = async () => {
+  const snapshot = await getDocs(collection(db, 'conductors'));
+  return snapshot.docs
+    .map(conductorDoc => ({ id: conductorDoc.id, ...conductorDoc.data() }))
+    .filter(conductor => conductor.status !== 'deleted' && conductor.status !== 'disabled')
+    .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+};
+
+const openAssignments = (field, value) => getDocs(query(
+  collection(db, BUS_ASSIGNMENTS_COLLECTION),
+  where(field, '==', value),
+  where('unassignedAt', '==', null)
+));
+
+// Assigns a bus to a conductor. The conductor's previous bus and the bus's
+// previous conductor are released in the same batch, and each change closes
+// or opens a busAssignments record.
+export const assignBus = async (bus, conductor, reason = '') => {
+  try {
+    if (bus.status === 'retired') {
+      return { success: false, error: 'Retired buses cannot be assigned' };
+    }
+    const blockReason = busBlockReason(bus);
+    if (blockReason) {
+      return { success: false, error: blockReason };
+    }
+    if (bus.conductorId === conductor.id) {
+      return { success: false, error: `${busLabel(bus)} is already assigned to ${conductor.name || conductor.id}` };
+    }
+
+    const [busOpen, conductorOpen] = await Promise.all([
+      openAssignments('busId', bus.id),
+      openAssignments('conductorId', conductor.id)
+    ]);
+
+    const batch = writeBatch(db);
+    const timestamp = serverTimestamp();
+    const actor = auth.currentUser?.email || null;
+    const note = (reason || '').trim();
+
+    const closed = new Map([...busOpen.docs, ...conductorOpen.docs].map(assignmentDoc => [assignmentDoc.id, assignmentDoc]));
+    closed.forEach(assignmentDoc => {
+      batch.update(assignmentDoc.ref, { unassignedAt: timestamp, unassignedBy: actor });
+    });
+
+    // The conductor's previous bus is left without a conductor
+    const previousBusIds = new Set(conductorOpen.docs.map(assignmentDoc => assignmentDoc.data().busId));
+    if (conductor.busId) previousBusIds.add(conductor.busId);
+    previousBusIds.delete(bus.id);
+    previousBusIds.forEach(previousBusId => {
+      batch.update(doc(db, BUSES_COLLECTION, previousBusId), { conductorId: null, conductorName: null, updatedAt: timestamp });
+    });
+
+    // ...and the bus's previous conductor without a bus
+    if (bus.conductorId) {
+      batch.update(doc(db, 'conductors', bus.conductorId), { busId: null, updatedAt: timestamp });
+    }
+
+    batch.update(doc(db, BUSES_COLLECTION, bus.id), {
+      conductorId: conductor.id,
+      conductorName: conductor.name || conductor.id,
+      updatedAt: timestamp
+    });
+    batch.update(doc(db, 'conductors', conductor.id), {
+      busId: bus.id,
+      busNumber: conductorBusNumber(bus.busNumber),
+      plateNumber: bus.plateNumber,
+      codingDay: await getCodingDayFromPlate(bus.plateNumber),
+      updatedAt: timestamp
+    });
+    batch.set(doc(collection(db, BUS_ASSIGNMENTS_COLLECTION)), {
+      busId: bus.id,
+      plateNumber: bus.plateNumber,
+      busNumber: bus.busNumber,
+      conductorId: conductor.id,
+      conductorName: conductor.name || conductor.id,
+      assignedAt: timestamp,
+      assignedBy: actor,
+      unassignedAt: null,
+      unassignedBy: null,
+      reason: note
+    });
+
+    await batch.commit();
+    busesCache = null;
+
+    await logActivity(
+      ACTIVITY_TYPES.BUS_ASSIGN,
+      `Assigned bus ${busLabel(bus)} to ${conductor.name || conductor.id}`,
+      {
+        busId: bus.id,
+        plateNumber: bus.plateNumber,
+        conductorId: conductor.id,
+        previousConductorId: bus.conductorId || null,
+        previousBusIds: Array.from(previousBusIds),
+        reason: note
+      },
+      'info'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error assigning bus:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Takes a bus off its conductor and closes the open assignment record
+export const unassignBus = async (bus, reason = '') => {
+  try {
+    if (!bus.conductorId) {
+      return { success: false, error: `${busLabel(bus)} is not assigned to anyone` };
+    }
+
+    const open = await openAssignments('busId', bus.id);
+    const batch = writeBatch(db);
+    const timestamp = serverTimestamp();
+    const actor = auth.currentUser?.email || null;
+    const note = (reason || '').trim();
+
+    open.docs.forEach(assignmentDoc => {
+      batch.update(assignmentDoc.ref, {
+        unassignedAt: timestamp,
+        unassignedBy: actor,
+        ...(note ? { reason: [assignmentDoc.data().reason, note].filter(Boolean).join(' / ') } : {})
+      });
+    });
+    batch.update(doc(db, BUSES_COLLECTION, bus.id), { conductorId: null, conductorName: null, updatedAt: timestamp });
+    batch.update(doc(db, 'conductors', bus.conductorId), { busId: null, updatedAt: timestamp });
+
+    await batch.commit();
+    busesCache = null;
+
+    await logActivity(
+      ACTIVITY_TYPES.BUS_UNASSIGN,
+      `Unassigned bus ${busLabel(bus)} from ${bus.conductorName || bus.conductorId}`,
+      { busId: bus.id, plateNumber: bus.plateNumber, conductorId: bus.conductorId, reason: note },
+      'info'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error unassigning bus:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Buses with a conductor, or referenced by a live reservation, can't be
+// deleted; retire them instead. Assignment history is kept.
+export const deleteBus = async (bus) => {
+  try {
+    if (bus.conductorId) {
+      return { success: false, error: `${busLabel(bus)} is assigned to ${bus.conductorName || bus.conductorId}. Unassign it or retire the bus instead.` };
+    }
+
+    const reservations = await getDocs(query(
+      collection(db, 'reservations'),
+      where('selectedBusIds', 'array-contains-any', [bus.id, ...bus.legacyIds].slice(0, 10))
+    ));
+    const openStatuses = ['pending', 'receipt_uploaded', 'confirmed'];
+    if (reservations.docs.some(reservationDoc => openStatuses.includes(reservationDoc.data().status))) {
+      return { success: false, error: `${busLabel(bus)} has open reservations. Retire the bus instead.` };
+    }
+
+    await deleteDoc(doc(db, BUSES_COLLECTION, bus.id));
+    busesCache = null;
+
+    await logActivity(
+      ACTIVITY_TYPES.BUS_DELETE,
+      `Deleted bus ${busLabel(bus)}`,
+      { busId: bus.id, plateNumber: bus.plateNumber, busNumber: bus.busNumber },
+      'warning'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting bus:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,593 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import './BusFleet.css';
+import { IoMdAdd } from 'react-icons/io';
+import { FaBus, FaTrash, FaExclamationTriangle, FaUserTie } from 'react-icons/fa';
+import { auth } from '/src/firebase/firebase.js';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { hasPermission, isSuperAdmin } from '/src/pages/auth/authService.js';
+import {
+  subscribeToBuses,
+  subscribeToBusAssignments,
+  getAssignableConductors,
+  saveBus,
+  deleteBus,
+  assignBus,
+  unassignBus,
+  busLabel,
+  BUS_STATUSES
+} from './BusFleet.js';
+import { expiryStatus, busIssues, busBlockReason } from './BusMaintenance.js';
+import BusMaintenancePanel from './BusMaintenancePanel.jsx';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// yyyy-mm-dd for date inputs
+const toInputDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('en-CA') : '';
+};
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '—';
+};
+
+const formatDateTime = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+};
+
+const statusLabel = (status) => BUS_STATUSES.find(option => option.value === status)?.label || status;
+
+const emptyBus = () => ({
+  id: null,
+  busNumber: '',
+  plateNumber: '',
+  capacity: '',
+  make: '',
+  model: '',
+  year: '',
+  orCrExpiry: '',
+  insuranceExpiry: '',
+  franchise: { caseNumber: '', holder: '', expiry: '' },
+  status: 'active',
+  notes: ''
+});
+
+const toEditable = (bus) => ({
+  ...emptyBus(),
+  ...bus,
+  capacity: bus.capacity ?? '',
+  year: bus.year ?? '',
+  orCrExpiry: toInputDate(bus.orCrExpiry),
+  insuranceExpiry: toInputDate(bus.insuranceExpiry),
+  franchise: {
+    caseNumber: bus.franchise?.caseNumber || '',
+    holder: bus.franchise?.holder || '',
+    expiry: toInputDate(bus.franchise?.expiry)
+  }
+});
+
+function ExpiryBadge({ value }) {
+  const status = expiryStatus(value);
+  return (
+    <span className={`fleet-expiry ${status}`}>
+      {status === 'missing' ? 'Not set' : formatDate(value)}
+      {status === 'expired' && ' (expired)'}
+    </span>
+  );
+}
+
+// Expired papers and overdue service block the bus; the rest are reminders
+function IssueList({ bus }) {
+  const issues = busIssues(bus);
+  if (issues.length === 0) return <span className="fleet-muted">None</span>;
+  return (
+    <div className="fleet-issues">
+      {issues.map(issue => (
+        <span key={issue.key} className={`fleet-issue ${issue.blocking ? 'blocking' : issue.status}`}>
+          {issue.message}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function BusFleet() {
+  const [user] = useAuthState(auth);
+  // ?busId=... opens a bus, e.g. from a maintenance reminder
+  const [searchParams] = useSearchParams();
+  const [buses, setBuses] = useState([]);
+  const [conductors, setConductors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [permissions, setPermissions] = useState({ canEdit: false, canDelete: false });
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [selectedBusId, setSelectedBusId] = useState(searchParams.get('busId'));
+  const [assignments, setAssignments] = useState([]);
+  const [assignForm, setAssignForm] = useState({ conductorId: '', reason: '' });
+  const [assigning, setAssigning] = useState(false);
+
+  useEffect(() => {
+    const loadPermissions = async () => {
+      if (user) {
+        const [canEdit, canDelete] = await Promise.all([
+          hasPermission(user.uid, 'manage_buses'),
+          isSuperAdmin(user.uid)
+        ]);
+        setPermissions({ canEdit, canDelete });
+      }
+    };
+    loadPermissions();
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = subscribeToBuses((busList) => {
+      setBuses(busList);
+      setLoading(false);
+    }, (errorMsg) => {
+      setError(errorMsg);
+      setLoading(false);
+    });
+
+    getAssignableConductors()
+      .then(setConductors)
+      .catch(err => console.error('Error loading conductors:', err));
+
+    return () => unsubscribe();
+  }, [user]);
+
+  const requestedBusId = searchParams.get('busId');
+  useEffect(() => {
+    if (requestedBusId) setSelectedBusId(requestedBusId);
+  }, [requestedBusId]);
+
+  useEffect(() => {
+    if (!selectedBusId) {
+      setAssignments([]);
+      return;
+    }
+
+    const unsubscribe = subscribeToBusAssignments(selectedBusId, setAssignments, setError);
+    return () => unsubscribe();
+  }, [selectedBusId]);
+
+  const selectedBus = buses.find(bus => bus.id === selectedBusId) || null;
+  const blockReason = selectedBus ? busBlockReason(selectedBus) : null;
+
+  const issuesByBus = buses.map(bus => busIssues(bus));
+  const stats = {
+    total: buses.length,
+    inService: buses.filter(bus => bus.status === 'active').length,
+    assigned: buses.filter(bus => bus.conductorId).length,
+    reminders: issuesByBus.filter(issues => issues.length > 0).length,
+    blocked: issuesByBus.filter(issues => issues.some(issue => issue.blocking)).length
+  };
+
+  const updateEditing = (changes) => setEditing(current => ({ ...current, ...changes }));
+
+  const updateFranchise = (changes) => setEditing(current => ({ ...current, franchise: { ...current.franchise, ...changes } }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await saveBus(editing);
+    setSaving(false);
+
+    if (result.success) {
+      setEditing(null);
+      setSelectedBusId(result.id);
+    } else {
+      alert(`Failed to save bus: ${result.error}`);
+    }
+  };
+
+  const handleDelete = async (bus) => {
+    if (!window.confirm(`Are you sure you want to delete bus ${busLabel(bus)}?\n\nIts assignment history is kept. This action cannot be undone.`)) {
+      return;
+    }
+
+    const result = await deleteBus(bus);
+    if (result.success) {
+      if (selectedBusId === bus.id) setSelectedBusId(null);
+    } else {
+      alert(`Failed to delete bus: ${result.error}`);
+    }
+  };
+
+  const handleAssign = async () => {
+    const conductor = conductors.find(item => item.id === assignForm.conductorId);
+    if (!selectedBus || !conductor) return;
+
+    // Taking the bus from its current conductor, or a second bus for this conductor, needs a confirmation
+    const currentBus = buses.find(bus => bus.conductorId === conductor.id);
+    const warnings = [
+      selectedBus.conductorId && `${selectedBus.conductorName || selectedBus.conductorId} will be left without a bus.`,
+      currentBus && `${conductor.name || conductor.id} will be taken off bus ${busLabel(currentBus)}.`
+    ].filter(Boolean);
+    if (warnings.length > 0 && !window.confirm(`${warnings.join('\n')}\n\nContinue?`)) {
+      return;
+    }
+
+    setAssigning(true);
+    const result = await assignBus(selectedBus, conductor, assignForm.reason);
+    setAssigning(false);
+
+    if (result.success) {
+      setAssignForm({ conductorId: '', reason: '' });
+      getAssignableConductors().then(setConductors).catch(() => {});
+    } else {
+      alert(`Failed to assign bus: ${result.error}`);
+    }
+  };
+
+  const handleUnassign = async () => {
+    if (!selectedBus || !window.confirm(`Take bus ${busLabel(selectedBus)} off ${selectedBus.conductorName || selectedBus.conductorId}?`)) {
+      return;
+    }
+
+    setAssigning(true);
+    const result = await unassignBus(selectedBus, assignForm.reason);
+    setAssigning(false);
+
+    if (result.success) {
+      setAssignForm({ conductorId: '', reason: '' });
+    } else {
+      alert(`Failed to unassign bus: ${result.error}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="fleet-container">
+        <div className="fleet-loading">Loading buses...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fleet-container">
+      <div className="fleet-wrapper">
+        {/* Header Section */}
+        <div className="fleet-header">
+          <div className="fleet-header-top">
+            <h1 className="fleet-main-title">Bus Fleet</h1>
+            {permissions.canEdit && (
+              <button className="fleet-add-btn" onClick={() => setEditing(emptyBus())}>
+                <IoMdAdd />
+                <span>Register Bus</span>
+              </button>
+            )}
+          </div>
+
+          <div className="fleet-stats">
+            <div className="fleet-stat-card">
+              <FaBus className="fleet-stat-icon" />
+              <div>
+                <div className="fleet-stat-number">{stats.total}</div>
+                <div className="fleet-stat-label">Buses ({stats.inService} in service)</div>
+              </div>
+            </div>
+            <div className="fleet-stat-card">
+              <FaUserTie className="fleet-stat-icon" />
+              <div>
+                <div className="fleet-stat-number">{stats.assigned}</div>
+                <div className="fleet-stat-label">Assigned to conductors</div>
+              </div>
+            </div>
+            <div className="fleet-stat-card">
+              <FaExclamationTriangle className="fleet-stat-icon" />
+              <div>
+                <div className="fleet-stat-number">{stats.reminders}</div>
+                <div className="fleet-stat-label">Need attention ({stats.blocked} blocked by expired papers or overdue service)</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="fleet-error">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <div className="fleet-body">
+          <div className="fleet-panel">
+            {buses.length === 0 ? (
+              <div className="fleet-empty-state">
+                <FaBus className="fleet-empty-icon" />
+                <h3>No Buses</h3>
+                <p>
+                  Buses are still only recorded on conductor accounts.
+                  {permissions.canEdit && " Click 'Register Bus' to add one, or import them from the conductors with npm run buses:migrate."}
+                </p>
+              </div>
+            ) : (
+              <div className="fleet-table-scroll">
+                <table className="fleet-table">
+                  <thead>
+                    <tr>
+                      <th>Bus #</th>
+                      <th>Plate</th>
+                      <th>Make / Model</th>
+                      <th>Seats</th>
+                      <th>Status</th>
+                      <th>Reminders</th>
+                      <th>Conductor</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {buses.map(bus => (
+                      <tr
+                        key={bus.id}
+                        className={`${bus.id === selectedBusId ? 'selected' : ''} ${bus.status === 'retired' ? 'retired' : ''}`}
+                        onClick={() => setSelectedBusId(bus.id)}
+                      >
+                        <td>{bus.busNumber || '—'}</td>
+                        <td><strong>{bus.plateNumber}</strong></td>
+                        <td>{[bus.make, bus.model, bus.year].filter(Boolean).join(' ') || '—'}</td>
+                        <td>{bus.capacity || '—'}</td>
+                        <td><span className={`fleet-status ${bus.status}`}>{statusLabel(bus.status)}</span></td>
+                        <td><IssueList bus={bus} /></td>
+                        <td>{bus.conductorName || <span className="fleet-muted">Unassigned</span>}</td>
+                        <td className="fleet-row-actions" onClick={(e) => e.stopPropagation()}>
+                          {permissions.canEdit && (
+                            <button type="button" className="fleet-link-btn" onClick={() => setEditing(toEditable(bus))}>
+                              Edit
+                            </button>
+                          )}
+                          {permissions.canDelete && (
+                            <button type="button" className="fleet-icon-btn" onClick={() => handleDelete(bus)} title="Delete bus">
+                              <FaTrash />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="fleet-panel fleet-detail">
+            {!selectedBus ? (
+              <p className="fleet-muted">Select a bus to see its details and assignment history.</p>
+            ) : (
+              <>
+                <h3>Bus {busLabel(selectedBus)}</h3>
+                <dl className="fleet-detail-list">
+                  <dt>Make / Model</dt>
+                  <dd>{[selectedBus.make, selectedBus.model, selectedBus.year].filter(Boolean).join(' ') || '—'}</dd>
+                  <dt>Capacity</dt>
+                  <dd>{selectedBus.capacity ? `${selectedBus.capacity} seats` : 'Not set'}</dd>
+                  <dt>OR/CR expiry</dt>
+                  <dd><ExpiryBadge value={selectedBus.orCrExpiry} /></dd>
+                  <dt>Insurance expiry</dt>
+                  <dd><ExpiryBadge value={selectedBus.insuranceExpiry} /></dd>
+                  <dt>Franchise</dt>
+                  <dd>
+                    {selectedBus.franchise.caseNumber || '—'}
+                    {selectedBus.franchise.holder && ` · ${selectedBus.franchise.holder}`}
+                  </dd>
+                  <dt>Franchise expiry</dt>
+                  <dd><ExpiryBadge value={selectedBus.franchise.expiry} /></dd>
+                  {selectedBus.notes && (
+                    <>
+                      <dt>Notes</dt>
+                      <dd>{selectedBus.notes}</dd>
+                    </>
+                  )}
+                </dl>
+
+                <h4 className="fleet-subtitle">Assignment</h4>
+                <p>
+                  {selectedBus.conductorId
+                    ? <>Assigned to <strong>{selectedBus.conductorName || selectedBus.conductorId}</strong></>
+                    : <span className="fleet-muted">Not assigned to a conductor</span>}
+                </p>
+
+                {blockReason && <p className="fleet-error-text">{blockReason}</p>}
+
+                {permissions.canEdit && selectedBus.status !== 'retired' && (
+                  <div className="fleet-assign-form">
+                    <select
+                      value={assignForm.conductorId}
+                      onChange={(e) => setAssignForm(current => ({ ...current, conductorId: e.target.value }))}
+                    >
+                      <option value="">Select conductor</option>
+                      {conductors
+                        .filter(conductor => conductor.id !== selectedBus.conductorId)
+                        .map(conductor => (
+                          <option key={conductor.id} value={conductor.id}>
+                            {conductor.name || conductor.id}
+                            {conductor.busId ? ` (now on ${busLabel(buses.find(bus => bus.id === conductor.busId)) || conductor.busId})` : ''}
+                          </option>
+                        ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={assignForm.reason}
+                      onChange={(e) => setAssignForm(current => ({ ...current, reason: e.target.value }))}
+                      placeholder="Reason (optional)"
+                    />
+                    <div className="fleet-assign-actions">
+                      <button
+                        type="button"
+                        className="fleet-btn fleet-btn-primary"
+                        onClick={handleAssign}
+                        disabled={assigning || !assignForm.conductorId || !!blockReason}
+                      >
+                        {selectedBus.conductorId ? 'Reassign' : 'Assign'}
+                      </button>
+                      {selectedBus.conductorId && (
+                        <button type="button" className="fleet-btn fleet-btn-secondary" onClick={handleUnassign} disabled={assigning}>
+                          Unassign
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                <h4 className="fleet-subtitle">Assignment History</h4>
+                {assignments.length === 0 ? (
+                  <p className="fleet-muted">No assignments recorded yet.</p>
+                ) : (
+                  <table className="fleet-history">
+                    <thead>
+                      <tr>
+                        <th>Conductor</th>
+                        <th>From</th>
+                        <th>Until</th>
+                        <th>Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {assignments.map(assignment => (
+                        <tr key={assignment.id} className={assignment.unassignedAt ? '' : 'current'}>
+                          <td>{assignment.conductorName || assignment.conductorId}</td>
+                          <td title={assignment.assignedBy || ''}>{formatDateTime(assignment.assignedAt)}</td>
+                          <td title={assignment.unassignedBy || ''}>
+                            {assignment.unassignedAt ? formatDateTime(assignment.unassignedAt) : 'Current'}
+                          </td>
+                          <td>{assignment.reason || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <BusMaintenancePanel bus={selectedBus} canEdit={permissions.canEdit} canDelete={permissions.canDelete} />
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="fleet-modal-overlay" onClick={() => !saving && setEditing(null)}>
+          <div className="fleet-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="fleet-modal-header">
+              <h2>{editing.id ? `Edit Bus ${busLabel(editing)}` : 'Register Bus'}</h2>
+              <button className="fleet-modal-close" onClick={() => setEditing(null)} disabled={saving}>&times;</button>
+            </div>
+
+            <form className="fleet-modal-form" onSubmit={handleSave}>
+              <div className="fleet-form-row">
+                <label>
+                  Plate number *
+                  <input
+                    type="text"
+                    value={editing.plateNumber}
+                    onChange={(e) => updateEditing({ plateNumber: e.target.value })}
+                    placeholder="e.g., ABC 1234"
+                    required
+                  />
+                </label>
+                <label>
+                  Bus number
+                  <input
+                    type="text"
+                    value={editing.busNumber}
+                    onChange={(e) => updateEditing({ busNumber: e.target.value })}
+                    placeholder="e.g., 12"
+                  />
+                </label>
+                <label>
+                  Capacity (seats) *
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={editing.capacity}
+                    onChange={(e) => updateEditing({ capacity: e.target.value })}
+                    required
+                  />
+                </label>
+              </div>
+
+              <div className="fleet-form-row">
+                <label>
+                  Make
+                  <input type="text" value={editing.make} onChange={(e) => updateEditing({ make: e.target.value })} placeholder="e.g., Hino" />
+                </label>
+                <label>
+                  Model
+                  <input type="text" value={editing.model} onChange={(e) => updateEditing({ model: e.target.value })} placeholder="e.g., RM2" />
+                </label>
+                <label>
+                  Year model
+                  <input type="number" value={editing.year} onChange={(e) => updateEditing({ year: e.target.value })} />
+                </label>
+              </div>
+
+              <div className="fleet-form-row">
+                <label>
+                  OR/CR expiry
+                  <input type="date" value={editing.orCrExpiry} onChange={(e) => updateEditing({ orCrExpiry: e.target.value })} />
+                </label>
+                <label>
+                  Insurance expiry
+                  <input type="date" value={editing.insuranceExpiry} onChange={(e) => updateEditing({ insuranceExpiry: e.target.value })} />
+                </label>
+              </div>
+
+              <div className="fleet-form-row">
+                <label>
+                  Status
+                  <select value={editing.status} onChange={(e) => updateEditing({ status: e.target.value })}>
+                    {BUS_STATUSES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="fleet-form-section-title">Franchise</div>
+              <div className="fleet-form-row">
+                <label>
+                  Case number
+                  <input
+                    type="text"
+                    value={editing.franchise.caseNumber}
+                    onChange={(e) => updateFranchise({ caseNumber: e.target.value })}
+                    placeholder="LTFRB case no."
+                  />
+                </label>
+                <label>
+                  Operator / holder
+                  <input type="text" value={editing.franchise.holder} onChange={(e) => updateFranchise({ holder: e.target.value })} />
+                </label>
+                <label>
+                  Valid until
+                  <input type="date" value={editing.franchise.expiry} onChange={(e) => updateFranchise({ expiry: e.target.value })} />
+                </label>
+              </div>
+
+              <label>
+                Notes
+                <textarea rows={2} value={editing.notes} onChange={(e) => updateEditing({ notes: e.target.value })} />
+              </label>
+
+              <div className="fleet-modal-actions">
+                <button type="button" className="fleet-btn fleet-btn-secondary" onClick={() => setEditing(null)} disabled={saving}>
+                  Cancel
+                </button>
+                <button type="submit" className="fleet-btn fleet-btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Bus'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BusFleet;
@@ -0,0 +1,255 @@
+import {
+  collection,
+  onSnapshot,
+  getDocs,
+  getDoc,
+  doc,
+  query,
+  where,
+  limit,
+  writeBatch,
+  updateDoc,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from '/src/firebase/firebase.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { normalizePlate, toDate, busBlockReason } from '/src/pages/buses/busRules.js';
+
+export {
+  EXPIRY_WARNING_DAYS,
+  SERVICE_WARNING_DAYS,
+  SERVICE_WARNING_KM,
+  BUS_PAPERS,
+  normalizePlate,
+  expiryStatus,
+  serviceStatus,
+  busIssues,
+  busBlockReason
+} from '/src/pages/buses/busRules.js';
+
+// MAINTENANCE
+// buses/{busId}/maintenanceLogs/{logId}: { date, odometerKm, type, workDone,
+//   cost, shop, createdAt, createdBy }
+// The bus document keeps what the reminders need, so they never read the logs:
+//   serviceInterval: { km, days }   preventive maintenance every km and/or days
+//   lastService: { date, odometerKm }   latest preventive maintenance logged
+//   odometerKm   highest reading logged
+// Papers are `orCrExpiry` (registration), `insuranceExpiry` and `franchise.expiry`.
+// A bus with expired papers or overdue service can't be given to a conductor
+// or have a reservation approved.
+
+const BUSES_COLLECTION = 'buses';
+const MAINTENANCE_LOGS = 'maintenanceLogs';
+
+export const MAINTENANCE_TYPES = [
+  { value: 'preventive', label: 'Preventive maintenance' },
+  { value: 'repair', label: 'Repair' },
+  { value: 'breakdown', label: 'Breakdown' }
+];
+
+// Block reason for the registered bus with this plate. Plates that aren't in
+// the fleet registry yet are not blocked.
+export const getBusBlockForPlate = async (plateNumber) => {
+  const plate = normalizePlate(plateNumber);
+  if (!plate) return null;
+
+  const snapshot = await getDocs(query(collection(db, BUSES_COLLECTION), where('plateNumber', '==', plate), limit(1)));
+  return snapshot.empty ? null : busBlockReason(snapshot.docs[0].data());
+};
+
+// real-time maintenance log of one bus, newest first
+export const subscribeToMaintenanceLogs = (busId, callback, errorCallback) => {
+  try {
+    return onSnapshot(
+      collection(db, BUSES_COLLECTION, busId, MAINTENANCE_LOGS),
+      (querySnapshot) => {
+        const logs = querySnapshot.docs
+          .map(logDoc => ({ id: logDoc.id, ...logDoc.data() }))
+          .sort((a, b) => toDate(b.date) - toDate(a.date));
+        callback(logs);
+      },
+      (error) => {
+        console.error('Error subscribing to maintenance logs:', error);
+        if (errorCallback) {
+          errorCallback('Failed to load maintenance logs: ' + error.message);
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Error setting up maintenance logs subscription:', error);
+    if (errorCallback) {
+      errorCallback('Failed to initialize maintenance logs: ' + error.message);
+    }
+    return () => {};
+  }
+};
+
+// lastService and odometerKm as they follow from a set of logs
+const summarizeLogs = (logs) => {
+  const preventive = logs
+    .filter(log => log.type === 'preventive')
+    .sort((a, b) => toDate(b.date) - toDate(a.date))[0];
+  const readings = logs.map(log => log.odometerKm).filter(km => km !== null && km !== undefined);
+
+  return {
+    lastService: preventive ? { date: preventive.date, odometerKm: preventive.odometerKm ?? null } : null,
+    odometerKm: readings.length > 0 ? Math.max(...readings) : null
+  };
+};
+
+const loadLogs = async (busId) => {
+  const snapshot = await getDocs(collection(db, BUSES_COLLECTION, busId, MAINTENANCE_LOGS));
+  return snapshot.docs.map(logDoc => ({ id: logDoc.id, ...logDoc.data() }));
+};
+
+export const addMaintenanceLog = async (bus, { date, odometerKm, type, workDone, cost, shop }) => {
+  try {
+    const serviceDate = date ? new Date(date) : null;
+    if (!serviceDate || Number.isNaN(serviceDate.getTime())) {
+      return { success: false, error: 'Date is required' };
+    }
+    if (serviceDate > new Date()) {
+      return { success: false, error: 'Date cannot be in the future' };
+    }
+    if (!MAINTENANCE_TYPES.some(option => option.value === type)) {
+      return { success: false, error: 'Choose the type of work' };
+    }
+    if (!String(workDone || '').trim()) {
+      return { success: false, error: 'Describe the work done' };
+    }
+
+    const reading = odometerKm === '' || odometerKm === null || odometerKm === undefined ? null : Number(odometerKm);
+    if (reading !== null && (!Number.isFinite(reading) || reading < 0)) {
+      return { success: false, error: 'Odometer reading is not valid' };
+    }
+    if (type === 'preventive' && reading === null && bus.serviceInterval?.km) {
+      return { success: false, error: 'Odometer reading is required for preventive maintenance on a km interval' };
+    }
+
+    const amount = cost === '' || cost === null || cost === undefined ? 0 : Number(cost);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { success: false, error: 'Cost must be zero or more' };
+    }
+
+    const log = {
+      date: Timestamp.fromDate(serviceDate),
+      odometerKm: reading,
+      type,
+      workDone: workDone.trim(),
+      cost: amount,
+      shop: (shop || '').trim()
+    };
+
+    const logs = await loadLogs(bus.id);
+    const summary = summarizeLogs([...logs, log]);
+
+    const batch = writeBatch(db);
+    const logRef = doc(collection(db, BUSES_COLLECTION, bus.id, MAINTENANCE_LOGS));
+    batch.set(logRef, {
+      ...log,
+      createdAt: serverTimestamp(),
+      createdBy: auth.currentUser?.email || null
+    });
+    batch.update(doc(db, BUSES_COLLECTION, bus.id), {
+      ...summary,
+      updatedAt: serverTimestamp()
+    });
+    await batch.commit();
+
+    await logActivity(
+      ACTIVITY_TYPES.BUS_MAINTENANCE_LOG,
+      `Logged ${MAINTENANCE_TYPES.find(option => option.value === type).label.toLowerCase()} for bus ${bus.plateNumber}`,
+      {
+        busId: bus.id,
+        plateNumber: bus.plateNumber,
+        logId: logRef.id,
+        type,
+        date: serviceDate.toISOString(),
+        odometerKm: reading,
+        cost: amount
+      },
+      'info'
+    );
+
+    return { success: true, id: logRef.id };
+  } catch (error) {
+    console.error('Error adding maintenance log:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Removes a mistaken entry; the last service and odometer are recomputed from what's left
+export const deleteMaintenanceLog = async (bus, log) => {
+  try {
+    const logs = (await loadLogs(bus.id)).filter(entry => entry.id !== log.id);
+
+    const batch = writeBatch(db);
+    batch.delete(doc(db, BUSES_COLLECTION, bus.id, MAINTENANCE_LOGS, log.id));
+    batch.update(doc(db, BUSES_COLLECTION, bus.id), {
+      ...summarizeLogs(logs),
+      updatedAt: serverTimestamp()
+    });
+    await batch.commit();
+
+    await logActivity(
+      ACTIVITY_TYPES.BUS_MAINTENANCE_DELETE,
+      `Deleted maintenance log of bus ${bus.plateNumber}`,
+      {
+        busId: bus.id,
+        plateNumber: bus.plateNumber,
+        logId: log.id,
+        type: log.type,
+        date: toDate(log.date)?.toISOString() || null,
+        workDone: log.workDone
+      },
+      'warning'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting maintenance log:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Preventive maintenance interval; either part may be left empty
+export const saveServiceInterval = async (bus, { km, days }) => {
+  try {
+    const toInterval = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+    const interval = { km: toInterval(km), days: toInterval(days) };
+
+    if ([interval.km, interval.days].some(value => value !== null && (!Number.isInteger(value) || value <= 0))) {
+      return { success: false, error: 'Intervals must be whole numbers greater than zero' };
+    }
+
+    const busRef = doc(db, BUSES_COLLECTION, bus.id);
+    const current = await getDoc(busRef);
+    if (!current.exists()) {
+      return { success: false, error: 'Bus not found' };
+    }
+
+    await updateDoc(busRef, {
+      serviceInterval: interval,
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.email || null
+    });
+
+    await logActivity(
+      ACTIVITY_TYPES.BUS_UPDATE,
+      `Set service interval of bus ${bus.plateNumber}`,
+      {
+        busId: bus.id,
+        plateNumber: bus.plateNumber,
+        serviceInterval: interval,
+        previousServiceInterval: current.data().serviceInterval || null
+      },
+      'info'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving service interval:', error);
+    return { success: false, error: error.message };
+  }
+};
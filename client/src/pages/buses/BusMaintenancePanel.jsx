@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { FaTrash, FaWrench } from 'react-icons/fa';
+import {
+  subscribeToMaintenanceLogs,
+  addMaintenanceLog,
+  deleteMaintenanceLog,
+  saveServiceInterval,
+  serviceStatus,
+  MAINTENANCE_TYPES
+} from './BusMaintenance.js';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const formatDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '—';
+};
+
+const formatKm = (km) => (km === null || km === undefined ? '—' : `${Number(km).toLocaleString('en-US')} km`);
+
+const formatCurrency = (amount) => `₱${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const SERVICE_LABELS = {
+  overdue: 'Overdue',
+  due: 'Due soon',
+  ok: 'Up to date',
+  unlogged: 'No service logged',
+  unscheduled: 'No interval set'
+};
+
+const emptyLog = () => ({
+  date: new Date().toLocaleDateString('en-CA'),
+  odometerKm: '',
+  type: 'preventive',
+  workDone: '',
+  cost: '',
+  shop: ''
+});
+
+// Service interval, next due service and the maintenance log of one bus
+function BusMaintenancePanel({ bus, canEdit, canDelete }) {
+  const [logs, setLogs] = useState([]);
+  const [error, setError] = useState('');
+  const [intervalForm, setIntervalForm] = useState({ km: '', days: '' });
+  const [logForm, setLogForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setLogForm(null);
+    setError('');
+    const unsubscribe = subscribeToMaintenanceLogs(bus.id, setLogs, setError);
+    return () => unsubscribe();
+  }, [bus.id]);
+
+  useEffect(() => {
+    setIntervalForm({ km: bus.serviceInterval?.km ?? '', days: bus.serviceInterval?.days ?? '' });
+  }, [bus.id, bus.serviceInterval?.km, bus.serviceInterval?.days]);
+
+  const service = serviceStatus(bus);
+  const totalCost = logs.reduce((sum, log) => sum + (Number(log.cost) || 0), 0);
+
+  const handleSaveInterval = async () => {
+    setSaving(true);
+    const result = await saveServiceInterval(bus, intervalForm);
+    setSaving(false);
+    if (!result.success) {
+      alert(`Failed to save service interval: ${result.error}`);
+    }
+  };
+
+  const handleAddLog = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await addMaintenanceLog(bus, logForm);
+    setSaving(false);
+
+    if (result.success) {
+      setLogForm(null);
+    } else {
+      alert(`Failed to log maintenance: ${result.error}`);
+    }
+  };
+
+  const handleDeleteLog = async (log) => {
+    if (!window.confirm(`Delete the ${formatDate(log.date)} maintenance entry?\n\nThis action cannot be undone.`)) {
+      return;
+    }
+
+    const result = await deleteMaintenanceLog(bus, log);
+    if (!result.success) {
+      alert(`Failed to delete maintenance log: ${result.error}`);
+    }
+  };
+
+  return (
+    <div className="fleet-maintenance">
+      <h4 className="fleet-subtitle">Maintenance</h4>
+
+      {error && <p className="fleet-error-text">{error}</p>}
+
+      <dl className="fleet-detail-list">
+        <dt>Service</dt>
+        <dd><span className={`fleet-service ${service.status}`}>{SERVICE_LABELS[service.status]}</span></dd>
+        <dt>Last service</dt>
+        <dd>
+          {bus.lastService ? `${formatDate(bus.lastService.date)} at ${formatKm(bus.lastService.odometerKm)}` : '—'}
+        </dd>
+        {(service.dueDate || service.dueKm !== null) && (
+          <>
+            <dt>Next due</dt>
+            <dd>{[service.dueDate && formatDate(service.dueDate), service.dueKm !== null && formatKm(service.dueKm)].filter(Boolean).join(' or at ')}</dd>
+          </>
+        )}
+        <dt>Odometer</dt>
+        <dd>{formatKm(bus.odometerKm)}</dd>
+      </dl>
+
+      {canEdit && (
+        <div className="fleet-interval-form">
+          <label>
+            Every (km)
+            <input
+              type="number"
+              min="1"
+              value={intervalForm.km}
+              onChange={(e) => setIntervalForm(current => ({ ...current, km: e.target.value }))}
+              placeholder="e.g., 5000"
+            />
+          </label>
+          <label>
+            Every (days)
+            <input
+              type="number"
+              min="1"
+              value={intervalForm.days}
+              onChange={(e) => setIntervalForm(current => ({ ...current, days: e.target.value }))}
+              placeholder="e.g., 90"
+            />
+          </label>
+          <button type="button" className="fleet-btn fleet-btn-secondary" onClick={handleSaveInterval} disabled={saving}>
+            Save Interval
+          </button>
+        </div>
+      )}
+
+      {canEdit && !logForm && (
+        <button type="button" className="fleet-link-btn" onClick={() => setLogForm(emptyLog())}>
+          <FaWrench /> Log maintenance
+        </button>
+      )}
+
+      {logForm && (
+        <form className="fleet-log-form" onSubmit={handleAddLog}>
+          <div className="fleet-form-row">
+            <label>
+              Date *
+              <input
+                type="date"
+                value={logForm.date}
+                max={new Date().toLocaleDateString('en-CA')}
+                onChange={(e) => setLogForm(current => ({ ...current, date: e.target.value }))}
+                required
+              />
+            </label>
+            <label>
+              Type *
+              <select value={logForm.type} onChange={(e) => setLogForm(current => ({ ...current, type: e.target.value }))}>
+                {MAINTENANCE_TYPES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="fleet-form-row">
+            <label>
+              Odometer (km)
+              <input
+                type="number"
+                min="0"
+                value={logForm.odometerKm}
+                onChange={(e) => setLogForm(current => ({ ...current, odometerKm: e.target.value }))}
+              />
+            </label>
+            <label>
+              Cost (₱)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={logForm.cost}
+                onChange={(e) => setLogForm(current => ({ ...current, cost: e.target.value }))}
+              />
+            </label>
+          </div>
+          <label>
+            Work done *
+            <textarea
+              rows={2}
+              value={logForm.workDone}
+              onChange={(e) => setLogForm(current => ({ ...current, workDone: e.target.value }))}
+              placeholder="e.g., Change oil and oil filter, replace brake pads"
+              required
+            />
+          </label>
+          <label>
+            Shop / mechanic
+            <input
+              type="text"
+              value={logForm.shop}
+              onChange={(e) => setLogForm(current => ({ ...current, shop: e.target.value }))}
+            />
+          </label>
+          <div className="fleet-assign-actions">
+            <button type="submit" className="fleet-btn fleet-btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Entry'}
+            </button>
+            <button type="button" className="fleet-btn fleet-btn-secondary" onClick={() => setLogForm(null)} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {logs.length === 0 ? (
+        <p className="fleet-muted">No maintenance logged yet.</p>
+      ) : (
+        <>
+          <table className="fleet-history">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Work</th>
+                <th>Odometer</th>
+                <th>Cost</th>
+                {canDelete && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {logs.map(log => (
+                <tr key={log.id}>
+                  <td>{formatDate(log.date)}</td>
+                  <td title={log.shop || ''}>
+                    <span className={`fleet-log-type ${log.type}`}>
+                      {MAINTENANCE_TYPES.find(option => option.value === log.type)?.label || log.type}
+                    </span>
+                    <div>{log.workDone}</div>
+                  </td>
+                  <td>{formatKm(log.odometerKm)}</td>
+                  <td>{formatCurrency(log.cost)}</td>
+                  {canDelete && (
+                    <td>
+                      <button type="button" className="fleet-icon-btn" onClick={() => handleDeleteLog(log)} title="Delete entry">
+                        <FaTrash />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="fleet-muted">Total maintenance cost: {formatCurrency(totalCost)}</p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BusMaintenancePanel;
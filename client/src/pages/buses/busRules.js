@@ -0,0 +1,117 @@
+// Bus blocking rules without Firebase imports, so the server can be tested
+// against them (server/test/busBlocks.test.js pins server/busBlocks.js to the
+// same cases). BusMaintenance.js re-exports the rules.
+// A bus with expired papers or overdue service can't be given to a conductor
+// or have a reservation approved.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Papers expiring this close are flagged
+export const EXPIRY_WARNING_DAYS = 30;
+
+// Service is flagged as due this many days or km ahead
+export const SERVICE_WARNING_DAYS = 7;
+export const SERVICE_WARNING_KM = 500;
+
+export const BUS_PAPERS = [
+  { key: 'orCr', label: 'OR/CR registration', expiry: bus => bus.orCrExpiry },
+  { key: 'insurance', label: 'Insurance', expiry: bus => bus.insuranceExpiry },
+  { key: 'franchise', label: 'Franchise', expiry: bus => bus.franchise?.expiry }
+];
+
+export const normalizePlate = (plate) => String(plate || '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+export const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const formatDate = (value) => toDate(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const formatKm = (km) => `${Number(km).toLocaleString('en-US')} km`;
+
+// 'expired', 'expiring' (within EXPIRY_WARNING_DAYS), 'valid' or 'missing'
+export const expiryStatus = (value, now = new Date()) => {
+  const date = toDate(value);
+  if (!date || Number.isNaN(date.getTime())) return 'missing';
+  if (date < now) return 'expired';
+  const warnFrom = new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS);
+  return date <= warnFrom ? 'expiring' : 'valid';
+};
+
+// When the next preventive maintenance falls due.
+// status: 'overdue', 'due' (within the warning window), 'ok', 'unlogged'
+// (interval set but no service recorded yet) or 'unscheduled' (no interval)
+export const serviceStatus = (bus, now = new Date()) => {
+  const days = bus.serviceInterval?.days || null;
+  const km = bus.serviceInterval?.km || null;
+  if (!days && !km) return { status: 'unscheduled', dueDate: null, dueKm: null };
+
+  const last = bus.lastService;
+  if (!last?.date) return { status: 'unlogged', dueDate: null, dueKm: null };
+
+  const dueDate = days ? new Date(toDate(last.date).getTime() + days * DAY_MS) : null;
+  const dueKm = km && last.odometerKm != null ? last.odometerKm + km : null;
+  const odometer = bus.odometerKm ?? last.odometerKm ?? null;
+
+  if ((dueDate && dueDate < now) || (dueKm !== null && odometer !== null && odometer >= dueKm)) {
+    return { status: 'overdue', dueDate, dueKm };
+  }
+  if ((dueDate && dueDate.getTime() - now.getTime() <= SERVICE_WARNING_DAYS * DAY_MS) ||
+      (dueKm !== null && odometer !== null && dueKm - odometer <= SERVICE_WARNING_KM)) {
+    return { status: 'due', dueDate, dueKm };
+  }
+  return { status: 'ok', dueDate, dueKm };
+};
+
+const serviceDueText = ({ dueDate, dueKm }) =>
+  [dueDate && formatDate(dueDate), dueKm !== null && formatKm(dueKm)].filter(Boolean).join(' or at ');
+
+// Everything on a bus that needs attention, worst first:
+// [{ key, kind: 'paper' | 'service', status, blocking, message, date }]
+export const busIssues = (bus, now = new Date()) => {
+  if (bus.status === 'retired') return [];
+  const issues = [];
+
+  BUS_PAPERS.forEach(paper => {
+    const expiry = paper.expiry(bus);
+    const status = expiryStatus(expiry, now);
+    if (status === 'expired' || status === 'expiring') {
+      issues.push({
+        key: paper.key,
+        kind: 'paper',
+        status,
+        blocking: status === 'expired',
+        message: `${paper.label} ${status === 'expired' ? 'expired' : 'expires'} on ${formatDate(expiry)}`,
+        date: toDate(expiry)
+      });
+    }
+  });
+
+  const service = serviceStatus(bus, now);
+  if (service.status === 'overdue' || service.status === 'due') {
+    issues.push({
+      key: 'service',
+      kind: 'service',
+      status: service.status,
+      blocking: service.status === 'overdue',
+      message: `Preventive maintenance ${service.status === 'overdue' ? 'overdue' : 'due'} (${serviceDueText(service)})`,
+      date: service.dueDate
+    });
+  } else if (service.status === 'unlogged') {
+    issues.push({
+      key: 'service',
+      kind: 'service',
+      status: 'unlogged',
+      blocking: false,
+      message: 'No preventive maintenance logged yet',
+      date: null
+    });
+  }
+
+  return issues.sort((a, b) => Number(b.blocking) - Number(a.blocking));
+};
+
+// Why a bus can't be assigned or booked right now, or null if it can
+export const busBlockReason = (bus, now = new Date()) => {
+  const blocking = busIssues(bus, now).filter(issue => issue.blocking);
+  if (blocking.length === 0) return null;
+  return `Bus ${bus.plateNumber} cannot be used: ${blocking.map(issue => issue.message).join('; ')}`;
+};
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { FaFileImport, FaDownload } from 'react-icons/fa';
+import {
+  readConductorFile,
+  previewConductorImport,
+  importConductors,
+  downloadImportTemplate,
+  downloadImportErrors
+} from '/src/pages/conductor/conductorImport.js';
+
+const STATUS_LABELS = {
+  ready: 'Ready',
+  invalid: 'Invalid',
+  exists: 'Already exists',
+  deleted: 'Deleted conductor',
+  created: 'Created',
+  reactivated: 'Reactivated',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+// Bulk conductor onboarding: pick a CSV/XLSX file, review the checked rows,
+// then create the accounts and download whatever didn't go through
+const ConductorImportModal = ({ onClose, onSuccess }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setRows(null);
+    setResults(null);
+    setError('');
+    setLoading(true);
+
+    try {
+      setRows(await previewConductorImport(await readConductorFile(file)));
+    } catch (error) {
+      console.error('Error reading conductor import file:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleReactivate = (rowNumber) => {
+    setRows(current => current.map(row => (
+      row.rowNumber === rowNumber ? { ...row, reactivate: !row.reactivate } : row
+    )));
+  };
+
+  const importCount = rows ? rows.filter(row => row.status === 'ready' || (row.status === 'deleted' && row.reactivate)).length : 0;
+
+  const handleImport = async () => {
+    if (!window.confirm(`Create ${importCount} conductor account(s)?`)) {
+      return;
+    }
+
+    setLoading(true);
+    setProgress({ done: 0, total: importCount });
+    try {
+      setResults(await importConductors(rows, (done, total) => setProgress({ done, total })));
+    } catch (error) {
+      console.error('Error importing conductors:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (loading) return;
+    if (results && results.some(result => result.status === 'created' || result.status === 'reactivated')) {
+      onSuccess();
+    } else {
+      onClose();
+    }
+  };
+
+  const count = (list, status) => list.filter(item => item.status === status).length;
+  const problems = results ? results.filter(result => result.status === 'failed' || result.status === 'skipped') : [];
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Conductors</h2>
+          <button className="close-btn" onClick={handleClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          {!results && (
+            <div className="import-file-row">
+              <input
+                type="file"
+                id="conductorImportFile"
+                accept=".xlsx,.xls,.csv"
+                onChange={handleFileChange}
+                className="hidden-file-input"
+                disabled={loading}
+              />
+              <label htmlFor="conductorImportFile" className="upload-btn">
+                <FaFileImport /> Choose CSV / Excel File
+              </label>
+              <span className="import-file-name">{fileName || 'No file chosen'}</span>
+              <button type="button" className="import-link-btn" onClick={downloadImportTemplate}>
+                <FaDownload /> Download template
+              </button>
+            </div>
+          )}
+
+          {loading && !progress && <p className="import-note">Checking rows...</p>}
+          {progress && <p className="import-note">Creating accounts... {progress.done} of {progress.total}</p>}
+
+          {rows && !results && (
+            <>
+              <p className="import-note">
+                {rows.length} row(s): {count(rows, 'ready')} ready, {count(rows, 'deleted')} previously deleted,{' '}
+                {count(rows, 'exists')} already registered, {count(rows, 'invalid')} invalid.
+                {count(rows, 'deleted') > 0 && ' Tick a deleted conductor to reactivate their old account with the new details.'}
+              </p>
+              <div className="import-table-scroll">
+                <table className="import-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Conductor</th>
+                      <th>Email</th>
+                      <th>Bus / Plate</th>
+                      <th>Route</th>
+                      <th>Status</th>
+                      <th>Issues</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.rowNumber}>
+                        <td>{row.rowNumber}</td>
+                        <td>{row.data.name}</td>
+                        <td>{row.data.email}</td>
+                        <td>{row.data.busNumber} / {row.data.plateNumber}</td>
+                        <td>{row.data.route}</td>
+                        <td>
+                          <span className={`import-status ${row.status}`}>{STATUS_LABELS[row.status]}</span>
+                          {row.status === 'deleted' && (
+                            <label className="import-reactivate">
+                              <input
+                                type="checkbox"
+                                checked={row.reactivate}
+                                onChange={() => toggleReactivate(row.rowNumber)}
+                                disabled={loading}
+                              />
+                              Reactivate
+                            </label>
+                          )}
+                        </td>
+                        <td>
+                          {[...row.errors, ...row.warnings].map(issue => (
+                            <div key={issue} className={row.errors.includes(issue) ? 'import-error' : 'import-warning'}>{issue}</div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {results && (
+            <>
+              <p className="import-note">
+                {count(results, 'created')} created, {count(results, 'reactivated')} reactivated,{' '}
+                {count(results, 'failed')} failed, {count(results, 'skipped')} skipped.
+              </p>
+              <div className="import-table-scroll">
+                <table className="import-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Conductor</th>
+                      <th>Email</th>
+                      <th>Result</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map(result => (
+                      <tr key={result.rowNumber}>
+                        <td>{result.rowNumber}</td>
+                        <td>{result.data.name}</td>
+                        <td>{result.data.email}</td>
+                        <td><span className={`import-status ${result.status}`}>{STATUS_LABELS[result.status]}</span></td>
+                        <td>{result.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="form-actions">
+            {problems.length > 0 && (
+              <button type="button" className="cancel-btn" onClick={() => downloadImportErrors(results)}>
+                Download Error File ({problems.length})
+              </button>
+            )}
+            <button type="button" className="cancel-btn" onClick={handleClose} disabled={loading}>
+              {results ? 'Done' : 'Cancel'}
+            </button>
+            {!results && (
+              <button
+                type="button"
+                className="submit-btn"
+                onClick={handleImport}
+                disabled={loading || importCount === 0}
+              >
+                {loading && progress ? (
+                  <>
+                    <div className="loading-spinner-small"></div>
+                    Importing...
+                  </>
+                ) : (
+                  `Import ${importCount} Conductor(s)`
+                )}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConductorImportModal;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { FaTrashRestore, FaTrash } from 'react-icons/fa';
+import conductorService from '/src/pages/conductor/conductor.js';
+
+const formatDate = (iso) => (iso
+  ? new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'Unknown');
+
+// Recycle bin for soft-deleted conductors: restore them with their original
+// email and name, or (superadmin, after the retention period) purge them for good
+const DeletedConductorsModal = ({ onClose, onRestored, canPurge }) => {
+  const [conductors, setConductors] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadDeleted = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await conductorService.getDeletedConductors();
+      setConductors(result.conductors);
+      setRetentionDays(result.retentionDays);
+    } catch (error) {
+      console.error('Error loading deleted conductors:', error);
+      setError('Failed to load deleted conductors: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDeleted();
+  }, []);
+
+  const handleRestore = async (conductor) => {
+    if (!window.confirm(`Restore ${conductor.name} (${conductor.email})?\n\nThe login account is re-enabled with its old password.`)) {
+      return;
+    }
+
+    setBusyId(conductor.conductorId);
+    const result = await conductorService.restoreDeletedConductor(conductor);
+    setBusyId(null);
+
+    if (!result.success) {
+      alert(`Failed to restore conductor: ${result.error}`);
+      return;
+    }
+    setConductors(current => current.filter(item => item.conductorId !== conductor.conductorId));
+    onRestored();
+  };
+
+  const handlePurge = async (conductor) => {
+    const confirmMessage = `Permanently purge ${conductor.name} (${conductor.email})?\n\nThis removes:\n• The login account\n• Bus images\n• All trips, tickets and remittances\n\nThis cannot be undone.`;
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    setBusyId(conductor.conductorId);
+    const result = await conductorService.purgeDeletedConductor(conductor);
+    setBusyId(null);
+
+    if (!result.success) {
+      alert(`Failed to purge conductor: ${result.error}`);
+      return;
+    }
+    setConductors(current => current.filter(item => item.conductorId !== conductor.conductorId));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Deleted Conductors</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          {retentionDays !== null && (
+            <p className="import-note">
+              Deleted conductors keep their trips and bus images for {retentionDays} days. After that a superadmin
+              can purge them permanently.
+            </p>
+          )}
+
+          {loading ? (
+            <p className="import-note">Loading deleted conductors...</p>
+          ) : conductors.length === 0 ? (
+            <p className="import-note">No deleted conductors.</p>
+          ) : (
+            <div className="import-table-scroll">
+              <table className="import-table">
+                <thead>
+                  <tr>
+                    <th>Conductor</th>
+                    <th>Bus / Route</th>
+                    <th>Deleted</th>
+                    <th>Deleted By</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {conductors.map(conductor => {
+                    const purgeLocked = conductor.purgeableAt && new Date(conductor.purgeableAt) > new Date();
+                    return (
+                      <tr key={conductor.conductorId}>
+                        <td>
+                          <div>{conductor.name}</div>
+                          <div className="import-file-name">{conductor.email}</div>
+                        </td>
+                        <td>
+                          {conductor.busNumber ?? '—'}
+                          {conductor.route && <div className="import-file-name">{conductor.route}</div>}
+                        </td>
+                        <td>{formatDate(conductor.deletedAt)}</td>
+                        <td>{conductor.deletedByEmail || conductor.deletedBy || 'Unknown'}</td>
+                        <td>
+                          <div className="deleted-conductor-actions">
+                            <button
+                              type="button"
+                              className="deleted-restore-btn"
+                              onClick={() => handleRestore(conductor)}
+                              disabled={busyId !== null}
+                            >
+                              <FaTrashRestore /> {busyId === conductor.conductorId ? 'Working...' : 'Restore'}
+                            </button>
+                            {canPurge && (
+                              <button
+                                type="button"
+                                className="deleted-purge-btn"
+                                onClick={() => handlePurge(conductor)}
+                                disabled={busyId !== null || purgeLocked}
+                                title={purgeLocked ? `Can be purged from ${formatDate(conductor.purgeableAt)}` : 'Purge permanently'}
+                              >
+                                <FaTrash /> Purge
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeletedConductorsModal;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import conductorService from '/src/pages/conductor/conductor.js';
+import MapCanvas from '/src/pages/conductor/MapCanvas.jsx';
+import { hasLocation, locationTrails, metersToPixels, toPolylinePoints } from '/src/pages/conductor/fleetMap.js';
+import {
+  normalizeRoute,
+  listenToRouteCorridors,
+  listenToOpenRouteAlerts,
+  acknowledgeRouteAlert
+} from '/src/pages/conductor/routeCorridors.js';
+import './fleetMap.css';
+
+// Same colors as conductorService.getStatusColor
+const LEGEND = [
+  { color: '#4CAF50', label: 'Online' },
+  { color: '#FF9800', label: 'Seen < 30 min' },
+  { color: '#F44336', label: 'Offline' },
+  { color: '#757575', label: 'Never seen' }
+];
+
+// Live map of conductor buses. `conductors` comes from
+// conductorService.setupConductorsListener, so markers and trails move as
+// the conductor documents change. Buses with an open off-route alert get a
+// red ring; selecting one shows its route corridor.
+const FleetMap = ({ conductors, onOpenDetails, focusConductorId = null }) => {
+  const [showOffline, setShowOffline] = useState(false);
+  const [selectedId, setSelectedId] = useState(focusConductorId);
+  const [trails, setTrails] = useState(() => locationTrails.getTrails());
+  const [corridors, setCorridors] = useState([]);
+  const [routeAlerts, setRouteAlerts] = useState([]);
+
+  useEffect(() => listenToRouteCorridors(setCorridors), []);
+  useEffect(() => listenToOpenRouteAlerts(setRouteAlerts), []);
+
+  useEffect(() => {
+    if (focusConductorId) setSelectedId(focusConductorId);
+  }, [focusConductorId]);
+
+  // Record every location update into the trails
+  useEffect(() => {
+    setTrails(locationTrails.record(conductors));
+  }, [conductors]);
+
+  const plotted = useMemo(
+    () => conductors.filter(conductor => hasLocation(conductor) && (showOffline || conductor.isOnline)),
+    [conductors, showOffline]
+  );
+
+  const fitPoints = useMemo(() => plotted.map(conductor => conductor.currentLocation), [plotted]);
+
+  const selected = plotted.find(conductor => conductor.id === selectedId) || null;
+  const alertByConductor = new Map(routeAlerts.map(alert => [alert.conductorId, alert]));
+  const selectedAlert = selected ? alertByConductor.get(selected.id) : null;
+  const selectedCorridor = selected
+    ? corridors.find(corridor => corridor.active !== false && normalizeRoute(corridor.route) === normalizeRoute(selected.route))
+    : null;
+
+  const handleAcknowledge = async (alert) => {
+    const result = await acknowledgeRouteAlert(alert);
+    if (!result.success) {
+      window.alert(`Failed to acknowledge alert: ${result.error}`);
+    }
+  };
+  const onlineWithLocation = conductors.filter(conductor => conductor.isOnline && hasLocation(conductor)).length;
+  const onlineWithoutLocation = conductors.filter(conductor => conductor.isOnline && !hasLocation(conductor));
+
+  return (
+    <div className="fleet-map">
+      <div className="fleet-map-toolbar">
+        <div className="fleet-map-summary">
+          <strong>{onlineWithLocation}</strong> online on map
+          {routeAlerts.length > 0 && (
+            <span className="fleet-map-offroute-count"> · {routeAlerts.length} off route</span>
+          )}
+          {onlineWithoutLocation.length > 0 && (
+            <span className="fleet-map-muted"> · {onlineWithoutLocation.length} online without location</span>
+          )}
+        </div>
+
+        <div className="fleet-map-legend">
+          {LEGEND.map(item => (
+            <span key={item.label} className="fleet-map-legend-item">
+              <span className="fleet-map-legend-dot" style={{ backgroundColor: item.color }}></span>
+              {item.label}
+            </span>
+          ))}
+        </div>
+
+        <label className="fleet-map-toggle">
+          <input
+            type="checkbox"
+            checked={showOffline}
+            onChange={(e) => setShowOffline(e.target.checked)}
+          />
+          Show last known position of offline buses
+        </label>
+      </div>
+
+      <div className="fleet-map-body">
+        <MapCanvas
+          fitPoints={fitPoints}
+          emptyMessage={plotted.length === 0 ? 'No buses are reporting a location right now.' : null}
+        >
+          {(viewport) => (
+            <>
+              {/* Route corridor of the selected bus */}
+              {selectedCorridor && selectedCorridor.polyline?.length > 1 && (
+                <g className="route-corridor">
+                  <polyline
+                    points={toPolylinePoints(viewport, selectedCorridor.polyline)}
+                    className="route-corridor-band"
+                    strokeWidth={Math.max(metersToPixels(viewport, selectedCorridor.corridorWidthMeters, selectedCorridor.polyline[0].latitude), 2)}
+                  />
+                  <polyline points={toPolylinePoints(viewport, selectedCorridor.polyline)} className="route-corridor-line" />
+                </g>
+              )}
+
+              {/* Recent trails */}
+              {plotted.map(conductor => {
+                const points = trails.get(conductor.id) || [];
+                if (points.length < 2) return null;
+                return (
+                  <polyline
+                    key={`trail-${conductor.id}`}
+                    points={toPolylinePoints(viewport, points)}
+                    className="fleet-map-trail"
+                    stroke={conductorService.getStatusColor(conductor.isOnline, conductor.lastSeen)}
+                  />
+                );
+              })}
+
+              {/* Buses */}
+              {plotted.map(conductor => {
+                const { latitude, longitude, heading } = conductor.currentLocation;
+                const point = viewport.toScreen(latitude, longitude);
+                const color = conductorService.getStatusColor(conductor.isOnline, conductor.lastSeen);
+                const hasHeading = Number.isFinite(heading);
+
+                return (
+                  <g
+                    key={conductor.id}
+                    className={`fleet-map-marker map-interactive ${selectedId === conductor.id ? 'selected' : ''}`}
+                    transform={`translate(${point.x.toFixed(1)},${point.y.toFixed(1)})`}
+                    onClick={() => setSelectedId(conductor.id)}
+                  >
+                    <title>{`${conductor.name || conductor.id} · Bus ${conductor.busNumber || 'N/A'}`}</title>
+                    {hasHeading && (
+                      <path
+                        d="M0,-20 L6,-9 L-6,-9 Z"
+                        fill={color}
+                        transform={`rotate(${heading})`}
+                        className="fleet-map-heading"
+                      />
+                    )}
+                    {alertByConductor.has(conductor.id) && <circle r={14} className="fleet-map-offroute-ring" />}
+                    <circle r={9} fill={color} className="fleet-map-dot" />
+                    <text y={26} className="fleet-map-label">
+                      {conductor.busNumber || conductor.name || conductor.id}
+                    </text>
+                  </g>
+                );
+              })}
+            </>
+          )}
+        </MapCanvas>
+
+        {selected && (
+          <div className="fleet-map-info">
+            <div className="fleet-map-info-header">
+              <span
+                className="fleet-map-legend-dot"
+                style={{ backgroundColor: conductorService.getStatusColor(selected.isOnline, selected.lastSeen) }}
+              ></span>
+              <h3>{selected.name}</h3>
+              <button type="button" className="fleet-map-info-close" onClick={() => setSelectedId(null)}>×</button>
+            </div>
+            <div className="fleet-map-info-row">
+              <span className="label">Bus:</span>
+              <span className="value">{selected.busNumber || 'N/A'}</span>
+            </div>
+            <div className="fleet-map-info-row">
+              <span className="label">Status:</span>
+              <span className="value">{conductorService.getStatusText(selected.isOnline, selected.lastSeen)}</span>
+            </div>
+            <div className="fleet-map-info-row">
+              <span className="label">Trip:</span>
+              <span className="value">{selected.activeTripDirection || 'N/A'}</span>
+            </div>
+            <div className="fleet-map-info-row">
+              <span className="label">Speed:</span>
+              <span className="value">
+                {selected.currentLocation.speed
+                  ? (selected.currentLocation.speed * 3.6).toFixed(2)
+                  : '0.00'} km/h
+              </span>
+            </div>
+            <div className="fleet-map-info-row">
+              <span className="label">Heading:</span>
+              <span className="value">{selected.currentLocation.heading || 0}°</span>
+            </div>
+            <div className="fleet-map-info-row">
+              <span className="label">Updated:</span>
+              <span className="value">{conductorService.formatTimestamp(selected.currentLocation.timestamp)}</span>
+            </div>
+            {selectedAlert && (
+              <div className="fleet-map-alert">
+                <strong>Off route</strong> · {selectedAlert.distanceFromRouteMeters}m outside {selectedAlert.corridorName}
+                {selectedAlert.status === 'acknowledged' ? (
+                  <div className="fleet-map-muted">Acknowledged by {selectedAlert.acknowledgedBy || 'an admin'}</div>
+                ) : (
+                  <div>
+                    <button type="button" onClick={() => handleAcknowledge(selectedAlert)}>Acknowledge</button>
+                  </div>
+                )}
+              </div>
+            )}
+            {onOpenDetails && (
+              <button type="button" className="fleet-map-info-details" onClick={() => onOpenDetails(selected.id)}>
+                View conductor details
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FleetMap;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MAP_CONFIG,
+  fitView,
+  createViewport,
+  zoomViewAt,
+  unproject,
+  visibleTiles,
+  gridLines,
+  geometryToPath,
+  loadVectorBasemap
+} from '/src/pages/conductor/fleetMap.js';
+import { FaPlus, FaMinus, FaExpand } from 'react-icons/fa';
+import './fleetMap.css';
+
+// Pannable/zoomable SVG map with the self-hosted basemap (tiles, GeoJSON or
+// grid). `children(viewport)` draws the overlays; the view fits `fitPoints`
+// until the admin pans or zooms. Clicks on `.map-interactive` elements don't
+// start a drag; other clicks (without dragging) go to `onMapClick({ latitude, longitude })`.
+const MapCanvas = ({ fitPoints, emptyMessage = null, onMapClick = null, children }) => {
+  const [size, setSize] = useState({ width: 800, height: 560 });
+  const [view, setView] = useState(null);
+  const [basemap, setBasemap] = useState(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const autoFitRef = useRef(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadVectorBasemap().then(features => {
+      if (!cancelled) setBasemap(features);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Keep the SVG the size of its container
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      if (width > 0 && height > 0) setSize({ width, height });
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    setView(current => (autoFitRef.current || !current ? fitView(fitPoints, size) : current));
+  }, [fitPoints, size]);
+
+  // Wheel zoom needs a non-passive listener so the page doesn't scroll
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const rect = element.getBoundingClientRect();
+      autoFitRef.current = false;
+      setView(current => current && zoomViewAt(
+        current,
+        { width: rect.width, height: rect.height },
+        event.deltaY < 0 ? 0.5 : -0.5,
+        event.clientX - rect.left,
+        event.clientY - rect.top
+      ));
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (event) => {
+    if (!view || event.target.closest('.map-interactive, .fleet-map-controls')) return;
+    dragRef.current = { x: event.clientX, y: event.clientY, center: view.center, moved: false };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current || !view) return;
+    const scale = Math.pow(2, view.zoom);
+    const { x, y, center } = dragRef.current;
+    if (!dragRef.current.moved && Math.hypot(event.clientX - x, event.clientY - y) < 4) return;
+    dragRef.current.moved = true;
+    autoFitRef.current = false;
+    setView({
+      zoom: view.zoom,
+      center: {
+        x: center.x - (event.clientX - x) / scale,
+        y: center.y - (event.clientY - y) / scale
+      }
+    });
+  };
+
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    if (drag && !drag.moved && onMapClick && event.type === 'pointerup') {
+      const rect = containerRef.current.getBoundingClientRect();
+      const world = createViewport(view, size).toWorld(event.clientX - rect.left, event.clientY - rect.top);
+      onMapClick(unproject(world.x, world.y));
+    }
+  };
+
+  const zoomBy = (delta) => {
+    autoFitRef.current = false;
+    setView(current => zoomViewAt(current, size, delta, size.width / 2, size.height / 2));
+  };
+
+  const fitAll = () => {
+    autoFitRef.current = true;
+    setView(fitView(fitPoints, size));
+  };
+
+  const viewport = view ? createViewport(view, size) : null;
+  const grid = viewport ? gridLines(viewport.bounds) : null;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`fleet-map-canvas ${onMapClick ? 'clickable' : ''}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {viewport && (
+        <svg width={size.width} height={size.height} className="fleet-map-svg">
+          <rect width={size.width} height={size.height} className="fleet-map-background" />
+
+          {/* Self-hosted raster tiles */}
+          {visibleTiles(view, size).map(tile => (
+            <image
+              key={tile.key}
+              href={tile.url}
+              x={tile.x}
+              y={tile.y}
+              width={tile.size + 0.5}
+              height={tile.size + 0.5}
+              preserveAspectRatio="none"
+            />
+          ))}
+
+          {/* Self-hosted GeoJSON basemap */}
+          {basemap && basemap.map((feature, index) => {
+            if (feature.geometry?.type === 'Point') {
+              if (!feature.properties?.name) return null;
+              const [longitude, latitude] = feature.geometry.coordinates;
+              const point = viewport.toScreen(latitude, longitude);
+              return (
+                <text key={index} x={point.x} y={point.y} className="fleet-map-place">
+                  {feature.properties.name}
+                </text>
+              );
+            }
+            const isArea = feature.geometry?.type?.includes('Polygon');
+            return (
+              <path
+                key={index}
+                d={geometryToPath(feature.geometry, viewport.toScreen)}
+                className={isArea ? 'fleet-map-area' : 'fleet-map-road'}
+              />
+            );
+          })}
+
+          {/* Coordinate grid */}
+          {!MAP_CONFIG.tileUrl && grid && (
+            <g className="fleet-map-grid">
+              {grid.latitudes.map(latitude => {
+                const y = viewport.toScreen(latitude, viewport.bounds.west).y;
+                return (
+                  <g key={`lat-${latitude}`}>
+                    <line x1={0} x2={size.width} y1={y} y2={y} />
+                    <text x={4} y={y - 3}>{latitude.toFixed(grid.decimals)}°</text>
+                  </g>
+                );
+              })}
+              {grid.longitudes.map(longitude => {
+                const x = viewport.toScreen(viewport.bounds.north, longitude).x;
+                return (
+                  <g key={`lon-${longitude}`}>
+                    <line x1={x} x2={x} y1={0} y2={size.height} />
+                    <text x={x + 3} y={size.height - 4}>{longitude.toFixed(grid.decimals)}°</text>
+                  </g>
+                );
+              })}
+            </g>
+          )}
+
+          {children(viewport)}
+        </svg>
+      )}
+
+      <div className="fleet-map-controls">
+        <button type="button" onClick={() => zoomBy(1)} title="Zoom in"><FaPlus /></button>
+        <button type="button" onClick={() => zoomBy(-1)} title="Zoom out"><FaMinus /></button>
+        <button type="button" onClick={fitAll} title="Fit to map"><FaExpand /></button>
+      </div>
+
+      {MAP_CONFIG.attribution && (
+        <div className="fleet-map-attribution">{MAP_CONFIG.attribution}</div>
+      )}
+
+      {emptyMessage && (
+        <div className="fleet-map-empty">{emptyMessage}</div>
+      )}
+    </div>
+  );
+};
+
+export default MapCanvas;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import MapCanvas from '/src/pages/conductor/MapCanvas.jsx';
+import { metersToPixels, toPolylinePoints } from '/src/pages/conductor/fleetMap.js';
+import {
+  DEFAULT_CORRIDOR_WIDTH_METERS,
+  normalizeRoute,
+  listenToRouteCorridors,
+  saveRouteCorridor,
+  deleteRouteCorridor
+} from '/src/pages/conductor/routeCorridors.js';
+import { FaPlus, FaUndo, FaTrash } from 'react-icons/fa';
+import './fleetMap.css';
+
+const emptyCorridor = (route = '') => ({
+  id: null,
+  name: route,
+  route,
+  polyline: [],
+  corridorWidthMeters: DEFAULT_CORRIDOR_WIDTH_METERS,
+  active: true
+});
+
+// Draw and edit route corridors. A corridor is matched to conductors by
+// their `route` text; buses outside it raise off-route alerts.
+const RouteCorridors = ({ conductors, canDelete }) => {
+  const [corridors, setCorridors] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => listenToRouteCorridors(setCorridors), []);
+
+  // Routes typed on conductor documents, with how many conductors use each
+  const conductorRoutes = useMemo(() => {
+    const routes = new Map();
+    conductors.forEach(conductor => {
+      const key = normalizeRoute(conductor.route);
+      if (!key) return;
+      const entry = routes.get(key) || { route: String(conductor.route).trim(), count: 0 };
+      entry.count += 1;
+      routes.set(key, entry);
+    });
+    return routes;
+  }, [conductors]);
+
+  const corridorRoutes = new Set(corridors.map(corridor => normalizeRoute(corridor.route)));
+  const routesWithoutCorridor = Array.from(conductorRoutes.entries())
+    .filter(([key]) => !corridorRoutes.has(key))
+    .map(([, entry]) => entry);
+
+  // Fit the saved geometry only, so adding points doesn't move the map
+  const fitPoints = useMemo(() => {
+    const saved = corridors.find(corridor => corridor.id === editing?.id)?.polyline;
+    return saved?.length ? saved : corridors.flatMap(corridor => corridor.polyline || []);
+  }, [editing?.id, corridors]);
+
+  const updateEditing = (changes) => setEditing(current => ({ ...current, ...changes }));
+
+  const handleMapClick = (point) => {
+    if (!editing) return;
+    updateEditing({ polyline: [...editing.polyline, point] });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await saveRouteCorridor(editing);
+    setSaving(false);
+
+    if (result.success) {
+      setEditing(null);
+    } else {
+      alert(`Failed to save corridor: ${result.error}`);
+    }
+  };
+
+  const handleDelete = async (corridor) => {
+    if (!window.confirm(`Delete the ${corridor.name} corridor? Buses on ${corridor.route} will no longer be checked.`)) {
+      return;
+    }
+    const result = await deleteRouteCorridor(corridor);
+    if (result.success) {
+      if (editing?.id === corridor.id) setEditing(null);
+    } else {
+      alert(`Failed to delete corridor: ${result.error}`);
+    }
+  };
+
+  const drawCorridor = (viewport, corridor, isEditing) => {
+    const polyline = corridor.polyline || [];
+    if (polyline.length === 0) return null;
+    const width = metersToPixels(viewport, Number(corridor.corridorWidthMeters) || 0, polyline[0].latitude);
+    const points = toPolylinePoints(viewport, polyline);
+
+    return (
+      <g key={corridor.id || 'new'} className={`route-corridor ${isEditing ? 'editing' : ''} ${corridor.active === false ? 'inactive' : ''}`}>
+        <polyline points={points} className="route-corridor-band" strokeWidth={Math.max(width, 2)} />
+        <polyline points={points} className="route-corridor-line" />
+        {isEditing && polyline.map((vertex, index) => {
+          const point = viewport.toScreen(vertex.latitude, vertex.longitude);
+          return (
+            <circle
+              key={index}
+              cx={point.x}
+              cy={point.y}
+              r={5}
+              className="route-corridor-vertex map-interactive"
+              onClick={() => updateEditing({ polyline: polyline.filter((_, i) => i !== index) })}
+            >
+              <title>Click to remove this point</title>
+            </circle>
+          );
+        })}
+      </g>
+    );
+  };
+
+  return (
+    <div className="fleet-map route-corridors">
+      <div className="fleet-map-toolbar">
+        <div>
+          <strong>{corridors.length}</strong> route corridor{corridors.length === 1 ? '' : 's'}
+          {routesWithoutCorridor.length > 0 && (
+            <span className="fleet-map-muted"> · {routesWithoutCorridor.length} conductor route{routesWithoutCorridor.length === 1 ? '' : 's'} without a corridor</span>
+          )}
+        </div>
+        {editing && (
+          <span className="fleet-map-muted">Click the map to add points along the route; click a point to remove it.</span>
+        )}
+      </div>
+
+      <div className="fleet-map-body">
+        <div className="fleet-map-info route-corridors-panel">
+          {editing ? (
+            <div className="route-corridor-form">
+              <h3>{editing.id ? 'Edit Corridor' : 'New Corridor'}</h3>
+              <label>
+                Name
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => updateEditing({ name: e.target.value })}
+                  placeholder="e.g. Batangas - Lipa"
+                />
+              </label>
+              <label>
+                Conductor route
+                <input
+                  type="text"
+                  list="route-corridor-routes"
+                  value={editing.route}
+                  onChange={(e) => updateEditing({ route: e.target.value })}
+                  placeholder="Same text as the conductor's route"
+                />
+                <datalist id="route-corridor-routes">
+                  {Array.from(conductorRoutes.values()).map(entry => (
+                    <option key={entry.route} value={entry.route} />
+                  ))}
+                </datalist>
+              </label>
+              <span className="fleet-map-muted">
+                {conductorRoutes.get(normalizeRoute(editing.route))?.count || 0} conductor(s) on this route
+              </span>
+              <label>
+                Corridor width (meters)
+                <input
+                  type="number"
+                  min="20"
+                  step="10"
+                  value={editing.corridorWidthMeters}
+                  onChange={(e) => updateEditing({ corridorWidthMeters: e.target.value })}
+                />
+              </label>
+              <label className="fleet-map-toggle">
+                <input
+                  type="checkbox"
+                  checked={editing.active}
+                  onChange={(e) => updateEditing({ active: e.target.checked })}
+                />
+                Raise off-route alerts
+              </label>
+              <div className="fleet-map-info-row">
+                <span className="label">Points:</span>
+                <span className="value">{editing.polyline.length}</span>
+              </div>
+              <div className="route-corridor-actions">
+                <button
+                  type="button"
+                  onClick={() => updateEditing({ polyline: editing.polyline.slice(0, -1) })}
+                  disabled={editing.polyline.length === 0}
+                >
+                  <FaUndo /> Undo point
+                </button>
+                <button
+                  type="button"
+                  onClick={() => updateEditing({ polyline: [] })}
+                  disabled={editing.polyline.length === 0}
+                >
+                  Clear
+                </button>
+              </div>
+              <div className="route-corridor-actions">
+                <button type="button" onClick={() => setEditing(null)} disabled={saving}>Cancel</button>
+                <button type="button" className="primary" onClick={handleSave} disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Corridor'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <button type="button" className="fleet-map-info-details" onClick={() => setEditing(emptyCorridor())}>
+                <FaPlus /> New Corridor
+              </button>
+
+              <ul className="route-corridor-list">
+                {corridors.map(corridor => (
+                  <li key={corridor.id}>
+                    <div className="route-corridor-list-main" onClick={() => setEditing({
+                      ...emptyCorridor(),
+                      ...corridor,
+                      polyline: corridor.polyline || []
+                    })}>
+                      <strong>{corridor.name}</strong>
+                      <span className="fleet-map-muted">
+                        {corridor.route} · {corridor.corridorWidthMeters}m · {conductorRoutes.get(normalizeRoute(corridor.route))?.count || 0} conductor(s)
+                        {corridor.active === false ? ' · alerts off' : ''}
+                      </span>
+                    </div>
+                    {canDelete && (
+                      <button type="button" className="route-corridor-delete" onClick={() => handleDelete(corridor)} title="Delete corridor">
+                        <FaTrash />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              {routesWithoutCorridor.length > 0 && (
+                <>
+                  <h4 className="trip-playback-list-title">Routes without a corridor</h4>
+                  <ul className="route-corridor-list">
+                    {routesWithoutCorridor.map(entry => (
+                      <li key={entry.route}>
+                        <div className="route-corridor-list-main" onClick={() => setEditing(emptyCorridor(entry.route))}>
+                          <strong>{entry.route}</strong>
+                          <span className="fleet-map-muted">{entry.count} conductor(s) · click to draw</span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <MapCanvas
+          fitPoints={fitPoints}
+          onMapClick={editing ? handleMapClick : null}
+          emptyMessage={!editing && corridors.length === 0 ? 'No route corridors yet. Create one to start off-route alerts.' : null}
+        >
+          {(viewport) => (
+            <>
+              {corridors
+                .filter(corridor => corridor.id !== editing?.id)
+                .map(corridor => drawCorridor(viewport, corridor, false))}
+              {editing && drawCorridor(viewport, editing, true)}
+            </>
+          )}
+        </MapCanvas>
+      </div>
+    </div>
+  );
+};
+
+export default RouteCorridors;
@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import tripPlaybackService from '/src/pages/conductor/tripPlayback.js';
+import MapCanvas from '/src/pages/conductor/MapCanvas.jsx';
+import { toPolylinePoints } from '/src/pages/conductor/fleetMap.js';
+import { FaPlay, FaPause, FaUndo } from 'react-icons/fa';
+import './fleetMap.css';
+
+const PLAYBACK_SPEEDS = [10, 30, 60, 120];
+const TICK_MS = 250;
+
+const TICKET_TYPE_LABELS = {
+  conductor: 'Conductor',
+  preBooking: 'Pre-booking',
+  preTicket: 'Pre-ticket'
+};
+
+const formatTime = (time) => (time
+  ? new Date(time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+  : 'N/A');
+
+// Replays a conductor's recorded route for one day or trip: the bus moves
+// along the location history while the scrubber shows where each ticket was
+// issued and any SOS request sent in the same window.
+const TripPlayback = ({ conductors, conductorId, onConductorChange }) => {
+  const [dates, setDates] = useState([]);
+  const [date, setDate] = useState('');
+  const [points, setPoints] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [tripId, setTripId] = useState('all');
+  const [tickets, setTickets] = useState([]);
+  const [sosRequests, setSosRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [currentTime, setCurrentTime] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(60);
+
+  // Dates with recorded history for the selected conductor
+  useEffect(() => {
+    setDates([]);
+    setDate('');
+    if (!conductorId) return;
+
+    let cancelled = false;
+    tripPlaybackService.getHistoryDates(conductorId).then(historyDates => {
+      if (cancelled) return;
+      setDates(historyDates);
+      setDate(historyDates[0] || '');
+    });
+    return () => { cancelled = true; };
+  }, [conductorId]);
+
+  // History, trips and tickets of the selected day
+  useEffect(() => {
+    setPoints([]);
+    setTrips([]);
+    setTickets([]);
+    setTripId('all');
+    setPlaying(false);
+    setLoading(false);
+    if (!conductorId || !date) return;
+
+    let cancelled = false;
+    const loadDay = async () => {
+      setLoading(true);
+      const [dayPoints, dayTrips] = await Promise.all([
+        tripPlaybackService.getDayHistory(conductorId, date),
+        tripPlaybackService.getTrips(conductorId, date)
+      ]);
+      const tripTickets = await Promise.all(
+        dayTrips.map(trip => tripPlaybackService.getTripTickets(conductorId, date, trip.tripId))
+      );
+      if (cancelled) return;
+
+      setPoints(dayPoints);
+      setTrips(dayTrips);
+      setTickets(tripTickets.flat().sort((a, b) => a.time - b.time));
+      setLoading(false);
+    };
+    loadDay();
+    return () => { cancelled = true; };
+  }, [conductorId, date]);
+
+  const selectedTrip = trips.find(trip => trip.tripId === tripId) || null;
+
+  // Playback window: the selected trip, or the whole recorded day
+  const range = useMemo(() => {
+    if (points.length === 0) return null;
+    const start = selectedTrip?.startTime || points[0].time;
+    const end = selectedTrip?.endTime || points[points.length - 1].time;
+    return { start, end: Math.max(end, start) };
+  }, [points, selectedTrip]);
+
+  const windowPoints = useMemo(
+    () => (range ? points.filter(point => point.time >= range.start && point.time <= range.end) : []),
+    [points, range]
+  );
+
+  const windowTickets = useMemo(
+    () => (range
+      ? tickets.filter(ticket => (tripId === 'all' || ticket.tripId === tripId) &&
+          ticket.time >= range.start && ticket.time <= range.end)
+      : []),
+    [tickets, tripId, range]
+  );
+
+  useEffect(() => {
+    setCurrentTime(range ? range.start : null);
+    setPlaying(false);
+  }, [range]);
+
+  useEffect(() => {
+    if (!range) {
+      setSosRequests([]);
+      return;
+    }
+    let cancelled = false;
+    tripPlaybackService.getSosRequests(range.start, range.end).then(requests => {
+      if (!cancelled) setSosRequests(requests);
+    });
+    return () => { cancelled = true; };
+  }, [range]);
+
+  useEffect(() => {
+    if (!playing || !range) return;
+
+    const timer = setInterval(() => {
+      setCurrentTime(time => Math.min((time ?? range.start) + TICK_MS * playbackSpeed, range.end));
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, playbackSpeed, range]);
+
+  useEffect(() => {
+    if (playing && range && currentTime >= range.end) setPlaying(false);
+  }, [playing, range, currentTime]);
+
+  const fitPoints = windowPoints.length > 0 ? windowPoints : points;
+  const position = currentTime !== null ? tripPlaybackService.positionAt(points, currentTime) : null;
+  const travelled = windowPoints.filter(point => point.time <= currentTime);
+  const issuedTickets = windowTickets.filter(ticket => ticket.time <= currentTime);
+  const issuedRevenue = issuedTickets.reduce((sum, ticket) => sum + ticket.fare, 0);
+  const issuedPassengers = issuedTickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
+  const duration = range ? range.end - range.start : 0;
+  const percentOf = (time) => (duration > 0 ? ((time - range.start) / duration) * 100 : 0);
+
+  const togglePlaying = () => {
+    if (!range) return;
+    if (!playing && currentTime >= range.end) setCurrentTime(range.start);
+    setPlaying(!playing);
+  };
+
+  let emptyMessage = null;
+  if (!conductorId) emptyMessage = 'Select a conductor to play back a trip.';
+  else if (loading) emptyMessage = 'Loading location history...';
+  else if (dates.length === 0) emptyMessage = 'No location history recorded for this conductor yet.';
+  else if (windowPoints.length === 0) emptyMessage = 'No locations were recorded during this trip.';
+
+  return (
+    <div className="fleet-map trip-playback">
+      <div className="fleet-map-toolbar">
+        <div className="trip-playback-selectors">
+          <select
+            value={conductorId || ''}
+            onChange={(e) => onConductorChange(e.target.value)}
+            className="trip-playback-select"
+          >
+            <option value="">Select conductor</option>
+            {conductors.map(conductor => (
+              <option key={conductor.id} value={conductor.id}>
+                {conductor.name || conductor.id}{conductor.busNumber ? ` · Bus ${conductor.busNumber}` : ''}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            disabled={dates.length === 0}
+            className="trip-playback-select"
+          >
+            {dates.length === 0 && <option value="">No dates</option>}
+            {dates.map(historyDate => (
+              <option key={historyDate} value={historyDate}>{historyDate}</option>
+            ))}
+          </select>
+
+          <select
+            value={tripId}
+            onChange={(e) => setTripId(e.target.value)}
+            disabled={trips.length === 0}
+            className="trip-playback-select"
+          >
+            <option value="all">Whole day</option>
+            {trips.map(trip => (
+              <option key={trip.tripId} value={trip.tripId}>
+                {trip.tripId} · {trip.direction} ({formatTime(trip.startTime)}{trip.endTime ? ` - ${formatTime(trip.endTime)}` : ''})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="fleet-map-legend">
+          <span className="fleet-map-legend-item">
+            <span className="fleet-map-legend-dot" style={{ backgroundColor: '#007c91' }}></span>
+            Bus
+          </span>
+          <span className="fleet-map-legend-item">
+            <span className="fleet-map-legend-dot" style={{ backgroundColor: '#f59e0b' }}></span>
+            Ticket issued
+          </span>
+          <span className="fleet-map-legend-item">
+            <span className="fleet-map-legend-dot" style={{ backgroundColor: '#dc2626' }}></span>
+            SOS request
+          </span>
+        </div>
+      </div>
+
+      <div className="fleet-map-body">
+        <MapCanvas fitPoints={fitPoints} emptyMessage={emptyMessage}>
+          {(viewport) => (
+            <>
+              {windowPoints.length > 1 && (
+                <polyline points={toPolylinePoints(viewport, windowPoints)} className="trip-playback-path" />
+              )}
+              {travelled.length > 1 && (
+                <polyline points={toPolylinePoints(viewport, travelled)} className="trip-playback-travelled" />
+              )}
+
+              {/* Where each ticket was issued */}
+              {windowTickets.map(ticket => {
+                const at = tripPlaybackService.positionAt(points, ticket.time);
+                if (!at) return null;
+                const point = viewport.toScreen(at.latitude, at.longitude);
+                return (
+                  <rect
+                    key={`${ticket.tripId}-${ticket.type}-${ticket.id}`}
+                    x={point.x - 4}
+                    y={point.y - 4}
+                    width={8}
+                    height={8}
+                    className={`trip-playback-ticket map-interactive ${ticket.time <= currentTime ? 'issued' : ''}`}
+                    onClick={() => setCurrentTime(ticket.time)}
+                  >
+                    <title>{`${formatTime(ticket.time)} · ${ticket.from} → ${ticket.to} · ₱${ticket.fare.toFixed(2)}`}</title>
+                  </rect>
+                );
+              })}
+
+              {sosRequests.map(sos => {
+                const point = viewport.toScreen(sos.latitude, sos.longitude);
+                return (
+                  <path
+                    key={sos.id}
+                    d={`M${point.x.toFixed(1)},${(point.y - 11).toFixed(1)} l9,16 l-18,0 Z`}
+                    className="trip-playback-sos map-interactive"
+                    onClick={() => sos.time && setCurrentTime(Math.min(Math.max(sos.time, range.start), range.end))}
+                  >
+                    <title>{`SOS · ${sos.emergencyType} · ${formatTime(sos.time)}${sos.route ? ` · ${sos.route}` : ''}`}</title>
+                  </path>
+                );
+              })}
+
+              {position && windowPoints.length > 0 && (() => {
+                const point = viewport.toScreen(position.latitude, position.longitude);
+                return (
+                  <g
+                    className="fleet-map-marker"
+                    transform={`translate(${point.x.toFixed(1)},${point.y.toFixed(1)})`}
+                  >
+                    {Number.isFinite(position.heading) && (
+                      <path
+                        d="M0,-20 L6,-9 L-6,-9 Z"
+                        fill="#007c91"
+                        transform={`rotate(${position.heading})`}
+                        className="fleet-map-heading"
+                      />
+                    )}
+                    <circle r={9} fill="#007c91" className="fleet-map-dot" />
+                  </g>
+                );
+              })()}
+            </>
+          )}
+        </MapCanvas>
+
+        <div className="fleet-map-info trip-playback-info">
+          <div className="fleet-map-info-row">
+            <span className="label">Time:</span>
+            <span className="value">{formatTime(currentTime)}</span>
+          </div>
+          <div className="fleet-map-info-row">
+            <span className="label">Speed:</span>
+            <span className="value">
+              {position && Number.isFinite(position.speed) ? (position.speed * 3.6).toFixed(2) : '0.00'} km/h
+            </span>
+          </div>
+          <div className="fleet-map-info-row">
+            <span className="label">Heading:</span>
+            <span className="value">{position && Number.isFinite(position.heading) ? Math.round(position.heading) : 0}°</span>
+          </div>
+          <div className="fleet-map-info-row">
+            <span className="label">Trip:</span>
+            <span className="value">{selectedTrip?.direction || position?.tripDirection || 'N/A'}</span>
+          </div>
+          <div className="fleet-map-info-row">
+            <span className="label">Tickets so far:</span>
+            <span className="value">{issuedTickets.length} ({issuedPassengers} pax)</span>
+          </div>
+          <div className="fleet-map-info-row">
+            <span className="label">Fare so far:</span>
+            <span className="value">₱{issuedRevenue.toFixed(2)}</span>
+          </div>
+
+          <h4 className="trip-playback-list-title">Tickets issued</h4>
+          {issuedTickets.length === 0 ? (
+            <p className="fleet-map-muted">No tickets yet at this point.</p>
+          ) : (
+            <ul className="trip-playback-tickets">
+              {[...issuedTickets].reverse().map(ticket => (
+                <li key={`${ticket.tripId}-${ticket.type}-${ticket.id}`} onClick={() => setCurrentTime(ticket.time)}>
+                  <span className="time">{formatTime(ticket.time)}</span>
+                  <span className="route">{ticket.from} → {ticket.to}</span>
+                  <span className="fleet-map-muted">
+                    {TICKET_TYPE_LABELS[ticket.type]} · {ticket.quantity} pax · ₱{ticket.fare.toFixed(2)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Timeline scrubber */}
+      <div className="trip-playback-timeline">
+        <button type="button" onClick={togglePlaying} disabled={!range} title={playing ? 'Pause' : 'Play'}>
+          {playing ? <FaPause /> : <FaPlay />}
+        </button>
+        <button
+          type="button"
+          onClick={() => { setPlaying(false); setCurrentTime(range.start); }}
+          disabled={!range}
+          title="Back to start"
+        >
+          <FaUndo />
+        </button>
+
+        <span className="trip-playback-clock">{range ? formatTime(range.start) : '--:--'}</span>
+        <div className="trip-playback-scrubber">
+          <div className="trip-playback-ticks">
+            {windowTickets.map(ticket => (
+              <span
+                key={`${ticket.tripId}-${ticket.type}-${ticket.id}`}
+                className="trip-playback-tick"
+                style={{ left: `${percentOf(ticket.time)}%` }}
+              ></span>
+            ))}
+            {range && sosRequests
+              .filter(sos => sos.time >= range.start && sos.time <= range.end)
+              .map(sos => (
+                <span
+                  key={sos.id}
+                  className="trip-playback-tick sos"
+                  style={{ left: `${percentOf(sos.time)}%` }}
+                ></span>
+              ))}
+          </div>
+          <input
+            type="range"
+            min={range?.start || 0}
+            max={range?.end || 0}
+            step={1000}
+            value={currentTime ?? 0}
+            disabled={!range}
+            onChange={(e) => setCurrentTime(Number(e.target.value))}
+          />
+        </div>
+        <span className="trip-playback-clock">{range ? formatTime(range.end) : '--:--'}</span>
+
+        <select
+          value={playbackSpeed}
+          onChange={(e) => setPlaybackSpeed(Number(e.target.value))}
+          className="trip-playback-select"
+          title="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map(speed => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default TripPlayback;
@@ -1,9 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import conductorService from '/src/pages/conductor/conductor.js';
+import FleetMap from '/src/pages/conductor/FleetMap.jsx';
+import TripPlayback from '/src/pages/conductor/TripPlayback.jsx';
+import RouteCorridors from '/src/pages/conductor/RouteCorridors.jsx';
+import RouteSelect from '/src/pages/routes/RouteSelect.jsx';
+import ConductorImportModal from '/src/pages/conductor/ConductorImportModal.jsx';
+import DeletedConductorsModal from '/src/pages/conductor/DeletedConductorsModal.jsx';
 import './conductor.css';
 import { IoMdAdd } from "react-icons/io";
 import { LuBus } from "react-icons/lu";
-import { FaUsers, FaCheckCircle, FaTimesCircle, FaMapMarkerAlt, FaTrash, FaEdit, FaCheck, FaEye, FaEyeSlash } from 'react-icons/fa';
+import { FaUsers, FaCheckCircle, FaTimesCircle, FaMapMarkerAlt, FaTrash, FaEdit, FaCheck, FaEye, FaEyeSlash, FaKey, FaUserSlash, FaUserCheck, FaMapMarkedAlt, FaList, FaHistory, FaRoute, FaFileImport, FaTrashRestore } from 'react-icons/fa';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth, db } from '/src/firebase/firebase.js';
 import { doc, getDoc } from 'firebase/firestore';
@@ -17,11 +24,26 @@ const Conductor = () => {
   const [filterStatus, setFilterStatus] = useState('all');
   const [sortBy, setSortBy] = useState('name');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showDeletedModal, setShowDeletedModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingConductor, setEditingConductor] = useState(null);
   const [currentUserRole, setCurrentUserRole] = useState(null);
   const [isSuperAdmin, setIsSuperAdmin] = useState(false);
 
+  // /admin/conductor?view=map shows the live fleet map instead of the list,
+  // ?view=playback&conductorId=... replays a conductor's recorded trips and
+  // ?view=corridors edits the route corridors used for off-route alerts
+  const [searchParams, setSearchParams] = useSearchParams();
+  const showFleetMap = searchParams.get('view') === 'map';
+  const showPlayback = searchParams.get('view') === 'playback';
+  const showCorridors = searchParams.get('view') === 'corridors';
+  const playbackConductorId = searchParams.get('conductorId') || '';
+
+  const openPlayback = (conductorId) => {
+    setSearchParams(conductorId ? { view: 'playback', conductorId } : { view: 'playback' });
+  };
+
   // Fetch current user role and superadmin status
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
@@ -114,6 +136,47 @@ const Conductor = () => {
     setShowEditModal(true);
   };
 
+  const handleToggleConductorLogin = async (conductor) => {
+    const disable = !conductor.authDisabled;
+    let reason = null;
+
+    if (disable) {
+      reason = window.prompt(`Disable login for ${conductor.name}? They will be signed out of the app.\n\nReason (optional):`);
+      if (reason === null) return;
+    } else if (!window.confirm(`Enable login for ${conductor.name}?`)) {
+      return;
+    }
+
+    const result = await conductorService.setConductorDisabled(conductor.id, disable, reason || null);
+    if (result.success) {
+      alert(`✅ Login ${disable ? 'disabled' : 'enabled'} for ${conductor.name}`);
+    } else {
+      alert(`❌ Error: ${result.error}`);
+    }
+  };
+
+  const handleResetPassword = async (conductor) => {
+    const newPassword = window.prompt(
+      `Reset password for ${conductor.name} (${conductor.email}).\n\n` +
+      'Enter a new password (at least 6 characters), or leave empty to generate a reset link:'
+    );
+    if (newPassword === null) return;
+
+    if (newPassword && newPassword.length < 6) {
+      alert('Password must be at least 6 characters long');
+      return;
+    }
+
+    const result = await conductorService.resetConductorPassword(conductor.id, newPassword || null);
+    if (!result.success) {
+      alert(`❌ Error: ${result.error}`);
+    } else if (result.passwordChanged) {
+      alert(`✅ Password changed. ${conductor.name} has been signed out and must log in with the new password.`);
+    } else {
+      window.prompt('Share this password reset link with the conductor:', result.resetLink);
+    }
+  };
+
   const handleMarkAsCompleted = async (conductorId) => {
     if (!window.confirm('Mark this reservation as completed? This will make the bus available for new reservations.')) {
       return;
@@ -204,6 +267,41 @@ const Conductor = () => {
 
             {/* Action Buttons */}
             <div className="conductor-action-buttons">
+              <button
+                onClick={() => setSearchParams(showFleetMap ? {} : { view: 'map' })}
+                className="conductor-sync-btn"
+              >
+                {showFleetMap ? <FaList /> : <FaMapMarkedAlt />}
+                {showFleetMap ? 'Conductor List' : 'Fleet Map'}
+              </button>
+              <button
+                onClick={() => (showPlayback ? setSearchParams({}) : openPlayback(selectedConductor?.id))}
+                className="conductor-sync-btn"
+              >
+                {showPlayback ? <FaList /> : <FaHistory />}
+                {showPlayback ? 'Conductor List' : 'Trip Playback'}
+              </button>
+              <button
+                onClick={() => setSearchParams(showCorridors ? {} : { view: 'corridors' })}
+                className="conductor-sync-btn"
+              >
+                {showCorridors ? <FaList /> : <FaRoute />}
+                {showCorridors ? 'Conductor List' : 'Route Corridors'}
+              </button>
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="conductor-sync-btn"
+              >
+                <FaFileImport />
+                Import
+              </button>
+              <button
+                onClick={() => setShowDeletedModal(true)}
+                className="conductor-sync-btn"
+              >
+                <FaTrashRestore />
+                Deleted
+              </button>
               <button
                 onClick={() => setShowAddModal(true)}
                 className="conductor-add-btn"
@@ -263,169 +361,213 @@ const Conductor = () => {
         </div>
       </div>
 
-      <div className="conductor-content">
-        <div className="conductor-sidebar">
-          <div className="conductor-controls">
-            <div className="search-container">
-              <input
-                type="text"
-                placeholder="Search conductors..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="search-input"
-              />
-            </div>
+      {showFleetMap ? (
+        <FleetMap
+          conductors={conductors}
+          focusConductorId={searchParams.get('conductorId')}
+          onOpenDetails={(conductorId) => {
+            setSearchParams({});
+            handleConductorSelect(conductorId);
+          }}
+        />
+      ) : showPlayback ? (
+        <TripPlayback
+          conductors={conductors}
+          conductorId={playbackConductorId}
+          onConductorChange={openPlayback}
+        />
+      ) : showCorridors ? (
+        <RouteCorridors conductors={conductors} canDelete={isSuperAdmin} />
+      ) : (
+        <div className="conductor-content">
+          <div className="conductor-sidebar">
+            <div className="conductor-controls">
+              <div className="search-container">
+                <input
+                  type="text"
+                  placeholder="Search conductors..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="search-input"
+                />
+              </div>
 
-            <div className="filter-container">
-              <select
-                value={filterStatus}
-                onChange={(e) => setFilterStatus(e.target.value)}
-                className="filter-select"
-              >
-                <option value="all">All Status</option>
-                <option value="online">Online Only</option>
-                <option value="offline">Offline Only</option>
-              </select>
-
-              <select
-                value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
-                className="sort-select"
-              >
-                <option value="name">Sort by Name</option>
-                <option value="route">Sort by Route</option>
-                <option value="lastSeen">Sort by Last Seen</option>
-                <option value="trips">Sort by Trips Count</option>
-              </select>
+              <div className="filter-container">
+                <select
+                  value={filterStatus}
+                  onChange={(e) => setFilterStatus(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="all">All Status</option>
+                  <option value="online">Online Only</option>
+                  <option value="offline">Offline Only</option>
+                </select>
+
+                <select
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value)}
+                  className="sort-select"
+                >
+                  <option value="name">Sort by Name</option>
+                  <option value="route">Sort by Route</option>
+                  <option value="lastSeen">Sort by Last Seen</option>
+                  <option value="trips">Sort by Trips Count</option>
+                </select>
+              </div>
             </div>
-          </div>
 
-          <div className="conductor-list">
-            {filteredAndSortedConductors().map((conductor) => {
-              // Pre-calculate status to avoid multiple calls
-              const busStatus = conductorService.getBusAvailabilityStatus(conductor);
-              const statusInfo = conductorService.getStatusDisplayInfo(busStatus);
-
-              return (
-              <div
-                key={conductor.id}
-                className={`conductor-item ${selectedConductor?.id === conductor.id ? 'selected' : ''}`}
-                onClick={() => handleConductorSelect(conductor.id)}
-              >
-                <div className="conductor-item-header">
-                  <div className="conductor-name">{conductor.name || 'Unknown'}</div>
-                  <div 
-                    className="conductor-status"
-                    style={{ 
-                      backgroundColor: conductorService.getStatusColor(conductor.isOnline, conductor.lastSeen)
-                    }}
-                  >
-                    {conductorService.getStatusText(conductor.isOnline, conductor.lastSeen)}
-                    {/* Real-time status indicator */}
-                    {conductor.isOnline && (
-                      <span className="live-indicator">●</span>
-                    )}
-                  </div>
-                </div>
-                
-                <div className="conductor-item-details">
-                  <div className="detail-row">
-                    <span className="detail-label">Route:</span>
-                    <span className="detail-value">{conductor.route || 'N/A'}</span>
-                  </div>
-                  <div className="detail-row">
-                    <span className="detail-label">Active Trip:</span>
-                    <span className="detail-value">{conductor.activeTripDirection || 'N/A'}</span>
-                  </div>
-                  <div className="detail-row">
-                    <span className="detail-label">Bus:</span>
-                    <span className="detail-value">#{conductor.busNumber || 'N/A'}</span>
-                  </div>
-                  <div className="detail-row">
-                    <span className="detail-label">Plate:</span>
-                    <span className="detail-value">{conductor.plateNumber || 'N/A'}</span>
-                  </div>
-                  <div className="detail-row">
-                    <span className="detail-label">Reservation Status:</span>
-                    <span
-                      className={`detail-value ${statusInfo.class}`}
-                      style={{
-                        color: statusInfo.color,
-                        fontWeight: 'bold'
+            <div className="conductor-list">
+              {filteredAndSortedConductors().map((conductor) => {
+                // Pre-calculate status to avoid multiple calls
+                const busStatus = conductorService.getBusAvailabilityStatus(conductor);
+                const statusInfo = conductorService.getStatusDisplayInfo(busStatus);
+
+                return (
+                <div
+                  key={conductor.id}
+                  className={`conductor-item ${selectedConductor?.id === conductor.id ? 'selected' : ''}`}
+                  onClick={() => handleConductorSelect(conductor.id)}
+                >
+                  <div className="conductor-item-header">
+                    <div className="conductor-name">
+                      {conductor.name || 'Unknown'}
+                      {conductor.authDisabled && (
+                        <span className="login-disabled-badge">Login disabled</span>
+                      )}
+                    </div>
+                    <div 
+                      className="conductor-status"
+                      style={{ 
+                        backgroundColor: conductorService.getStatusColor(conductor.isOnline, conductor.lastSeen)
                       }}
                     >
-                      {statusInfo.text}
-                    </span>
+                      {conductorService.getStatusText(conductor.isOnline, conductor.lastSeen)}
+                      {/* Real-time status indicator */}
+                      {conductor.isOnline && (
+                        <span className="live-indicator">●</span>
+                      )}
+                    </div>
                   </div>
-                  <div className="detail-row">
-                    <span className="detail-label">Trips:</span>
-                    <span className="detail-value">{conductor.tripsCount || 0}</span>
+                  
+                  <div className="conductor-item-details">
+                    <div className="detail-row">
+                      <span className="detail-label">Route:</span>
+                      <span className="detail-value">{conductor.route || 'N/A'}</span>
+                    </div>
+                    <div className="detail-row">
+                      <span className="detail-label">Active Trip:</span>
+                      <span className="detail-value">{conductor.activeTripDirection || 'N/A'}</span>
+                    </div>
+                    <div className="detail-row">
+                      <span className="detail-label">Bus:</span>
+                      <span className="detail-value">#{conductor.busNumber || 'N/A'}</span>
+                    </div>
+                    <div className="detail-row">
+                      <span className="detail-label">Plate:</span>
+                      <span className="detail-value">{conductor.plateNumber || 'N/A'}</span>
+                    </div>
+                    <div className="detail-row">
+                      <span className="detail-label">Reservation Status:</span>
+                      <span
+                        className={`detail-value ${statusInfo.class}`}
+                        style={{
+                          color: statusInfo.color,
+                          fontWeight: 'bold'
+                        }}
+                      >
+                        {statusInfo.text}
+                      </span>
+                    </div>
+                    <div className="detail-row">
+                      <span className="detail-label">Trips:</span>
+                      <span className="detail-value">{conductor.tripsCount || 0}</span>
+                    </div>
                   </div>
-                </div>
 
-                <div className="conductor-actions">
-                  {(conductor.busAvailabilityStatus === 'confirmed' || conductor.busAvailabilityStatus === 'reserved') && (
+                  <div className="conductor-actions">
+                    {(conductor.busAvailabilityStatus === 'confirmed' || conductor.busAvailabilityStatus === 'reserved') && (
+                      <button
+                        className="action-btn mark-completed"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleMarkAsCompleted(conductor.id);
+                        }}
+                        title="Mark as Completed"
+                      >
+                        <FaCheck />
+                      </button>
+                    )}
                     <button
-                      className="action-btn mark-completed"
+                      className="action-btn edit-conductor"
                       onClick={(e) => {
                         e.stopPropagation();
-                        handleMarkAsCompleted(conductor.id);
+                        handleEditConductor(conductor);
                       }}
-                      title="Mark as Completed"
+                      title="Edit Conductor"
                     >
-                      <FaCheck />
+                      <FaEdit />
                     </button>
-                  )}
-                  <button
-                    className="action-btn edit-conductor"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleEditConductor(conductor);
-                    }}
-                    title="Edit Conductor"
-                  >
-                    <FaEdit />
-                  </button>
-                  <button
-                    className={`action-btn delete-conductor ${(currentUserRole !== 'superadmin' || !isSuperAdmin) ? 'disabled' : ''}`}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleDeleteConductor(conductor.id);
-                    }}
-                    disabled={currentUserRole !== 'superadmin' || !isSuperAdmin}
-                    title={(currentUserRole !== 'superadmin' || !isSuperAdmin) ? 'Only superadmin can delete conductors' : 'Delete Conductor'}
-                  >
-                    <FaTrash />
-                  </button>
+                    <button
+                      className="action-btn reset-password"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleResetPassword(conductor);
+                      }}
+                      title="Reset Password"
+                    >
+                      <FaKey />
+                    </button>
+                    <button
+                      className={`action-btn toggle-login ${conductor.authDisabled ? 'enable' : ''}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleToggleConductorLogin(conductor);
+                      }}
+                      title={conductor.authDisabled ? 'Enable Login' : 'Disable Login'}
+                    >
+                      {conductor.authDisabled ? <FaUserCheck /> : <FaUserSlash />}
+                    </button>
+                    <button
+                      className={`action-btn delete-conductor ${(currentUserRole !== 'superadmin' || !isSuperAdmin) ? 'disabled' : ''}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteConductor(conductor.id);
+                      }}
+                      disabled={currentUserRole !== 'superadmin' || !isSuperAdmin}
+                      title={(currentUserRole !== 'superadmin' || !isSuperAdmin) ? 'Only superadmin can delete conductors' : 'Delete Conductor'}
+                    >
+                      <FaTrash />
+                    </button>
+                  </div>
                 </div>
-              </div>
-              );
-            })}
+                );
+              })}
 
-            {filteredAndSortedConductors().length === 0 && (
-              <div className="no-conductors">
-                <p>No conductors found matching your criteria.</p>
+              {filteredAndSortedConductors().length === 0 && (
+                <div className="no-conductors">
+                  <p>No conductors found matching your criteria.</p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="conductor-details">
+            {detailsLoading ? (
+              <div className="details-loading">
+                <div className="loading-spinner"></div>
+                <p>Loading details...</p>
+              </div>
+            ) : selectedConductor ? (
+              <ConductorDetails conductor={selectedConductor} onOpenPlayback={openPlayback} />
+            ) : (
+              <div className="no-selection">
+                <h3>Select a conductor to view details</h3>
+                <p>Choose a conductor from the list to see their real-time information and recent trips.</p>
               </div>
             )}
           </div>
         </div>
-
-        <div className="conductor-details">
-          {detailsLoading ? (
-            <div className="details-loading">
-              <div className="loading-spinner"></div>
-              <p>Loading details...</p>
-            </div>
-          ) : selectedConductor ? (
-            <ConductorDetails conductor={selectedConductor} />
-          ) : (
-            <div className="no-selection">
-              <h3>Select a conductor to view details</h3>
-              <p>Choose a conductor from the list to see their real-time information and recent trips.</p>
-            </div>
-          )}
-        </div>
-      </div>
+      )}
 
       {/* Add Conductor Modal */}
       {showAddModal && (
@@ -445,6 +587,34 @@ const Conductor = () => {
         />
       )}
 
+      {showImportModal && (
+        <ConductorImportModal
+          onClose={() => setShowImportModal(false)}
+          onSuccess={() => {
+            setShowImportModal(false);
+            conductorService.refreshConductorsList().then(result => {
+              if (result.success) {
+                setConductors(result.conductors);
+              }
+            });
+          }}
+        />
+      )}
+
+      {showDeletedModal && (
+        <DeletedConductorsModal
+          canPurge={currentUserRole === 'superadmin' && isSuperAdmin}
+          onClose={() => setShowDeletedModal(false)}
+          onRestored={() => {
+            conductorService.refreshConductorsList().then(result => {
+              if (result.success) {
+                setConductors(result.conductors);
+              }
+            });
+          }}
+        />
+      )}
+
       {showEditModal && editingConductor && (
         <EditConductorModal
           conductor={editingConductor}
@@ -486,6 +656,7 @@ const AddConductorModal = ({ onClose, onSuccess }) => {
     email: '',
     name: '',
     route: '',
+    routeId: null,
     password: '',
     plateNumber: '',
     registrationNumber: '', 
@@ -505,6 +676,10 @@ const AddConductorModal = ({ onClose, onSuccess }) => {
     }));
   };
 
+  const handleRouteChange = ({ routeId, route }) => {
+    setFormData(prev => ({ ...prev, routeId, route }));
+  };
+
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -622,13 +797,11 @@ const AddConductorModal = ({ onClose, onSuccess }) => {
 
             <div className="form-group">
               <label htmlFor="route">Route</label>
-              <input
-                type="text"
+              <RouteSelect
                 id="route"
-                name="route"
-                value={formData.route}
-                onChange={handleChange}
-                placeholder="Enter route (e.g., Batangas - Manila)"
+                routeId={formData.routeId}
+                route={formData.route}
+                onChange={handleRouteChange}
                 required
               />
             </div>
@@ -771,6 +944,7 @@ const EditConductorModal = ({ conductor, onClose, onSuccess }) => {
     email: conductor?.email || '',
     name: conductor?.name || '',
     route: conductor?.route || '',
+    routeId: conductor?.routeId || null,
     plateNumber: conductor?.plateNumber || '',
     registrationNumber: conductor?.registrationNumber || '', 
     driverName: conductor?.driverName || ''
@@ -789,6 +963,10 @@ const EditConductorModal = ({ conductor, onClose, onSuccess }) => {
     }));
   };
 
+  const handleRouteChange = ({ routeId, route }) => {
+    setFormData(prev => ({ ...prev, routeId, route }));
+  };
+
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -818,8 +996,10 @@ const EditConductorModal = ({ conductor, onClose, onSuccess }) => {
     try {
       const updateData = {
         busNumber: parseInt(formData.busNumber),
+        email: formData.email.trim(),
         name: formData.name,
         route: formData.route,
+        routeId: formData.routeId,
         plateNumber: formData.plateNumber,
         registrationNumber: formData.registrationNumber, 
         driverName: formData.driverName
@@ -899,11 +1079,11 @@ const EditConductorModal = ({ conductor, onClose, onSuccess }) => {
                 id="edit-email"
                 name="email"
                 value={formData.email}
-                disabled
-                title="Email cannot be changed"
-                className="disabled-field"
+                onChange={handleChange}
+                placeholder="Enter email address"
+                required
               />
-              <small className="field-note">Email cannot be changed</small>
+              <small className="field-note">Changing the email also changes the conductor's login email</small>
             </div>
 
             <div className="form-group">
@@ -921,13 +1101,11 @@ const EditConductorModal = ({ conductor, onClose, onSuccess }) => {
 
             <div className="form-group">
               <label htmlFor="edit-route">Route</label>
-              <input
-                type="text"
+              <RouteSelect
                 id="edit-route"
-                name="route"
-                value={formData.route}
-                onChange={handleChange}
-                placeholder="Enter route (e.g., Batangas - Manila)"
+                routeId={formData.routeId}
+                route={formData.route}
+                onChange={handleRouteChange}
                 required
               />
             </div>
@@ -1037,13 +1215,54 @@ const EditConductorModal = ({ conductor, onClose, onSuccess }) => {
 };
 
 
-const ConductorDetails = ({ conductor }) => {
+const ConductorDetails = ({ conductor, onOpenPlayback }) => {
   // 1. We use showModal here
   const [showModal, setShowModal] = useState(false);
+  const [trips, setTrips] = useState([]);
+  const [tripsCursor, setTripsCursor] = useState(null);
+  const [hasMoreTrips, setHasMoreTrips] = useState(false);
+  const [tripsLoading, setTripsLoading] = useState(false);
+  const [tripsError, setTripsError] = useState('');
+
+  // Bumped when the conductor changes, so a page that arrives after the
+  // switch is dropped instead of overwriting the new conductor's trips
+  const tripsRequestRef = useRef(0);
+  const conductorId = conductor.id;
+
+  // Trips are paged by date, newest first; "Load more" continues from the
+  // oldest date loaded so far
+  const loadTrips = useCallback(async (cursor = null) => {
+    const request = tripsRequestRef.current;
+    const isStale = () => request !== tripsRequestRef.current;
+
+    setTripsLoading(true);
+    setTripsError('');
+    try {
+      const page = await conductorService.getConductorTripsPage(conductorId, { cursor });
+      if (isStale()) return;
+      setTrips(current => (cursor ? [...current, ...page.trips] : page.trips));
+      setTripsCursor(page.nextCursor);
+      setHasMoreTrips(page.hasMore);
+    } catch (error) {
+      if (isStale()) return;
+      console.error('Error loading conductor trips:', error);
+      setTripsError('Failed to load trips: ' + error.message);
+    } finally {
+      if (!isStale()) setTripsLoading(false);
+    }
+  }, [conductorId]);
 
   useEffect(() => {
     setShowModal(false);
-  }, [conductor.id]);
+    setTrips([]);
+    setTripsCursor(null);
+    setHasMoreTrips(false);
+    loadTrips();
+
+    return () => {
+      tripsRequestRef.current += 1;
+    };
+  }, [loadTrips]);
 
   const handleMarkAsCompleted = async () => {
     if (!window.confirm('Mark this reservation as completed? This will make the bus available for new reservations.')) {
@@ -1191,6 +1410,13 @@ const ConductorDetails = ({ conductor }) => {
           ) : (
             <p>No location data available</p>
           )}
+          <button
+            type="button"
+            className="conductor-playback-btn"
+            onClick={() => onOpenPlayback(conductor.id)}
+          >
+            <FaHistory /> Trip Playback
+          </button>
         </div>
 
         <div className="detail-section">
@@ -1329,6 +1555,54 @@ const ConductorDetails = ({ conductor }) => {
             <span className="value">{conductor.todayTrips || 0}</span>
           </div>
         </div>
+
+        <div className="detail-section conductor-trips-section">
+          <h3>Recent Tickets</h3>
+          {tripsError && <div className="error-message">{tripsError}</div>}
+
+          {trips.length === 0 && !tripsLoading ? (
+            <p className="conductor-trips-empty">
+              {hasMoreTrips ? 'No tickets on the latest trip days.' : 'No tickets recorded yet.'}
+            </p>
+          ) : (
+            <div className="import-table-scroll">
+              <table className="import-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Trip</th>
+                    <th>Route</th>
+                    <th>Passengers</th>
+                    <th>Fare</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trips.map(trip => (
+                    <tr key={`${trip.date}_${trip.tripId}_${trip.id}`}>
+                      <td>{trip.date}</td>
+                      <td>{trip.tripId}</td>
+                      <td>{trip.from && trip.to ? `${trip.from} → ${trip.to}` : 'N/A'}</td>
+                      <td>{trip.quantity || 0}</td>
+                      <td>₱{Number(trip.totalFare || 0).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {tripsLoading && <p className="conductor-trips-empty">Loading trips...</p>}
+
+          {hasMoreTrips && !tripsLoading && (
+            <button
+              type="button"
+              className="conductor-trips-more-btn"
+              onClick={() => loadTrips(tripsCursor)}
+            >
+              Load more (before {tripsCursor})
+            </button>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,229 @@
+import * as XLSX from 'xlsx';
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '/src/firebase/firebase.js';
+import conductorService from '/src/pages/conductor/conductor.js';
+import { getRoutes, findRouteForText } from '/src/pages/routes/RouteManagement.js';
+import { getBusBlockForPlate } from '/src/pages/buses/BusMaintenance.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+
+// BULK CONDUCTOR IMPORT
+// One conductor per row of the first sheet. Headers are matched loosely
+// ("Plate No.", "plate number" and "PlateNumber" all work).
+export const IMPORT_COLUMNS = [
+  { field: 'driverName', header: 'Driver Name', aliases: ['drivername', 'driversname', 'driver'] },
+  { field: 'name', header: 'Conductor Name', aliases: ['conductorname', 'conductor', 'name'] },
+  { field: 'email', header: 'Email', aliases: ['email', 'emailaddress'] },
+  { field: 'password', header: 'Password', aliases: ['password'] },
+  { field: 'busNumber', header: 'Bus Number', aliases: ['busnumber', 'busno', 'bus'] },
+  { field: 'plateNumber', header: 'Plate Number', aliases: ['platenumber', 'plateno', 'plate'] },
+  { field: 'registrationNumber', header: 'Registration Number', aliases: ['registrationnumber', 'registrationno', 'regno'] },
+  { field: 'route', header: 'Route', aliases: ['route'] }
+];
+
+const MAX_ROWS = 200;
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const fieldForHeader = (header) => {
+  const key = headerKey(header);
+  return IMPORT_COLUMNS.find(column => column.aliases.includes(key))?.field || null;
+};
+
+// Rows of the first sheet as { rowNumber, data }, rowNumber being the
+// spreadsheet row. Blank rows are dropped.
+export const readConductorFile = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error('The file has no sheets');
+  }
+
+  // raw: false keeps cells as displayed, so registration numbers keep their leading zeros
+  const [headers = [], ...lines] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  const fields = headers.map(fieldForHeader);
+  const missing = IMPORT_COLUMNS.filter(column => !fields.includes(column.field));
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s): ${missing.map(column => column.header).join(', ')}`);
+  }
+
+  const rows = lines
+    .map((line, index) => {
+      const data = {};
+      fields.forEach((field, column) => {
+        if (field) data[field] = String(line[column] ?? '').trim();
+      });
+      return { rowNumber: index + 2, data };
+    })
+    .filter(row => Object.values(row.data).some(Boolean));
+
+  if (rows.length === 0) {
+    throw new Error('The file has no conductor rows');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`Import at most ${MAX_ROWS} conductors at a time (the file has ${rows.length})`);
+  }
+
+  return rows;
+};
+
+// Validates every row and checks it against the existing conductors.
+// status: 'ready' | 'invalid' | 'exists' (active conductor has the email or
+// its ID) | 'deleted' (a deleted conductor had the email; can be reactivated)
+export const previewConductorImport = async (rows) => {
+  const [snapshot, routes] = await Promise.all([
+    getDocs(collection(db, 'conductors')),
+    getRoutes()
+  ]);
+
+  const active = new Map();
+  const deleted = new Map();
+  snapshot.docs.forEach(conductorDoc => {
+    const data = conductorDoc.data();
+    if (data.status === 'deleted') {
+      deleted.set(String(data.originalEmail || data.email || '').toLowerCase(), { id: conductorDoc.id, ...data });
+    } else {
+      active.set(conductorDoc.id, { id: conductorDoc.id, ...data });
+    }
+  });
+
+  const seenEmails = new Set();
+  const seenIds = new Set();
+
+  return rows.map(({ rowNumber, data }) => {
+    const email = data.email.toLowerCase();
+    const row = { rowNumber, data: { ...data, email, routeId: null }, errors: [], warnings: [], reactivate: false };
+
+    const { errors } = conductorService.validateConductorData(row.data);
+    row.errors.push(...errors);
+    if (!data.driverName) row.errors.push("Driver's name is required");
+    if (!data.plateNumber) row.errors.push('Plate number is required');
+
+    const route = findRouteForText(routes, data.route);
+    if (route) {
+      row.data.routeId = route.id;
+    } else if (routes.length > 0 && data.route) {
+      row.warnings.push('Route is not in the route list');
+    }
+
+    if (row.errors.length > 0) {
+      row.status = 'invalid';
+      return row;
+    }
+
+    const documentId = conductorService.extractDocumentId(email);
+    if (seenEmails.has(email) || seenIds.has(documentId)) {
+      row.status = 'invalid';
+      row.errors.push('Same email (or email name) as an earlier row in the file');
+      return row;
+    }
+    seenEmails.add(email);
+    seenIds.add(documentId);
+
+    const existing = active.get(documentId);
+    if (existing) {
+      row.status = 'exists';
+      row.errors.push(existing.email?.toLowerCase() === email
+        ? `Already registered to ${existing.name || existing.id}`
+        : `Email name is already used by ${existing.email}`);
+    } else if (deleted.has(email)) {
+      row.status = 'deleted';
+      row.deletedConductor = deleted.get(email);
+    } else {
+      row.status = 'ready';
+    }
+    return row;
+  });
+};
+
+// Reactivation skips createConductor, so the bus check it would do happens here
+const reactivateRow = async (row) => {
+  const busBlock = await getBusBlockForPlate(row.data.plateNumber);
+  if (busBlock) {
+    return { success: false, error: busBlock };
+  }
+
+  const result = await conductorService.reactivateDeletedConductor(row.data.email, row.data);
+  return result || { success: false, error: 'The deleted conductor could not be reactivated' };
+};
+
+// Creates the 'ready' rows and reactivates the 'deleted' rows marked for it,
+// one at a time through the server. Returns a result per row:
+// { rowNumber, data, status: 'created' | 'reactivated' | 'failed' | 'skipped', message }
+export const importConductors = async (rows, onProgress = () => {}) => {
+  const results = [];
+  const toImport = rows.filter(row => row.status === 'ready' || (row.status === 'deleted' && row.reactivate));
+  let done = 0;
+
+  for (const row of rows) {
+    const base = { rowNumber: row.rowNumber, data: row.data };
+
+    if (!toImport.includes(row)) {
+      results.push({
+        ...base,
+        status: 'skipped',
+        message: row.status === 'deleted' ? 'Deleted conductor was not reactivated' : row.errors.join('; ')
+      });
+      continue;
+    }
+
+    try {
+      const result = row.status === 'deleted'
+        ? await reactivateRow(row)
+        : await conductorService.createConductor(row.data);
+
+      results.push(result.success
+        ? { ...base, status: result.reactivated ? 'reactivated' : 'created', message: result.message }
+        : { ...base, status: 'failed', message: result.error });
+    } catch (error) {
+      results.push({ ...base, status: 'failed', message: error.message });
+    }
+
+    done += 1;
+    onProgress(done, toImport.length);
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  await logActivity(
+    ACTIVITY_TYPES.CONDUCTOR_IMPORT,
+    `Imported conductors: ${count('created')} created, ${count('reactivated')} reactivated, ${count('failed')} failed, ${count('skipped')} skipped`,
+    {
+      created: count('created'),
+      reactivated: count('reactivated'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      failedRows: results.filter(result => result.status === 'failed').map(result => result.rowNumber)
+    },
+    count('failed') > 0 ? 'warning' : 'info'
+  );
+
+  return results;
+};
+
+const writeSheet = (records, filename) => {
+  const worksheet = XLSX.utils.aoa_to_sheet(records);
+  worksheet['!cols'] = records[0].map(() => ({ wch: 22 }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Conductors');
+  XLSX.writeFile(workbook, filename);
+};
+
+export const downloadImportTemplate = () => {
+  writeSheet([
+    IMPORT_COLUMNS.map(column => column.header),
+    ['Juan Dela Cruz', 'Batangas 1 Conductor', 'batangas1@example.com', 'changeme123', '1', 'ABC 1234', '123456789', 'Batangas - Manila']
+  ], 'conductor-import-template.xlsx');
+};
+
+// Failed and skipped rows in the import layout plus the reason, so the file
+// can be fixed and imported again
+export const downloadImportErrors = (results) => {
+  const problems = results.filter(result => result.status === 'failed' || result.status === 'skipped');
+  writeSheet([
+    ['Row', ...IMPORT_COLUMNS.map(column => column.header), 'Error'],
+    ...problems.map(result => [
+      result.rowNumber,
+      ...IMPORT_COLUMNS.map(column => result.data[column.field] || ''),
+      result.message || ''
+    ])
+  ], `conductor-import-errors-${new Date().toLocaleDateString('en-CA')}.xlsx`);
+};
@@ -0,0 +1,291 @@
+// FLEET MAP HELPERS
+// Web Mercator math, basemap configuration and the in-memory location trails
+// used by FleetMap.jsx. The map is plain SVG so it works without any external
+// map service: it can draw self-hosted raster tiles, a self-hosted GeoJSON
+// vector basemap, or just a coordinate grid.
+
+export const TILE_SIZE = 256;
+export const MIN_ZOOM = 3;
+export const MAX_ZOOM = 19;
+
+// Batangas City, used when no conductor has a location yet
+export const DEFAULT_CENTER = { latitude: 13.7565, longitude: 121.0583 };
+export const DEFAULT_ZOOM = 11;
+
+// Basemap sources (all optional), e.g. a local tile server or files in /public:
+//   VITE_MAP_TILE_URL=http://localhost:8080/tiles/{z}/{x}/{y}.png
+//   VITE_MAP_BASEMAP_URL=/basemap/batangas.geojson
+export const MAP_CONFIG = {
+  tileUrl: import.meta.env.VITE_MAP_TILE_URL || null,
+  tileMaxZoom: parseInt(import.meta.env.VITE_MAP_TILE_MAX_ZOOM, 10) || 18,
+  attribution: import.meta.env.VITE_MAP_ATTRIBUTION || '',
+  basemapUrl: import.meta.env.VITE_MAP_BASEMAP_URL || null
+};
+
+const MAX_LATITUDE = 85.05112878;
+
+// Longitude/latitude → world pixels at zoom 0 (0..256 on both axes)
+export const project = (latitude, longitude) => {
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: ((longitude + 180) / 360) * TILE_SIZE,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * TILE_SIZE
+  };
+};
+
+// World pixels at zoom 0 → longitude/latitude
+export const unproject = (x, y) => {
+  const n = Math.PI - (2 * Math.PI * y) / TILE_SIZE;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / TILE_SIZE) * 360 - 180
+  };
+};
+
+export const clampZoom = (zoom) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+
+export const hasLocation = (conductor) => {
+  const location = conductor?.currentLocation;
+  return !!location &&
+    Number.isFinite(location.latitude) &&
+    Number.isFinite(location.longitude);
+};
+
+// View ({ center: world point at zoom 0, zoom }) that fits every point
+export const fitView = (points, size, padding = 60) => {
+  if (points.length === 0) {
+    return { center: project(DEFAULT_CENTER.latitude, DEFAULT_CENTER.longitude), zoom: DEFAULT_ZOOM };
+  }
+
+  const projected = points.map(point => project(point.latitude, point.longitude));
+  const xs = projected.map(point => point.x);
+  const ys = projected.map(point => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+
+  const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+  if (points.length === 1 || (maxX - minX === 0 && maxY - minY === 0)) {
+    return { center, zoom: 15 };
+  }
+
+  const zoomX = Math.log2(Math.max(size.width - padding * 2, 1) / (maxX - minX));
+  const zoomY = Math.log2(Math.max(size.height - padding * 2, 1) / (maxY - minY));
+  return { center, zoom: clampZoom(Math.min(zoomX, zoomY, 16)) };
+};
+
+// Screen ↔ world conversions for a view rendered at `size`
+export const createViewport = (view, size) => {
+  const scale = Math.pow(2, view.zoom);
+  const toScreen = (latitude, longitude) => {
+    const point = project(latitude, longitude);
+    return {
+      x: (point.x - view.center.x) * scale + size.width / 2,
+      y: (point.y - view.center.y) * scale + size.height / 2
+    };
+  };
+  const toWorld = (screenX, screenY) => ({
+    x: view.center.x + (screenX - size.width / 2) / scale,
+    y: view.center.y + (screenY - size.height / 2) / scale
+  });
+  const topLeft = unproject(toWorld(0, 0).x, toWorld(0, 0).y);
+  const bottomRight = unproject(toWorld(size.width, size.height).x, toWorld(size.width, size.height).y);
+
+  return {
+    scale,
+    toScreen,
+    toWorld,
+    bounds: {
+      north: topLeft.latitude,
+      south: bottomRight.latitude,
+      west: topLeft.longitude,
+      east: bottomRight.longitude
+    }
+  };
+};
+
+// Screen pixels covering `meters` at `latitude` (for corridor widths)
+const EARTH_CIRCUMFERENCE_METERS = 40075016.686;
+
+export const metersToPixels = (viewport, meters, latitude) =>
+  (meters * TILE_SIZE * viewport.scale) / (EARTH_CIRCUMFERENCE_METERS * Math.cos((latitude * Math.PI) / 180));
+
+// SVG `points` attribute for a list of { latitude, longitude }
+export const toPolylinePoints = (viewport, points) => points
+  .map(point => viewport.toScreen(point.latitude, point.longitude))
+  .map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`)
+  .join(' ');
+
+// Zoom by `delta` keeping the world point under (screenX, screenY) in place
+export const zoomViewAt = (view, size, delta, screenX, screenY) => {
+  const zoom = clampZoom(view.zoom + delta);
+  const before = createViewport(view, size).toWorld(screenX, screenY);
+  const scale = Math.pow(2, zoom);
+  return {
+    zoom,
+    center: {
+      x: before.x - (screenX - size.width / 2) / scale,
+      y: before.y - (screenY - size.height / 2) / scale
+    }
+  };
+};
+
+// Raster tiles covering the viewport: [{ key, url, x, y, size }] in screen pixels
+export const visibleTiles = (view, size, tileUrl = MAP_CONFIG.tileUrl, maxZoom = MAP_CONFIG.tileMaxZoom) => {
+  if (!tileUrl) return [];
+
+  const tileZoom = Math.max(0, Math.min(maxZoom, Math.round(view.zoom)));
+  const tileCount = Math.pow(2, tileZoom);
+  const tileScreenSize = TILE_SIZE * Math.pow(2, view.zoom - tileZoom);
+  const worldScale = Math.pow(2, view.zoom);
+
+  // Top-left corner of the viewport in tile-zoom pixels
+  const originX = view.center.x * Math.pow(2, tileZoom) - (size.width / 2) * Math.pow(2, tileZoom) / worldScale;
+  const originY = view.center.y * Math.pow(2, tileZoom) - (size.height / 2) * Math.pow(2, tileZoom) / worldScale;
+
+  const firstX = Math.floor(originX / TILE_SIZE);
+  const firstY = Math.max(0, Math.floor(originY / TILE_SIZE));
+  const lastX = Math.floor((originX + (size.width * Math.pow(2, tileZoom)) / worldScale) / TILE_SIZE);
+  const lastY = Math.min(tileCount - 1, Math.floor((originY + (size.height * Math.pow(2, tileZoom)) / worldScale) / TILE_SIZE));
+
+  const tiles = [];
+  for (let tileX = firstX; tileX <= lastX; tileX++) {
+    for (let tileY = firstY; tileY <= lastY; tileY++) {
+      const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+      tiles.push({
+        key: `${tileZoom}/${tileX}/${tileY}`,
+        url: tileUrl
+          .replace('{z}', tileZoom)
+          .replace('{x}', wrappedX)
+          .replace('{y}', tileY),
+        x: (tileX * TILE_SIZE - originX) * tileScreenSize / TILE_SIZE,
+        y: (tileY * TILE_SIZE - originY) * tileScreenSize / TILE_SIZE,
+        size: tileScreenSize
+      });
+    }
+  }
+  return tiles;
+};
+
+// Grid lines every "nice" number of degrees, about 4-10 per axis
+const GRID_STEPS = [10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01, 0.005, 0.002, 0.001];
+
+export const gridLines = (bounds) => {
+  const span = Math.min(bounds.east - bounds.west, bounds.north - bounds.south);
+  const step = GRID_STEPS.find(candidate => span / candidate >= 4) || GRID_STEPS[GRID_STEPS.length - 1];
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+  const range = (from, to) => {
+    const values = [];
+    for (let value = Math.ceil(from / step) * step; value <= to; value += step) {
+      values.push(Number(value.toFixed(decimals)));
+    }
+    return values;
+  };
+
+  return {
+    step,
+    decimals,
+    latitudes: range(bounds.south, bounds.north),
+    longitudes: range(bounds.west, bounds.east)
+  };
+};
+
+// SVG path for a GeoJSON geometry (lines and polygons; points are labels)
+export const geometryToPath = (geometry, toScreen) => {
+  const ring = (coordinates, close) => coordinates
+    .map(([longitude, latitude], index) => {
+      const point = toScreen(latitude, longitude);
+      return `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`;
+    })
+    .join('') + (close ? 'Z' : '');
+
+  switch (geometry?.type) {
+    case 'LineString':
+      return ring(geometry.coordinates, false);
+    case 'MultiLineString':
+      return geometry.coordinates.map(line => ring(line, false)).join('');
+    case 'Polygon':
+      return geometry.coordinates.map(line => ring(line, true)).join('');
+    case 'MultiPolygon':
+      return geometry.coordinates.flatMap(polygon => polygon.map(line => ring(line, true))).join('');
+    default:
+      return '';
+  }
+};
+
+// Self-hosted GeoJSON basemap, fetched once per session
+let basemapPromise = null;
+
+export const loadVectorBasemap = () => {
+  if (!MAP_CONFIG.basemapUrl) return Promise.resolve(null);
+
+  if (!basemapPromise) {
+    basemapPromise = fetch(MAP_CONFIG.basemapUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`Basemap request failed with status ${response.status}`);
+        return response.json();
+      })
+      .then(geojson => (geojson.type === 'FeatureCollection' ? geojson.features : [geojson]))
+      .catch(error => {
+        console.warn('Vector basemap unavailable, showing grid only:', error.message);
+        basemapPromise = null;
+        return null;
+      });
+  }
+  return basemapPromise;
+};
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+// LOCATION TRAILS
+// Recent positions per conductor, collected from the live conductor updates
+// while the admin panel is open (kept across page switches).
+class LocationTrailStore {
+  constructor({ maxPoints = 60, maxAgeMinutes = 30 } = {}) {
+    this.trails = new Map();
+    this.maxPoints = maxPoints;
+    this.maxAgeMs = maxAgeMinutes * 60 * 1000;
+  }
+
+  // Add the latest location of each conductor; returns the current trails
+  record(conductors) {
+    const now = Date.now();
+
+    for (const conductor of conductors) {
+      if (!hasLocation(conductor)) continue;
+
+      const { latitude, longitude, timestamp } = conductor.currentLocation;
+      const trail = this.trails.get(conductor.id) || [];
+      const last = trail[trail.length - 1];
+
+      if (!last || last.latitude !== latitude || last.longitude !== longitude) {
+        trail.push({ latitude, longitude, time: toMillis(timestamp) || now });
+      }
+
+      this.trails.set(
+        conductor.id,
+        trail.filter(point => now - point.time <= this.maxAgeMs).slice(-this.maxPoints)
+      );
+    }
+
+    return this.getTrails();
+  }
+
+  getTrails() {
+    return new Map(Array.from(this.trails, ([conductorId, points]) => [conductorId, [...points]]));
+  }
+
+  clear() {
+    this.trails.clear();
+  }
+}
+
+export const locationTrails = new LocationTrailStore();
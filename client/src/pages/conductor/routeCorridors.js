@@ -0,0 +1,121 @@
+import { collection, query, where, orderBy, onSnapshot, doc, addDoc, updateDoc, deleteDoc, serverTimestamp } from "firebase/firestore";
+import { auth, db } from "/src/firebase/firebase.js";
+import { logActivity, ACTIVITY_TYPES } from "/src/pages/settings/auditService.js";
+
+// ROUTE CORRIDORS
+// Geometry for each conductor route: a polyline plus the corridor width the
+// bus must stay within. The server (server/routeMonitor.js) matches a
+// corridor to conductors by their `route` text and raises `routeAlerts`.
+
+export const DEFAULT_CORRIDOR_WIDTH_METERS = 200;
+
+// Same loose comparison the server uses to match a conductor's route
+export const normalizeRoute = (route) => String(route || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const listenToRouteCorridors = (callback) => {
+  const q = query(collection(db, "routeCorridors"), orderBy("name", "asc"));
+  return onSnapshot(q, (querySnapshot) => {
+    callback(querySnapshot.docs.map(corridorDoc => ({ id: corridorDoc.id, ...corridorDoc.data() })));
+  }, (error) => {
+    console.error('Error listening to route corridors:', error);
+    callback([]);
+  });
+};
+
+// Create (no id) or update a corridor
+export const saveRouteCorridor = async ({ id, name, route, polyline, corridorWidthMeters, active }) => {
+  try {
+    if (!name?.trim() || !route?.trim()) {
+      return { success: false, error: 'Name and route are required' };
+    }
+    if (!polyline || polyline.length < 2) {
+      return { success: false, error: 'Draw at least two points on the map' };
+    }
+
+    const width = Number(corridorWidthMeters);
+    if (!Number.isFinite(width) || width <= 0) {
+      return { success: false, error: 'Corridor width must be a positive number of meters' };
+    }
+
+    const data = {
+      name: name.trim(),
+      route: route.trim(),
+      polyline: polyline.map(({ latitude, longitude }) => ({ latitude, longitude })),
+      corridorWidthMeters: width,
+      active: active !== false,
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.email || null
+    };
+
+    let corridorId = id;
+    if (id) {
+      await updateDoc(doc(db, 'routeCorridors', id), data);
+    } else {
+      const docRef = await addDoc(collection(db, 'routeCorridors'), { ...data, createdAt: serverTimestamp() });
+      corridorId = docRef.id;
+    }
+
+    await logActivity(
+      id ? ACTIVITY_TYPES.ROUTE_CORRIDOR_UPDATE : ACTIVITY_TYPES.ROUTE_CORRIDOR_CREATE,
+      `${id ? 'Updated' : 'Created'} route corridor ${data.name}`,
+      { corridorId, route: data.route, corridorWidthMeters: width, points: data.polyline.length, active: data.active },
+      'info'
+    );
+
+    return { success: true, id: corridorId };
+  } catch (error) {
+    console.error('Error saving route corridor:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteRouteCorridor = async (corridor) => {
+  try {
+    await deleteDoc(doc(db, 'routeCorridors', corridor.id));
+
+    await logActivity(
+      ACTIVITY_TYPES.ROUTE_CORRIDOR_DELETE,
+      `Deleted route corridor ${corridor.name}`,
+      { corridorId: corridor.id, route: corridor.route },
+      'warning'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting route corridor:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Off-route alerts that haven't resolved yet (active or acknowledged)
+export const listenToOpenRouteAlerts = (callback) => {
+  const q = query(collection(db, "routeAlerts"), where("status", "in", ["active", "acknowledged"]));
+  return onSnapshot(q, (querySnapshot) => {
+    callback(querySnapshot.docs.map(alertDoc => ({ id: alertDoc.id, ...alertDoc.data() })));
+  }, (error) => {
+    console.error('Error listening to route alerts:', error);
+    callback([]);
+  });
+};
+
+export const acknowledgeRouteAlert = async (alert) => {
+  try {
+    await updateDoc(doc(db, 'routeAlerts', alert.id), {
+      status: 'acknowledged',
+      acknowledgedAt: serverTimestamp(),
+      acknowledgedBy: auth.currentUser?.email || null
+    });
+
+    await logActivity(
+      ACTIVITY_TYPES.ROUTE_ALERT_ACKNOWLEDGE,
+      `Acknowledged off-route alert for bus ${alert.busNumber || 'N/A'} (${alert.conductorName})`,
+      { alertId: alert.id, conductorId: alert.conductorId, route: alert.route },
+      'info'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error acknowledging route alert:', error);
+    return { success: false, error: error.message };
+  }
+};
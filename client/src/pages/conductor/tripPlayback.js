@@ -0,0 +1,213 @@
+import { db } from '/src/firebase/firebase.js';
+import { collection, doc, getDoc, getDocs, query, where, orderBy, Timestamp } from 'firebase/firestore';
+
+// TRIP PLAYBACK
+// Reads the downsampled location history the server records under
+// conductors/{conductorId}/locationHistory/{YYYY-MM-DD}/hours/{HH} (server/locationHistory.js)
+// together with the trips, tickets and SOS requests of the same day.
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  if (typeof timestamp.seconds === 'number') return timestamp.seconds * 1000;
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+class TripPlaybackService {
+  // Dates with recorded history, newest first
+  async getHistoryDates(conductorId) {
+    try {
+      const snapshot = await getDocs(collection(db, 'conductors', conductorId, 'locationHistory'));
+      return snapshot.docs.map(dateDoc => dateDoc.id).sort().reverse();
+    } catch (error) {
+      console.error('Error fetching location history dates:', error);
+      return [];
+    }
+  }
+
+  // Recorded points of one day, oldest first. Days recorded before the
+  // hourly split keep their points on the day document itself.
+  async getDayHistory(conductorId, date) {
+    try {
+      const [daySnapshot, hoursSnapshot] = await Promise.all([
+        getDoc(doc(db, 'conductors', conductorId, 'locationHistory', date)),
+        getDocs(collection(db, 'conductors', conductorId, 'locationHistory', date, 'hours'))
+      ]);
+      if (!daySnapshot.exists()) return [];
+
+      const points = [
+        ...(daySnapshot.data().points || []),
+        ...hoursSnapshot.docs.flatMap(hourDoc => hourDoc.data().points || [])
+      ];
+
+      return points
+        .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude) && point.time)
+        .sort((a, b) => a.time - b.time);
+    } catch (error) {
+      console.error('Error fetching location history:', error);
+      return [];
+    }
+  }
+
+  // Trip maps (trip1, trip2, ...) of the day with their time windows
+  async getTrips(conductorId, date) {
+    try {
+      const snapshot = await getDoc(doc(db, 'conductors', conductorId, 'dailyTrips', date));
+      if (!snapshot.exists()) return [];
+
+      return Object.entries(snapshot.data())
+        .filter(([key, value]) => key.startsWith('trip') && typeof value === 'object' && value !== null)
+        .map(([tripId, trip]) => ({
+          tripId,
+          direction: trip.direction || tripId,
+          startTime: toMillis(trip.startTime),
+          endTime: toMillis(trip.endTime),
+          isComplete: !!trip.isComplete
+        }))
+        .sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+    } catch (error) {
+      console.error('Error fetching trips:', error);
+      return [];
+    }
+  }
+
+  // Tickets issued on a trip, including boarded pre-bookings and pre-tickets,
+  // ordered by the time they were issued/scanned
+  async getTripTickets(conductorId, date, tripId) {
+    const tripPath = ['conductors', conductorId, 'dailyTrips', date, tripId];
+
+    try {
+      const [ticketsSnapshot, preBookingsSnapshot, preTicketsSnapshot] = await Promise.all([
+        getDocs(collection(db, ...tripPath, 'tickets', 'tickets')),
+        getDocs(collection(db, ...tripPath, 'preBookings', 'preBookings')),
+        getDocs(collection(db, ...tripPath, 'preTickets', 'preTickets'))
+      ]);
+
+      const tickets = [];
+
+      ticketsSnapshot.docs.forEach(ticketDoc => {
+        const data = ticketDoc.data();
+        if (data.documentType === 'preBooking' || data.ticketType === 'preBooking' ||
+            data.documentType === 'preTicket' || data.ticketType === 'preTicket') {
+          return;
+        }
+        tickets.push({
+          id: ticketDoc.id,
+          tripId,
+          type: 'conductor',
+          from: data.from || '',
+          to: data.to || '',
+          fare: Number(data.totalFare) || 0,
+          quantity: Number(data.quantity) || 0,
+          time: toMillis(data.timestamp)
+        });
+      });
+
+      preBookingsSnapshot.docs.forEach(preBookingDoc => {
+        const data = preBookingDoc.data();
+        if (!data.scannedAt) return;
+        tickets.push({
+          id: preBookingDoc.id,
+          tripId,
+          type: 'preBooking',
+          from: data.from || '',
+          to: data.to || '',
+          fare: Number(data.totalFare) || 0,
+          quantity: Number(data.quantity) || 0,
+          time: toMillis(data.scannedAt)
+        });
+      });
+
+      preTicketsSnapshot.docs.forEach(preTicketDoc => {
+        const data = preTicketDoc.data();
+        if (!data.scannedAt) return;
+
+        let qrData = null;
+        try {
+          qrData = typeof data.qrData === 'string' ? JSON.parse(data.qrData) : data.qrData;
+        } catch {
+          // Fall back to the document fields
+        }
+        const source = qrData || data;
+
+        tickets.push({
+          id: preTicketDoc.id,
+          tripId,
+          type: 'preTicket',
+          from: source.from || data.from || '',
+          to: source.to || data.to || '',
+          fare: Number(source.amount || source.totalFare || data.totalFare) || 0,
+          quantity: Number(source.quantity || data.quantity) || 0,
+          time: toMillis(data.scannedAt)
+        });
+      });
+
+      return tickets
+        .filter(ticket => ticket.time)
+        .sort((a, b) => a.time - b.time);
+    } catch (error) {
+      console.error(`Error fetching tickets for ${tripId}:`, error);
+      return [];
+    }
+  }
+
+  // SOS requests sent between two times (ms). SOS documents don't name the
+  // conductor, so the playback shows every request in the window.
+  async getSosRequests(startTime, endTime) {
+    try {
+      const sosQuery = query(
+        collection(db, 'sosRequests'),
+        where('timestamp', '>=', Timestamp.fromMillis(startTime)),
+        where('timestamp', '<=', Timestamp.fromMillis(endTime)),
+        orderBy('timestamp', 'asc')
+      );
+      const snapshot = await getDocs(sosQuery);
+
+      return snapshot.docs
+        .map(sosDoc => {
+          const data = sosDoc.data();
+          return {
+            id: sosDoc.id,
+            emergencyType: data.emergencyType || 'Emergency',
+            route: data.route || '',
+            status: data.status || '',
+            latitude: data.location?.lat,
+            longitude: data.location?.lng,
+            time: toMillis(data.timestamp)
+          };
+        })
+        .filter(sos => Number.isFinite(sos.latitude) && Number.isFinite(sos.longitude));
+    } catch (error) {
+      console.error('Error fetching SOS requests:', error);
+      return [];
+    }
+  }
+
+  // Position at `time`, interpolated between the surrounding points
+  positionAt(points, time) {
+    if (points.length === 0) return null;
+    if (time <= points[0].time) return points[0];
+
+    const nextIndex = points.findIndex(point => point.time >= time);
+    if (nextIndex === -1) return points[points.length - 1];
+
+    const previous = points[nextIndex - 1];
+    const next = points[nextIndex];
+    const ratio = next.time === previous.time ? 1 : (time - previous.time) / (next.time - previous.time);
+
+    return {
+      ...previous,
+      latitude: previous.latitude + (next.latitude - previous.latitude) * ratio,
+      longitude: previous.longitude + (next.longitude - previous.longitude) * ratio,
+      speed: Number.isFinite(previous.speed) && Number.isFinite(next.speed)
+        ? previous.speed + (next.speed - previous.speed) * ratio
+        : (next.speed ?? previous.speed),
+      heading: Number.isFinite(next.heading) ? next.heading : previous.heading,
+      time
+    };
+  }
+}
+
+const tripPlaybackService = new TripPlaybackService();
+export default tripPlaybackService;
@@ -1,5 +1,6 @@
 import { getDocs, collection, doc, getDoc, query, where, onSnapshot } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
+import { authorizedFetch } from '/src/config/api.js';
 
 class DashboardService {
   constructor() {
@@ -41,260 +42,38 @@ class DashboardService {
       console.warn('Error during force cleanup:', error);
     }
   }
-  // Helper function to get all trip names from date document maps
-  async getAllTripNames(conductorId, dateId) {
-    try {
-      const dateDocRef = doc(db, `conductors/${conductorId}/dailyTrips/${dateId}`);
-      const dateDocSnapshot = await getDoc(dateDocRef);
-
-      if (!dateDocSnapshot.exists()) {
-        return [];
-      }
-
-      const dateData = dateDocSnapshot.data();
-      const tripNames = [];
-
-      // Look for all fields that start with "trip" and are objects (maps)
-      for (const [key, value] of Object.entries(dateData)) {
-        if (key.startsWith('trip') && typeof value === 'object' && value !== null) {
-          tripNames.push(key);
-        }
-      }
-
-      return tripNames;
-    } catch (error) {
-      return [];
-    }
-  }
-
-  // Helper function to fetch prebooking tickets 
-  async fetchPreBookingTickets(conductorId, dateId, tripName) {
-    try {
-      const preBookingsPath = `conductors/${conductorId}/dailyTrips/${dateId}/${tripName}/preBookings/preBookings`;
-      const preBookingsRef = collection(db, preBookingsPath);
-      const preBookingsSnapshot = await getDocs(preBookingsRef);
-
-      const preBookingTickets = [];
-
-      for (const preBookingDoc of preBookingsSnapshot.docs) {
-        const preBookingData = preBookingDoc.data();
-
-        // Only include pre-bookings that have been scanned/boarded
-        if (!preBookingData.scannedAt) {
-          continue;
-        }
-
-        preBookingTickets.push({
-          id: preBookingDoc.id,
-          totalFare: preBookingData.totalFare || 0,
-          quantity: preBookingData.quantity || 0,
-          from: preBookingData.from || '',
-          to: preBookingData.to || '',
-          documentType: 'preBooking',
-          ticketType: 'preBooking'
-        });
-      }
-
-      return preBookingTickets;
-    } catch (error) {
-      return [];
-    }
-  }
-
-  // Helper function to fetch pre-ticket tickets
-  async fetchPreTickets(conductorId, dateId, tripName) {
-    try {
-      const preTicketsPath = `conductors/${conductorId}/dailyTrips/${dateId}/${tripName}/preTickets/preTickets`;
-      const preTicketsRef = collection(db, preTicketsPath);
-      const preTicketsSnapshot = await getDocs(preTicketsRef);
-
-      const preTickets = [];
-
-      for (const preTicketDoc of preTicketsSnapshot.docs) {
-        const preTicketData = preTicketDoc.data();
-
-        // Only include pre-tickets that have been scanned/boarded
-        if (!preTicketData.scannedAt) {
-          continue;
-        }
-
-        // Parse qrData if it's a string
-        let parsedQrData = null;
-        if (preTicketData.qrData) {
-          try {
-            if (typeof preTicketData.qrData === 'string') {
-              parsedQrData = JSON.parse(preTicketData.qrData);
-            } else if (typeof preTicketData.qrData === 'object') {
-              parsedQrData = preTicketData.qrData;
-            }
-          } catch (parseError) {
-            // Ignore parse errors
-          }
-        }
-
-        // Use parsedQrData as the primary data source, with fallbacks
-        const sourceData = parsedQrData || preTicketData;
-
-        // Get fare and quantity from qrData or direct fields
-        const totalFare = sourceData.amount || sourceData.totalFare || preTicketData.totalFare || 0;
-        const quantity = sourceData.quantity || preTicketData.quantity || 0;
-
-        preTickets.push({
-          id: preTicketDoc.id,
-          totalFare: totalFare,
-          quantity: quantity,
-          from: sourceData.from || preTicketData.from || '',
-          to: sourceData.to || preTicketData.to || '',
-          documentType: 'preTicket',
-          ticketType: 'preTicket'
-        });
-      }
-
-      return preTickets;
-    } catch (error) {
-      return [];
-    }
-  }
 
   async getTripSummary(filter = 'today', customDate = null) {
     try {
-      // Get all conductors first 
-      const conductorsRef = collection(db, 'conductors');
-      const conductorsSnapshot = await getDocs(conductorsRef);
-
-      if (conductorsSnapshot.empty) {
-        return {
-          totalTrips: 0,
-          totalFare: 0,
-          avgPassengers: 0,
-          mostCommonRoute: 'No conductors found'
-        };
-      }
-
-      let totalTickets = 0;
-      let totalFare = 0;
-      let totalPassengers = 0;
-      let totalTrips = 0;
-      const routeFrequency = {};
-
       const today = new Date().toLocaleDateString('en-CA');
       const selectedDate = customDate || today;
 
-      // Process each conductor's tickets 
-      for (const conductorDoc of conductorsSnapshot.docs) {
-        const conductorId = conductorDoc.id;
-        
-        // Get all daily trips for this conductor
-        const dailyTripsRef = collection(db, 'conductors', conductorId, 'dailyTrips');
-        const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-        
-        for (const dateDoc of dailyTripsSnapshot.docs) {
-          const dateId = dateDoc.id;
-          
-          // Apply date filter
-          if (filter === 'today' && dateId !== today) {
-            continue;
-          }
-          if (filter === 'custom' && dateId !== selectedDate) {
-            continue;
-          }
-          
-          // Get all trip names for this date
-          const tripNames = await this.getAllTripNames(conductorId, dateId);
-          
-          for (const tripName of tripNames) {
-            try {
-              // Fetch regular tickets, prebookings, and pre-tickets in parallel (like daily revenue)
-              const [ticketsSnapshot, preBookingTickets, preTickets] = await Promise.all([
-                getDocs(collection(db, 'conductors', conductorId, 'dailyTrips', dateId, tripName, 'tickets', 'tickets')),
-                this.fetchPreBookingTickets(conductorId, dateId, tripName),
-                this.fetchPreTickets(conductorId, dateId, tripName)
-              ]);
-
-              // Count trip if it has regular tickets, prebookings, OR pre-tickets
-              if (ticketsSnapshot.docs.length > 0 || preBookingTickets.length > 0 || preTickets.length > 0) {
-                totalTrips++;
-              }
-
-              // Process regular tickets (skip prebookings and pre-tickets from regular path to avoid duplication)
-              ticketsSnapshot.forEach(ticketDoc => {
-                const data = ticketDoc.data();
-
-                // Skip prebooking and pre-ticket tickets from regular path to avoid duplication
-                if (data.documentType === 'preBooking' || data.ticketType === 'preBooking') {
-                  return;
-                }
-                if (data.documentType === 'preTicket' || data.ticketType === 'preTicket') {
-                  return;
-                }
-
-                // Only process tickets with valid fare and quantity
-                if (data.totalFare && data.quantity) {
-                  totalTickets++;
-
-                  // Convert totalFare to number in case it's stored as string
-                  const fareValue = parseFloat(data.totalFare);
-                  totalFare += fareValue;
-                  totalPassengers += data.quantity || 0;
-
-                  const routeKey = `${data.from || 'Unknown'} → ${data.to || 'Unknown'}`;
-                  routeFrequency[routeKey] = (routeFrequency[routeKey] || 0) + 1;
-                }
-              });
-
-              // Process prebooking tickets from dedicated path
-              preBookingTickets.forEach(preBooking => {
-                // Only process prebookings with valid fare and quantity
-                if (preBooking.totalFare && preBooking.quantity) {
-                  totalTickets++;
-
-                  // Convert totalFare to number in case it's stored as string
-                  const fareValue = parseFloat(preBooking.totalFare);
-                  totalFare += fareValue;
-                  totalPassengers += preBooking.quantity || 0;
-
-                  const routeKey = `${preBooking.from || 'Unknown'} → ${preBooking.to || 'Unknown'}`;
-                  routeFrequency[routeKey] = (routeFrequency[routeKey] || 0) + 1;
-                }
-              });
-
-              // Process pre-ticket tickets from dedicated path
-              preTickets.forEach(preTicket => {
-                // Only process pre-tickets with valid fare and quantity
-                if (preTicket.totalFare && preTicket.quantity) {
-                  totalTickets++;
-
-                  // Convert totalFare to number in case it's stored as string
-                  const fareValue = parseFloat(preTicket.totalFare);
-                  totalFare += fareValue;
-                  totalPassengers += preTicket.quantity || 0;
-
-                  const routeKey = `${preTicket.from || 'Unknown'} → ${preTicket.to || 'Unknown'}`;
-                  routeFrequency[routeKey] = (routeFrequency[routeKey] || 0) + 1;
-                }
-              });
-            } catch (error) {
-              continue;
-            }
-          }
-        }
+      // 'today' and 'custom' cover a single day; anything else covers all dates
+      let query = '';
+      if (filter === 'today') {
+        query = `?startDate=${today}&endDate=${today}`;
+      } else if (filter === 'custom') {
+        query = `?startDate=${selectedDate}&endDate=${selectedDate}`;
       }
 
-      const mostCommonRoute = Object.entries(routeFrequency)
-        .sort((a, b) => b[1] - a[1])[0]?.[0] || 'N/A';
+      // Trip, fare and route totals aggregated on the server
+      const report = await authorizedFetch(`/api/revenue/routes${query}`);
+      const { totals } = report;
+
+      const mostCommonRoute = [...report.routes]
+        .sort((a, b) => b.tickets - a.tickets)[0]?.route || 'N/A';
 
-      const avgPassengers = totalTrips === 0 ? 0 : (totalPassengers / totalTrips).toFixed(2);
+      const avgPassengers = totals.trips === 0 ? 0 : (totals.totalPassengers / totals.trips).toFixed(2);
 
       const result = {
-        totalTrips: totalTrips,
-        totalFare,
+        totalTrips: totals.trips,
+        totalFare: totals.totalRevenue,
         avgPassengers,
         mostCommonRoute,
         // Additional breakdown for debugging
         breakdown: {
-          actualTrips: totalTrips,
-          totalTickets: totalTickets,
-          conductorsProcessed: conductorsSnapshot.docs.length
+          actualTrips: totals.trips,
+          totalTickets: report.routes.reduce((sum, route) => sum + route.tickets, 0)
         }
       };
 
@@ -620,100 +399,21 @@ class DashboardService {
   async getRevenueTrend() {
     try {
       const today = new Date();
-      const revenueTrend = [];
-      
-      // Get revenue for the past 7 days
-      for (let i = 6; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateString = date.toLocaleDateString('en-CA');
-        
-        let dayRevenue = 0;
-        let dayTrips = 0;
-        
-        // Get all conductors
-        const conductorsRef = collection(db, 'conductors');
-        const conductorsSnapshot = await getDocs(conductorsRef);
-        
-        for (const conductorDoc of conductorsSnapshot.docs) {
-          const conductorId = conductorDoc.id;
-          
-          // Get daily trips for this conductor and date
-          const dailyTripsRef = collection(db, 'conductors', conductorId, 'dailyTrips');
-          const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-          
-          for (const dateDoc of dailyTripsSnapshot.docs) {
-            const dateId = dateDoc.id;
-            
-            // Only process if it matches our target date
-            if (dateId === dateString) {
-              // Get all trip names for this date
-              const tripNames = await this.getAllTripNames(conductorId, dateId);
-              
-              for (const tripName of tripNames) {
-                try {
-                  // Fetch regular tickets, prebookings, and pre-tickets in parallel
-                  const [ticketsSnapshot, preBookingTickets, preTickets] = await Promise.all([
-                    getDocs(collection(db, 'conductors', conductorId, 'dailyTrips', dateId, tripName, 'tickets', 'tickets')),
-                    this.fetchPreBookingTickets(conductorId, dateId, tripName),
-                    this.fetchPreTickets(conductorId, dateId, tripName)
-                  ]);
-
-                  // Count trip if it has regular tickets, prebookings, OR pre-tickets
-                  if (ticketsSnapshot.docs.length > 0 || preBookingTickets.length > 0 || preTickets.length > 0) {
-                    dayTrips++;
-                  }
-
-                  // Process regular tickets (skip prebookings and pre-tickets from regular path to avoid duplication)
-                  ticketsSnapshot.forEach(ticketDoc => {
-                    const data = ticketDoc.data();
-
-                    // Skip prebooking and pre-ticket tickets from regular path to avoid duplication
-                    if (data.documentType === 'preBooking' || data.ticketType === 'preBooking') {
-                      return;
-                    }
-                    if (data.documentType === 'preTicket' || data.ticketType === 'preTicket') {
-                      return;
-                    }
-
-                    if (data.totalFare && data.quantity) {
-                      const fareValue = parseFloat(data.totalFare);
-                      dayRevenue += fareValue;
-                    }
-                  });
-
-                  // Process prebooking tickets from dedicated path
-                  preBookingTickets.forEach(preBooking => {
-                    if (preBooking.totalFare && preBooking.quantity) {
-                      const fareValue = parseFloat(preBooking.totalFare);
-                      dayRevenue += fareValue;
-                    }
-                  });
-
-                  // Process pre-ticket tickets from dedicated path
-                  preTickets.forEach(preTicket => {
-                    if (preTicket.totalFare && preTicket.quantity) {
-                      const fareValue = parseFloat(preTicket.totalFare);
-                      dayRevenue += fareValue;
-                    }
-                  });
-                } catch (error) {
-                  continue;
-                }
-              }
-            }
-          }
-        }
-        
-        revenueTrend.push({
-          date: dateString,
-          day: date.toLocaleDateString('en-US', { weekday: 'short' }),
-          revenue: dayRevenue,
-          trips: dayTrips
-        });
-      }
-      
-      return revenueTrend;
+      const startDate = new Date(today);
+      startDate.setDate(startDate.getDate() - 6);
+
+      // Revenue for the past 7 days in one server request; the server
+      // returns every day in the range, including days without trips
+      const report = await authorizedFetch(
+        `/api/revenue/daily?startDate=${startDate.toLocaleDateString('en-CA')}&endDate=${today.toLocaleDateString('en-CA')}`
+      );
+
+      return report.days.map(dayData => ({
+        date: dayData.date,
+        day: new Date(`${dayData.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' }),
+        revenue: dayData.totalRevenue,
+        trips: dayData.trips
+      }));
     } catch (error) {
       console.error('Error fetching revenue trend:', error);
       throw error;
@@ -1,8 +1,11 @@
 import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from '/src/firebase/firebase.js';
 import { fetchCurrentUserData } from '/src/pages/settings/settings.js';
 import dashboardService from './dashboard.js';
+import { subscribeToBuses, busLabel } from '/src/pages/buses/BusFleet.js';
+import { busIssues } from '/src/pages/buses/BusMaintenance.js';
 import './dashboard.css';
 
 function Dashboard() {
@@ -13,6 +16,8 @@ function Dashboard() {
   const [isScrolling, setIsScrolling] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isFilterLoading, setIsFilterLoading] = useState(false);
+  const [fleetReminders, setFleetReminders] = useState([]);
+  const navigate = useNavigate();
 
   // Authentication useEffect
   useEffect(() => {
@@ -133,6 +138,18 @@ function Dashboard() {
     };
   }, [filter, customDate]);
 
+  // Expiring papers and due maintenance across the fleet, blocked buses first
+  useEffect(() => {
+    const unsubscribe = subscribeToBuses((buses) => {
+      const reminders = buses.flatMap(bus => busIssues(bus)
+        .filter(issue => issue.status !== 'unlogged')
+        .map(issue => ({ ...issue, busId: bus.id, busLabel: busLabel(bus) })));
+      setFleetReminders(reminders.sort((a, b) => Number(b.blocking) - Number(a.blocking)));
+    });
+
+    return () => unsubscribe();
+  }, []);
+
   // Scroll performance optimization
   useEffect(() => {
     let scrollTimer = null;
@@ -555,6 +572,38 @@ function Dashboard() {
                 </div>
               </div>
 
+              {/* Fleet Reminders Card */}
+              <div className="stats-summary-card">
+                <h3>Fleet Reminders</h3>
+                {fleetReminders.length === 0 ? (
+                  <p className="fleet-reminders-empty">All buses have valid papers and are up to date on maintenance.</p>
+                ) : (
+                  <div className="stats-list">
+                    {fleetReminders.slice(0, 5).map(reminder => (
+                      <div
+                        key={`${reminder.busId}_${reminder.key}`}
+                        className="stat-item fleet-reminder-item"
+                        onClick={() => navigate(`/admin/buses?busId=${reminder.busId}`)}
+                      >
+                        <span className="stat-label">
+                          <strong>Bus {reminder.busLabel}</strong>
+                          <br />
+                          {reminder.message}
+                        </span>
+                        <span className={`stat-value ${reminder.blocking ? 'pending-sos' : 'fleet-reminder-due'}`}>
+                          {reminder.blocking ? 'Blocked' : reminder.kind === 'paper' ? 'Expiring' : 'Due soon'}
+                        </span>
+                      </div>
+                    ))}
+                    {fleetReminders.length > 5 && (
+                      <button type="button" className="fleet-reminders-more" onClick={() => navigate('/admin/buses')}>
+                        View all {fleetReminders.length} reminders
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+
               </div>
             </div>
           </div>
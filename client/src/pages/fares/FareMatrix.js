@@ -0,0 +1,275 @@
+import {
+  collection,
+  onSnapshot,
+  getDocs,
+  addDoc,
+  updateDoc,
+  doc,
+  query,
+  where,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from '/src/firebase/firebase.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { authorizedFetch } from '/src/config/api.js';
+
+// FARE TABLES
+// fareTables/{id} holds one version of a route's fare matrix: a base fare for
+// the first `baseKm` km, `perKmRate` for every km after that, stop-to-stop
+// `overrides`, and the passenger `discounts`. Versions are scheduled with
+// `effectiveFrom` and never deleted (scheduled → active → superseded, or
+// cancelled). The active version is copied to fare/{routeId} for the mobile
+// app; server/fareTables.js activates every version, including ones that
+// take effect immediately (see activateDueFareTables).
+
+const FARE_TABLES_COLLECTION = 'fareTables';
+
+// Fares are rounded to the nearest 25 centavos
+const FARE_ROUNDING = 0.25;
+
+// Statutory 20% discounts (RA 9994 seniors, RA 10754 PWD, student fare discount)
+export const DEFAULT_DISCOUNTS = [
+  { type: 'PWD', label: 'PWD', percent: 20 },
+  { type: 'Senior', label: 'Senior Citizen', percent: 20 },
+  { type: 'Student', label: 'Student', percent: 20 }
+];
+
+export const PASSENGER_TYPES = ['Regular', ...DEFAULT_DISCOUNTS.map(discount => discount.type)];
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const roundFare = (amount) => Math.round(amount / FARE_ROUNDING) * FARE_ROUNDING;
+
+const toTable = (tableDoc) => ({ id: tableDoc.id, ...tableDoc.data() });
+
+const byVersionDesc = (a, b) => (b.version || 0) - (a.version || 0);
+
+// Superseded before it was ever activated: a later version's effective date
+// passed first, so this one never applied
+const wasOvertaken = (table) => table.status === 'superseded' && !table.activatedAt;
+
+// The version in effect at a given time (the latest effectiveFrom not after it).
+// Also answers "which fares applied on this date" for audits.
+export const tableInEffect = (tables, at = new Date()) => {
+  return tables
+    .filter(table => table.status !== 'cancelled' && !wasOvertaken(table) && toDate(table.effectiveFrom) <= at)
+    .sort((a, b) => toDate(b.effectiveFrom) - toDate(a.effectiveFrom) || byVersionDesc(a, b))[0] || null;
+};
+
+// Fare between two stops of a table for one passenger type
+export const calculateFare = (table, fromStopId, toStopId, passengerType = 'Regular') => {
+  const stops = table?.stops || [];
+  const from = stops.find(stop => stop.id === fromStopId);
+  const to = stops.find(stop => stop.id === toStopId);
+
+  if (!from || !to) return { error: 'Select both stops' };
+  if (from.id === to.id) return { error: 'Pick two different stops' };
+
+  const override = (table.overrides || []).find(item =>
+    (item.fromStopId === from.id && item.toStopId === to.id) ||
+    (item.fromStopId === to.id && item.toStopId === from.id)
+  );
+
+  let distanceKm = null;
+  let regularFare;
+
+  if (from.km !== null && from.km !== undefined && to.km !== null && to.km !== undefined) {
+    // Rounded so float noise (e.g. 10.2 - 3.5) doesn't start another km
+    distanceKm = Math.round(Math.abs(Number(to.km) - Number(from.km)) * 100) / 100;
+  }
+
+  if (override) {
+    regularFare = Number(override.fare);
+  } else if (distanceKm === null) {
+    return { error: `Set the km posts of ${from.km === null || from.km === undefined ? from.name : to.name} first` };
+  } else {
+    // Every started km past the base distance is charged
+    const extraKm = Math.max(0, Math.ceil(distanceKm - Number(table.baseKm)));
+    regularFare = roundFare(Number(table.baseFare) + extraKm * Number(table.perKmRate));
+  }
+
+  const discount = (table.discounts || []).find(item => item.type === passengerType);
+  const discountPercent = discount ? Number(discount.percent) : 0;
+
+  return {
+    distanceKm,
+    regularFare,
+    discountPercent,
+    fare: roundFare(regularFare * (1 - discountPercent / 100)),
+    isOverride: !!override
+  };
+};
+
+// real-time subscription to every version for a route, newest first
+export const subscribeToFareTables = (routeId, callback, errorCallback) => {
+  try {
+    return onSnapshot(
+      query(collection(db, FARE_TABLES_COLLECTION), where('routeId', '==', routeId)),
+      (querySnapshot) => {
+        callback(querySnapshot.docs.map(toTable).sort(byVersionDesc));
+      },
+      (error) => {
+        console.error('Error subscribing to fare tables:', error);
+        if (errorCallback) {
+          errorCallback('Failed to load fare tables: ' + error.message);
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Error setting up fare tables subscription:', error);
+    if (errorCallback) {
+      errorCallback('Failed to initialize fare tables: ' + error.message);
+    }
+    return () => {};
+  }
+};
+
+// One-time read of every version, grouped by routeId (for audits across routes)
+export const getFareTablesByRoute = async () => {
+  const snapshot = await getDocs(collection(db, FARE_TABLES_COLLECTION));
+  const tablesByRoute = new Map();
+  snapshot.docs.map(toTable).forEach(table => {
+    tablesByRoute.set(table.routeId, [...(tablesByRoute.get(table.routeId) || []), table]);
+  });
+  return tablesByRoute;
+};
+
+// Puts the latest due scheduled version of a route into effect through the
+// server's FareTableActivator; resolves with the activated table ID or null
+export const activateDueFareTables = async (routeId) => {
+  const result = await authorizedFetch('/api/fares/activate-due', {
+    method: 'POST',
+    body: JSON.stringify({ routeId })
+  });
+  return result.activated[0] || null;
+};
+
+const parseAmount = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+// Saves a new version for a route. It starts as scheduled and is activated
+// right away when its effective date has already passed.
+export const saveFareTable = async (route, { effectiveFrom, baseFare, baseKm, perKmRate, overrides, discounts, notes }) => {
+  try {
+    const base = parseAmount(baseFare);
+    const kmIncluded = parseAmount(baseKm);
+    const rate = parseAmount(perKmRate);
+
+    if (!Number.isFinite(base) || base < 0) {
+      return { success: false, error: 'Base fare must be zero or more' };
+    }
+    if (!Number.isFinite(kmIncluded) || kmIncluded < 0) {
+      return { success: false, error: 'Base distance must be zero or more km' };
+    }
+    if (!Number.isFinite(rate) || rate < 0) {
+      return { success: false, error: 'Per-km rate must be zero or more' };
+    }
+
+    const startsAt = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (Number.isNaN(startsAt.getTime())) {
+      return { success: false, error: 'Effective date is not valid' };
+    }
+
+    const stopIds = new Set(route.stops.map(stop => stop.id));
+    const cleanOverrides = [];
+    for (const item of overrides || []) {
+      const fare = parseAmount(item.fare);
+      if (!stopIds.has(item.fromStopId) || !stopIds.has(item.toStopId) || item.fromStopId === item.toStopId) {
+        return { success: false, error: 'Each override needs two different stops of the route' };
+      }
+      if (!Number.isFinite(fare) || fare < 0) {
+        return { success: false, error: 'Override fares must be zero or more' };
+      }
+      cleanOverrides.push({ fromStopId: item.fromStopId, toStopId: item.toStopId, fare });
+    }
+
+    const cleanDiscounts = [];
+    for (const item of discounts || []) {
+      const percent = parseAmount(item.percent);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        return { success: false, error: `${item.label || item.type} discount must be between 0 and 100%` };
+      }
+      cleanDiscounts.push({ type: item.type, label: item.label || item.type, percent });
+    }
+
+    const existing = await getDocs(query(collection(db, FARE_TABLES_COLLECTION), where('routeId', '==', route.id)));
+    const version = existing.docs.reduce((max, tableDoc) => Math.max(max, tableDoc.data().version || 0), 0) + 1;
+
+    const data = {
+      routeId: route.id,
+      routeName: route.name,
+      version,
+      status: 'scheduled',
+      effectiveFrom: Timestamp.fromDate(startsAt),
+      baseFare: base,
+      baseKm: kmIncluded,
+      perKmRate: rate,
+      // Stops and km posts as they were, so later route edits don't change this version
+      stops: route.stops.map(({ id, name, km }) => ({ id, name, km: km ?? null })),
+      overrides: cleanOverrides,
+      discounts: cleanDiscounts,
+      notes: (notes || '').trim(),
+      createdAt: serverTimestamp(),
+      createdBy: auth.currentUser?.email || null
+    };
+
+    const docRef = await addDoc(collection(db, FARE_TABLES_COLLECTION), data);
+
+    await logActivity(
+      ACTIVITY_TYPES.FARE_TABLE_CREATE,
+      `Created fare table v${version} for ${route.name}, effective ${startsAt.toLocaleString()}`,
+      {
+        fareTableId: docRef.id,
+        routeId: route.id,
+        version,
+        effectiveFrom: startsAt.toISOString(),
+        baseFare: base,
+        baseKm: kmIncluded,
+        perKmRate: rate,
+        overrides: cleanOverrides.length,
+        discounts: cleanDiscounts
+      },
+      'info'
+    );
+
+    // If the server can't be reached the table stays scheduled until its activation timer runs
+    const activated = startsAt <= new Date()
+      ? await activateDueFareTables(route.id).catch(activationError => {
+        console.warn('Fare table activation deferred to the server:', activationError);
+        return null;
+      })
+      : null;
+
+    return { success: true, id: docRef.id, activated: activated === docRef.id };
+  } catch (error) {
+    console.error('Error saving fare table:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Only versions that haven't taken effect can be cancelled
+export const cancelFareTable = async (table) => {
+  try {
+    if (table.status !== 'scheduled') {
+      return { success: false, error: 'Only scheduled fare tables can be cancelled' };
+    }
+
+    await updateDoc(doc(db, FARE_TABLES_COLLECTION, table.id), {
+      status: 'cancelled',
+      cancelledAt: serverTimestamp(),
+      cancelledBy: auth.currentUser?.email || null
+    });
+
+    await logActivity(
+      ACTIVITY_TYPES.FARE_TABLE_CANCEL,
+      `Cancelled scheduled fare table v${table.version} for ${table.routeName}`,
+      { fareTableId: table.id, routeId: table.routeId, version: table.version, effectiveFrom: toDate(table.effectiveFrom)?.toISOString() },
+      'warning'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling fare table:', error);
+    return { success: false, error: error.message };
+  }
+};
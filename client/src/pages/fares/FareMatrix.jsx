@@ -0,0 +1,440 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import './FareMatrix.css';
+import { IoMdAdd } from 'react-icons/io';
+import { FaTrash, FaCalculator, FaHistory } from 'react-icons/fa';
+import { auth } from '/src/firebase/firebase.js';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { hasPermission } from '/src/pages/auth/authService.js';
+import { subscribeToRoutes } from '/src/pages/routes/RouteManagement.js';
+import {
+  DEFAULT_DISCOUNTS,
+  PASSENGER_TYPES,
+  tableInEffect,
+  calculateFare,
+  subscribeToFareTables,
+  saveFareTable,
+  cancelFareTable
+} from './FareMatrix.js';
+
+const formatPeso = (amount) => `₱${Number(amount || 0).toFixed(2)}`;
+
+const formatDateTime = (value) => {
+  const date = value?.toDate ? value.toDate() : value ? new Date(value) : null;
+  return date ? date.toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' }) : 'N/A';
+};
+
+const STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  active: 'Active',
+  superseded: 'Superseded',
+  cancelled: 'Cancelled'
+};
+
+function FareMatrix() {
+  const [user] = useAuthState(auth);
+  const [routes, setRoutes] = useState([]);
+  const [routeId, setRouteId] = useState('');
+  const [tables, setTables] = useState([]);
+  const [viewedTableId, setViewedTableId] = useState(null);
+  const [canEdit, setCanEdit] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
+  const [error, setError] = useState('');
+  const [calculator, setCalculator] = useState({ fromStopId: '', toStopId: '', passengerType: 'Regular' });
+
+  useEffect(() => {
+    if (user) {
+      hasPermission(user.uid, 'manage_routes').then(setCanEdit);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    const unsubscribe = subscribeToRoutes((routeList) => {
+      setRoutes(routeList);
+      setRouteId(current => current || routeList.find(route => route.active !== false)?.id || '');
+    }, setError);
+    return () => unsubscribe();
+  }, [user]);
+
+  useEffect(() => {
+    if (!routeId) return;
+    setTables([]);
+    setViewedTableId(null);
+    setCalculator(current => ({ ...current, fromStopId: '', toStopId: '' }));
+
+    const unsubscribe = subscribeToFareTables(routeId, setTables, setError);
+    return () => unsubscribe();
+  }, [routeId]);
+
+  const route = routes.find(item => item.id === routeId) || null;
+  const current = tableInEffect(tables);
+  const upcoming = tables
+    .filter(table => table.status === 'scheduled' && table !== current)
+    .sort((a, b) => a.effectiveFrom?.toMillis?.() - b.effectiveFrom?.toMillis?.())[0] || null;
+  const viewed = tables.find(table => table.id === viewedTableId) || current;
+
+  const calculation = viewed && calculator.fromStopId && calculator.toStopId
+    ? calculateFare(viewed, calculator.fromStopId, calculator.toStopId, calculator.passengerType)
+    : null;
+
+  // Regular fare for every pair of stops in the viewed version
+  const matrix = useMemo(() => {
+    if (!viewed) return [];
+    return viewed.stops.map(from => viewed.stops.map(to => (
+      from.id === to.id ? null : calculateFare(viewed, from.id, to.id)
+    )));
+  }, [viewed]);
+
+  const handleCancel = async (table) => {
+    if (!window.confirm(`Cancel fare table v${table.version}? It will never take effect, but stays in the history.`)) {
+      return;
+    }
+    const result = await cancelFareTable(table);
+    if (!result.success) {
+      alert(`Failed to cancel fare table: ${result.error}`);
+    }
+  };
+
+  return (
+    <div className="fares-container">
+      <div className="fares-wrapper">
+        <div className="fares-header">
+          <div className="fares-header-top">
+            <h1 className="fares-main-title">Fare Matrix</h1>
+            <div className="fares-header-actions">
+              <select className="fares-route-select" value={routeId} onChange={(e) => setRouteId(e.target.value)}>
+                {routes.length === 0 && <option value="">No routes yet</option>}
+                {routes.map(item => (
+                  <option key={item.id} value={item.id}>
+                    {item.name}{item.active === false ? ' (inactive)' : ''}
+                  </option>
+                ))}
+              </select>
+              {canEdit && route && (
+                <button className="fares-add-btn" onClick={() => setShowEditor(true)}>
+                  <IoMdAdd />
+                  <span>New Fare Version</span>
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="fares-stats">
+            <div className="fares-stat-card">
+              <div className="fares-stat-label">In effect</div>
+              <div className="fares-stat-number">
+                {current ? `${formatPeso(current.baseFare)} / ${current.baseKm} km` : 'None'}
+              </div>
+              <div className="fares-stat-label">
+                {current ? `+${formatPeso(current.perKmRate)} per km · v${current.version}` : 'Create a fare version to start'}
+              </div>
+            </div>
+            <div className="fares-stat-card">
+              <div className="fares-stat-label">Next change</div>
+              <div className="fares-stat-number">{upcoming ? formatDateTime(upcoming.effectiveFrom) : 'None scheduled'}</div>
+              {upcoming && (
+                <div className="fares-stat-label">
+                  v{upcoming.version}: {formatPeso(upcoming.baseFare)} / {upcoming.baseKm} km, +{formatPeso(upcoming.perKmRate)} per km
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="fares-error">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        {!route ? (
+          <div className="fares-empty">Add routes and stops on the Routes &amp; Stops page before setting fares.</div>
+        ) : (
+          <div className="fares-body">
+            <section className="fares-card">
+              <h3><FaCalculator /> Fare Calculator</h3>
+              {!viewed ? (
+                <p className="fares-muted">No fare version for {route.name} yet.</p>
+              ) : (
+                <>
+                  <p className="fares-muted">
+                    Using v{viewed.version} ({STATUS_LABELS[viewed.status]}, effective {formatDateTime(viewed.effectiveFrom)})
+                  </p>
+                  <div className="fares-calculator">
+                    <label>
+                      From
+                      <select value={calculator.fromStopId} onChange={(e) => setCalculator({ ...calculator, fromStopId: e.target.value })}>
+                        <option value="">Select stop</option>
+                        {viewed.stops.map(stop => <option key={stop.id} value={stop.id}>{stop.name}</option>)}
+                      </select>
+                    </label>
+                    <label>
+                      To
+                      <select value={calculator.toStopId} onChange={(e) => setCalculator({ ...calculator, toStopId: e.target.value })}>
+                        <option value="">Select stop</option>
+                        {viewed.stops.map(stop => <option key={stop.id} value={stop.id}>{stop.name}</option>)}
+                      </select>
+                    </label>
+                    <label>
+                      Passenger
+                      <select value={calculator.passengerType} onChange={(e) => setCalculator({ ...calculator, passengerType: e.target.value })}>
+                        {PASSENGER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                      </select>
+                    </label>
+                  </div>
+
+                  {calculation && (calculation.error ? (
+                    <p className="fares-error-text">{calculation.error}</p>
+                  ) : (
+                    <div className="fares-result">
+                      <div className="fares-result-fare">{formatPeso(calculation.fare)}</div>
+                      <div className="fares-muted">
+                        {calculation.distanceKm !== null ? `${calculation.distanceKm} km · ` : ''}
+                        {calculation.isOverride ? 'Stop-to-stop override' : 'Distance fare'} {formatPeso(calculation.regularFare)}
+                        {calculation.discountPercent > 0 ? ` less ${calculation.discountPercent}% ${calculator.passengerType} discount` : ''}
+                      </div>
+                    </div>
+                  ))}
+
+                  <h4 className="fares-subtitle">Regular fares between stops</h4>
+                  <div className="fares-matrix-scroll">
+                    <table className="fares-matrix">
+                      <thead>
+                        <tr>
+                          <th></th>
+                          {viewed.stops.map(stop => <th key={stop.id}>{stop.name}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {viewed.stops.map((from, row) => (
+                          <tr key={from.id}>
+                            <th>{from.name}{from.km !== null ? <span className="fares-km"> km {from.km}</span> : null}</th>
+                            {matrix[row].map((cell, column) => (
+                              <td
+                                key={viewed.stops[column].id}
+                                className={`${cell?.isOverride ? 'override' : ''} ${cell?.error ? 'missing' : ''}`}
+                                title={cell?.error || (cell?.isOverride ? 'Stop-to-stop override' : '')}
+                              >
+                                {cell === null ? '—' : cell.error ? '?' : cell.regularFare.toFixed(2)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </section>
+
+            <section className="fares-card">
+              <h3><FaHistory /> Fare History</h3>
+              {tables.length === 0 ? (
+                <p className="fares-muted">No fare versions yet.</p>
+              ) : (
+                <table className="fares-history">
+                  <thead>
+                    <tr>
+                      <th>Version</th>
+                      <th>Status</th>
+                      <th>Effective</th>
+                      <th>Base</th>
+                      <th>Per km</th>
+                      <th>Overrides</th>
+                      <th>Created by</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tables.map(table => (
+                      <tr
+                        key={table.id}
+                        className={table.id === viewed?.id ? 'viewed' : ''}
+                        onClick={() => setViewedTableId(table.id)}
+                        title={table.notes || ''}
+                      >
+                        <td>v{table.version}</td>
+                        <td><span className={`fares-status ${table.status}`}>{STATUS_LABELS[table.status] || table.status}</span></td>
+                        <td>{formatDateTime(table.effectiveFrom)}</td>
+                        <td>{formatPeso(table.baseFare)} / {table.baseKm} km</td>
+                        <td>{formatPeso(table.perKmRate)}</td>
+                        <td>{(table.overrides || []).length}</td>
+                        <td>{table.createdBy || 'N/A'}</td>
+                        <td>
+                          {canEdit && table.status === 'scheduled' && (
+                            <button
+                              type="button"
+                              className="fares-icon-btn"
+                              onClick={(e) => { e.stopPropagation(); handleCancel(table); }}
+                              title="Cancel this scheduled version"
+                            >
+                              <FaTrash />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </div>
+        )}
+      </div>
+
+      {showEditor && route && (
+        <FareTableModal
+          route={route}
+          template={current}
+          onClose={() => setShowEditor(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+// New fare version, prefilled from the version in effect
+function FareTableModal({ route, template, onClose }) {
+  const [formData, setFormData] = useState({
+    effectiveFrom: '',
+    baseFare: template?.baseFare ?? '',
+    baseKm: template?.baseKm ?? 4,
+    perKmRate: template?.perKmRate ?? '',
+    overrides: (template?.overrides || []).filter(item =>
+      route.stops.some(stop => stop.id === item.fromStopId) && route.stops.some(stop => stop.id === item.toStopId)
+    ),
+    discounts: template?.discounts?.length ? template.discounts : DEFAULT_DISCOUNTS,
+    notes: ''
+  });
+  const [saving, setSaving] = useState(false);
+
+  const update = (changes) => setFormData(prev => ({ ...prev, ...changes }));
+
+  const updateOverride = (index, changes) => {
+    update({ overrides: formData.overrides.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+  };
+
+  const updateDiscount = (index, percent) => {
+    update({ discounts: formData.discounts.map((item, i) => (i === index ? { ...item, percent } : item)) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await saveFareTable(route, formData);
+    setSaving(false);
+
+    if (result.success) {
+      alert(result.activated ? 'Fare table saved and now in effect.' : 'Fare table scheduled.');
+      onClose();
+    } else {
+      alert(`Failed to save fare table: ${result.error}`);
+    }
+  };
+
+  return (
+    <div className="fares-modal-overlay" onClick={onClose}>
+      <div className="fares-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="fares-modal-header">
+          <h2>New Fare Version · {route.name}</h2>
+          <button className="fares-modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="fares-modal-form">
+          <label>
+            Effective from
+            <input
+              type="datetime-local"
+              value={formData.effectiveFrom}
+              onChange={(e) => update({ effectiveFrom: e.target.value })}
+            />
+            <span className="fares-muted">Leave empty to apply immediately.</span>
+          </label>
+
+          <div className="fares-form-row">
+            <label>
+              Base fare (₱)
+              <input type="number" min="0" step="0.25" value={formData.baseFare} onChange={(e) => update({ baseFare: e.target.value })} required />
+            </label>
+            <label>
+              Covers first (km)
+              <input type="number" min="0" step="0.5" value={formData.baseKm} onChange={(e) => update({ baseKm: e.target.value })} required />
+            </label>
+            <label>
+              Each km after (₱)
+              <input type="number" min="0" step="0.05" value={formData.perKmRate} onChange={(e) => update({ perKmRate: e.target.value })} required />
+            </label>
+          </div>
+
+          <div className="fares-form-section">
+            <span className="fares-form-section-title">Discounts</span>
+            <div className="fares-form-row">
+              {formData.discounts.map((discount, index) => (
+                <label key={discount.type}>
+                  {discount.label} (%)
+                  <input type="number" min="0" max="100" step="1" value={discount.percent} onChange={(e) => updateDiscount(index, e.target.value)} />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="fares-form-section">
+            <div className="fares-form-section-header">
+              <span className="fares-form-section-title">Stop-to-stop overrides</span>
+              <button
+                type="button"
+                className="fares-link-btn"
+                onClick={() => update({ overrides: [...formData.overrides, { fromStopId: '', toStopId: '', fare: '' }] })}
+              >
+                <IoMdAdd /> Add Override
+              </button>
+            </div>
+            {formData.overrides.length === 0 && <span className="fares-muted">Every pair of stops uses the distance fare.</span>}
+            {formData.overrides.map((item, index) => (
+              <div key={index} className="fares-override-row">
+                <select value={item.fromStopId} onChange={(e) => updateOverride(index, { fromStopId: e.target.value })}>
+                  <option value="">From</option>
+                  {route.stops.map(stop => <option key={stop.id} value={stop.id}>{stop.name}</option>)}
+                </select>
+                <select value={item.toStopId} onChange={(e) => updateOverride(index, { toStopId: e.target.value })}>
+                  <option value="">To</option>
+                  {route.stops.map(stop => <option key={stop.id} value={stop.id}>{stop.name}</option>)}
+                </select>
+                <input type="number" min="0" step="0.25" placeholder="Fare (₱)" value={item.fare} onChange={(e) => updateOverride(index, { fare: e.target.value })} />
+                <button
+                  type="button"
+                  className="fares-icon-btn"
+                  onClick={() => update({ overrides: formData.overrides.filter((_, i) => i !== index) })}
+                  title="Remove override"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <label>
+            Notes
+            <input
+              type="text"
+              value={formData.notes}
+              onChange={(e) => update({ notes: e.target.value })}
+              placeholder="e.g., LTFRB Memorandum Circular reference"
+            />
+          </label>
+
+          <div className="fares-modal-actions">
+            <button type="button" className="fares-btn fares-btn-secondary" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="fares-btn fares-btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Fare Version'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default FareMatrix;
@@ -16,7 +16,8 @@ import {
   FaCheckCircle,
   FaTimesCircle,
   FaTrash,
-  FaCheck
+  FaCheck,
+  FaUndo
 } from 'react-icons/fa';
 
 function PaymentTransactions() {
@@ -27,6 +28,7 @@ function PaymentTransactions() {
   const [showImageModal, setShowImageModal] = useState(false);
   const [selectedImage, setSelectedImage] = useState('');
   const [processingPayment, setProcessingPayment] = useState(null);
+  const [refundTarget, setRefundTarget] = useState(null);
 
   // Authentication and role states
   const [currentUser, setCurrentUser] = useState(null);
@@ -85,10 +87,24 @@ function PaymentTransactions() {
     setProcessingPayment(reservationId);
 
     try {
+      // Buses running on their coding day need a confirmation; enforced coding is refused by the service
+      if (action === 'approve') {
+        const coding = await paymentService.checkApprovalCoding(reservationId);
+        if (coding && !coding.blocked && !window.confirm(`${coding.message}\n\nApprove the reservation anyway?`)) {
+          return;
+        }
+      }
+
       const result = await paymentService.handlePaymentAction(reservationId, action, reason);
 
       if (!result.success) {
         alert(`Error: ${result.error}`);
+      } else if (result.refundable) {
+        // Rejected reservation was paid through PayMongo - offer to return the money
+        const payment = payments.find(p => p.id === reservationId);
+        if (payment && window.confirm('This reservation was paid online through PayMongo.\n\nDo you want to issue a refund now?')) {
+          setRefundTarget(payment);
+        }
       }
     } catch (error) {
       console.error('Error handling payment action:', error);
@@ -98,6 +114,28 @@ function PaymentTransactions() {
     }
   };
 
+  // Handle refund submission from the refund modal
+  const handleRefundSubmit = async ({ amount, reason, notes }) => {
+    const payment = refundTarget;
+    setProcessingPayment(payment.id);
+
+    try {
+      const result = await paymentService.requestRefund(payment, { amount, reason, notes });
+
+      if (result.success) {
+        alert(`✅ Refund requested (${result.status}). The status will update once PayMongo confirms it.`);
+        setRefundTarget(null);
+      } else {
+        alert(`❌ Error requesting refund: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error requesting refund:', error);
+      alert(`❌ Error requesting refund: ${error.message}`);
+    } finally {
+      setProcessingPayment(null);
+    }
+  };
+
   // Handle payment deletion
   const handleDeletePayment = async (paymentId) => {
     // Check if user is superadmin
@@ -286,7 +324,7 @@ function PaymentTransactions() {
                           <strong>Route:</strong> {payment.from} → {payment.to}
                         </div>
                         <div className="detail-row">
-                          <strong>Selected Bus:</strong> {payment.selectedBusIds?.[0] || 'N/A'}
+                          <strong>Selected Bus:</strong> {payment.busNumber}
                         </div>
                         <div className="detail-row">
                           <strong>Customer:</strong> {payment.fullName}
@@ -323,6 +361,11 @@ function PaymentTransactions() {
                             <strong>Reference:</strong> {payment.reference}
                           </div>
                         )}
+                        {payment.refundStatus && (
+                          <div className="detail-row">
+                            <strong>Refund:</strong> {payment.refundStatus} ({formatCurrency(payment.refundedAmount || 0)} refunded)
+                          </div>
+                        )}
                       </div>
                     )}
 
@@ -376,6 +419,16 @@ function PaymentTransactions() {
                         </button>
                       </div>
                     )}
+                    {paymentService.isRefundable(payment) &&
+                      (payment.originalReservation?.status === 'cancelled' || payment.originalReservation?.status === 'confirmed') && (
+                      <button
+                        className="action-btn refund"
+                        onClick={() => setRefundTarget(payment)}
+                        disabled={processingPayment === payment.id}
+                      >
+                        <FaUndo /> Refund
+                      </button>
+                    )}
                     <button
                       className="action-btn delete"
                       onClick={() => handleDeletePayment(payment.id)}
@@ -397,6 +450,19 @@ function PaymentTransactions() {
       </div>
 
 
+      {/* Refund Modal */}
+      {refundTarget && (
+        <RefundModal
+          payment={refundTarget}
+          maxAmount={paymentService.getRefundableAmount(refundTarget)}
+          reasons={paymentService.getRefundReasons()}
+          formatCurrency={formatCurrency}
+          processing={processingPayment === refundTarget.id}
+          onSubmit={handleRefundSubmit}
+          onClose={() => setRefundTarget(null)}
+        />
+      )}
+
       {/* Image Modal */}
       {showImageModal && (
         <ImageModal
@@ -412,6 +478,97 @@ function PaymentTransactions() {
 }
 
 
+// Refund Modal Component (full or partial refunds)
+const RefundModal = ({ payment, maxAmount, reasons, formatCurrency, processing, onSubmit, onClose }) => {
+  const [amount, setAmount] = useState(maxAmount.toFixed(2));
+  const [reason, setReason] = useState(reasons[0].value);
+  const [notes, setNotes] = useState('');
+
+  const numericAmount = Number(amount);
+  const isAmountValid = numericAmount > 0 && numericAmount <= maxAmount;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isAmountValid) return;
+
+    if (!window.confirm(`Refund ${formatCurrency(numericAmount)} to ${payment.fullName || payment.email}?\n\nThis cannot be undone.`)) {
+      return;
+    }
+    onSubmit({ amount: numericAmount, reason, notes });
+  };
+
+  return (
+    <div className="payment-modal-overlay" onClick={onClose}>
+      <div className="payment-modal-content payment-refund-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="payment-modal-header">
+          <h2>Refund Payment</h2>
+          <button className="payment-modal-close-btn" onClick={onClose}>×</button>
+        </div>
+        <form className="payment-modal-body" onSubmit={handleSubmit}>
+          <div className="detail-row">
+            <strong>Booking:</strong> {payment.bookingReference}
+          </div>
+          <div className="detail-row">
+            <strong>Refundable balance:</strong> {formatCurrency(maxAmount)}
+          </div>
+
+          <div className="refund-form-group">
+            <label htmlFor="refund-amount">Amount (PHP)</label>
+            <input
+              id="refund-amount"
+              type="number"
+              min="0.01"
+              step="0.01"
+              max={maxAmount}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className="refund-input"
+            />
+            {!isAmountValid && (
+              <span className="refund-error">Enter an amount between ₱0.01 and {formatCurrency(maxAmount)}</span>
+            )}
+          </div>
+
+          <div className="refund-form-group">
+            <label htmlFor="refund-reason">Reason</label>
+            <select
+              id="refund-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="refund-input"
+            >
+              {reasons.map(r => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="refund-form-group">
+            <label htmlFor="refund-notes">Notes</label>
+            <textarea
+              id="refund-notes"
+              rows={3}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Optional details for the audit trail"
+              className="refund-input"
+            />
+          </div>
+
+          <div className="action-buttons">
+            <button type="submit" className="action-btn refund" disabled={processing || !isAmountValid}>
+              <FaUndo /> {processing ? 'Processing...' : 'Issue Refund'}
+            </button>
+            <button type="button" className="action-btn view" onClick={onClose} disabled={processing}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
 // Image Modal Component
 const ImageModal = ({ imageUrl, onClose }) => {
   return (
@@ -9,21 +9,30 @@ import {
   updateDoc,
   deleteDoc,
   serverTimestamp,
-  getDocs
+  getDocs,
+  limit
 } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
 import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { authorizedFetch } from '/src/config/api.js';
+import { subscribeToBuses, resolveBus, busLabel } from '/src/pages/buses/BusFleet.js';
+import { busBlockReason } from '/src/pages/buses/BusMaintenance.js';
+import { checkReservationCoding } from '/src/pages/settings/numberCoding.js';
 
 class PaymentService {
-  // Set up real-time listener for reservations (which include payment info)
+  // Set up real-time listener for reservations (which include payment info).
+  // The fleet is subscribed to once alongside it, so a reservation change
+  // doesn't re-read every bus.
   setupReservationsListener(callback) {
     const reservationsRef = collection(db, 'reservations');
     const q = query(reservationsRef, orderBy('timestamp', 'desc'));
+    let busesById = new Map();
+    let latestSnapshot = null;
 
-    const unsubscribe = onSnapshot(q, async (snapshot) => {
+    const publish = (fetchPrices) => {
       try {
         // Process reservations immediately for basic data
-        const reservationsList = snapshot.docs.map(doc => {
+        const reservationsList = latestSnapshot.docs.map(doc => {
           const data = doc.data();
 
           // Get price from reservation data first
@@ -42,7 +51,9 @@ class PaymentService {
             paymentMethod: data.paymentMethod || 'GCash',
             status: this.mapReservationStatus(data.status),
             createdAt: data.timestamp,
-            busNumber: data.selectedBusIds?.[0] || 'N/A',
+            busNumber: data.selectedBusIds?.[0]
+              ? (busesById.has(data.selectedBusIds[0]) ? busLabel(busesById.get(data.selectedBusIds[0])) : data.selectedBusIds[0])
+              : 'N/A',
             travelDate: data.travelDate || data.timestamp,
             // Payment proof/receipt from user - using new field names
             paymentProof: data.receiptUrl,
@@ -71,7 +82,7 @@ class PaymentService {
           !reservation.originalReservation.amount
         );
 
-        if (needsPriceUpdate) {
+        if (fetchPrices && needsPriceUpdate) {
           // Background price fetching without blocking UI updates
           this.updateReservationPrices(reservationsList, callback);
         }
@@ -80,12 +91,36 @@ class PaymentService {
         console.error('Error processing reservations snapshot:', error);
         callback([], error);
       }
+    };
+
+    // Bus labels fall back to the raw IDs until the fleet has loaded
+    const unsubscribeBuses = subscribeToBuses((buses) => {
+      busesById = this.getBusLookup(buses);
+      if (latestSnapshot) publish(false);
+    });
+
+    const unsubscribeReservations = onSnapshot(q, (snapshot) => {
+      latestSnapshot = snapshot;
+      publish(true);
     }, (error) => {
       console.error('Error fetching reservations:', error);
       callback([], error);
     });
 
-    return unsubscribe;
+    return () => {
+      unsubscribeReservations();
+      unsubscribeBuses();
+    };
+  }
+
+  // Bus IDs (and the legacy IDs older reservations used) → bus, from the fleet registry
+  getBusLookup(buses) {
+    const busesById = new Map();
+    buses.forEach(bus => {
+      bus.legacyIds.forEach(legacyId => busesById.set(legacyId, bus));
+      busesById.set(bus.id, bus);
+    });
+    return busesById;
   }
 
   // Map reservation status to payment status for display
@@ -167,6 +202,27 @@ class PaymentService {
     }
   }
 
+  // Fleet records of a reservation's selectedBusIds, null for IDs that don't resolve
+  async resolveSelectedBuses(selectedBusIds) {
+    return new Map(await Promise.all(
+      selectedBusIds.map(async (busId) => [busId, await resolveBus(busId).catch((error) => {
+        console.warn(`Error resolving bus ${busId}:`, error);
+        return null;
+      })])
+    ));
+  }
+
+  // Number coding conflict of approving a reservation, null if there is none.
+  // Blocked conflicts are also refused by handlePaymentAction.
+  async checkApprovalCoding(reservationId) {
+    const reservationSnap = await getDoc(doc(db, 'reservations', reservationId));
+    if (!reservationSnap.exists()) return null;
+
+    const reservationData = reservationSnap.data();
+    const selectedBuses = await this.resolveSelectedBuses(reservationData.selectedBusIds || []);
+    return checkReservationCoding(reservationData, Array.from(selectedBuses.values()));
+  }
+
   // Handle reservation payment verification actions
   async handlePaymentAction(reservationId, action, reason = '') {
     try {
@@ -208,66 +264,67 @@ class PaymentService {
       }
 
       const reservationData = reservationSnap.data();
+      const selectedBusIds = reservationData.selectedBusIds || [];
+      const selectedBuses = await this.resolveSelectedBuses(selectedBusIds);
+
+      // A reservation can't be confirmed on a bus with expired papers or overdue maintenance
+      if (action === 'approve') {
+        const blocked = Array.from(selectedBuses.values())
+          .map(bus => (bus ? busBlockReason(bus) : null))
+          .filter(Boolean);
+        if (blocked.length > 0) {
+          throw new Error(blocked.join('\n'));
+        }
 
-      // Update reservation status
-      const actionPastTense = action === 'approve' ? 'approved' : `${action}ed`;
-      const updateData = {
-        status: newReservationStatus,
-        [`${actionPastTense}At`]: serverTimestamp(),
-        [`${actionPastTense}By`]: 'admin',
-        updatedAt: serverTimestamp()
-      };
-
-      if (reason) {
-        updateData.rejectionReason = reason;
+        const coding = await checkReservationCoding(reservationData, Array.from(selectedBuses.values()));
+        if (coding?.blocked) {
+          throw new Error(coding.message);
+        }
       }
 
-      await updateDoc(reservationRef, updateData);
+      // Update reservation status. Approvals go through the server, which
+      // checks the buses again.
+      if (action === 'approve') {
+        await authorizedFetch(`/api/reservations/${encodeURIComponent(reservationId)}/approve`, { method: 'POST' });
+      } else {
+        const actionPastTense = `${action}ed`;
+        const updateData = {
+          status: newReservationStatus,
+          [`${actionPastTense}At`]: serverTimestamp(),
+          [`${actionPastTense}By`]: 'admin',
+          updatedAt: serverTimestamp()
+        };
+
+        if (reason) {
+          updateData.rejectionReason = reason;
+        }
+
+        await updateDoc(reservationRef, updateData);
+      }
 
       // Update conductor's busAvailabilityStatus and reservationDetails for each selected bus
-      if (reservationData.selectedBusIds && reservationData.selectedBusIds.length > 0) {
-        const conductorUpdatePromises = reservationData.selectedBusIds.map(async (busId) => {
+      if (selectedBusIds.length > 0) {
+        const conductorUpdatePromises = selectedBusIds.map(async (busId) => {
           try {
-            // Find conductor by busId in selectedBusIds array or reservationId
-            const conductorsRef = collection(db, 'conductors');
-
-            // First try to find by email matching the busId pattern 
-            let conductorQuery = query(conductorsRef, where('email', '==', `${busId}@gmail.com`));
-            let conductorSnap = await getDocs(conductorQuery);
+            // The bus's current conductor, or the conductor already holding this reservation
+            const bus = selectedBuses.get(busId);
+            let conductorDoc = null;
 
-            // If not found, try by plateNumber
-            if (conductorSnap.empty) {
-              conductorQuery = query(conductorsRef, where('plateNumber', '==', busId));
-              conductorSnap = await getDocs(conductorQuery);
+            if (bus?.conductorId) {
+              const busConductor = await getDoc(doc(db, 'conductors', bus.conductorId));
+              conductorDoc = busConductor.exists() ? busConductor : null;
             }
 
-            // If not found, try by selectedBusIds array containing the busId
-            if (conductorSnap.empty) {
-              conductorQuery = query(conductorsRef, where('selectedBusIds', 'array-contains', busId));
-              conductorSnap = await getDocs(conductorQuery);
+            if (!conductorDoc) {
+              const holding = await getDocs(query(collection(db, 'conductors'), where('reservationId', '==', reservationId), limit(1)));
+              conductorDoc = holding.docs[0] || null;
             }
 
-            // If not found, try by reservationId
-            if (conductorSnap.empty) {
-              conductorQuery = query(conductorsRef, where('reservationId', '==', reservationId));
-              conductorSnap = await getDocs(conductorQuery);
-            }
-
-            // If still not found, try searching by reservationId in reservationDetails
-            if (conductorSnap.empty) {
-              conductorQuery = query(conductorsRef, where('reservationDetails.reservationId', '==', reservationId));
-              conductorSnap = await getDocs(conductorQuery);
-            }
-
-            // If still not found, try searching by reservationId in activeTrip
-            if (conductorSnap.empty) {
-              conductorQuery = query(conductorsRef, where('activeTrip.reservationDetails.reservationId', '==', reservationId));
-              conductorSnap = await getDocs(conductorQuery);
-            }
-
-            if (!conductorSnap.empty) {
-              const conductorRef = doc(db, 'conductors', conductorSnap.docs[0].id);
-              const conductorData = conductorSnap.docs[0].data();
+            if (!conductorDoc) {
+              console.warn(`No conductor found for bus ${busId}${bus ? '' : ' (not in the fleet registry)'}`);
+            } else {
+              const conductorRef = conductorDoc.ref;
+              const conductorData = conductorDoc.data();
 
               // Build update data for conductor
               const conductorUpdateData = {
@@ -329,7 +386,9 @@ class PaymentService {
 
       return {
         success: true,
-        message: `Reservation payment ${actionDescription} successfully`
+        message: `Reservation payment ${actionDescription} successfully`,
+        // Rejected reservations paid online should be offered a refund
+        refundable: action === 'reject' && this.isRefundable({ ...reservationData, id: reservationId })
       };
 
     } catch (error) {
@@ -341,6 +400,95 @@ class PaymentService {
     }
   }
 
+  // Reservations paid through PayMongo carry the server booking session ID
+  isPaymongoPayment(payment) {
+    return !!(payment?.paymentSessionId || payment?.originalReservation?.paymentSessionId);
+  }
+
+  // Amount (PHP) that can still be refunded for a reservation. Refunds hold
+  // their amount while 'requested', 'pending' or 'succeeded', the same
+  // statuses server/refunds.js reserves.
+  getRefundableAmount(payment) {
+    const amount = Number(payment?.totalAmount || payment?.amount || 0);
+    const refunds = payment?.refunds || payment?.originalReservation?.refunds || [];
+    const reserved = refunds
+      .filter(refund => ['requested', 'pending', 'succeeded'].includes(refund.status))
+      .reduce((sum, refund) => sum + Number(refund.amount || 0), 0);
+    return Math.max(0, Math.round((amount - reserved) * 100) / 100);
+  }
+
+  isRefundable(payment) {
+    return this.isPaymongoPayment(payment) && this.getRefundableAmount(payment) > 0;
+  }
+
+  // Refund reasons accepted by PayMongo
+  getRefundReasons() {
+    return [
+      { value: 'requested_by_customer', label: 'Requested by customer' },
+      { value: 'duplicate', label: 'Duplicate payment' },
+      { value: 'fraudulent', label: 'Fraudulent' },
+      { value: 'others', label: 'Others' }
+    ];
+  }
+
+  // Refund a PayMongo-paid reservation (full or partial) through the server
+  async requestRefund(payment, { amount, reason, notes = '' }) {
+    try {
+      const sessionId = payment.paymentSessionId || payment.originalReservation?.paymentSessionId;
+      if (!sessionId) {
+        throw new Error('This reservation was not paid through PayMongo');
+      }
+
+      const refundAmount = Number(amount);
+      if (!refundAmount || refundAmount <= 0) {
+        throw new Error('Refund amount must be greater than zero');
+      }
+
+      if (refundAmount > this.getRefundableAmount(payment)) {
+        throw new Error('Refund amount exceeds the refundable balance');
+      }
+
+      const result = await authorizedFetch('/api/payment/refund', {
+        method: 'POST',
+        body: JSON.stringify({
+          sessionId,
+          reservationId: payment.id,
+          amount: refundAmount,
+          reason,
+          notes
+        })
+      });
+
+      await logActivity(
+        ACTIVITY_TYPES.PAYMENT_REFUND,
+        `Refund of ${this.formatCurrency(refundAmount)} requested for reservation: ${payment.id}`,
+        {
+          reservationId: payment.id,
+          sessionId: sessionId,
+          refundId: result.refund?.refundId,
+          amount: refundAmount,
+          reason: reason,
+          notes: notes,
+          refundStatus: result.status
+        }
+      );
+
+      return {
+        success: true,
+        refund: result.refund,
+        status: result.status,
+        message: 'Refund requested successfully'
+      };
+
+    } catch (error) {
+      console.error('Error requesting refund:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Delete payment record
   async deletePayment(reservationId) {
     try {
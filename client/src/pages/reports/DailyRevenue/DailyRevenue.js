@@ -1,5 +1,21 @@
 import { collection, getDocs, doc, getDoc, onSnapshot } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
+import { authorizedFetch } from '/src/config/api.js';
+import { getRouteDirectionOptions } from '/src/pages/routes/RouteManagement.js';
+
+// Calls a server revenue report ('daily', 'monthly' or 'routes').
+// Empty filters are left out so the server treats them as "all".
+export const fetchRevenueReport = async (report, filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '' && value !== 'all') {
+      params.set(key, String(value));
+    }
+  });
+
+  const query = params.toString();
+  return authorizedFetch(`/api/revenue/${report}${query ? `?${query}` : ''}`);
+};
 
 // REVENUE DATA CACHE SERVICE
 class RevenueDataCacheService {
@@ -44,8 +60,14 @@ class RevenueDataCacheService {
 
   //  Get revenue data with cache-first approach
   async getRevenueData(selectedDate, selectedRoute = null) {
+    return this.getRevenueRangeData(selectedDate, selectedDate, selectedRoute);
+  }
+
+  // Get revenue data for a date range (inclusive) with one server request
+  async getRevenueRangeData(startDate, endDate, selectedRoute = null, ticketType = null) {
     try {
-      const cacheKey = this.getCacheKey(selectedDate, selectedRoute);
+      const rangeKey = this.getCacheKey(startDate, selectedRoute, endDate);
+      const cacheKey = ticketType ? `${rangeKey}|${ticketType}` : rangeKey;
 
       //  Return cached data immediately if available and fresh
       if (this.revenueCache.has(cacheKey) && this.isCacheFresh(cacheKey)) {
@@ -53,7 +75,7 @@ class RevenueDataCacheService {
       }
 
       // Fetch fresh data
-      const freshData = await this.fetchRevenueDataFromFirestore(selectedDate, selectedRoute);
+      const freshData = await this.fetchRevenueDataFromServer(startDate, endDate, selectedRoute, ticketType);
 
       // Save to cache
       this.revenueCache.set(cacheKey, freshData);
@@ -71,11 +93,12 @@ class RevenueDataCacheService {
     }
   }
 
-  // Generate cache key from date and route
-  getCacheKey(date, route) {
+  // Generate cache key from date (or date range) and route
+  getCacheKey(date, route, endDate = date) {
     const dateKey = date && date.trim() !== '' ? date : 'all_dates';
+    const rangeKey = endDate && endDate !== date ? `${dateKey}..${endDate}` : dateKey;
     const routeKey = route && route.trim() !== '' ? route : 'all_routes';
-    return `${dateKey}_${routeKey}`;
+    return `${rangeKey}_${routeKey}`;
   }
 
   // Check if cache is fresh (3 minutes)
@@ -86,30 +109,65 @@ class RevenueDataCacheService {
     return ageMinutes < 3; // Cache valid for 3 minutes
   }
 
-  // Fetch revenue data from Firestore (original logic)
-  async fetchRevenueDataFromFirestore(selectedDate, selectedRoute) {
+  // Get the ticket lists for a date range, cached like the totals
+  async getRevenueTickets(startDate, endDate, selectedRoute = null, ticketType = null) {
+    const cacheKey = `${this.getCacheKey(startDate, selectedRoute, endDate)}|tickets_${ticketType || 'all_types'}`;
 
-    // Pass null or empty string when date is cleared to fetch all data
-    const dateParam = selectedDate && selectedDate.trim() !== '' ? selectedDate : null;
+    if (this.revenueCache.has(cacheKey) && this.isCacheFresh(cacheKey)) {
+      return this.revenueCache.get(cacheKey);
+    }
+
+    const tickets = await this.fetchRevenueTicketsFromServer(startDate, endDate, selectedRoute, ticketType);
+    this.revenueCache.set(cacheKey, tickets);
+    this.lastFetchTime.set(cacheKey, Date.now());
+    return tickets;
+  }
 
-    // All three data fetching functions already run in parallel via Promise.all
-    const [{ conductorTrips }, preBookingTrips, preTicketing] = await Promise.all([
-      this.fetchConductorTripsAndPreBooking(dateParam, selectedRoute),
-      this.fetchPreBookingFromNewPath(dateParam, selectedRoute),
-      this.fetchPreTicketing(dateParam, selectedRoute)
-    ]);
+  // Fetch the totals and top routes from the server's routes report, which is
+  // served from the daily summaries when they cover the range. The ticket
+  // lists are left empty (`ticketsLoaded: false`) until they are needed.
+  // Empty dates mean "no bound", so both empty fetches everything.
+  async fetchRevenueDataFromServer(startDate, endDate, selectedRoute, ticketType = null) {
+    const result = await fetchRevenueReport('routes', {
+      startDate,
+      endDate,
+      route: selectedRoute,
+      ticketType
+    });
 
-    const metrics = this.calculateRevenueMetrics(conductorTrips, preBookingTrips, preTicketing);
+    const { totals } = result;
 
-    const result = {
-      conductorTrips,
-      preBookingTrips,
-      preTicketing,
-      ...metrics
+    return {
+      conductorTrips: [],
+      preBookingTrips: [],
+      preTicketing: [],
+      ticketsLoaded: false,
+      routes: result.routes || [],
+      trips: totals.trips || 0,
+      tickets: totals.tickets || 0,
+      totalRevenue: totals.totalRevenue,
+      totalPassengers: totals.totalPassengers,
+      averageFare: totals.averageFare,
+      conductorRevenue: totals.conductorRevenue,
+      preBookingRevenue: totals.preBookingRevenue,
+      preTicketingRevenue: totals.preTicketingRevenue
     };
+  }
 
+  // Fetch every ticket in the range. Listing tickets always scans the raw
+  // trips on the server, so this is only done for the detailed breakdown
+  // and exports.
+  async fetchRevenueTicketsFromServer(startDate, endDate, selectedRoute, ticketType = null) {
+    const result = await fetchRevenueReport('daily', {
+      startDate,
+      endDate,
+      route: selectedRoute,
+      ticketType,
+      includeTickets: true
+    });
 
-    return result;
+    const { conductorTrips = [], preBookingTrips = [], preTicketing = [] } = result.tickets || {};
+    return { conductorTrips, preBookingTrips, preTicketing };
   }
 
   // Start listening for conductor-level changes (note: subcollection changes not detected)
@@ -214,16 +272,21 @@ class RevenueDataCacheService {
     this.routesCacheTime = null;
   }
 
-  invalidateCache(date, route) {
-    const cacheKey = this.getCacheKey(date, route);
-    this.revenueCache.delete(cacheKey);
-    this.lastFetchTime.delete(cacheKey);
+  // Drops the range's totals and ticket lists for every ticket type
+  invalidateCache(date, route, endDate = date) {
+    const cacheKey = this.getCacheKey(date, route, endDate);
+    Array.from(this.revenueCache.keys())
+      .filter(key => key === cacheKey || key.startsWith(`${cacheKey}|`))
+      .forEach(key => {
+        this.revenueCache.delete(key);
+        this.lastFetchTime.delete(key);
+      });
   }
 
   // Force refresh cache
-  async forceRefreshCache(date, route) {
-    this.invalidateCache(date, route);
-    return await this.getRevenueData(date, route);
+  async forceRefreshCache(date, route, endDate = date) {
+    this.invalidateCache(date, route, endDate);
+    return await this.getRevenueRangeData(date, endDate, route);
   }
 
   //  Setup real-time listener for revenue data
@@ -305,7 +368,9 @@ class RevenueDataCacheService {
         }
       }
 
-      const routes = await this.fetchAvailableRoutesFromFirestore();
+      // Routes & Stops directions; trips are only scanned before any route is set up
+      const configuredRoutes = await getRouteDirectionOptions();
+      const routes = configuredRoutes.length > 0 ? configuredRoutes : await this.fetchAvailableRoutesFromFirestore();
 
       // Cache the results
       this.availableRoutesCache = routes;
@@ -474,602 +539,6 @@ class RevenueDataCacheService {
     }
   }
 
-  // Move all revenue fetching methods to cache service
-  // Fetches the conductor tickets
-  async fetchConductorTripsAndPreBooking(date, selectedRoute = null) {
-    try {
-
-      const conductorsRef = collection(db, 'conductors');
-      const conductorsSnapshot = await getDocs(conductorsRef);
-
-      // Process all conductors in parallel instead of sequential
-      const conductorPromises = conductorsSnapshot.docs.map(async (conductorDoc) => {
-        const conductorId = conductorDoc.id;
-        let conductorTrips = [];
-
-        try {
-          // If no date is provided, get all trips from all dates
-          if (!date) {
-            // Get all daily trips dates for this conductor
-            const dailyTripsRef = collection(db, `conductors/${conductorId}/dailyTrips`);
-            const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-
-            // Process all date docs in parallel for this conductor
-            const datePromises = dailyTripsSnapshot.docs.map(async (dateDoc) => {
-              const dateId = dateDoc.id;
-              const dateConductorTrips = [];
-              await this.processTripsForDate(conductorId, dateId, dateConductorTrips, [], date, selectedRoute);
-              return dateConductorTrips;
-            });
-
-            const dateResults = await Promise.all(datePromises);
-            conductorTrips = dateResults.flat();
-          } else {
-            // Process specific date
-            await this.processTripsForDate(conductorId, date, conductorTrips, [], date, selectedRoute);
-          }
-
-          return conductorTrips;
-        } catch (conductorError) {
-          console.warn(`Error processing conductor ${conductorId}:`, conductorError.message);
-          return [];
-        }
-      });
-
-      // Wait for all conductors to complete in parallel
-      const allConductorResults = await Promise.all(conductorPromises);
-      const conductorTrips = allConductorResults.flat();
-
-
-      return { conductorTrips };
-    } catch (error) {
-      console.error('Error in fetchConductorTripsAndPreBooking:', error);
-      return { conductorTrips: [] };
-    }
-  }
-
-  // fetch pre-bookings
-  async fetchPreBookingFromNewPath(date, selectedRoute = null) {
-    try {
-
-      const conductorsRef = collection(db, 'conductors');
-      const conductorsSnapshot = await getDocs(conductorsRef);
-
-      // Process all conductors in parallel instead of sequential
-      const conductorPromises = conductorsSnapshot.docs.map(async (conductorDoc) => {
-        const conductorId = conductorDoc.id;
-        let conductorPreBookings = [];
-
-        try {
-          // If no date is provided, get all trips from all dates
-          if (!date) {
-            // Get all daily trips dates for this conductor
-            const dailyTripsRef = collection(db, `conductors/${conductorId}/dailyTrips`);
-            const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-
-            // Process all date docs in parallel for this conductor
-            const datePromises = dailyTripsSnapshot.docs.map(async (dateDoc) => {
-              const dateId = dateDoc.id;
-              const datePreBookings = [];
-              await this.processPreBookingsForDate(conductorId, dateId, datePreBookings, date, selectedRoute);
-              return datePreBookings;
-            });
-
-            const dateResults = await Promise.all(datePromises);
-            conductorPreBookings = dateResults.flat();
-          } else {
-            // Process specific date
-            await this.processPreBookingsForDate(conductorId, date, conductorPreBookings, date, selectedRoute);
-          }
-
-          return conductorPreBookings;
-        } catch (conductorError) {
-          console.warn(`Error fetching pre-bookings for conductor ${conductorId}:`, conductorError.message);
-          return [];
-        }
-      });
-
-      // Wait for all conductors to complete in parallel
-      const allConductorResults = await Promise.all(conductorPromises);
-      const allPreBookings = allConductorResults.flat();
-
-
-      return allPreBookings;
-    } catch (error) {
-      console.error('Error fetching pre-booking data:', error);
-      return [];
-    }
-  }
-
-  // fetch pre-ticketing
-  async fetchPreTicketing(date, selectedRoute = null) {
-    try {
-
-      const conductorsRef = collection(db, 'conductors');
-      const conductorsSnapshot = await getDocs(conductorsRef);
-
-      // Process all conductors in parallel instead of sequential
-      const conductorPromises = conductorsSnapshot.docs.map(async (conductorDoc) => {
-        const conductorId = conductorDoc.id;
-        let conductorPreTickets = [];
-
-        try {
-          // If no date is provided, get all trips from all dates
-          if (!date) {
-            // Get all daily trips dates for this conductor
-            const dailyTripsRef = collection(db, `conductors/${conductorId}/dailyTrips`);
-            const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-
-            // Process all date docs in parallel for this conductor
-            const datePromises = dailyTripsSnapshot.docs.map(async (dateDoc) => {
-              const dateId = dateDoc.id;
-              const datePreTickets = [];
-              await this.processPreTicketsForDate(conductorId, dateId, datePreTickets, date, selectedRoute);
-              return datePreTickets;
-            });
-
-            const dateResults = await Promise.all(datePromises);
-            conductorPreTickets = dateResults.flat();
-          } else {
-            // Process specific date
-            await this.processPreTicketsForDate(conductorId, date, conductorPreTickets, date, selectedRoute);
-          }
-
-          return conductorPreTickets;
-        } catch (conductorError) {
-          console.warn(`Error fetching pre-tickets for conductor ${conductorId}:`, conductorError.message);
-          return [];
-        }
-      });
-
-      // Wait for all conductors to complete in parallel
-      const allConductorResults = await Promise.all(conductorPromises);
-      const allPreTickets = allConductorResults.flat();
-
-
-      return allPreTickets;
-    } catch (error) {
-      console.error('Error details:', {
-        code: error.code,
-        message: error.message,
-        stack: error.stack
-      });
-      return [];
-    }
-  }
-
-  // Helper method to process trips for a specific date with route filtering
-  // conductor trips only
-  async processTripsForDate(conductorId, dateId, conductorTrips, preBookingTrips, filterDate = null, selectedRoute = null) {
-    try {
-      // Get all trip names dynamically instead of hardcoding
-      const tripNames = await getAllTripNames(conductorId, dateId);
-
-      // Process all trips in parallel instead of sequential
-      const tripPromises = tripNames.map(async (tripName) => {
-        try {
-          // Get trip direction and currentTrip number first if route filtering is enabled
-          let tripDirection = null;
-          let currentTripNumber = null;
-          if (selectedRoute) {
-            const tripInfo = await getTripInfo(conductorId, dateId, tripName);
-            tripDirection = tripInfo.direction;
-            currentTripNumber = tripInfo.currentTrip;
-
-            // Skip this trip if it doesn't match the selected route
-            if (tripDirection !== selectedRoute) {
-              return [];
-            }
-          }
-
-          // Check if this trip exists by trying to get its tickets
-          const ticketsCollectionRef = collection(db, `conductors/${conductorId}/dailyTrips/${dateId}/${tripName}/tickets/tickets`);
-          const ticketsSnapshot = await getDocs(ticketsCollectionRef);
-
-          if (ticketsSnapshot.docs.length > 0) {
-
-            // If we haven't fetched the trip info yet, fetch it now for ticket processing
-            if (!tripDirection || !currentTripNumber) {
-              const tripInfo = await getTripInfo(conductorId, dateId, tripName);
-              tripDirection = tripInfo.direction;
-              currentTripNumber = tripInfo.currentTrip;
-            }
-
-            const tripTickets = [];
-
-            for (const ticketDoc of ticketsSnapshot.docs) {
-              const ticketData = ticketDoc.data();
-              const ticketId = ticketDoc.id;
-
-
-              // Check if we should include this ticket based on date filter
-              if (filterDate) {
-                // Use dateId for comparison instead of ticket timestamp to avoid timezone issues
-                // The document is already organized by date, so if the ticket is in this date's document, it belongs to this date
-                if (dateId !== filterDate) {
-                  continue;
-                }
-              }
-
-              // Process valid tickets - only conductor trips now (pre-booking handled separately)
-              if (ticketData.totalFare && ticketData.quantity) {
-                const processedTicket = {
-                  // Include all ticket data first
-                  ...ticketData,
-                  // Then override with our clean values
-                  id: ticketId,
-                  conductorId: conductorId,
-                  tripId: tripName,
-                  currentTrip: currentTripNumber,
-                  tripDirection: tripDirection,
-                  totalFare: parseFloat(ticketData.totalFare),
-                  quantity: ticketData.quantity || 1,
-                  from: ticketData.from,
-                  to: ticketData.to,
-                  timestamp: ticketData.timestamp,
-                  discountAmount: parseFloat(ticketData.discountAmount || 0),
-                  ticketType: ticketData.ticketType || ticketData.documentType || null,
-                  documentType: ticketData.documentType || ticketData.ticketType || null,
-                  date: dateId,
-                  startKm: ticketData.startKm,
-                  endKm: ticketData.endKm,
-                  totalKm: ticketData.totalKm,
-                  farePerPassenger: ticketData.farePerPassenger,
-                  discountBreakdown: ticketData.discountBreakdown || [],
-                  discountList: ticketData.discountList || [],
-                  active: ticketData.active
-                };
-
-                // Only process conductor tickets and pre-tickets (pre-booking is handled by separate function)
-                if (ticketData.documentType === 'preTicket' || ticketData.ticketType === 'preTicket') {
-                  // Pre-ticketing will be handled separately in fetchPreTicketing function
-                  // Skip pre-tickets here to avoid duplication
-                } else if (ticketData.documentType === 'preBooking' || ticketData.ticketType === 'preBooking') {
-                  // Skip pre-bookings here - they're handled by fetchPreBookingFromNewPath
-                } else {
-                  // conductorTicket or no documentType = Conductor trips
-                  tripTickets.push({
-                    ...processedTicket,
-                    source: 'Conductor Trips'
-                  });
-                }
-              }
-            }
-
-            return tripTickets;
-          }
-
-          return [];
-        } catch (tripError) {
-          console.warn(`Error processing trip ${tripName} for conductor ${conductorId}:`, tripError.message);
-          return [];
-        }
-      });
-
-      // Wait for all trips to complete and flatten results
-      const tripResults = await Promise.all(tripPromises);
-      const allTripTickets = tripResults.flat();
-
-      // Add results to conductorTrips array
-      conductorTrips.push(...allTripTickets);
-    } catch (error) {
-      console.warn(`Error processing trips for conductor ${conductorId} on date ${dateId}:`, error.message);
-    }
-  }
-
-
-  // prebookings only
-    async processPreBookingsForDate(conductorId, dateId, allPreBookings, filterDate = null, selectedRoute = null) {
-  try {
-    // Get all trip names dynamically
-    const tripNames = await getAllTripNames(conductorId, dateId);
-
-    // Process all trips in parallel
-    const tripPromises = tripNames.map(async (tripName) => {
-      try {
-        let tripDirection = null;
-        let currentTripNumber = null;
-        if (selectedRoute) {
-          const tripInfo = await getTripInfo(conductorId, dateId, tripName);
-          tripDirection = tripInfo.direction;
-          currentTripNumber = tripInfo.currentTrip;
-
-          if (tripDirection !== selectedRoute) {
-            return [];
-          }
-        }
-
-        //  Get preBookings from /conductors/{conductorId}/dailyTrips/{date}/{tripId}/preBookings/preBookings/
-        const preBookingsRef = collection(db, `conductors/${conductorId}/dailyTrips/${dateId}/${tripName}/preBookings/preBookings`);
-        const preBookingsSnapshot = await getDocs(preBookingsRef);
-
-        if (preBookingsSnapshot.docs.length > 0) {
-          // If we haven't fetched the trip info yet, fetch it now
-          if (!tripDirection || !currentTripNumber) {
-            const tripInfo = await getTripInfo(conductorId, dateId, tripName);
-            tripDirection = tripInfo.direction;
-            currentTripNumber = tripInfo.currentTrip;
-          }
-
-          const tripPreBookings = [];
-
-          for (const ticketDoc of preBookingsSnapshot.docs) {
-            const ticketData = ticketDoc.data();
-            const ticketId = ticketDoc.id;
-
-            // Check if we should include this ticket based on date filter
-            if (filterDate) {
-              if (dateId !== filterDate) {
-                continue;
-              }
-            }
-
-            // Only include pre-bookings that have been scanned/boarded
-            if (!ticketData.scannedAt) {
-              continue;
-            }
-
-            // Process valid pre-bookings (all docs in preBookings collection should be preBookings)
-            if (ticketData.totalFare && ticketData.quantity) {
-              const preBooking = {
-                id: ticketId,
-                conductorId: conductorId,
-                tripId: tripName,
-                currentTrip: currentTripNumber,
-                tripDirection: tripDirection || ticketData.direction,
-                totalFare: parseFloat(ticketData.totalFare),
-                quantity: ticketData.quantity,
-                from: ticketData.from,
-                to: ticketData.to,
-                timestamp: ticketData.scannedAt,
-                discountAmount: parseFloat(ticketData.discountAmount || 0),
-                date: dateId,
-                startKm: ticketData.startKm || 0,
-                endKm: ticketData.endKm || 0,
-                totalKm: ticketData.totalKm || 0,
-                farePerPassenger: ticketData.farePerPassenger || [],
-                discountBreakdown: ticketData.discountBreakdown || [],
-                discountList: ticketData.discountList || [],
-                active: ticketData.active !== undefined ? ticketData.active : true,
-                source: 'Pre-booking',
-                ticketType: ticketData.ticketType || 'preBooking',
-                documentType: ticketData.documentType || ticketData.ticketType || 'preBooking',
-                // Don't spread ticketData at the end to avoid overriding our clean tripId
-              };
-
-              tripPreBookings.push(preBooking);
-            }
-          }
-
-          return tripPreBookings;
-        }
-
-        return [];
-      } catch (tripError) {
-        console.warn(`Error processing pre-booking trip ${tripName} for conductor ${conductorId}:`, tripError.message);
-        return [];
-      }
-    });
-
-    // Wait for all trips to complete and flatten results
-    const tripResults = await Promise.all(tripPromises);
-    const allTripPreBookings = tripResults.flat();
-
-    // Add results to allPreBookings array
-    allPreBookings.push(...allTripPreBookings);
-  } catch (error) {
-    console.error(`Error processing pre-bookings for conductor ${conductorId} on date ${dateId}:`, error);
-  }
-}
-
-// pretickets only
-async processPreTicketsForDate(conductorId, dateId, allPreTickets, filterDate = null, selectedRoute = null) {
-  try {
-    const tripNames = await getAllTripNames(conductorId, dateId);
-
-    // Process all trips in parallel instead of sequential
-    const tripPromises = tripNames.map(async (tripName) => {
-      try {
-        // Get trip info first if route filtering is enabled
-        let tripDirection = null;
-        let currentTripNumber = null;
-        if (selectedRoute) {
-          const tripInfo = await getTripInfo(conductorId, dateId, tripName);
-          tripDirection = tripInfo.direction;
-          currentTripNumber = tripInfo.currentTrip;
-
-          // Skip this trip if it doesn't match the selected route
-          if (tripDirection !== selectedRoute) {
-            return [];
-          }
-        }
-
-        // Get preTickets from correct path: /conductors/{conductorId}/dailyTrips/{date}/{tripId}/preTickets/preTickets/
-        const preTicketsRef = collection(db, `conductors/${conductorId}/dailyTrips/${dateId}/${tripName}/preTickets/preTickets`);
-        const preTicketsSnapshot = await getDocs(preTicketsRef);
-
-        if (preTicketsSnapshot.docs.length > 0) {
-          // If we haven't fetched the trip info yet, fetch it now for ticket processing
-          if (!tripDirection || !currentTripNumber) {
-            const tripInfo = await getTripInfo(conductorId, dateId, tripName);
-            tripDirection = tripInfo.direction;
-            currentTripNumber = tripInfo.currentTrip;
-          }
-
-          const tripPreTickets = [];
-
-          for (const ticketDoc of preTicketsSnapshot.docs) {
-            const ticketData = ticketDoc.data();
-            const ticketId = ticketDoc.id;
-
-            //  PARSE qrData if it's a string
-            let parsedQrData = null;
-            if (ticketData.qrData) {
-              try {
-                if (typeof ticketData.qrData === 'string') {
-                  parsedQrData = JSON.parse(ticketData.qrData);
-                } else if (typeof ticketData.qrData === 'object') {
-                  parsedQrData = ticketData.qrData;
-                }
-              } catch (parseError) {
-                console.warn(`Failed to parse qrData for ticket ${ticketId}:`, parseError);
-              }
-            }
-
-            // Check if we should include this ticket based on date filter
-            if (filterDate) {
-              // Use dateId for comparison instead of timestamp to avoid timezone issues
-              if (dateId !== filterDate) {
-                continue;
-              }
-            }
-
-            // Only include pre-tickets that have been scanned/boarded
-            if (!ticketData.scannedAt) {
-              continue;
-            }
-
-            //  Use parsedQrData as the primary data source, with fallbacks
-            const sourceData = parsedQrData || ticketData;
-
-            // Process valid pre-tickets
-            if (sourceData.amount || sourceData.totalFare) {
-              let discountBreakdown = [];
-              let discountList = [];
-              let totalDiscountAmount = 0;
-
-              // Parse discountBreakdown from qrData
-              if (sourceData.discountBreakdown && Array.isArray(sourceData.discountBreakdown)) {
-                // discountBreakdown is an array of strings like:
-                // "Passenger 1: Senior (20% off) — 12.00 PHP"
-                discountBreakdown = sourceData.discountBreakdown.map((breakdownStr, index) => {
-                  // Extract fare type and amount
-                  const fareTypeMatch = breakdownStr.match(/(Senior|Student|PWD|Regular)/);
-                  const amountMatch = breakdownStr.match(/(\d+\.?\d*)\s*PHP/);
-                  const discountMatch = breakdownStr.match(/(\d+)%/);
-                  
-                  const fareType = fareTypeMatch ? fareTypeMatch[1] : 'Regular';
-                  const fare = amountMatch ? parseFloat(amountMatch[1]) : 0;
-                  const discountPercent = discountMatch ? parseInt(discountMatch[1]) : 0;
-                  
-                  // Calculate original fare before discount
-                  const originalFare = discountPercent > 0 ? fare / (1 - discountPercent / 100) : fare;
-                  const discountAmount = originalFare - fare;
-                  
-                  totalDiscountAmount += discountAmount;
-                  
-                  return {
-                    type: fareType,
-                    count: 1,
-                    discount: discountAmount,
-                    fare: fare,
-                    originalFare: originalFare,
-                    discountPercent: discountPercent
-                  };
-                });
-              }
-
-              // Build from fareTypes array in qrData
-              if (sourceData.fareTypes && Array.isArray(sourceData.fareTypes)) {
-                discountList = sourceData.fareTypes.map((type, index) => {
-                  const passengerFare = sourceData.passengerFares && sourceData.passengerFares[index] 
-                    ? sourceData.passengerFares[index] 
-                    : 0;
-                  
-                  return {
-                    type: type,
-                    fare: passengerFare,
-                    count: 1
-                  };
-                });
-                
-                // If discountBreakdown is empty, build it from fareTypes
-                if (discountBreakdown.length === 0 && sourceData.passengerFares) {
-                  const regularFare = sourceData.fare || 15; // Fallback to fare per passenger
-                  
-                  sourceData.fareTypes.forEach((type, index) => {
-                    const passengerFare = sourceData.passengerFares[index] || 0;
-                    const isDiscounted = type !== 'Regular';
-                    const discountAmount = isDiscounted ? regularFare - passengerFare : 0;
-                    
-                    totalDiscountAmount += discountAmount;
-                    
-                    discountBreakdown.push({
-                      type: type,
-                      count: 1,
-                      discount: discountAmount,
-                      fare: passengerFare,
-                      originalFare: regularFare,
-                      discountPercent: isDiscounted ? Math.round((discountAmount / regularFare) * 100) : 0
-                    });
-                  });
-                }
-              }
-
-              const preTicket = {
-                id: ticketId,
-                conductorId: conductorId,
-                tripId: tripName,
-                currentTrip: currentTripNumber,
-                tripDirection: tripDirection || sourceData.direction || ticketData.direction,
-                totalFare: parseFloat(sourceData.amount || sourceData.totalFare || 0),
-                quantity: sourceData.quantity || ticketData.quantity || 1,
-                from: sourceData.from || ticketData.from,
-                to: sourceData.to || ticketData.to,
-                timestamp: ticketData.scannedAt,
-                discountAmount: parseFloat(ticketData.discountAmount || totalDiscountAmount || 0),
-                date: dateId,
-                startKm: sourceData.fromKm || ticketData.startKm || ticketData.fromKm || 0,
-                endKm: sourceData.toKm || ticketData.endKm || ticketData.toKm || 0,
-                totalKm: sourceData.totalKm || ticketData.totalKm || ((sourceData.toKm || 0) - (sourceData.fromKm || 0)),
-                farePerPassenger: sourceData.passengerFares || ticketData.farePerPassenger || ticketData.passengerFares || [],
-                discountBreakdown: discountBreakdown,
-                discountList: discountList,
-                active: ticketData.active !== undefined ? ticketData.active : true,
-                source: 'Pre-ticketing',
-                ticketType: sourceData.ticketType || ticketData.ticketType || 'preTicket',
-                documentType: sourceData.type || ticketData.documentType || ticketData.ticketType || 'preTicket',
-                // Include additional preTicket-specific fields
-                route: sourceData.route || ticketData.route,
-                direction: sourceData.direction || ticketData.direction,
-                scannedAt: ticketData.scannedAt,
-                scannedBy: ticketData.scannedBy,
-                status: ticketData.status,
-                qrData: ticketData.qrData,
-                qrDataParsed: parsedQrData,
-                fareTypes: sourceData.fareTypes || ticketData.fareTypes,
-                placeCollection: sourceData.placeCollection || ticketData.placeCollection,
-                time: sourceData.time || ticketData.time,
-                amount: sourceData.amount || ticketData.amount,
-                passengerFares: sourceData.passengerFares || ticketData.passengerFares,
-                fare: sourceData.fare 
-              };
-
-              tripPreTickets.push(preTicket);
-            }
-          }
-
-          return tripPreTickets;
-        }
-
-        return [];
-      } catch (tripError) {
-        console.warn(`Error processing pre-ticket trip ${tripName} for conductor ${conductorId}:`, tripError.message);
-        return [];
-      }
-    });
-
-    // Wait for all trips to complete and flatten results
-    const tripResults = await Promise.all(tripPromises);
-    const allTripPreTickets = tripResults.flat();
-
-    // Add results to allPreTickets array
-    allPreTickets.push(...allTripPreTickets);
-  } catch (error) {
-    console.error(`Error processing pre-tickets for conductor ${conductorId} on date ${dateId}:`, error);
-  }
-}
-
   // Calculate revenue metrics with three categories
   calculateRevenueMetrics(conductorTrips, preBookingTrips, preTicketing) {
     // Ensure all parameters are arrays to prevent errors
@@ -1142,55 +611,10 @@ const getAllTripNames = async (conductorId, dateId) => {
 // Create singleton instance
 const revenueDataCache = new RevenueDataCacheService();
 
-// Use cache-first approach
-export const fetchConductorTripsAndPreBooking = async (date, selectedRoute = null) => {
-  const result = await revenueDataCache.fetchConductorTripsAndPreBooking(date, selectedRoute);
-  return result;
-};
-
-// Helper function moved to cache service
-
-export const fetchPreBookingFromNewPath = async (date, selectedRoute = null) => {
-  return await revenueDataCache.fetchPreBookingFromNewPath(date, selectedRoute);
-};
-
-// Helper function moved to cache service
-
-export const fetchPreTicketing = async (date, selectedRoute = null) => {
-  return await revenueDataCache.fetchPreTicketing(date, selectedRoute);
-};
-
 export const calculateRevenueMetrics = (conductorTrips, preBookingTrips, preTicketing) => {
   return revenueDataCache.calculateRevenueMetrics(conductorTrips, preBookingTrips, preTicketing);
 };
 
-// Enhanced function to get trip info (direction and currentTrip) from date document trip map
-const getTripInfo = async (conductorId, dateId, tripName) => {
-  try {
-    // Get the date document which contains the trip maps
-    const dateDocRef = doc(db, `conductors/${conductorId}/dailyTrips/${dateId}`);
-    const dateDocSnapshot = await getDoc(dateDocRef);
-
-    if (dateDocSnapshot.exists()) {
-      const dateData = dateDocSnapshot.data();
-
-      // Look for the specific trip map in the date document
-      if (dateData[tripName] && typeof dateData[tripName] === 'object') {
-        const tripMap = dateData[tripName];
-
-        return {
-          direction: tripMap.direction && typeof tripMap.direction === 'string' ? tripMap.direction.trim() : null,
-          currentTrip: tripMap.currentTrip || null
-        };
-      }
-    }
-
-    return { direction: null, currentTrip: null };
-  } catch (error) {
-    return { direction: null, currentTrip: null };
-  }
-};
-
 // Prepare chart data with three categories
 export const preparePieChartData = (conductorRevenue, preBookingRevenue, preTicketingRevenue) => [
   { name: 'Conductor Trips', value: Number(conductorRevenue) || 0, color: '#8884d8' },
@@ -1254,6 +678,26 @@ export const prepareRouteRevenueData = (conductorTrips, preBookingTrips, preTick
   return sortedRoutes;
 };
 
+// Load revenue data for a date range (inclusive) with caching
+export const loadRevenueDataForRange = async (startDate, endDate, selectedRoute = null, ticketType = null) => {
+  try {
+    return await revenueDataCache.getRevenueRangeData(startDate || null, endDate || null, selectedRoute, ticketType || null);
+  } catch (error) {
+    console.error('Error loading revenue data:', error);
+    throw error;
+  }
+};
+
+// Load the ticket lists for a date range (detailed breakdown and exports)
+export const loadRevenueTicketsForRange = async (startDate, endDate, selectedRoute = null, ticketType = null) => {
+  try {
+    return await revenueDataCache.getRevenueTickets(startDate || null, endDate || null, selectedRoute, ticketType || null);
+  } catch (error) {
+    console.error('Error loading revenue tickets:', error);
+    throw error;
+  }
+};
+
 // Load all revenue data with caching
 export const loadRevenueData = async (selectedDate, selectedRoute = null) => {
   try {
@@ -1284,8 +728,8 @@ export const setupRevenueDataListener = (date, route, callback) => {
 };
 
 // Force refresh cache
-export const forceRefreshRevenueCache = async (date, route) => {
-  return await revenueDataCache.forceRefreshCache(date, route);
+export const forceRefreshRevenueCache = async (date, route, endDate = date) => {
+  return await revenueDataCache.forceRefreshCache(date, route, endDate);
 };
 
 // Get cache info for debugging
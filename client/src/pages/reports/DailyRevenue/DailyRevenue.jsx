@@ -9,12 +9,11 @@ import { LuBus } from "react-icons/lu";
 import { generateLandscapePDF } from '/src/utils/pdfGenerator.js';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, PieChart, Pie, Cell, BarChart, Bar, ResponsiveContainer } from 'recharts';
 import {
-  loadRevenueData,
+  loadRevenueDataForRange,
+  loadRevenueTicketsForRange,
   preparePieChartData,
-  prepareRouteRevenueData,
   getAvailableDates,
   getAvailableRoutes,
-  calculateRevenueMetrics,
   forceRefreshRevenueCache
 } from '/src/pages/reports/DailyRevenue/DailyRevenue.js';
 import MonthlyRevenue from './MonthlyRevenue.jsx';
@@ -57,6 +56,7 @@ const Revenue = () => {
   
   // Daily Revenue Data - Start with null to show loading
   const [revenueData, setRevenueData] = useState(null);
+  const [ticketsLoading, setTicketsLoading] = useState(false);
 
   // --- NEW: HELPER FOR DATE PRESETS (From Reservations Page) ---
   const applyDatePreset = (range) => {
@@ -91,19 +91,21 @@ const Revenue = () => {
     return datesToFetch;
   };
 
-  // Function to load revenue data with provided dates array
+  // Function to load revenue data with provided dates array.
+  // Totals, trip counts and top routes come from the daily summaries; the
+  // ticket lists are fetched separately by loadTicketDetails.
   const handleLoadRevenueDataWithDates = async (dates) => {
     setLoading(true);
     try {
-      let data;
-      
-      // If we have a specific single date, we could optimize, but since we have ranges now,
-      // we default to aggregating data for all dates in the filtered range.
-      
       const allData = {
         conductorTrips: [],
         preBookingTrips: [],
         preTicketing: [],
+        ticketsLoaded: true,
+        range: null,
+        routes: [],
+        trips: 0,
+        tickets: 0,
         totalRevenue: 0,
         totalPassengers: 0,
         averageFare: 0,
@@ -112,43 +114,28 @@ const Revenue = () => {
         preTicketingRevenue: 0
       };
       
-      // If no dates match filter, we just use the empty data structure
+      // If no dates match filter, we just use the empty data structure.
+      // Otherwise one server request covers the whole range.
       if (dates.length > 0) {
-        for (const date of dates) {
-          const dateData = await loadRevenueData(date, selectedRoute);
-          allData.conductorTrips.push(...(dateData.conductorTrips || []));
-          allData.preBookingTrips.push(...(dateData.preBookingTrips || []));
-          allData.preTicketing.push(...(dateData.preTicketing || []));
-          allData.totalRevenue += dateData.totalRevenue || 0;
-          allData.totalPassengers += dateData.totalPassengers || 0;
-          allData.conductorRevenue += dateData.conductorRevenue || 0;
-          allData.preBookingRevenue += dateData.preBookingRevenue || 0;
-          allData.preTicketingRevenue += dateData.preTicketingRevenue || 0;
-        }
-        
-        // Recalculate average fare
-        allData.averageFare = allData.totalPassengers > 0 ? allData.totalRevenue / allData.totalPassengers : 0;
+        const rangeStart = dates.reduce((min, date) => (date < min ? date : min));
+        const rangeEnd = dates.reduce((max, date) => (date > max ? date : max));
+        const rangeData = await loadRevenueDataForRange(rangeStart, rangeEnd, selectedRoute, selectedTicketType);
+        Object.assign(allData, {
+          ticketsLoaded: false,
+          range: { startDate: rangeStart, endDate: rangeEnd, route: selectedRoute, ticketType: selectedTicketType },
+          routes: rangeData.routes || [],
+          trips: rangeData.trips || 0,
+          tickets: rangeData.tickets || 0,
+          totalRevenue: rangeData.totalRevenue || 0,
+          totalPassengers: rangeData.totalPassengers || 0,
+          averageFare: rangeData.averageFare || 0,
+          conductorRevenue: rangeData.conductorRevenue || 0,
+          preBookingRevenue: rangeData.preBookingRevenue || 0,
+          preTicketingRevenue: rangeData.preTicketingRevenue || 0
+        });
       }
       
-      data = allData;
-      
-      // Apply ticket type filtering
-      const filteredData = applyTicketTypeFilter(data, selectedTicketType);
-      
-      // Ensure we always have a complete data structure
-      const completeData = {
-        conductorTrips: filteredData.conductorTrips || [],
-        preBookingTrips: filteredData.preBookingTrips || [],
-        preTicketing: filteredData.preTicketing || [],
-        totalRevenue: filteredData.totalRevenue || 0,
-        totalPassengers: filteredData.totalPassengers || 0,
-        averageFare: filteredData.averageFare || 0,
-        conductorRevenue: filteredData.conductorRevenue || 0,
-        preBookingRevenue: filteredData.preBookingRevenue || 0,
-        preTicketingRevenue: filteredData.preTicketingRevenue || 0
-      };
-      
-      setRevenueData(completeData);
+      setRevenueData(allData);
     } catch (error) {
       console.error('Error loading revenue data:', error);
     } finally {
@@ -167,9 +154,11 @@ const Revenue = () => {
     setLoading(true);
     try {
       const datesToRefresh = getFilteredDates();
-      // Refresh cache for dates in range
-      for (const date of datesToRefresh) {
-        await forceRefreshRevenueCache(date, selectedRoute);
+      // Refresh the cached range
+      if (datesToRefresh.length > 0) {
+        const rangeStart = datesToRefresh.reduce((min, date) => (date < min ? date : min));
+        const rangeEnd = datesToRefresh.reduce((max, date) => (date > max ? date : max));
+        await forceRefreshRevenueCache(rangeStart, selectedRoute, rangeEnd);
       }
 
       // Reload data
@@ -212,42 +201,22 @@ const Revenue = () => {
     loadAvailableMonths(setAvailableMonths, setSelectedMonth, selectedMonth);
   }, []);
 
-  // Filter revenue data based on selected ticket type
-  const applyTicketTypeFilter = (data, ticketType) => {
-    if (!ticketType || ticketType === '') {
-      // Return all data if no filter is selected
-      return data;
-    }
+  // Fetch the ticket lists behind the loaded totals (same range, route and
+  // ticket type). Listing tickets scans the raw trips on the server, so it
+  // only happens for the detailed breakdown and the exports.
+  const loadTicketDetails = async () => {
+    if (!revenueData || revenueData.ticketsLoaded) return revenueData;
 
-    let filteredConductorTrips = [];
-    let filteredPreBookingTrips = [];
-    let filteredPreTicketing = [];
-
-    switch (ticketType) {
-      case 'conductor':
-        filteredConductorTrips = data.conductorTrips || [];
-        break;
-      case 'pre-book':
-        filteredPreBookingTrips = data.preBookingTrips || [];
-        break;
-      case 'pre-ticket':
-        filteredPreTicketing = data.preTicketing || [];
-        break;
-      default:
-        // Return all data for unknown filter
-        return data;
+    setTicketsLoading(true);
+    try {
+      const { startDate: rangeStart, endDate: rangeEnd, route, ticketType } = revenueData.range;
+      const tickets = await loadRevenueTicketsForRange(rangeStart, rangeEnd, route, ticketType);
+      const withTickets = { ...revenueData, ...tickets, ticketsLoaded: true };
+      setRevenueData(current => (current?.range === revenueData.range ? withTickets : current));
+      return withTickets;
+    } finally {
+      setTicketsLoading(false);
     }
-
-    // Recalculate metrics with filtered data
-    const metrics = calculateRevenueMetrics(filteredConductorTrips, filteredPreBookingTrips, filteredPreTicketing);
-
-    return {
-      ...data,
-      conductorTrips: filteredConductorTrips,
-      preBookingTrips: filteredPreBookingTrips,
-      preTicketing: filteredPreTicketing,
-      ...metrics
-    };
   };
 
   // Load available dates when component mounts
@@ -348,9 +317,19 @@ const Revenue = () => {
     }
   };
 
-  const handlePrintPDF = () => {
+  const handlePrintPDF = async () => {
     if (!revenueData) return;
 
+    // The tables need the ticket lists
+    let reportData;
+    try {
+      reportData = await loadTicketDetails();
+    } catch (error) {
+      console.error('Error loading ticket details:', error);
+      alert('Failed to load ticket details. Please try again.');
+      return;
+    }
+
     // 1. Calculate Unique Trips (Same logic as Excel)
     const uniqueTrips = new Set();
     const countUnique = (list) => {
@@ -361,21 +340,21 @@ const Revenue = () => {
             }
         });
     };
-    countUnique(revenueData.conductorTrips);
-    countUnique(revenueData.preBookingTrips);
-    countUnique(revenueData.preTicketing);
+    countUnique(reportData.conductorTrips);
+    countUnique(reportData.preBookingTrips);
+    countUnique(reportData.preTicketing);
 
     // 2. Prepare Summary Data
-    const totalTickets = (revenueData.conductorTrips?.length || 0) + 
-                         (revenueData.preBookingTrips?.length || 0) + 
-                         (revenueData.preTicketing?.length || 0);
+    const totalTickets = (reportData.conductorTrips?.length || 0) + 
+                         (reportData.preBookingTrips?.length || 0) + 
+                         (reportData.preTicketing?.length || 0);
 
     const summaryData = [
-        { label: "Total Revenue", value: `PHP ${revenueData.totalRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}` },
+        { label: "Total Revenue", value: `PHP ${reportData.totalRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}` },
         { label: "Total Trips", value: uniqueTrips.size },
-        { label: "Total Passengers", value: revenueData.totalPassengers },
+        { label: "Total Passengers", value: reportData.totalPassengers },
         { label: "Total Tickets", value: totalTickets },
-        { label: "Avg. Fare", value: `PHP ${revenueData.averageFare.toLocaleString(undefined, {minimumFractionDigits: 2})}` }
+        { label: "Avg. Fare", value: `PHP ${reportData.averageFare.toLocaleString(undefined, {minimumFractionDigits: 2})}` }
     ];
 
     // 3. Helper to Build Table Bodies with Totals
@@ -446,9 +425,9 @@ const Revenue = () => {
     
     // Revenue Source Summary Table
     const sourceData = [
-        ["Conductor Tickets", `PHP ${revenueData.conductorRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}`],
-        ["Pre-Booking", `PHP ${revenueData.preBookingRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}`],
-        ["Pre-Ticketing", `PHP ${revenueData.preTicketingRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}`]
+        ["Conductor Tickets", `PHP ${reportData.conductorRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}`],
+        ["Pre-Booking", `PHP ${reportData.preBookingRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}`],
+        ["Pre-Ticketing", `PHP ${reportData.preTicketingRevenue.toLocaleString(undefined, {minimumFractionDigits: 2})}`]
     ];
     tables.push({
         title: "Revenue by Source",
@@ -458,13 +437,13 @@ const Revenue = () => {
     });
 
     // Add detailed tables if data exists
-    const conductorTable = buildTableSection(revenueData.conductorTrips, "Conductor Trips");
+    const conductorTable = buildTableSection(reportData.conductorTrips, "Conductor Trips");
     if (conductorTable) tables.push(conductorTable);
 
-    const preBookingTable = buildTableSection(revenueData.preBookingTrips, "Pre-Booking");
+    const preBookingTable = buildTableSection(reportData.preBookingTrips, "Pre-Booking");
     if (preBookingTable) tables.push(preBookingTable);
 
-    const preTicketingTable = buildTableSection(revenueData.preTicketing, "Pre-Ticketing");
+    const preTicketingTable = buildTableSection(reportData.preTicketing, "Pre-Ticketing");
     if (preTicketingTable) tables.push(preTicketingTable);
 
     // 5. Generate PDF
@@ -480,24 +459,27 @@ const Revenue = () => {
   // Excel export function
   const handleExportToExcel = async () => {
     try {
+      // The sheets need the ticket lists
+      const reportData = await loadTicketDetails();
+
       // Create a new workbook
       const workbook = XLSX.utils.book_new();
 
       // Calculate unique trips count
       const uniqueTrips = new Set();
-      revenueData.conductorTrips?.forEach(trip => {
+      reportData.conductorTrips?.forEach(trip => {
         if (trip.conductorId && trip.tripId) {
           const tripDate = trip.date || trip.createdAt || 'unknown-date';
           uniqueTrips.add(`${trip.conductorId}_${tripDate}_${trip.tripId}`);
         }
       });
-      revenueData.preBookingTrips?.forEach(trip => {
+      reportData.preBookingTrips?.forEach(trip => {
         if (trip.conductorId && trip.tripId) {
           const tripDate = trip.date || trip.createdAt || 'unknown-date';
           uniqueTrips.add(`${trip.conductorId}_${tripDate}_${trip.tripId}`);
         }
       });
-      revenueData.preTicketing?.forEach(trip => {
+      reportData.preTicketing?.forEach(trip => {
         if (trip.conductorId && trip.tripId) {
           const tripDate = trip.date || trip.createdAt || 'unknown-date';
           uniqueTrips.add(`${trip.conductorId}_${tripDate}_${trip.tripId}`);
@@ -520,14 +502,14 @@ const Revenue = () => {
         [''],
         ['SUMMARY'],
         ['Metric', 'Value'],
-        ['Total Revenue', `₱${revenueData.totalRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
+        ['Total Revenue', `₱${reportData.totalRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
         ['Total Trips', uniqueTrips.size],
-        ['Total Passengers', revenueData.totalPassengers],
-        ['Total Tickets', (revenueData.conductorTrips?.length || 0) + (revenueData.preBookingTrips?.length || 0) + (revenueData.preTicketing?.length || 0)],
-        ['Average Fare', `₱${revenueData.averageFare.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
-        ['Conductor Revenue', `₱${revenueData.conductorRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
-        ['Pre-booking Revenue', `₱${revenueData.preBookingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
-        ['Pre-ticketing Revenue', `₱${revenueData.preTicketingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
+        ['Total Passengers', reportData.totalPassengers],
+        ['Total Tickets', (reportData.conductorTrips?.length || 0) + (reportData.preBookingTrips?.length || 0) + (reportData.preTicketing?.length || 0)],
+        ['Average Fare', `₱${reportData.averageFare.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
+        ['Conductor Revenue', `₱${reportData.conductorRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
+        ['Pre-booking Revenue', `₱${reportData.preBookingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
+        ['Pre-ticketing Revenue', `₱${reportData.preTicketingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`],
         ['']
       ];
 
@@ -552,7 +534,7 @@ const Revenue = () => {
       XLSX.utils.book_append_sheet(workbook, summaryWS, 'Summary');
 
       // Create conductor trips sheet
-      if (revenueData.conductorTrips && revenueData.conductorTrips.length > 0) {
+      if (reportData.conductorTrips && reportData.conductorTrips.length > 0) {
         const conductorData = [
           ['Conductor Trips - Detailed Breakdown'],
           [''],
@@ -562,7 +544,7 @@ const Revenue = () => {
         // Calculate totals for discount breakdown
         let totalBreakdown = { regular: 0, pwd: 0, senior: 0, student: 0 };
 
-        revenueData.conductorTrips.forEach(trip => {
+        reportData.conductorTrips.forEach(trip => {
           const dateTime = formatDateTime(trip.date, trip.timestamp);
 
           // Calculate discount breakdown for this trip
@@ -588,13 +570,13 @@ const Revenue = () => {
 
         // Add total row
         conductorData.push([
-          '', '', '', `Conductor Total (${revenueData.conductorTrips.length} tickets):`,
-          revenueData.conductorTrips.reduce((sum, trip) => sum + (trip.quantity || 0), 0),
+          '', '', '', `Conductor Total (${reportData.conductorTrips.length} tickets):`,
+          reportData.conductorTrips.reduce((sum, trip) => sum + (trip.quantity || 0), 0),
           `₱${totalBreakdown.regular.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.pwd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.senior.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.student.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          `₱${revenueData.conductorRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+          `₱${reportData.conductorRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
         ]);
 
         const conductorWS = XLSX.utils.aoa_to_sheet(conductorData);
@@ -620,7 +602,7 @@ const Revenue = () => {
       }
 
       // Create pre-booking sheet
-      if (revenueData.preBookingTrips && revenueData.preBookingTrips.length > 0) {
+      if (reportData.preBookingTrips && reportData.preBookingTrips.length > 0) {
         const preBookingData = [
           ['Pre-booking - Detailed Breakdown'],
           [''],
@@ -630,7 +612,7 @@ const Revenue = () => {
         // Calculate totals for discount breakdown
         let totalBreakdown = { regular: 0, pwd: 0, senior: 0, student: 0 };
 
-        revenueData.preBookingTrips.forEach(trip => {
+        reportData.preBookingTrips.forEach(trip => {
           const dateTime = formatDateTime(trip.date, trip.timestamp);
 
           // Calculate discount breakdown for this trip
@@ -656,13 +638,13 @@ const Revenue = () => {
 
         // Add total row
         preBookingData.push([
-          '', '', '', `Pre-booking Total (${revenueData.preBookingTrips.length} tickets):`,
-          revenueData.preBookingTrips.reduce((sum, trip) => sum + (trip.quantity || 0), 0),
+          '', '', '', `Pre-booking Total (${reportData.preBookingTrips.length} tickets):`,
+          reportData.preBookingTrips.reduce((sum, trip) => sum + (trip.quantity || 0), 0),
           `₱${totalBreakdown.regular.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.pwd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.senior.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.student.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          `₱${revenueData.preBookingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+          `₱${reportData.preBookingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
         ]);
 
         const preBookingWS = XLSX.utils.aoa_to_sheet(preBookingData);
@@ -677,7 +659,7 @@ const Revenue = () => {
       }
 
       // Create pre-ticketing sheet
-      if (revenueData.preTicketing && revenueData.preTicketing.length > 0) {
+      if (reportData.preTicketing && reportData.preTicketing.length > 0) {
         const preTicketingData = [
           ['Pre-ticketing - Detailed Breakdown'],
           [''],
@@ -687,7 +669,7 @@ const Revenue = () => {
         // Calculate totals for discount breakdown
         let totalBreakdown = { regular: 0, pwd: 0, senior: 0, student: 0 };
 
-        revenueData.preTicketing.forEach(trip => {
+        reportData.preTicketing.forEach(trip => {
           const dateTime = formatDateTime(trip.date, trip.timestamp);
 
           // Calculate discount breakdown for this trip
@@ -713,13 +695,13 @@ const Revenue = () => {
 
         // Add total row
         preTicketingData.push([
-          '', '', '', `Pre-ticketing Total (${revenueData.preTicketing.length} tickets):`,
-          revenueData.preTicketing.reduce((sum, trip) => sum + (trip.quantity || 0), 0),
+          '', '', '', `Pre-ticketing Total (${reportData.preTicketing.length} tickets):`,
+          reportData.preTicketing.reduce((sum, trip) => sum + (trip.quantity || 0), 0),
           `₱${totalBreakdown.regular.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.pwd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.senior.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `₱${totalBreakdown.student.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          `₱${revenueData.preTicketingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+          `₱${reportData.preTicketingRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
         ]);
 
         const preTicketingWS = XLSX.utils.aoa_to_sheet(preTicketingData);
@@ -751,12 +733,12 @@ const Revenue = () => {
             dateFilter: dateRangeStr,
             routeFilter: selectedRoute || 'All Routes',
             ticketTypeFilter: selectedTicketType || 'All Types',
-            totalRevenue: revenueData.totalRevenue,
+            totalRevenue: reportData.totalRevenue,
             totalTrips: uniqueTrips.size,
-            totalPassengers: revenueData.totalPassengers,
-            conductorTripsCount: revenueData.conductorTrips?.length || 0,
-            preBookingTripsCount: revenueData.preBookingTrips?.length || 0,
-            preTicketingCount: revenueData.preTicketing?.length || 0
+            totalPassengers: reportData.totalPassengers,
+            conductorTripsCount: reportData.conductorTrips?.length || 0,
+            preBookingTripsCount: reportData.preBookingTrips?.length || 0,
+            preTicketingCount: reportData.preTicketing?.length || 0
           },
           'info'
         );
@@ -773,9 +755,7 @@ const Revenue = () => {
   const pieChartData = revenueData ? 
     preparePieChartData(revenueData.conductorRevenue, revenueData.preBookingRevenue, revenueData.preTicketingRevenue) : 
     [];
-  const routeChartData = revenueData ? 
-    prepareRouteRevenueData(revenueData.conductorTrips, revenueData.preBookingTrips, revenueData.preTicketing) : 
-    [];
+  const routeChartData = revenueData ? revenueData.routes || [] : [];
 
 
   const renderViewContent = () => {
@@ -931,11 +911,8 @@ const Revenue = () => {
                   return 'Loading...';
                 }
                 if (revenueData) {
-                  const totalTrips = (revenueData.conductorTrips?.length || 0) +
-                                   (revenueData.preBookingTrips?.length || 0) +
-                                   (revenueData.preTicketing?.length || 0);
                   const totalPassengers = revenueData.totalPassengers || 0;
-                  return `${totalTrips} tickets • ${totalPassengers} pax`;
+                  return `${revenueData.tickets || 0} tickets • ${totalPassengers} pax`;
                 }
                 return 'No data';
               })()}
@@ -957,36 +934,7 @@ const Revenue = () => {
             <div className="revenue-summary-card">
               <h3 className="revenue-card-title">Total Trips</h3>
               <p className="revenue-card-value revenue-card-trips">
-                {(() => {
-                  // Count unique trips by combining conductorId, date, and tripId
-                  const uniqueTrips = new Set();
-                  
-                  // Add trips from conductor trips
-                  revenueData.conductorTrips?.forEach(trip => {
-                    if (trip.conductorId && trip.tripId) {
-                      const tripDate = trip.date || trip.createdAt || 'unknown-date';
-                      uniqueTrips.add(`${trip.conductorId}_${tripDate}_${trip.tripId}`);
-                    }
-                  });
-                  
-                  // Add trips from pre-booking trips
-                  revenueData.preBookingTrips?.forEach(trip => {
-                    if (trip.conductorId && trip.tripId) {
-                      const tripDate = trip.date || trip.createdAt || 'unknown-date';
-                      uniqueTrips.add(`${trip.conductorId}_${tripDate}_${trip.tripId}`);
-                    }
-                  });
-                  
-                  // Add trips from pre-ticketing
-                  revenueData.preTicketing?.forEach(trip => {
-                    if (trip.conductorId && trip.tripId) {
-                      const tripDate = trip.date || trip.createdAt || 'unknown-date';
-                      uniqueTrips.add(`${trip.conductorId}_${tripDate}_${trip.tripId}`);
-                    }
-                  });
-                  
-                  return uniqueTrips.size;
-                })()}
+                {revenueData.trips || 0}
               </p>
             </div>
             <div className="revenue-summary-card">
@@ -998,21 +946,7 @@ const Revenue = () => {
             <div className="revenue-summary-card">
               <h3 className="revenue-card-title">Total Tickets</h3>
               <p className="revenue-card-value revenue-card-tickets">
-                {(() => {
-                  // Count total tickets from all trip types
-                  let totalTickets = 0;
-                  
-                  // Count tickets from conductor trips
-                  totalTickets += revenueData.conductorTrips?.length || 0;
-                  
-                  // Count tickets from pre-booking trips  
-                  totalTickets += revenueData.preBookingTrips?.length || 0;
-                  
-                  // Count tickets from pre-ticketing
-                  totalTickets += revenueData.preTicketing?.length || 0;
-                  
-                  return totalTickets;
-                })()}
+                {revenueData.tickets || 0}
               </p>
             </div>
           </div>
@@ -1125,9 +1059,23 @@ const Revenue = () => {
         {/* Detailed Breakdown - Now positioned in the main content area */}
         <div className="revenue-breakdown-section">
           <h3 className="revenue-breakdown-title">Detailed Revenue Breakdown</h3>
+
+          {/* Ticket lists scan every trip, so they load on request */}
+          {!revenueData.ticketsLoaded && (
+            <div className="revenue-empty-state">
+              <p>{revenueData.tickets || 0} tickets in the selected period.</p>
+              <button
+                onClick={() => loadTicketDetails().catch(error => console.error('Error loading ticket details:', error))}
+                disabled={ticketsLoading}
+                className="revenue-refresh-btn"
+              >
+                {ticketsLoading ? 'Loading...' : 'Show Ticket Details'}
+              </button>
+            </div>
+          )}
           
           {/* Conductor Trips Section - Show only if no filter or conductor filter is selected */}
-          {(!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'conductor') && (
+          {revenueData.ticketsLoaded && (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'conductor') && (
             <div className="revenue-section-container">
               <h4 className="revenue-section-title revenue-section-conductor">
                 Conductor Trips ({formatCurrency(revenueData.conductorRevenue || 0)})
@@ -1229,7 +1177,7 @@ const Revenue = () => {
           )}
 
          {/* Pre-booking Section - Show only if no filter or pre-book filter is selected */}
-        {(!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-book') && (
+        {revenueData.ticketsLoaded && (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-book') && (
           <div className="revenue-section-container">
             <h4 className="revenue-section-title revenue-section-pre-booking">
               Pre-booking ({formatCurrency(revenueData.preBookingRevenue || 0)})
@@ -1332,7 +1280,7 @@ const Revenue = () => {
         </div>
 
         {/* Pre-ticketing Section - Show only if no filter or pre-ticket filter is selected */}
-          {(!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-ticket') && (
+          {revenueData.ticketsLoaded && (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-ticket') && (
             <div className="revenue-section-container">
               <h4 className="revenue-section-title revenue-section-pre-ticketing">
                 Pre-ticketing ({formatCurrency(revenueData.preTicketingRevenue || 0)})
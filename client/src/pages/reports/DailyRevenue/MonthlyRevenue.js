@@ -1,11 +1,21 @@
 import {
-  loadRevenueData,
+  fetchRevenueReport,
   prepareRouteRevenueData,
   getAvailableDates
 } from './DailyRevenue.js'; 
 import { collection, onSnapshot } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
 
+// First and last date of a "YYYY-MM" month
+const getMonthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const daysInMonth = new Date(year, monthNumber, 0).getDate();
+  return {
+    startDate: `${month}-01`,
+    endDate: `${month}-${daysInMonth.toString().padStart(2, '0')}`
+  };
+};
+
 // MONTHLY REVENUE DATA CACHE SERVICE
 class MonthlyRevenueDataCacheService {
   constructor() {
@@ -57,7 +67,7 @@ class MonthlyRevenueDataCacheService {
       }
 
       //Fetch fresh data
-      const freshData = await this.fetchMonthlyDataFromFirestore(selectedMonth, selectedRoute, selectedTicketType);
+      const freshData = await this.fetchMonthlyDataFromServer(selectedMonth, selectedRoute, selectedTicketType);
 
       // Save to cache
       this.monthlyCache.set(cacheKey, freshData);
@@ -91,135 +101,39 @@ class MonthlyRevenueDataCacheService {
     return ageMinutes < 10; // Cache valid for 10 minutes (longer than daily)
   }
 
-  // Fetch monthly data from Firestore 
-  async fetchMonthlyDataFromFirestore(selectedMonth, selectedRoute, selectedTicketType) {
-
-    // Get all dates in the selected month
-    const year = parseInt(selectedMonth.split('-')[0]);   // "2024-01" → 2024
-    const month = parseInt(selectedMonth.split('-')[1]);  // "2024-01" → 1
-    const daysInMonth = new Date(year, month, 0).getDate(); // January 2024 = 31 days
-
-    const monthlyPromises = [];
-    const dailyBreakdown = [];
-
-    // Load data for each day in the month
-    for (let day = 1; day <= daysInMonth; day++) {
-      const dateString = `${selectedMonth}-${day.toString().padStart(2, '0')}`;
-      monthlyPromises.push(loadRevenueData(dateString, selectedRoute));
-    }
-
-    const monthlyResults = await Promise.all(monthlyPromises);
-
-    // Aggregate monthly data
-    let totalMonthlyRevenue = 0;
-    let totalMonthlyPassengers = 0;
-    let conductorMonthlyRevenue = 0;
-    let preBookingMonthlyRevenue = 0;
-    let preTicketingMonthlyRevenue = 0;
-    const routeAggregation = {};
-
-
-    // main calculation loop
-    monthlyResults.forEach((dayData, index) => {
-      const day = index + 1;
-      const dateString = `${selectedMonth}-${day.toString().padStart(2, '0')}`;
-
-      if (dayData && dayData.totalRevenue > 0) {
-
-        // Apply ticket type filtering to daily data
-        let dayRevenue = 0;
-        let dayPassengers = 0;
-        let dayConductorRevenue = 0;
-        let dayPreBookingRevenue = 0;
-        let dayPreTicketingRevenue = 0;
-
-        // Filter based on selected ticket type
-        // manual ticket by conductor
-        if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'conductor') {
-          dayConductorRevenue = dayData.conductorRevenue;
-          dayRevenue += dayConductorRevenue;
-          dayPassengers += dayData.conductorTrips?.reduce((sum, trip) => sum + (Number(trip.quantity) || 0), 0) || 0;
-        }
-
-        // prebooking tickets
-        if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-book') {
-          dayPreBookingRevenue = dayData.preBookingRevenue;
-          dayRevenue += dayPreBookingRevenue;
-          dayPassengers += dayData.preBookingTrips?.reduce((sum, trip) => sum + (Number(trip.quantity) || 0), 0) || 0;
-        }
-
-        // preticketing tickets
-        if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-ticket') {
-          dayPreTicketingRevenue = dayData.preTicketingRevenue;
-          dayRevenue += dayPreTicketingRevenue;
-          dayPassengers += dayData.preTicketing?.reduce((sum, trip) => sum + (Number(trip.quantity) || 0), 0) || 0;
-        }
-
-        // Only include day if it has revenue after filtering
-        if (dayRevenue > 0) {
-          totalMonthlyRevenue += dayRevenue; // calculation of monthly revenue
-          totalMonthlyPassengers += dayPassengers; // total passengers in the month
-          conductorMonthlyRevenue += dayConductorRevenue;
-          preBookingMonthlyRevenue += dayPreBookingRevenue;
-          preTicketingMonthlyRevenue += dayPreTicketingRevenue;
-
-          // Aggregate route data with filtering
-          let tripsToProcess = [];
-
-          if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'conductor') {
-            tripsToProcess = tripsToProcess.concat(dayData.conductorTrips || []);
-          }
-          if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-book') {
-            tripsToProcess = tripsToProcess.concat(dayData.preBookingTrips || []);
-          }
-          if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-ticket') {
-            tripsToProcess = tripsToProcess.concat(dayData.preTicketing || []);
-          }
-
-          // Process each trip for route aggregation directly
-          tripsToProcess.forEach((trip, tripIndex) => {
-            // Validate trip has required fields
-            if (!trip.from || !trip.to) {
-              return;
-            }
-
-            const route = `${trip.from} → ${trip.to}`;
-            const fareValue = Number(trip.totalFare) || 0;
-            const quantityValue = Number(trip.quantity) || 0;
-
-            if (fareValue > 0) { // Only process trips with actual revenue
-              if (!routeAggregation[route]) {
-                routeAggregation[route] = {
-                  route: route,
-                  revenue: 0,
-                  passengers: 0,
-                  tripDirection: trip.tripDirection || 'N/A'
-                };
-              }
-
-              routeAggregation[route].revenue += fareValue;
-              routeAggregation[route].passengers += quantityValue;
-            }
-          });
-
-          // Add to daily breakdown
-          dailyBreakdown.push({
-            date: dateString,
-            day: day,
-            totalRevenue: dayRevenue,
-            totalPassengers: dayPassengers,
-            conductorRevenue: dayConductorRevenue,
-            preBookingRevenue: dayPreBookingRevenue,
-            preTicketingRevenue: dayPreTicketingRevenue,
-            averageFare: dayPassengers > 0 ? dayRevenue / dayPassengers : 0
-          });
-        }
-      }
-    });
-
-    const routeMonthlyData = Object.values(routeAggregation)
-      .filter(route => route.revenue > 0) // Only include routes with actual revenue
-      .sort((a, b) => b.revenue - a.revenue);
+  // Fetch monthly data from the server revenue reports (one request for the
+  // daily breakdown, one for the route totals) instead of a load per day
+  async fetchMonthlyDataFromServer(selectedMonth, selectedRoute, selectedTicketType) {
+    const { startDate, endDate } = getMonthRange(selectedMonth);
+    const filters = { startDate, endDate, route: selectedRoute, ticketType: selectedTicketType };
+
+    const [dailyReport, routeReport] = await Promise.all([
+      fetchRevenueReport('daily', filters),
+      fetchRevenueReport('routes', filters)
+    ]);
+
+    const { totals } = dailyReport;
+    const totalMonthlyRevenue = totals.totalRevenue;
+    const totalMonthlyPassengers = totals.totalPassengers;
+    const conductorMonthlyRevenue = totals.conductorRevenue;
+    const preBookingMonthlyRevenue = totals.preBookingRevenue;
+    const preTicketingMonthlyRevenue = totals.preTicketingRevenue;
+
+    // Only days with revenue after filtering
+    const dailyBreakdown = dailyReport.days
+      .filter(dayData => dayData.totalRevenue > 0)
+      .map(dayData => ({
+        date: dayData.date,
+        day: parseInt(dayData.date.split('-')[2], 10),
+        totalRevenue: dayData.totalRevenue,
+        totalPassengers: dayData.totalPassengers,
+        conductorRevenue: dayData.conductorRevenue,
+        preBookingRevenue: dayData.preBookingRevenue,
+        preTicketingRevenue: dayData.preTicketingRevenue,
+        averageFare: dayData.averageFare
+      }));
+
+    const routeMonthlyData = routeReport.routes;
 
     const averageMonthlyFare = totalMonthlyPassengers > 0 ? totalMonthlyRevenue / totalMonthlyPassengers : 0;
 
@@ -424,40 +338,15 @@ class MonthlyRevenueDataCacheService {
       const prevDate = new Date(year, month - 2); // month - 2 because Date months are 0-indexed
       const prevMonth = `${prevDate.getFullYear()}-${(prevDate.getMonth() + 1).toString().padStart(2, '0')}`;
 
-      // Load previous month's data
-      const prevYear = prevDate.getFullYear();
-      const prevMonthNum = prevDate.getMonth() + 1;
-      const daysInPrevMonth = new Date(prevYear, prevMonthNum, 0).getDate();
-
-      const prevMonthPromises = [];
-      for (let day = 1; day <= daysInPrevMonth; day++) {
-        const dateString = `${prevMonth}-${day.toString().padStart(2, '0')}`;
-        prevMonthPromises.push(loadRevenueData(dateString, selectedRoute));
-      }
-
-      const prevMonthResults = await Promise.all(prevMonthPromises);
-
-      // Calculate previous month revenue with same filtering logic
-      let prevMonthRevenue = 0;
-
-      prevMonthResults.forEach((dayData) => {
-        if (dayData && dayData.totalRevenue > 0) {
-          let dayRevenue = 0;
-
-          // Apply same ticket type filtering
-          if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'conductor') {
-            dayRevenue += dayData.conductorRevenue || 0;
-          }
-          if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-book') {
-            dayRevenue += dayData.preBookingRevenue || 0;
-          }
-          if (!selectedTicketType || selectedTicketType === '' || selectedTicketType === 'pre-ticket') {
-            dayRevenue += dayData.preTicketingRevenue || 0;
-          }
-
-          prevMonthRevenue += dayRevenue;
-        }
+      // Previous month's revenue with the same route and ticket type filters
+      const { startDate, endDate } = getMonthRange(prevMonth);
+      const prevMonthReport = await fetchRevenueReport('monthly', {
+        startDate,
+        endDate,
+        route: selectedRoute,
+        ticketType: selectedTicketType
       });
+      const prevMonthRevenue = prevMonthReport.totals.totalRevenue || 0;
 
       // Calculate growth percentage
       if (prevMonthRevenue === 0) {
@@ -1,5 +1,6 @@
 import { collection, getDocs, doc, getDoc, onSnapshot } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
+import { authorizedFetch } from '/src/config/api.js';
 
 // REMITTANCE DATA CACHE SERVICE
 class RemittanceDataCacheService {
@@ -90,13 +91,16 @@ class RemittanceDataCacheService {
       return [];
     }
 
-    const conductorsRef = collection(db, 'conductors');
-    const conductorsSnapshot = await getDocs(conductorsRef);
+    // Only conductors with trips that day when the daily summary exists,
+    // otherwise every conductor
+    let conductorIds = await this.getSummaryConductorIds(selectedDate);
+    if (!conductorIds) {
+      const conductorsSnapshot = await getDocs(collection(db, 'conductors'));
+      conductorIds = conductorsSnapshot.docs.map(conductorDoc => conductorDoc.id);
+    }
     const allRemittanceData = [];
 
-    for (const conductorDoc of conductorsSnapshot.docs) {
-      const conductorId = conductorDoc.id;
-
+    for (const conductorId of conductorIds) {
       try {
         // Check if remittance date exists (for verification)
         const remittanceCheck = await getDoc(doc(db, `conductors/${conductorId}/remittance/${selectedDate}`));
@@ -151,6 +155,28 @@ class RemittanceDataCacheService {
     return allRemittanceData;
   }
 
+  // Conductor IDs listed in the server's daily summary for the date, or null
+  // when there is no summary yet (or the server can't be reached). Today's
+  // summary can lag behind new tickets, so only past dates use it.
+  async getSummaryConductorIds(selectedDate) {
+    if (selectedDate >= new Date().toLocaleDateString('en-CA')) {
+      return null;
+    }
+
+    try {
+      const params = new URLSearchParams({ startDate: selectedDate, endDate: selectedDate });
+      const result = await authorizedFetch(`/api/revenue/summaries?${params}`);
+      const summary = result.summaries[0];
+      if (!summary) {
+        return null;
+      }
+      return [...new Set(summary.cells.map(cell => cell.conductorId))];
+    } catch (error) {
+      console.warn('Daily summary unavailable, scanning all conductors:', error.message);
+      return null;
+    }
+  }
+
 async getTripDataFromDailyTrips(conductorId, date) {
   try {
     const dailyTripsDocRef = doc(db, `conductors/${conductorId}/dailyTrips/${date}`);
@@ -0,0 +1,365 @@
+import {
+  getAvailableRemittanceDates,
+  loadRemittanceData,
+  getAllConductorDetails
+} from '/src/pages/reports/DailyRevenue/Remittance.js';
+import { getRoutes, findRouteForText, normalizeRouteName } from '/src/pages/routes/RouteManagement.js';
+import { getFareTablesByRoute, tableInEffect, calculateFare, PASSENGER_TYPES } from '/src/pages/fares/FareMatrix.js';
+
+// FARE COMPLIANCE
+// Recomputes what each ticket should have cost from the fare table in force
+// when it was issued, instead of trusting the farePerPassenger/passengerFares
+// the mobile app wrote, and flags the passengers charged differently.
+
+// Fares are rounded to ₱0.25, so one rounding step either way still passes
+export const FARE_TOLERANCE = 0.25;
+
+export const COMPLIANCE_STATUS = {
+  OK: 'ok',
+  OVERCHARGE: 'overcharge',
+  UNDERCHARGE: 'undercharge',
+  UNEXPLAINED_DISCOUNT: 'unexplained_discount',
+  UNVERIFIABLE: 'unverifiable'
+};
+
+export const STATUS_LABELS = {
+  ok: 'Compliant',
+  overcharge: 'Overcharge',
+  undercharge: 'Undercharge',
+  unexplained_discount: 'Unexplained discount',
+  unverifiable: 'Unverifiable'
+};
+
+// A ticket takes the most serious status among its passengers
+const STATUS_PRIORITY = ['overcharge', 'unexplained_discount', 'undercharge', 'unverifiable', 'ok'];
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value.seconds) return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Passenger type of one discountBreakdown entry, e.g. "Passenger 1: Senior (20% off) — 12.00 PHP"
+// or { type: 'Senior', count: 1, fare: 12 }. Types the fare tables don't know are returned as
+// written so they show up as unexplained discounts instead of passing as Regular.
+export const passengerTypeOf = (desc) => {
+  const text = (typeof desc === 'string' ? desc : desc?.type || 'Regular').toLowerCase();
+
+  const known = PASSENGER_TYPES.find(type => type !== 'Regular' && text.includes(type.toLowerCase()));
+  if (known) return known;
+  if (!text.trim() || text.includes('regular') || text.includes('no discount') || text.includes('full fare')) {
+    return 'Regular';
+  }
+
+  if (typeof desc === 'string') {
+    const match = desc.match(/^(?:passenger\s*\d+:\s*)?([^(—-]+)/i);
+    return match ? match[1].trim() : desc;
+  }
+  return desc.type;
+};
+
+// One entry per passenger with their type and what they paid
+export const ticketPassengers = (ticket) => {
+  const fares = ticket.farePerPassenger?.length ? ticket.farePerPassenger : ticket.passengerFares || [];
+  const types = [];
+
+  (ticket.discountBreakdown || []).forEach(desc => {
+    const count = typeof desc === 'object' && desc !== null ? Math.max(1, parseInt(desc.count) || 1) : 1;
+    for (let i = 0; i < count; i++) {
+      types.push({ type: passengerTypeOf(desc), fare: typeof desc === 'object' && desc !== null ? desc.fare : undefined });
+    }
+  });
+
+  const quantity = fares.length || parseInt(ticket.passengers || ticket.quantity) || types.length || 0;
+  const totalFare = parseFloat(ticket.fare ?? ticket.totalFare ?? ticket.amount) || 0;
+
+  return Array.from({ length: quantity }, (_, index) => {
+    const entry = types[index] || { type: 'Regular' };
+    let charged;
+    if (fares[index] !== undefined) charged = parseFloat(fares[index]) || 0;
+    else if (entry.fare !== undefined) charged = parseFloat(entry.fare) || 0;
+    else charged = quantity > 0 ? totalFare / quantity : 0;
+    return { type: entry.type, charged: round2(charged) };
+  });
+};
+
+// The table stop a ticket's origin or destination refers to: by name, else by km post
+export const findStop = (stops, name, km) => {
+  const key = normalizeRouteName(name);
+  const byName = key ? stops.find(stop => normalizeRouteName(stop.name) === key) : null;
+  if (byName) return byName;
+
+  const kmValue = parseFloat(km);
+  if (!Number.isFinite(kmValue)) return null;
+  return stops.find(stop => stop.km !== null && stop.km !== undefined && Math.abs(Number(stop.km) - kmValue) < 0.05) || null;
+};
+
+const unverifiable = (base, reason) => ({
+  ...base,
+  status: COMPLIANCE_STATUS.UNVERIFIABLE,
+  reason,
+  expected: null,
+  difference: null,
+  passengers: base.passengers.map(passenger => ({ ...passenger, expected: null, status: COMPLIANCE_STATUS.UNVERIFIABLE }))
+});
+
+// A passenger paying less than expected got a discount nobody can account for when
+// their type isn't one the table discounts (e.g. Student with no student fare), or
+// when they are Regular but paid exactly one of the discounted fares
+const isUnexplainedDiscount = (table, fromStopId, toStopId, passenger, discountTypes) => {
+  if (passenger.type !== 'Regular') return !discountTypes.has(passenger.type);
+
+  return [...discountTypes].some(type => {
+    const discounted = calculateFare(table, fromStopId, toStopId, type);
+    return !discounted.error && Math.abs(discounted.fare - passenger.charged) <= FARE_TOLERANCE;
+  });
+};
+
+// Checks one ticket against the fare table in force when it was issued.
+// `tables` are all versions of the ticket's route; `route` may be null when
+// the trip's route couldn't be matched.
+export const checkTicket = (ticket, { route, tables, issuedAt }) => {
+  const passengers = ticketPassengers(ticket);
+  const charged = round2(passengers.reduce((sum, passenger) => sum + passenger.charged, 0));
+  const base = { ticket, route, issuedAt, charged, passengers, table: null };
+
+  if (!route) return unverifiable(base, 'Route not found');
+  if (passengers.length === 0) return unverifiable(base, 'No passengers on ticket');
+
+  const table = tableInEffect(tables || [], issuedAt || new Date());
+  if (!table) return unverifiable(base, `No fare table in force for ${route.name}`);
+  base.table = table;
+
+  const from = findStop(table.stops || [], ticket.from, ticket.startKm);
+  const to = findStop(table.stops || [], ticket.to, ticket.endKm);
+  if (!from || !to) {
+    return unverifiable(base, `Stop not in fare table v${table.version}: ${!from ? ticket.from : ticket.to}`);
+  }
+
+  const discountTypes = new Set((table.discounts || []).map(discount => discount.type));
+  const checked = [];
+  for (const passenger of passengers) {
+    const result = calculateFare(table, from.id, to.id, passenger.type);
+    if (result.error) return unverifiable(base, result.error);
+
+    const difference = round2(passenger.charged - result.fare);
+    let status = COMPLIANCE_STATUS.OK;
+    if (difference > FARE_TOLERANCE) {
+      status = COMPLIANCE_STATUS.OVERCHARGE;
+    } else if (difference < -FARE_TOLERANCE) {
+      status = isUnexplainedDiscount(table, from.id, to.id, passenger, discountTypes)
+        ? COMPLIANCE_STATUS.UNEXPLAINED_DISCOUNT
+        : COMPLIANCE_STATUS.UNDERCHARGE;
+    }
+    checked.push({ ...passenger, expected: result.fare, regularFare: result.regularFare, difference, status });
+  }
+
+  const expected = round2(checked.reduce((sum, passenger) => sum + passenger.expected, 0));
+  const status = STATUS_PRIORITY.find(candidate => checked.some(passenger => passenger.status === candidate)) || COMPLIANCE_STATUS.OK;
+
+  return {
+    ...base,
+    passengers: checked,
+    fromStop: from,
+    toStop: to,
+    expected,
+    difference: round2(charged - expected),
+    status,
+    reason: null
+  };
+};
+
+// Route of a ticket: its own route field (pre-bookings/pre-tickets), the
+// trip direction, then the conductor's assigned route
+const routeForTicket = (routes, ticket, trip, conductor) => {
+  return findRouteForText(routes, ticket.route)
+    || findRouteForText(routes, ticket.direction)
+    || findRouteForText(routes, trip.tripDirection)
+    || (conductor?.routeId && routes.find(route => route.id === conductor.routeId))
+    || findRouteForText(routes, conductor?.route)
+    || null;
+};
+
+// Runs every ticket of the given remittance trips through checkTicket
+export const checkTrips = (trips, { routes, tablesByRoute, conductors = {} }) => {
+  const results = [];
+
+  trips.forEach(trip => {
+    const conductor = conductors[trip.conductorId];
+    (trip.tickets || []).forEach(ticket => {
+      const route = routeForTicket(routes, ticket, trip, conductor);
+      // Tickets without a timestamp are priced as of noon on the trip date
+      const issuedAt = toDate(ticket.timestamp) || new Date(`${trip.date}T12:00:00`);
+      const result = checkTicket(ticket, {
+        route,
+        tables: route ? tablesByRoute.get(route.id) : [],
+        issuedAt
+      });
+
+      results.push({
+        ...result,
+        conductorId: trip.conductorId,
+        conductorName: conductor?.name || trip.conductorId,
+        busNumber: conductor?.busNumber || 'N/A',
+        date: trip.date,
+        tripNumber: trip.tripNumber,
+        tripDirection: trip.tripDirection
+      });
+    });
+  });
+
+  return results;
+};
+
+const emptyTotals = () => ({
+  tickets: 0,
+  passengers: 0,
+  flagged: 0,
+  overcharges: 0,
+  undercharges: 0,
+  unexplainedDiscounts: 0,
+  unverifiable: 0,
+  charged: 0,
+  expected: 0,
+  overchargedAmount: 0,
+  underchargedAmount: 0
+});
+
+const addResult = (totals, result) => {
+  totals.tickets += 1;
+  totals.passengers += result.passengers.length;
+
+  if (result.status === COMPLIANCE_STATUS.UNVERIFIABLE) {
+    totals.unverifiable += 1;
+    return;
+  }
+
+  totals.charged += result.charged;
+  totals.expected += result.expected;
+  if (result.status !== COMPLIANCE_STATUS.OK) totals.flagged += 1;
+
+  result.passengers.forEach(passenger => {
+    if (passenger.status === COMPLIANCE_STATUS.OVERCHARGE) {
+      totals.overcharges += 1;
+      totals.overchargedAmount += passenger.difference;
+    } else if (passenger.status === COMPLIANCE_STATUS.UNDERCHARGE) {
+      totals.undercharges += 1;
+      totals.underchargedAmount -= passenger.difference;
+    } else if (passenger.status === COMPLIANCE_STATUS.UNEXPLAINED_DISCOUNT) {
+      totals.unexplainedDiscounts += 1;
+      totals.underchargedAmount -= passenger.difference;
+    }
+  });
+};
+
+const finishTotals = (totals) => ({
+  ...totals,
+  charged: round2(totals.charged),
+  expected: round2(totals.expected),
+  overchargedAmount: round2(totals.overchargedAmount),
+  underchargedAmount: round2(totals.underchargedAmount),
+  netDifference: round2(totals.charged - totals.expected),
+  complianceRate: totals.tickets - totals.unverifiable > 0
+    ? ((totals.tickets - totals.unverifiable - totals.flagged) / (totals.tickets - totals.unverifiable)) * 100
+    : 0
+});
+
+// Totals overall, per conductor and per trip (most flagged first)
+export const summarizeCompliance = (results) => {
+  const overall = emptyTotals();
+  const conductors = new Map();
+  const trips = new Map();
+
+  results.forEach(result => {
+    addResult(overall, result);
+
+    if (!conductors.has(result.conductorId)) {
+      conductors.set(result.conductorId, {
+        conductorId: result.conductorId,
+        conductorName: result.conductorName,
+        busNumber: result.busNumber,
+        ...emptyTotals()
+      });
+    }
+    addResult(conductors.get(result.conductorId), result);
+
+    const tripKey = `${result.conductorId}/${result.date}/${result.tripNumber}`;
+    if (!trips.has(tripKey)) {
+      trips.set(tripKey, {
+        key: tripKey,
+        conductorId: result.conductorId,
+        conductorName: result.conductorName,
+        date: result.date,
+        tripNumber: result.tripNumber,
+        tripDirection: result.tripDirection,
+        ...emptyTotals()
+      });
+    }
+    addResult(trips.get(tripKey), result);
+  });
+
+  const byFlagged = (a, b) => b.flagged - a.flagged || Math.abs(b.netDifference) - Math.abs(a.netDifference);
+
+  return {
+    overall: finishTotals(overall),
+    byConductor: [...conductors.values()].map(finishTotals).sort(byFlagged),
+    byTrip: [...trips.values()].map(finishTotals).sort(byFlagged)
+  };
+};
+
+// Loads and checks every trip between two dates (YYYY-MM-DD, inclusive)
+export const loadFareCompliance = async (startDate, endDate) => {
+  const [dates, routes, tablesByRoute, conductors] = await Promise.all([
+    getAvailableRemittanceDates(),
+    getRoutes(),
+    getFareTablesByRoute(),
+    getAllConductorDetails()
+  ]);
+
+  const datesInRange = dates.filter(date => (!startDate || date >= startDate) && (!endDate || date <= endDate));
+  const trips = [];
+  for (const date of datesInRange) {
+    trips.push(...await loadRemittanceData(date));
+  }
+
+  const results = checkTrips(trips, { routes, tablesByRoute, conductors });
+  results.sort((a, b) => (b.date || '').localeCompare(a.date || '') || (a.conductorId || '').localeCompare(b.conductorId || ''));
+
+  return { results, dates: datesInRange, hasFareTables: tablesByRoute.size > 0 };
+};
+
+const describePassengers = (result) => result.passengers
+  .map(passenger => `${passenger.type}: ${passenger.charged.toFixed(2)}${passenger.expected !== null ? ` (expected ${passenger.expected.toFixed(2)})` : ''}`)
+  .join('; ');
+
+export const COMPLIANCE_EXPORT_HEADERS = [
+  'Date', 'Conductor', 'Bus', 'Trip', 'Route', 'From', 'To', 'Passengers',
+  'Charged', 'Expected', 'Difference', 'Fare Table', 'Status', 'Details'
+];
+
+// Flat rows for CSV/PDF export
+export const complianceExportRows = (results) => results.map(result => [
+  result.date,
+  result.conductorName,
+  result.busNumber,
+  result.tripNumber,
+  result.route?.name || result.tripDirection || '',
+  result.ticket.from,
+  result.ticket.to,
+  result.passengers.length,
+  result.charged.toFixed(2),
+  result.expected !== null ? result.expected.toFixed(2) : '',
+  result.difference !== null ? result.difference.toFixed(2) : '',
+  result.table ? `v${result.table.version}` : '',
+  STATUS_LABELS[result.status],
+  result.reason || describePassengers(result)
+]);
+
+export const toCSV = (headers, rows) => [
+  headers.join(','),
+  ...rows.map(row => row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','))
+].join('\n');
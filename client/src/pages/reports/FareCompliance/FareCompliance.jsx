@@ -0,0 +1,400 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { FaPrint, FaFileCsv } from 'react-icons/fa6';
+import {
+  loadFareCompliance,
+  summarizeCompliance,
+  complianceExportRows,
+  toCSV,
+  COMPLIANCE_EXPORT_HEADERS,
+  COMPLIANCE_STATUS,
+  STATUS_LABELS
+} from './FareCompliance.js';
+import { generateLandscapePDF } from '/src/utils/pdfGenerator.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import './FareCompliance.css';
+
+const formatAmount = (amount) => `₱${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatSigned = (amount) => (amount > 0 ? `+${formatAmount(amount)}` : amount < 0 ? `-${formatAmount(-amount)}` : formatAmount(0));
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toLocaleDateString('en-CA');
+};
+
+const FareCompliance = () => {
+  const [startDate, setStartDate] = useState(daysAgo(7));
+  const [endDate, setEndDate] = useState(daysAgo(0));
+  const [selectedConductor, setSelectedConductor] = useState('');
+  const [statusFilter, setStatusFilter] = useState('flagged');
+  const [results, setResults] = useState([]);
+  const [hasFareTables, setHasFareTables] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadData = async () => {
+    if (startDate && endDate && startDate > endDate) {
+      setError('Start date must be on or before the end date');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await loadFareCompliance(startDate, endDate);
+      setResults(data.results);
+      setHasFareTables(data.hasFareTables);
+    } catch (err) {
+      console.error('Error loading fare compliance:', err);
+      setError('Failed to load fare compliance: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const conductorOptions = useMemo(() => {
+    const names = new Map();
+    results.forEach(result => names.set(result.conductorId, result.conductorName));
+    return [...names.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [results]);
+
+  const conductorResults = useMemo(
+    () => (selectedConductor ? results.filter(result => result.conductorId === selectedConductor) : results),
+    [results, selectedConductor]
+  );
+
+  const summary = useMemo(() => summarizeCompliance(conductorResults), [conductorResults]);
+
+  const visibleResults = useMemo(() => {
+    if (statusFilter === 'all') return conductorResults;
+    if (statusFilter === 'flagged') {
+      return conductorResults.filter(result => result.status !== COMPLIANCE_STATUS.OK && result.status !== COMPLIANCE_STATUS.UNVERIFIABLE);
+    }
+    return conductorResults.filter(result => result.status === statusFilter);
+  }, [conductorResults, statusFilter]);
+
+  const flaggedTrips = summary.byTrip.filter(trip => trip.flagged > 0);
+
+  const periodLabel = `${startDate || 'All'} to ${endDate || 'Present'}`;
+  const conductorLabel = selectedConductor
+    ? conductorOptions.find(([id]) => id === selectedConductor)?.[1] || selectedConductor
+    : 'All';
+  const fileBase = `Fare_Compliance_${startDate || 'all'}_${endDate || 'present'}`;
+
+  const logExport = async (format, filename) => {
+    try {
+      await logActivity(
+        ACTIVITY_TYPES.DATA_EXPORT,
+        `Exported fare compliance report (${periodLabel}) to ${format}`,
+        {
+          exportType: 'Fare Compliance Report',
+          filename,
+          format,
+          startDate,
+          endDate,
+          conductorId: selectedConductor || null,
+          statusFilter,
+          recordCount: visibleResults.length,
+          flaggedTickets: summary.overall.flagged
+        },
+        'info'
+      );
+    } catch (logError) {
+      console.error('Error logging fare compliance export activity:', logError);
+    }
+  };
+
+  const handleExportCSV = async () => {
+    try {
+      const csvContent = toCSV(COMPLIANCE_EXPORT_HEADERS, complianceExportRows(visibleResults));
+      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+      const link = document.createElement('a');
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      link.setAttribute('download', `${fileBase}.csv`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      await logExport('CSV', `${fileBase}.csv`);
+    } catch (err) {
+      console.error('Error exporting fare compliance to CSV:', err);
+      alert('Failed to export to CSV. Please try again.');
+    }
+  };
+
+  const handlePrintPDF = async () => {
+    const { overall } = summary;
+
+    generateLandscapePDF({
+      title: 'Fare Compliance Report',
+      subtitle: `Period: ${periodLabel} | Conductor: ${conductorLabel} | Showing: ${statusFilter === 'flagged' ? 'Flagged tickets' : STATUS_LABELS[statusFilter] || 'All tickets'}`,
+      fileName: `${fileBase}.pdf`,
+      summary: [
+        { label: 'Tickets Checked', value: overall.tickets - overall.unverifiable },
+        { label: 'Flagged Tickets', value: overall.flagged },
+        { label: 'Compliance Rate', value: `${overall.complianceRate.toFixed(1)}%` },
+        { label: 'Overcharged', value: `PHP ${overall.overchargedAmount.toFixed(2)}` },
+        { label: 'Undercharged', value: `PHP ${overall.underchargedAmount.toFixed(2)}` },
+        { label: 'Unverifiable', value: overall.unverifiable }
+      ],
+      tables: [
+        {
+          title: 'By Conductor',
+          head: ['Conductor', 'Bus', 'Tickets', 'Flagged', 'Over', 'Under', 'Unexplained', 'Unverifiable', 'Overcharged', 'Undercharged', 'Net'],
+          body: summary.byConductor.map(row => [
+            row.conductorName, row.busNumber, row.tickets, row.flagged, row.overcharges, row.undercharges,
+            row.unexplainedDiscounts, row.unverifiable, row.overchargedAmount.toFixed(2),
+            row.underchargedAmount.toFixed(2), row.netDifference.toFixed(2)
+          ]),
+          columnStyles: { 8: { halign: 'right' }, 9: { halign: 'right' }, 10: { halign: 'right', fontStyle: 'bold' } }
+        },
+        {
+          title: 'Trips With Flagged Tickets',
+          head: ['Date', 'Conductor', 'Trip', 'Direction', 'Tickets', 'Flagged', 'Charged', 'Expected', 'Net'],
+          body: flaggedTrips.map(row => [
+            row.date, row.conductorName, row.tripNumber, row.tripDirection, row.tickets, row.flagged,
+            row.charged.toFixed(2), row.expected.toFixed(2), row.netDifference.toFixed(2)
+          ]),
+          columnStyles: { 6: { halign: 'right' }, 7: { halign: 'right' }, 8: { halign: 'right', fontStyle: 'bold' } }
+        },
+        {
+          title: 'Tickets',
+          head: COMPLIANCE_EXPORT_HEADERS.filter(header => header !== 'Bus'),
+          body: complianceExportRows(visibleResults).map(row => row.filter((_, index) => index !== 2)),
+          columnStyles: { 12: { cellWidth: 60 } }
+        }
+      ]
+    });
+
+    await logExport('PDF', `${fileBase}.pdf`);
+  };
+
+  const { overall } = summary;
+
+  return (
+    <div className="compliance-container">
+      <div className="compliance-filters">
+        <div className="compliance-filter-group">
+          <label>From</label>
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </div>
+        <div className="compliance-filter-group">
+          <label>To</label>
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+        </div>
+        <div className="compliance-filter-group">
+          <label>Conductor</label>
+          <select value={selectedConductor} onChange={(e) => setSelectedConductor(e.target.value)}>
+            <option value="">All Conductors</option>
+            {conductorOptions.map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="compliance-filter-group">
+          <label>Show</label>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="flagged">Flagged tickets</option>
+            <option value="all">All tickets</option>
+            {Object.values(COMPLIANCE_STATUS).map(status => (
+              <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="compliance-actions">
+          <button className="compliance-btn compliance-btn-primary" onClick={loadData} disabled={loading}>
+            {loading ? 'Checking...' : 'Run Check'}
+          </button>
+          <button className="compliance-btn" onClick={handleExportCSV} disabled={loading || visibleResults.length === 0}>
+            <FaFileCsv size={16} /> CSV
+          </button>
+          <button className="compliance-btn" onClick={handlePrintPDF} disabled={loading || results.length === 0}>
+            <FaPrint size={16} /> PDF
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="compliance-error">{error}</div>}
+
+      {!hasFareTables && (
+        <div className="compliance-notice">
+          No fare tables have been set up, so no ticket can be checked yet. Add them under{' '}
+          <Link to="/admin/fares">Fare Matrix</Link>.
+        </div>
+      )}
+
+      <div className="compliance-cards">
+        <div className="compliance-card">
+          <span className="compliance-card-label">Tickets Checked</span>
+          <span className="compliance-card-value">{overall.tickets - overall.unverifiable}</span>
+          <span className="compliance-card-note">{overall.unverifiable} unverifiable</span>
+        </div>
+        <div className="compliance-card">
+          <span className="compliance-card-label">Compliance Rate</span>
+          <span className="compliance-card-value">{overall.complianceRate.toFixed(1)}%</span>
+          <span className="compliance-card-note">{overall.flagged} flagged tickets</span>
+        </div>
+        <div className="compliance-card overcharge">
+          <span className="compliance-card-label">Overcharged</span>
+          <span className="compliance-card-value">{formatAmount(overall.overchargedAmount)}</span>
+          <span className="compliance-card-note">{overall.overcharges} passengers</span>
+        </div>
+        <div className="compliance-card undercharge">
+          <span className="compliance-card-label">Undercharged</span>
+          <span className="compliance-card-value">{formatAmount(overall.underchargedAmount)}</span>
+          <span className="compliance-card-note">
+            {overall.undercharges} undercharges, {overall.unexplainedDiscounts} unexplained discounts
+          </span>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="compliance-empty">Checking tickets against the fare tables...</div>
+      ) : results.length === 0 ? (
+        <div className="compliance-empty">No tickets found for this period.</div>
+      ) : (
+        <>
+          <div className="compliance-section">
+            <h3>By Conductor</h3>
+            <div className="compliance-table-scroll">
+              <table className="compliance-table">
+                <thead>
+                  <tr>
+                    <th>Conductor</th>
+                    <th>Bus</th>
+                    <th>Tickets</th>
+                    <th>Flagged</th>
+                    <th>Overcharges</th>
+                    <th>Undercharges</th>
+                    <th>Unexplained</th>
+                    <th>Unverifiable</th>
+                    <th className="amount">Overcharged</th>
+                    <th className="amount">Undercharged</th>
+                    <th className="amount">Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.byConductor.map(row => (
+                    <tr key={row.conductorId} className={row.flagged > 0 ? 'flagged' : ''}>
+                      <td>{row.conductorName}</td>
+                      <td>{row.busNumber}</td>
+                      <td>{row.tickets}</td>
+                      <td>{row.flagged}</td>
+                      <td>{row.overcharges}</td>
+                      <td>{row.undercharges}</td>
+                      <td>{row.unexplainedDiscounts}</td>
+                      <td>{row.unverifiable}</td>
+                      <td className="amount">{formatAmount(row.overchargedAmount)}</td>
+                      <td className="amount">{formatAmount(row.underchargedAmount)}</td>
+                      <td className="amount">{formatSigned(row.netDifference)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="compliance-section">
+            <h3>Trips With Flagged Tickets</h3>
+            {flaggedTrips.length === 0 ? (
+              <p className="compliance-muted">Every checked ticket matched its fare table.</p>
+            ) : (
+              <div className="compliance-table-scroll">
+                <table className="compliance-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Conductor</th>
+                      <th>Trip</th>
+                      <th>Direction</th>
+                      <th>Tickets</th>
+                      <th>Flagged</th>
+                      <th className="amount">Charged</th>
+                      <th className="amount">Expected</th>
+                      <th className="amount">Net</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {flaggedTrips.map(row => (
+                      <tr key={row.key}>
+                        <td>{row.date}</td>
+                        <td>{row.conductorName}</td>
+                        <td>{row.tripNumber}</td>
+                        <td>{row.tripDirection}</td>
+                        <td>{row.tickets}</td>
+                        <td>{row.flagged}</td>
+                        <td className="amount">{formatAmount(row.charged)}</td>
+                        <td className="amount">{formatAmount(row.expected)}</td>
+                        <td className="amount">{formatSigned(row.netDifference)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="compliance-section">
+            <h3>Tickets ({visibleResults.length})</h3>
+            <div className="compliance-table-scroll">
+              <table className="compliance-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Conductor</th>
+                    <th>Trip</th>
+                    <th>From → To</th>
+                    <th>Passengers</th>
+                    <th className="amount">Charged</th>
+                    <th className="amount">Expected</th>
+                    <th>Fare Table</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleResults.map((result, index) => (
+                    <tr key={`${result.conductorId}-${result.date}-${result.tripNumber}-${result.ticket.id || index}`}>
+                      <td>{result.date}</td>
+                      <td>{result.conductorName}</td>
+                      <td>{result.tripNumber}</td>
+                      <td>{result.ticket.from} → {result.ticket.to}</td>
+                      <td>
+                        {result.passengers.map((passenger, passengerIndex) => (
+                          <div key={passengerIndex} className={`compliance-passenger ${passenger.status}`}>
+                            {passenger.type}: {formatAmount(passenger.charged)}
+                            {passenger.expected !== null && passenger.status !== COMPLIANCE_STATUS.OK && (
+                              <span className="compliance-muted"> (expected {formatAmount(passenger.expected)})</span>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="amount">{formatAmount(result.charged)}</td>
+                      <td className="amount">{result.expected !== null ? formatAmount(result.expected) : '—'}</td>
+                      <td>{result.table ? `v${result.table.version}` : '—'}</td>
+                      <td>
+                        <span className={`compliance-status ${result.status}`}>{STATUS_LABELS[result.status]}</span>
+                        {result.reason && <div className="compliance-muted">{result.reason}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FareCompliance;
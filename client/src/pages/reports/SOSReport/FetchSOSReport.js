@@ -1,5 +1,6 @@
 import { collection, query, orderBy, onSnapshot, where, getDocs, Timestamp } from "firebase/firestore";
 import { db } from "/src/firebase/firebase.js";
+import { getRouteDirectionOptions } from "/src/pages/routes/RouteManagement.js";
 
 
 // Available routes cache with TTL
@@ -139,7 +140,7 @@ export const fetchSOSData = (dateRange, routeFilter, emergencyTypeFilter, callba
   }
 };
 
-// Get available routes from SOS data with TTL caching
+// Get available routes (Routes & Stops, or SOS data before any route is set up) with TTL caching
 export const getAvailableRoutes = async () => {
   // Check if cache exists and is still fresh
   if (cachedRoutes && routesCacheTime) {
@@ -151,6 +152,13 @@ export const getAvailableRoutes = async () => {
 
   // Cache expired or doesn't exist - fetch fresh data
   try {
+    const configuredRoutes = await getRouteDirectionOptions();
+    if (configuredRoutes.length > 0) {
+      cachedRoutes = configuredRoutes;
+      routesCacheTime = Date.now();
+      return cachedRoutes;
+    }
+
     const q = query(collection(db, "sosRequests"));
     const querySnapshot = await getDocs(q);
 
@@ -0,0 +1,301 @@
+import { collection, getDocs, query, where, orderBy, Timestamp } from 'firebase/firestore';
+import { db } from '/src/firebase/firebase.js';
+import { fetchRevenueReport } from '/src/pages/reports/DailyRevenue/DailyRevenue.js';
+import { loadFareCompliance, summarizeCompliance } from '/src/pages/reports/FareCompliance/FareCompliance.js';
+import { getSessionEvents, buildShifts, buildTimesheets, getScheduleStarts, weekRange } from '/src/pages/attendance/attendanceService.js';
+import { normalizeRouteName } from '/src/pages/routes/RouteManagement.js';
+
+// CONDUCTOR SCORECARD
+// One row per conductor for a period, pulled together from the server's
+// per-conductor revenue report, the remitted tickets, SOS requests raised on
+// their trips, recorded shifts (schedule adherence) and the fare compliance check.
+
+// How much each part weighs in the overall score. Parts without data for a
+// conductor (no schedule, nothing remitted yet, no checkable tickets) are left
+// out and the remaining weights scaled up. SOS incidents are shown but not
+// scored: an emergency on board is rarely the conductor's doing.
+export const SCORE_WEIGHTS = {
+  productivity: 35,
+  remittance: 20,
+  adherence: 20,
+  compliance: 15,
+  discounts: 10
+};
+
+// Points lost per percentage point of discount ratio above the fleet's
+const DISCOUNT_PENALTY_PER_POINT = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const perTrip = (value, trips) => (trips > 0 ? value / trips : 0);
+
+// Share of the undiscounted fare given away as discounts
+const discountRatioOf = ({ totalRevenue, discounts }) => (
+  totalRevenue + discounts > 0 ? discounts / (totalRevenue + discounts) : 0
+);
+
+const clampScore = (value) => Math.max(0, Math.min(100, value));
+
+// Every YYYY-MM-DD from startDate to endDate (inclusive)
+export const datesBetween = (startDate, endDate) => {
+  const dates = [];
+  const cursor = new Date(`${startDate}T00:00:00`);
+  const end = new Date(`${endDate}T00:00:00`);
+  while (cursor <= end) {
+    dates.push(cursor.toLocaleDateString('en-CA'));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+};
+
+const getConductors = async () => {
+  const snapshot = await getDocs(collection(db, 'conductors'));
+  return snapshot.docs
+    .map(conductorDoc => ({ id: conductorDoc.id, ...conductorDoc.data() }))
+    .filter(conductor => conductor.status !== 'deleted');
+};
+
+// What the conductor turned in per day: the tickets under
+// conductors/{id}/remittance/{date}/tickets. A day without any is not remitted yet.
+export const getRemittedTotals = async (conductorId, dates) => {
+  const totals = new Map();
+  await Promise.all(dates.map(async date => {
+    const snapshot = await getDocs(collection(db, 'conductors', conductorId, 'remittance', date, 'tickets'));
+    if (snapshot.empty) return;
+    totals.set(date, snapshot.docs.reduce((sum, ticketDoc) => sum + (Number(ticketDoc.data().totalFare) || 0), 0));
+  }));
+  return totals;
+};
+
+export const getSOSRequests = async (startDate, endDate) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'sosRequests'),
+    where('timestamp', '>=', Timestamp.fromDate(new Date(`${startDate}T00:00:00`))),
+    where('timestamp', '<=', Timestamp.fromDate(new Date(`${endDate}T23:59:59`))),
+    orderBy('timestamp', 'asc')
+  ));
+  return snapshot.docs.map(sosDoc => ({ id: sosDoc.id, ...sosDoc.data() }));
+};
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  const time = new Date(timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+// SOS requests don't name the conductor, so each one is counted against the
+// conductors whose recorded trip on the same route was running when it was sent
+export const attributeSOS = (requests, shifts) => {
+  const counts = new Map();
+  requests.forEach(request => {
+    const time = toMillis(request.timestamp);
+    const route = normalizeRouteName(request.route);
+    if (time === null || !route) return;
+
+    const conductorIds = new Set();
+    shifts.forEach(shift => {
+      const onTrip = shift.trips.some(trip => (
+        trip.start <= time && time <= trip.end && normalizeRouteName(trip.direction) === route
+      ));
+      if (onTrip) conductorIds.add(shift.conductorId);
+    });
+    conductorIds.forEach(conductorId => counts.set(conductorId, (counts.get(conductorId) || 0) + 1));
+  });
+  return counts;
+};
+
+// Revenue per trip and passengers per trip for every week (starting Monday)
+// of the given per-day rows
+export const weeklyTrend = (days) => {
+  const weeks = new Map();
+  days.forEach(day => {
+    const week = weekRange(new Date(`${day.date}T00:00:00`)).days[0];
+    if (!weeks.has(week)) weeks.set(week, { week, totalRevenue: 0, totalPassengers: 0, trips: 0 });
+    const bucket = weeks.get(week);
+    bucket.totalRevenue += day.totalRevenue;
+    bucket.totalPassengers += day.totalPassengers;
+    bucket.trips += day.trips;
+  });
+
+  return Array.from(weeks.values())
+    .sort((a, b) => a.week.localeCompare(b.week))
+    .map(bucket => ({
+      ...bucket,
+      revenuePerTrip: round2(perTrip(bucket.totalRevenue, bucket.trips)),
+      passengersPerTrip: round2(perTrip(bucket.totalPassengers, bucket.trips))
+    }));
+};
+
+// Overall 0-100 score from the parts that have data. Matching the fleet's
+// revenue and passengers per trip scores 50 on productivity, twice the fleet 100.
+export const scoreScorecard = (card, fleet) => {
+  const parts = {};
+
+  const ratios = [];
+  if (fleet.revenuePerTrip > 0) ratios.push(card.revenuePerTrip / fleet.revenuePerTrip);
+  if (fleet.passengersPerTrip > 0) ratios.push(card.passengersPerTrip / fleet.passengersPerTrip);
+  if (ratios.length > 0) {
+    parts.productivity = clampScore(50 * ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length);
+  }
+  if (card.remittance.expected > 0) {
+    parts.remittance = clampScore(100 * (1 - Math.abs(card.remittance.variance) / card.remittance.expected));
+  }
+  if (card.adherence.onTimeRate !== null) {
+    parts.adherence = card.adherence.onTimeRate;
+  }
+  if (card.compliance.complianceRate !== null) {
+    parts.compliance = card.compliance.complianceRate;
+  }
+  parts.discounts = clampScore(100 - Math.max(0, card.discountDelta * 100) * DISCOUNT_PENALTY_PER_POINT);
+
+  const weight = Object.keys(parts).reduce((sum, part) => sum + SCORE_WEIGHTS[part], 0);
+  const score = Object.entries(parts).reduce((sum, [part, value]) => sum + value * SCORE_WEIGHTS[part], 0) / weight;
+  return { score: Math.round(score), parts };
+};
+
+// Scorecards for every conductor plus the fleet averages they're compared to.
+// Conductors with trips are ranked by score (revenue breaks ties); the rest
+// are listed unranked.
+export const buildScorecards = ({
+  revenue,
+  conductors = [],
+  remitted = new Map(),
+  sosCounts = new Map(),
+  timesheets = [],
+  compliance = []
+}) => {
+  const fleet = {
+    trips: revenue.totals.trips,
+    revenuePerTrip: perTrip(revenue.totals.totalRevenue, revenue.totals.trips),
+    passengersPerTrip: perTrip(revenue.totals.totalPassengers, revenue.totals.trips),
+    discountRatio: discountRatioOf(revenue.totals),
+    sosIncidents: Array.from(sosCounts.values()).reduce((sum, count) => sum + count, 0)
+  };
+
+  const revenueById = new Map(revenue.conductors.map(row => [row.conductorId, row]));
+  const sheetById = new Map(timesheets.map(sheet => [sheet.conductorId, sheet]));
+  const complianceById = new Map(compliance.map(row => [row.conductorId, row]));
+  const detailsById = new Map(conductors.map(conductor => [conductor.id, conductor]));
+  const ids = new Set([...detailsById.keys(), ...revenueById.keys()]);
+
+  const cards = Array.from(ids).map(conductorId => {
+    const details = detailsById.get(conductorId);
+    const row = revenueById.get(conductorId) || { totalRevenue: 0, totalPassengers: 0, trips: 0, discounts: 0, days: [] };
+    const sheet = sheetById.get(conductorId);
+    const checked = complianceById.get(conductorId);
+    const remittedByDate = remitted.get(conductorId) || new Map();
+
+    // Only fares collected on board are remitted; pre-bookings and
+    // pre-tickets are paid online
+    const remittance = { expected: 0, remitted: 0, variance: 0, missingDays: 0 };
+    row.days.forEach(day => {
+      const collected = day.conductorRevenue || 0;
+      if (collected <= 0 && !remittedByDate.has(day.date)) return;
+      remittance.expected += collected;
+      if (remittedByDate.has(day.date)) {
+        remittance.remitted += remittedByDate.get(day.date);
+      } else {
+        remittance.missingDays += 1;
+      }
+    });
+    remittance.expected = round2(remittance.expected);
+    remittance.remitted = round2(remittance.remitted);
+    remittance.variance = round2(remittance.remitted - remittance.expected);
+
+    const daysWorked = sheet?.daysWorked || 0;
+    const hasSchedule = sheet?.scheduledStart !== null && sheet?.scheduledStart !== undefined;
+    const checkedTickets = checked ? checked.tickets - checked.unverifiable : 0;
+    const discountRatio = discountRatioOf(row);
+
+    const card = {
+      conductorId,
+      conductorName: details?.name || checked?.conductorName || conductorId,
+      busNumber: details?.busNumber ?? null,
+      trips: row.trips,
+      totalRevenue: row.totalRevenue,
+      totalPassengers: row.totalPassengers,
+      revenuePerTrip: perTrip(row.totalRevenue, row.trips),
+      passengersPerTrip: perTrip(row.totalPassengers, row.trips),
+      discounts: row.discounts,
+      discountRatio,
+      discountDelta: row.trips > 0 ? discountRatio - fleet.discountRatio : 0,
+      remittance,
+      sosIncidents: sosCounts.get(conductorId) || 0,
+      adherence: {
+        daysWorked,
+        lateStarts: sheet?.lateStarts || 0,
+        onTimeRate: hasSchedule && daysWorked > 0 ? 100 * (daysWorked - sheet.lateStarts) / daysWorked : null
+      },
+      compliance: {
+        ticketsChecked: checkedTickets,
+        flagged: checked?.flagged || 0,
+        complianceRate: checkedTickets > 0 ? checked.complianceRate : null
+      },
+      trend: weeklyTrend(row.days),
+      score: null,
+      scoreParts: {},
+      rank: null
+    };
+
+    if (card.trips > 0) {
+      const { score, parts } = scoreScorecard(card, fleet);
+      card.score = score;
+      card.scoreParts = parts;
+    }
+    return card;
+  });
+
+  const ranked = cards
+    .filter(card => card.score !== null)
+    .sort((a, b) => b.score - a.score || b.totalRevenue - a.totalRevenue);
+  ranked.forEach((card, index) => { card.rank = index + 1; });
+
+  const unranked = cards
+    .filter(card => card.score === null)
+    .sort((a, b) => a.conductorName.localeCompare(b.conductorName));
+
+  return {
+    fleet,
+    fleetTrend: weeklyTrend(revenue.conductors.flatMap(row => row.days)),
+    scorecards: [...ranked, ...unranked]
+  };
+};
+
+// Everything the scorecard page shows for the period (YYYY-MM-DD, inclusive)
+export const loadScorecards = async (startDate, endDate) => {
+  const days = datesBetween(startDate, endDate);
+  const rangeStart = new Date(`${startDate}T00:00:00`);
+  const rangeEnd = new Date(`${endDate}T00:00:00`);
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+  const [revenue, conductors, events, scheduleStarts, sosRequests, fareCompliance] = await Promise.all([
+    fetchRevenueReport('conductors', { startDate, endDate }),
+    getConductors(),
+    getSessionEvents(rangeStart, rangeEnd),
+    getScheduleStarts(),
+    getSOSRequests(startDate, endDate),
+    loadFareCompliance(startDate, endDate)
+  ]);
+
+  const remitted = new Map();
+  await Promise.all(revenue.conductors.map(async row => {
+    remitted.set(row.conductorId, await getRemittedTotals(row.conductorId, row.days.map(day => day.date)));
+  }));
+
+  const shifts = buildShifts(events, { rangeStart: rangeStart.getTime(), rangeEnd: rangeEnd.getTime() });
+
+  return {
+    startDate,
+    endDate,
+    source: revenue.source,
+    ...buildScorecards({
+      revenue,
+      conductors,
+      remitted,
+      sosCounts: attributeSOS(sosRequests, shifts),
+      timesheets: buildTimesheets(shifts, { days, conductors, scheduleStarts }),
+      compliance: summarizeCompliance(fareCompliance.results).byConductor
+    })
+  };
+};
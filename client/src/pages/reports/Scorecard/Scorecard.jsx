@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { loadScorecards, SCORE_WEIGHTS } from './Scorecard.js';
+import './Scorecard.css';
+
+const formatAmount = (amount) => `₱${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatSigned = (amount) => (amount > 0 ? `+${formatAmount(amount)}` : amount < 0 ? `-${formatAmount(-amount)}` : formatAmount(0));
+
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+const formatRate = (rate) => (rate === null ? '—' : `${rate.toFixed(0)}%`);
+
+const formatWeek = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toLocaleDateString('en-CA');
+};
+
+const PART_LABELS = {
+  productivity: 'Revenue & passengers per trip',
+  remittance: 'Remittance accuracy',
+  adherence: 'On-time starts',
+  compliance: 'Fare compliance',
+  discounts: 'Discounts vs fleet'
+};
+
+const scoreClass = (score) => (score >= 75 ? 'good' : score >= 50 ? 'fair' : 'poor');
+
+const Scorecard = () => {
+  const [startDate, setStartDate] = useState(daysAgo(29));
+  const [endDate, setEndDate] = useState(daysAgo(0));
+  const [data, setData] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadData = async () => {
+    if (!startDate || !endDate || startDate > endDate) {
+      setError('Start date must be on or before the end date');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await loadScorecards(startDate, endDate);
+      setData(result);
+      setSelectedId(current => (
+        result.scorecards.some(card => card.conductorId === current && card.rank !== null)
+          ? current
+          : result.scorecards.find(card => card.rank !== null)?.conductorId || null
+      ));
+    } catch (err) {
+      console.error('Error loading conductor scorecards:', err);
+      setError('Failed to load scorecards: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const scorecards = data?.scorecards || [];
+  const ranked = scorecards.filter(card => card.rank !== null);
+  const idle = scorecards.filter(card => card.rank === null);
+  const selected = scorecards.find(card => card.conductorId === selectedId) || null;
+  const fleet = data?.fleet;
+
+  // The selected conductor's weeks next to the fleet's
+  const trend = useMemo(() => {
+    if (!data || !selected) return [];
+    const byWeek = new Map(selected.trend.map(week => [week.week, week]));
+    return data.fleetTrend.map(week => ({
+      week: formatWeek(week.week),
+      conductorRevenue: byWeek.get(week.week)?.revenuePerTrip ?? null,
+      fleetRevenue: week.revenuePerTrip,
+      conductorPassengers: byWeek.get(week.week)?.passengersPerTrip ?? null,
+      fleetPassengers: week.passengersPerTrip
+    }));
+  }, [data, selected]);
+
+  return (
+    <div className="scorecard-container">
+      <div className="scorecard-filters">
+        <div className="scorecard-filter-group">
+          <label>From</label>
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </div>
+        <div className="scorecard-filter-group">
+          <label>To</label>
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+        </div>
+        <div className="scorecard-actions">
+          <button className="scorecard-btn scorecard-btn-primary" onClick={loadData} disabled={loading}>
+            {loading ? 'Loading...' : 'Load Scorecards'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="scorecard-error">{error}</div>}
+
+      {fleet && (
+        <div className="scorecard-cards">
+          <div className="scorecard-card">
+            <span className="scorecard-card-label">Fleet Revenue / Trip</span>
+            <span className="scorecard-card-value">{formatAmount(fleet.revenuePerTrip)}</span>
+            <span className="scorecard-card-note">{fleet.trips} trips</span>
+          </div>
+          <div className="scorecard-card">
+            <span className="scorecard-card-label">Fleet Passengers / Trip</span>
+            <span className="scorecard-card-value">{fleet.passengersPerTrip.toFixed(1)}</span>
+          </div>
+          <div className="scorecard-card">
+            <span className="scorecard-card-label">Fleet Discount Ratio</span>
+            <span className="scorecard-card-value">{formatPercent(fleet.discountRatio)}</span>
+            <span className="scorecard-card-note">of fares before discounts</span>
+          </div>
+          <div className="scorecard-card">
+            <span className="scorecard-card-label">SOS Incidents</span>
+            <span className="scorecard-card-value">{fleet.sosIncidents}</span>
+            <span className="scorecard-card-note">matched to a recorded trip</span>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="scorecard-empty">Building scorecards...</div>
+      ) : !data ? null : ranked.length === 0 ? (
+        <div className="scorecard-empty">No trips found for this period.</div>
+      ) : (
+        <>
+          <div className="scorecard-section">
+            <h3>Leaderboard</h3>
+            <p className="scorecard-muted">
+              Score out of 100, weighted {Object.entries(SCORE_WEIGHTS).map(([part, weight]) => `${PART_LABELS[part].toLowerCase()} ${weight}%`).join(', ')}.
+              Parts without data are left out. Click a conductor for their scorecard.
+            </p>
+            <div className="scorecard-table-scroll">
+              <table className="scorecard-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Conductor</th>
+                    <th>Score</th>
+                    <th>Trips</th>
+                    <th className="amount">Revenue / Trip</th>
+                    <th>Passengers / Trip</th>
+                    <th className="amount">Remittance Variance</th>
+                    <th>Discount Ratio</th>
+                    <th>SOS</th>
+                    <th>On Time</th>
+                    <th>Fare Flags</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranked.map(card => (
+                    <tr
+                      key={card.conductorId}
+                      className={card.conductorId === selectedId ? 'selected' : ''}
+                      onClick={() => setSelectedId(card.conductorId)}
+                    >
+                      <td>{card.rank}</td>
+                      <td>
+                        <div className="scorecard-name">{card.conductorName}</div>
+                        {card.busNumber !== null && <div className="scorecard-muted">Bus {card.busNumber}</div>}
+                      </td>
+                      <td><span className={`scorecard-score ${scoreClass(card.score)}`}>{card.score}</span></td>
+                      <td>{card.trips}</td>
+                      <td className="amount">{formatAmount(card.revenuePerTrip)}</td>
+                      <td>{card.passengersPerTrip.toFixed(1)}</td>
+                      <td className={`amount ${card.remittance.variance < 0 ? 'negative' : ''}`}>
+                        {formatSigned(card.remittance.variance)}
+                        {card.remittance.missingDays > 0 && (
+                          <div className="scorecard-muted">{card.remittance.missingDays} day(s) not remitted</div>
+                        )}
+                      </td>
+                      <td className={card.discountDelta > 0 ? 'negative' : ''}>
+                        {formatPercent(card.discountRatio)}
+                      </td>
+                      <td>{card.sosIncidents}</td>
+                      <td>{formatRate(card.adherence.onTimeRate)}</td>
+                      <td>{card.compliance.flagged}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {idle.length > 0 && (
+              <p className="scorecard-muted">
+                No trips this period: {idle.map(card => card.conductorName).join(', ')}
+              </p>
+            )}
+          </div>
+
+          {selected && (
+            <div className="scorecard-section">
+              <h3>{selected.conductorName} — Scorecard</h3>
+              <div className="scorecard-metrics">
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">Revenue / Trip</span>
+                  <span className="scorecard-metric-value">{formatAmount(selected.revenuePerTrip)}</span>
+                  <span className="scorecard-muted">Fleet {formatAmount(fleet.revenuePerTrip)}</span>
+                </div>
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">Passengers / Trip</span>
+                  <span className="scorecard-metric-value">{selected.passengersPerTrip.toFixed(1)}</span>
+                  <span className="scorecard-muted">Fleet {fleet.passengersPerTrip.toFixed(1)}</span>
+                </div>
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">Remittance Variance</span>
+                  <span className="scorecard-metric-value">{formatSigned(selected.remittance.variance)}</span>
+                  <span className="scorecard-muted">
+                    {formatAmount(selected.remittance.remitted)} remitted of {formatAmount(selected.remittance.expected)} collected
+                  </span>
+                </div>
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">Discount Ratio</span>
+                  <span className="scorecard-metric-value">{formatPercent(selected.discountRatio)}</span>
+                  <span className="scorecard-muted">
+                    {selected.discountDelta >= 0 ? '+' : ''}{(selected.discountDelta * 100).toFixed(1)} pts vs fleet
+                  </span>
+                </div>
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">SOS Incidents</span>
+                  <span className="scorecard-metric-value">{selected.sosIncidents}</span>
+                </div>
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">Schedule Adherence</span>
+                  <span className="scorecard-metric-value">{formatRate(selected.adherence.onTimeRate)}</span>
+                  <span className="scorecard-muted">
+                    {selected.adherence.onTimeRate === null
+                      ? 'No trip schedule or recorded shifts'
+                      : `${selected.adherence.lateStarts} late of ${selected.adherence.daysWorked} day(s)`}
+                  </span>
+                </div>
+                <div className="scorecard-metric">
+                  <span className="scorecard-card-label">Fare Compliance</span>
+                  <span className="scorecard-metric-value">{formatRate(selected.compliance.complianceRate)}</span>
+                  <span className="scorecard-muted">
+                    {selected.compliance.flagged} flagged of {selected.compliance.ticketsChecked} checked
+                  </span>
+                </div>
+              </div>
+
+              <div className="scorecard-parts">
+                {Object.entries(selected.scoreParts).map(([part, value]) => (
+                  <div key={part} className="scorecard-part">
+                    <span>{PART_LABELS[part]}</span>
+                    <div className="scorecard-part-bar">
+                      <div className={`scorecard-part-fill ${scoreClass(value)}`} style={{ width: `${value}%` }} />
+                    </div>
+                    <span>{Math.round(value)}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="scorecard-charts">
+                <div className="scorecard-chart">
+                  <h4>Revenue per Trip by Week</h4>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <LineChart data={trend}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="week" />
+                      <YAxis />
+                      <Tooltip formatter={(value) => formatAmount(value)} />
+                      <Legend />
+                      <Line type="monotone" dataKey="conductorRevenue" name={selected.conductorName} stroke="#007c91" strokeWidth={2} connectNulls />
+                      <Line type="monotone" dataKey="fleetRevenue" name="Fleet" stroke="#9ca3af" strokeDasharray="5 5" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="scorecard-chart">
+                  <h4>Passengers per Trip by Week</h4>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={trend}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="week" />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Bar dataKey="conductorPassengers" name={selected.conductorName} fill="#007c91" />
+                      <Bar dataKey="fleetPassengers" name="Fleet" fill="#cbd5e1" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Scorecard;
@@ -1,16 +1,18 @@
 import { collection, getDocs, doc, getDoc } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
+import { getRouteDirectionOptions } from '/src/pages/routes/RouteManagement.js';
 
 // Import useful functions from DailyRevenue.js
 import {
   calculateRevenueMetrics,
   preparePieChartData,
   prepareRouteRevenueData,
-  fetchConductorTripsAndPreBooking,
-  fetchPreBookingFromNewPath,
-  fetchPreTicketing
+  fetchRevenueReport
 } from '../DailyRevenue/DailyRevenue.js';
 
+// Local calendar date as a dailyTrips document ID (YYYY-MM-DD)
+const toDateId = (date) => date.toLocaleDateString('en-CA');
+
 // Available time ranges for filtering
 export const getAvailableTimeRanges = async () => {
   return [
@@ -26,6 +28,15 @@ export const getAvailableTimeRanges = async () => {
 // Get available routes from the database 
 export const getAvailableRoutes = async () => {
   try {
+    // Routes & Stops directions; trips are only scanned before any route is set up
+    const configuredRoutes = await getRouteDirectionOptions();
+    if (configuredRoutes.length > 0) {
+      return [
+        { value: 'all', label: 'All Routes' },
+        ...configuredRoutes.map(route => ({ value: route, label: route }))
+      ];
+    }
+
     const conductorsRef = collection(db, 'conductors');
     const conductorsSnapshot = await getDocs(conductorsRef);
     const availableRoutes = new Set();
@@ -113,86 +124,19 @@ export const getTicketAnalyticsData = async (timeRange, route, ticketType = '')
         startDate.setDate(now.getDate() - 30);
     }
 
-    // For range queries, we need to aggregate data from multiple dates
-    let allConductorTrips = [];
-    let allPreBookingTrips = [];
-    let allPreTicketing = [];
-
-    // Get available dates within range
-    const conductorsRef = collection(db, 'conductors');
-    const conductorsSnapshot = await getDocs(conductorsRef);
-    const relevantDates = new Set();
-
-    // Find all dates within the time range
-    for (const conductorDoc of conductorsSnapshot.docs) {
-      const conductorId = conductorDoc.id;
-      
-      try {
-        const dailyTripsRef = collection(db, `conductors/${conductorId}/dailyTrips`);
-        const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-
-        for (const dateDoc of dailyTripsSnapshot.docs) {
-          const dateData = dateDoc.data();
-          const dateId = dateDoc.id;
-
-          let tripDate;
-          if (dateData.createdAt) {
-            tripDate = dateData.createdAt.toDate ? dateData.createdAt.toDate() : new Date(dateData.createdAt);
-          } else {
-            tripDate = new Date(dateId);
-          }
-
-          if (tripDate >= startDate && tripDate <= now) {
-            relevantDates.add(dateId);
-          }
-        }
-      } catch (error) {
-        console.error(`Error processing conductor ${conductorId}:`, error);
-        continue;
-      }
-    }
-
-    // Fetch data for each relevant date
-    for (const dateId of relevantDates) {
-      try {
-        const routeFilter = route === 'all' ? null : route;
-
-        const [{ conductorTrips }, preBookingTrips, preTicketing] = await Promise.all([
-          fetchConductorTripsAndPreBooking(dateId, routeFilter),
-          fetchPreBookingFromNewPath(dateId, routeFilter),
-          fetchPreTicketing(dateId, routeFilter)
-        ]);
-
-        allConductorTrips = [...allConductorTrips, ...conductorTrips];
-        allPreBookingTrips = [...allPreBookingTrips, ...preBookingTrips];
-        allPreTicketing = [...allPreTicketing, ...preTicketing];
-      } catch (error) {
-        console.error(`Error fetching data for date ${dateId}:`, error);
-        continue;
-      }
-    }
+    // One server request aggregates the whole range (route and ticket type
+    // filters are applied on the server)
+    const report = await fetchRevenueReport('daily', {
+      startDate: toDateId(startDate),
+      endDate: toDateId(now),
+      route,
+      ticketType,
+      includeTickets: true
+    });
 
-    // Apply ticket type filtering
-    let filteredConductorTrips = allConductorTrips;
-    let filteredPreBookingTrips = allPreBookingTrips;
-    let filteredPreTicketing = allPreTicketing;
-
-    if (ticketType && ticketType !== '') {
-      switch (ticketType) {
-        case 'conductor':
-          filteredPreBookingTrips = [];
-          filteredPreTicketing = [];
-          break;
-        case 'pre-book':
-          filteredConductorTrips = [];
-          filteredPreTicketing = [];
-          break;
-        case 'pre-ticket':
-          filteredConductorTrips = [];
-          filteredPreBookingTrips = [];
-          break;
-      }
-    }
+    const filteredConductorTrips = report.tickets?.conductorTrips || [];
+    const filteredPreBookingTrips = report.tickets?.preBookingTrips || [];
+    const filteredPreTicketing = report.tickets?.preTicketing || [];
 
     // Use DailyRevenue's calculateRevenueMetrics function with filtered data
     const metrics = calculateRevenueMetrics(filteredConductorTrips, filteredPreBookingTrips, filteredPreTicketing);
@@ -697,87 +641,14 @@ const getPreviousPeriodData = async (timeRange, route, ticketType = '') => {
         previousEndDate.setDate(now.getDate() - 30);
     }
 
-    // Get data for the previous period using same logic as getTicketAnalyticsData
-    let allConductorTrips = [];
-    let allPreBookingTrips = [];
-    let allPreTicketing = [];
-
-    const conductorsRef = collection(db, 'conductors');
-    const conductorsSnapshot = await getDocs(conductorsRef);
-    const relevantDates = new Set();
-
-    // Find all dates within the previous period range
-    for (const conductorDoc of conductorsSnapshot.docs) {
-      const conductorId = conductorDoc.id;
-      
-      try {
-        const dailyTripsRef = collection(db, `conductors/${conductorId}/dailyTrips`);
-        const dailyTripsSnapshot = await getDocs(dailyTripsRef);
-        
-        for (const dateDoc of dailyTripsSnapshot.docs) {
-          const dateData = dateDoc.data();
-          const dateId = dateDoc.id;
-          
-          let tripDate;
-          if (dateData.createdAt) {
-            tripDate = dateData.createdAt.toDate ? dateData.createdAt.toDate() : new Date(dateData.createdAt);
-          } else {
-            tripDate = new Date(dateId);
-          }
-          
-          if (tripDate >= previousStartDate && tripDate <= previousEndDate) {
-            relevantDates.add(dateId);
-          }
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-
-    // Fetch data for each relevant date in previous period
-    for (const dateId of relevantDates) {
-      try {
-        const routeFilter = route === 'all' ? null : route;
-        
-        const [{ conductorTrips }, preBookingTrips, preTicketing] = await Promise.all([
-          fetchConductorTripsAndPreBooking(dateId, routeFilter),
-          fetchPreBookingFromNewPath(dateId, routeFilter),
-          fetchPreTicketing(dateId, routeFilter)
-        ]);
-
-        allConductorTrips = [...allConductorTrips, ...conductorTrips];
-        allPreBookingTrips = [...allPreBookingTrips, ...preBookingTrips];
-        allPreTicketing = [...allPreTicketing, ...preTicketing];
-      } catch (error) {
-        console.error(`Error fetching previous period data for date ${dateId}:`, error);
-        continue;
-      }
-    }
-
-    // Apply ticket type filtering to previous period data
-    let filteredConductorTrips = allConductorTrips;
-    let filteredPreBookingTrips = allPreBookingTrips;
-    let filteredPreTicketing = allPreTicketing;
-
-    if (ticketType && ticketType !== '') {
-      switch (ticketType) {
-        case 'conductor':
-          filteredPreBookingTrips = [];
-          filteredPreTicketing = [];
-          break;
-        case 'pre-book':
-          filteredConductorTrips = [];
-          filteredPreTicketing = [];
-          break;
-        case 'pre-ticket':
-          filteredConductorTrips = [];
-          filteredPreBookingTrips = [];
-          break;
-      }
-    }
-
-    // Calculate previous period metrics with filtered data
-    const previousMetrics = calculateRevenueMetrics(filteredConductorTrips, filteredPreBookingTrips, filteredPreTicketing);
+    // Previous period totals from the server, with the same filters
+    const report = await fetchRevenueReport('daily', {
+      startDate: toDateId(previousStartDate),
+      endDate: toDateId(previousEndDate),
+      route,
+      ticketType
+    });
+    const previousMetrics = report.totals;
     
     return {
       conductorRevenue: previousMetrics.conductorRevenue || 0,
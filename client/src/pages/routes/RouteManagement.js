@@ -0,0 +1,289 @@
+import {
+  collection,
+  onSnapshot,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+  query,
+  where,
+  limit,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from '/src/firebase/firebase.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+
+// ROUTES
+// routes/{routeId}: { name, code, active, stops, aliases }
+// `stops` are ordered from the first terminal to the last:
+//   { id, name, km, latitude, longitude, terminal }
+// `aliases` keeps the older hand-typed spellings of the route (trip
+// directions, SOS routes) so reports can still match them. Conductors and
+// trip schedules store both `routeId` and the route `name`, since the mobile
+// app and the route monitor read the name.
+
+const ROUTES_COLLECTION = 'routes';
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+let routesCache = null;
+let routesCacheTime = 0;
+
+// Same rules as server/routeMigration.js
+export const normalizeRouteName = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const slugify = (text) => normalizeRouteName(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const toRoute = (routeDoc) => {
+  const data = routeDoc.data();
+  return {
+    id: routeDoc.id,
+    ...data,
+    stops: data.stops || [],
+    aliases: data.aliases || []
+  };
+};
+
+const sortRoutes = (routes) => routes.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+// Every direction string a route can appear as in trips: "A - B", "B - A" and its aliases
+export const routeDirections = (route) => {
+  const stops = route.stops || [];
+  const directions = [route.name];
+
+  if (stops.length >= 2) {
+    const first = stops[0].name;
+    const last = stops[stops.length - 1].name;
+    directions.push(`${first} - ${last}`, `${last} - ${first}`);
+  }
+
+  const seen = new Set();
+  return [...directions, ...(route.aliases || [])].filter(direction => {
+    const key = normalizeRouteName(direction);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// The route a free-text route string refers to, if any
+export const findRouteForText = (routes, text) => {
+  const key = normalizeRouteName(text);
+  if (!key) return null;
+  return routes.find(route => routeDirections(route).some(direction => normalizeRouteName(direction) === key)) || null;
+};
+
+// real-time subscription to all routes
+export const subscribeToRoutes = (callback, errorCallback) => {
+  try {
+    return onSnapshot(
+      collection(db, ROUTES_COLLECTION),
+      (querySnapshot) => {
+        const routes = sortRoutes(querySnapshot.docs.map(toRoute));
+        routesCache = routes;
+        routesCacheTime = Date.now();
+        callback(routes);
+      },
+      (error) => {
+        console.error('Error subscribing to routes:', error);
+        if (errorCallback) {
+          errorCallback('Failed to load routes: ' + error.message);
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Error setting up routes subscription:', error);
+    if (errorCallback) {
+      errorCallback('Failed to initialize routes: ' + error.message);
+    }
+    return () => {};
+  }
+};
+
+// One-time read for pickers and reports, cached
+export const getRoutes = async ({ activeOnly = false } = {}) => {
+  try {
+    if (!routesCache || Date.now() - routesCacheTime >= CACHE_DURATION) {
+      const snapshot = await getDocs(collection(db, ROUTES_COLLECTION));
+      routesCache = sortRoutes(snapshot.docs.map(toRoute));
+      routesCacheTime = Date.now();
+    }
+    return activeOnly ? routesCache.filter(route => route.active !== false) : routesCache;
+  } catch (error) {
+    console.error('Error fetching routes:', error);
+    return [];
+  }
+};
+
+// Direction strings of every active route, for report route filters.
+// Empty when no routes are set up yet, so callers can fall back to scanning trips.
+export const getRouteDirectionOptions = async () => {
+  const routes = await getRoutes({ activeOnly: true });
+  const directions = routes.flatMap(routeDirections);
+  return Array.from(new Set(directions)).sort();
+};
+
+const parseCoordinate = (value, min, max) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : NaN;
+};
+
+// Validates and cleans the stops list; returns { stops } or { error }
+const cleanStops = (stops) => {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    return { error: 'A route needs at least two stops' };
+  }
+
+  const usedIds = new Set();
+  const cleaned = [];
+  let previousKm = -Infinity;
+
+  for (const [index, stop] of stops.entries()) {
+    const name = (stop.name || '').trim();
+    if (!name) {
+      return { error: `Stop ${index + 1} needs a name` };
+    }
+
+    const km = stop.km === '' || stop.km === null || stop.km === undefined ? null : Number(stop.km);
+    if (km !== null && (!Number.isFinite(km) || km < 0)) {
+      return { error: `${name}: km post must be a positive number` };
+    }
+    if (km !== null) {
+      if (km < previousKm) {
+        return { error: `${name}: km posts must increase from the first stop to the last` };
+      }
+      previousKm = km;
+    }
+
+    const latitude = parseCoordinate(stop.latitude, -90, 90);
+    const longitude = parseCoordinate(stop.longitude, -180, 180);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude) || (latitude === null) !== (longitude === null)) {
+      return { error: `${name}: enter both latitude and longitude, or neither` };
+    }
+
+    let id = stop.id || slugify(name) || `stop-${index + 1}`;
+    for (let suffix = 2; usedIds.has(id); suffix++) id = `${slugify(name)}-${suffix}`;
+    usedIds.add(id);
+
+    cleaned.push({
+      id,
+      name,
+      km,
+      latitude,
+      longitude,
+      // The ends of a route are always terminals
+      terminal: index === 0 || index === stops.length - 1 || stop.terminal === true
+    });
+  }
+
+  return { stops: cleaned };
+};
+
+// Create (no id) or update a route
+export const saveRoute = async ({ id, name, code, active, stops, aliases }) => {
+  try {
+    if (!name?.trim()) {
+      return { success: false, error: 'Route name is required' };
+    }
+
+    const result = cleanStops(stops);
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    const routeName = name.trim();
+    let routeId = id;
+    let previousName = null;
+
+    if (!routeId) {
+      routeId = slugify(routeName);
+      if (!routeId) {
+        return { success: false, error: 'Route name must contain letters or numbers' };
+      }
+      const existing = await getDoc(doc(db, ROUTES_COLLECTION, routeId));
+      if (existing.exists()) {
+        return { success: false, error: `A route named ${existing.data().name} already exists` };
+      }
+    } else {
+      const current = await getDoc(doc(db, ROUTES_COLLECTION, routeId));
+      previousName = current.exists() ? current.data().name : null;
+    }
+
+    // Keep the old name as an alias so trips recorded under it still match
+    const routeAliases = [...(aliases || [])];
+    if (previousName && normalizeRouteName(previousName) !== normalizeRouteName(routeName)) {
+      routeAliases.push(previousName);
+    }
+
+    const data = {
+      name: routeName,
+      code: (code || '').trim(),
+      active: active !== false,
+      stops: result.stops,
+      aliases: Array.from(new Set(routeAliases.map(alias => alias.trim()).filter(Boolean))),
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.email || null
+    };
+
+    if (id) {
+      await updateDoc(doc(db, ROUTES_COLLECTION, routeId), data);
+    } else {
+      await setDoc(doc(db, ROUTES_COLLECTION, routeId), { ...data, createdAt: serverTimestamp() });
+    }
+    routesCache = null;
+
+    await logActivity(
+      id ? ACTIVITY_TYPES.ROUTE_UPDATE : ACTIVITY_TYPES.ROUTE_CREATE,
+      `${id ? 'Updated' : 'Created'} route ${routeName}`,
+      {
+        routeId,
+        previousName: previousName !== routeName ? previousName : null,
+        code: data.code,
+        stops: data.stops.map(stop => stop.name),
+        terminals: data.stops.filter(stop => stop.terminal).map(stop => stop.name),
+        active: data.active
+      },
+      'info'
+    );
+
+    return { success: true, id: routeId };
+  } catch (error) {
+    console.error('Error saving route:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Routes still assigned to a conductor or trip schedule can't be deleted;
+// deactivate them instead
+export const deleteRoute = async (route) => {
+  try {
+    const [conductors, schedules] = await Promise.all([
+      getDocs(query(collection(db, 'conductors'), where('routeId', '==', route.id), limit(1))),
+      getDocs(query(collection(db, 'trip_sched'), where('routeId', '==', route.id), limit(1)))
+    ]);
+
+    if (!conductors.empty || !schedules.empty) {
+      return {
+        success: false,
+        error: `${route.name} is still assigned to ${!conductors.empty ? 'conductors' : 'trip schedules'}. Reassign them or mark the route inactive instead.`
+      };
+    }
+
+    await deleteDoc(doc(db, ROUTES_COLLECTION, route.id));
+    routesCache = null;
+
+    await logActivity(
+      ACTIVITY_TYPES.ROUTE_DELETE,
+      `Deleted route ${route.name}`,
+      { routeId: route.id, code: route.code || '', stops: (route.stops || []).map(stop => stop.name) },
+      'warning'
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting route:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import './RouteManagement.css';
+import { IoMdAdd } from 'react-icons/io';
+import { FaRoute, FaTrash, FaArrowUp, FaArrowDown, FaMapMarkerAlt } from 'react-icons/fa';
+import { auth } from '/src/firebase/firebase.js';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { hasPermission, isSuperAdmin } from '/src/pages/auth/authService.js';
+import MapCanvas from '/src/pages/conductor/MapCanvas.jsx';
+import { toPolylinePoints } from '/src/pages/conductor/fleetMap.js';
+import { subscribeToRoutes, saveRoute, deleteRoute, routeDirections } from './RouteManagement.js';
+
+const emptyStop = () => ({ id: '', name: '', km: '', latitude: '', longitude: '', terminal: false });
+
+const emptyRoute = () => ({
+  id: null,
+  name: '',
+  code: '',
+  active: true,
+  stops: [{ ...emptyStop(), km: 0, terminal: true }, { ...emptyStop(), terminal: true }],
+  aliases: []
+});
+
+// Stops as editable strings for the form inputs
+const toEditable = (route) => ({
+  ...emptyRoute(),
+  ...route,
+  stops: route.stops.map(stop => ({
+    ...stop,
+    km: stop.km ?? '',
+    latitude: stop.latitude ?? '',
+    longitude: stop.longitude ?? ''
+  })),
+  aliases: route.aliases || []
+});
+
+const hasCoordinates = (stop) => stop.latitude !== '' && stop.latitude !== null && stop.longitude !== '' && stop.longitude !== null;
+
+function RouteManagement() {
+  const [user] = useAuthState(auth);
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [permissions, setPermissions] = useState({ canEdit: false, canDelete: false });
+  const [editing, setEditing] = useState(null);
+  const [activeStop, setActiveStop] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPermissions = async () => {
+      if (user) {
+        const [canEdit, canDelete] = await Promise.all([
+          hasPermission(user.uid, 'manage_routes'),
+          isSuperAdmin(user.uid)
+        ]);
+        setPermissions({ canEdit, canDelete });
+      }
+    };
+    loadPermissions();
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = subscribeToRoutes((routeList) => {
+      setRoutes(routeList);
+      setLoading(false);
+    }, (errorMsg) => {
+      setError(errorMsg);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Fit the saved stops only, so placing a stop doesn't move the map
+  const fitPoints = useMemo(() => {
+    const source = editing?.id ? routes.filter(route => route.id === editing.id) : routes;
+    return source
+      .flatMap(route => route.stops)
+      .filter(stop => stop.latitude !== null && stop.longitude !== null && stop.latitude !== undefined);
+  }, [editing?.id, routes]);
+
+  const stats = {
+    total: routes.length,
+    active: routes.filter(route => route.active !== false).length,
+    stops: routes.reduce((sum, route) => sum + route.stops.length, 0)
+  };
+
+  const updateEditing = (changes) => setEditing(current => ({ ...current, ...changes }));
+
+  const updateStop = (index, changes) => {
+    setEditing(current => ({
+      ...current,
+      stops: current.stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop))
+    }));
+  };
+
+  const addStop = () => {
+    // New stops go before the last terminal
+    setEditing(current => {
+      const stops = [...current.stops];
+      stops.splice(stops.length - 1, 0, emptyStop());
+      return { ...current, stops };
+    });
+    setActiveStop(editing.stops.length - 1);
+  };
+
+  const removeStop = (index) => {
+    setEditing(current => ({ ...current, stops: current.stops.filter((_, i) => i !== index) }));
+    setActiveStop(0);
+  };
+
+  const moveStop = (index, offset) => {
+    setEditing(current => {
+      const stops = [...current.stops];
+      const [stop] = stops.splice(index, 1);
+      stops.splice(index + offset, 0, stop);
+      return { ...current, stops };
+    });
+    setActiveStop(index + offset);
+  };
+
+  const handleMapClick = ({ latitude, longitude }) => {
+    if (!editing || !editing.stops[activeStop]) return;
+    updateStop(activeStop, {
+      latitude: Number(latitude.toFixed(6)),
+      longitude: Number(longitude.toFixed(6))
+    });
+  };
+
+  const handleEdit = (route) => {
+    setEditing(route ? toEditable(route) : emptyRoute());
+    setActiveStop(0);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await saveRoute(editing);
+    setSaving(false);
+
+    if (result.success) {
+      setEditing(null);
+    } else {
+      alert(`Failed to save route: ${result.error}`);
+    }
+  };
+
+  const handleDelete = async (route) => {
+    if (!window.confirm(`Are you sure you want to delete the route ${route.name}?\n\nThis action cannot be undone.`)) {
+      return;
+    }
+
+    const result = await deleteRoute(route);
+    if (result.success) {
+      if (editing?.id === route.id) setEditing(null);
+    } else {
+      alert(`Failed to delete route: ${result.error}`);
+    }
+  };
+
+  const drawRoute = (viewport, route, isEditing) => {
+    const placed = route.stops
+      .map((stop, index) => ({ ...stop, index }))
+      .filter(hasCoordinates)
+      .map(stop => ({ ...stop, latitude: Number(stop.latitude), longitude: Number(stop.longitude) }));
+    if (placed.length === 0) return null;
+
+    return (
+      <g key={route.id || 'new'} className={`routes-map-route ${isEditing ? 'editing' : ''} ${route.active === false ? 'inactive' : ''}`}>
+        <polyline points={toPolylinePoints(viewport, placed)} className="routes-map-line" />
+        {placed.map(stop => {
+          const point = viewport.toScreen(stop.latitude, stop.longitude);
+          return (
+            <g key={stop.id || stop.index}>
+              <circle
+                cx={point.x}
+                cy={point.y}
+                r={stop.terminal ? 7 : 5}
+                className={`routes-map-stop ${stop.terminal ? 'terminal' : ''} ${isEditing && stop.index === activeStop ? 'active' : ''} ${isEditing ? 'map-interactive' : ''}`}
+                onClick={isEditing ? () => setActiveStop(stop.index) : undefined}
+              >
+                <title>{stop.name}{stop.km !== '' && stop.km !== null ? ` (km ${stop.km})` : ''}</title>
+              </circle>
+              {isEditing && (
+                <text x={point.x + 9} y={point.y + 4} className="routes-map-label">{stop.name}</text>
+              )}
+            </g>
+          );
+        })}
+      </g>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="routes-container">
+        <div className="routes-loading">Loading routes...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="routes-container">
+      <div className="routes-wrapper">
+        {/* Header Section */}
+        <div className="routes-header">
+          <div className="routes-header-content">
+            <div className="routes-header-top">
+              <h1 className="routes-main-title">Routes & Stops</h1>
+              {permissions.canEdit && !editing && (
+                <button className="routes-add-btn" onClick={() => handleEdit(null)}>
+                  <IoMdAdd />
+                  <span>Add Route</span>
+                </button>
+              )}
+            </div>
+
+            <div className="routes-stats">
+              <div className="routes-stat-card">
+                <FaRoute className="routes-stat-icon" />
+                <div>
+                  <div className="routes-stat-number">{stats.total}</div>
+                  <div className="routes-stat-label">Routes ({stats.active} active)</div>
+                </div>
+              </div>
+              <div className="routes-stat-card">
+                <FaMapMarkerAlt className="routes-stat-icon" />
+                <div>
+                  <div className="routes-stat-number">{stats.stops}</div>
+                  <div className="routes-stat-label">Stops</div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="routes-error">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <div className="routes-body">
+          <div className="routes-panel">
+            {editing ? (
+              <div className="routes-form">
+                <h3>{editing.id ? `Edit ${editing.name}` : 'New Route'}</h3>
+
+                <div className="routes-form-row">
+                  <label>
+                    Route name
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => updateEditing({ name: e.target.value })}
+                      placeholder="e.g., Batangas - Lipa"
+                    />
+                  </label>
+                  <label className="routes-form-code">
+                    Code
+                    <input
+                      type="text"
+                      value={editing.code}
+                      onChange={(e) => updateEditing({ code: e.target.value })}
+                      placeholder="e.g., BTG-LPA"
+                    />
+                  </label>
+                </div>
+
+                <label className="routes-form-toggle">
+                  <input
+                    type="checkbox"
+                    checked={editing.active}
+                    onChange={(e) => updateEditing({ active: e.target.checked })}
+                  />
+                  Active (shown in conductor, schedule and report pickers)
+                </label>
+
+                <div className="routes-stops-header">
+                  <span>Stops</span>
+                  <span className="routes-muted">Select a stop, then click the map to place it.</span>
+                </div>
+
+                <table className="routes-stops-table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Stop</th>
+                      <th>Km</th>
+                      <th>Latitude</th>
+                      <th>Longitude</th>
+                      <th>Terminal</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {editing.stops.map((stop, index) => {
+                      const isEnd = index === 0 || index === editing.stops.length - 1;
+                      return (
+                        <tr
+                          key={index}
+                          className={index === activeStop ? 'active' : ''}
+                          onClick={() => setActiveStop(index)}
+                        >
+                          <td>{index + 1}</td>
+                          <td>
+                            <input
+                              type="text"
+                              value={stop.name}
+                              onChange={(e) => updateStop(index, { name: e.target.value })}
+                              placeholder="Stop name"
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.1"
+                              className="routes-input-short"
+                              value={stop.km}
+                              onChange={(e) => updateStop(index, { km: e.target.value })}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              step="0.000001"
+                              value={stop.latitude}
+                              onChange={(e) => updateStop(index, { latitude: e.target.value })}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              step="0.000001"
+                              value={stop.longitude}
+                              onChange={(e) => updateStop(index, { longitude: e.target.value })}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="checkbox"
+                              checked={isEnd || stop.terminal}
+                              disabled={isEnd}
+                              onChange={(e) => updateStop(index, { terminal: e.target.checked })}
+                              title={isEnd ? 'The first and last stops are always terminals' : 'Terminal'}
+                            />
+                          </td>
+                          <td className="routes-stop-actions" onClick={(e) => e.stopPropagation()}>
+                            <button type="button" onClick={() => moveStop(index, -1)} disabled={index === 0} title="Move up">
+                              <FaArrowUp />
+                            </button>
+                            <button type="button" onClick={() => moveStop(index, 1)} disabled={index === editing.stops.length - 1} title="Move down">
+                              <FaArrowDown />
+                            </button>
+                            <button type="button" onClick={() => removeStop(index)} disabled={editing.stops.length <= 2} title="Remove stop">
+                              <FaTrash />
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+
+                <button type="button" className="routes-add-stop-btn" onClick={addStop}>
+                  <IoMdAdd /> Add Stop
+                </button>
+
+                {editing.aliases.length > 0 && (
+                  <div className="routes-aliases">
+                    <span className="routes-muted">Also matches: </span>
+                    {editing.aliases.map(alias => (
+                      <span key={alias} className="routes-alias-chip">
+                        {alias}
+                        <button
+                          type="button"
+                          onClick={() => updateEditing({ aliases: editing.aliases.filter(item => item !== alias) })}
+                          title="Remove alias"
+                        >
+                          &times;
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                <div className="routes-form-actions">
+                  <button type="button" className="routes-btn routes-btn-secondary" onClick={() => setEditing(null)} disabled={saving}>
+                    Cancel
+                  </button>
+                  <button type="button" className="routes-btn routes-btn-primary" onClick={handleSave} disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Route'}
+                  </button>
+                </div>
+              </div>
+            ) : routes.length === 0 ? (
+              <div className="routes-empty-state">
+                <FaRoute className="routes-empty-icon" />
+                <h3>No Routes</h3>
+                <p>
+                  Routes are still typed by hand on conductors and schedules.
+                  {permissions.canEdit && " Click 'Add Route' to create the first one, or import the existing route names with npm run routes:migrate."}
+                </p>
+              </div>
+            ) : (
+              <ul className="routes-list">
+                {routes.map(route => {
+                  const first = route.stops[0];
+                  const last = route.stops[route.stops.length - 1];
+                  return (
+                    <li key={route.id} className={route.active === false ? 'inactive' : ''}>
+                      <div
+                        className="routes-list-main"
+                        onClick={() => (permissions.canEdit ? handleEdit(route) : null)}
+                      >
+                        <strong>
+                          {route.name}
+                          {route.code && <span className="routes-code">{route.code}</span>}
+                        </strong>
+                        <span className="routes-muted">
+                          {first?.name} → {last?.name} · {route.stops.length} stops
+                          {last?.km !== null && last?.km !== undefined ? ` · ${last.km} km` : ''}
+                          {route.active === false ? ' · inactive' : ''}
+                        </span>
+                        <span className="routes-muted routes-list-directions">
+                          {routeDirections(route).length - 1 > 0 && `Matches ${routeDirections(route).slice(1).join(', ')}`}
+                        </span>
+                      </div>
+                      {permissions.canDelete && (
+                        <button type="button" className="routes-delete-btn" onClick={() => handleDelete(route)} title="Delete route">
+                          <FaTrash />
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          <div className="routes-map">
+            <MapCanvas
+              fitPoints={fitPoints}
+              onMapClick={editing ? handleMapClick : null}
+              emptyMessage={!editing && fitPoints.length === 0 ? 'No stops with coordinates yet.' : null}
+            >
+              {(viewport) => (
+                <>
+                  {routes
+                    .filter(route => route.id !== editing?.id)
+                    .map(route => drawRoute(viewport, route, false))}
+                  {editing && drawRoute(viewport, editing, true)}
+                </>
+              )}
+            </MapCanvas>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RouteManagement;
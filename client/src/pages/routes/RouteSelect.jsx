@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getRoutes, findRouteForText } from './RouteManagement.js';
+
+// Route picker backed by the `routes` collection. Calls
+// onChange({ routeId, route }) with the route id and name. Falls back to a
+// free-text input while no routes are set up.
+const RouteSelect = ({ id, className, routeId, route, onChange, required = false }) => {
+  const [routes, setRoutes] = useState(null);
+  // Parents pass a new onChange on every render; the matching effect below
+  // must not rerun for that
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getRoutes({ activeOnly: true }).then(routeList => {
+      if (!cancelled) setRoutes(routeList);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Records saved before routes existed only have the route text. Once the
+  // match is reported routeId is set, so this doesn't fire again.
+  useEffect(() => {
+    if (!routes || routeId || !route) return;
+    const match = findRouteForText(routes, route);
+    if (match) onChangeRef.current({ routeId: match.id, route: match.name });
+  }, [routes, routeId, route]);
+
+  if (routes === null) {
+    return (
+      <select id={id} className={className} disabled>
+        <option>Loading routes...</option>
+      </select>
+    );
+  }
+
+  if (routes.length === 0) {
+    return (
+      <input
+        type="text"
+        id={id}
+        className={className}
+        value={route || ''}
+        onChange={(e) => onChange({ routeId: null, route: e.target.value })}
+        placeholder="Enter route (e.g., Batangas - Manila)"
+        required={required}
+      />
+    );
+  }
+
+  const isUnknown = !routeId && route;
+  const isInactive = routeId && !routes.some(item => item.id === routeId);
+
+  return (
+    <select
+      id={id}
+      className={className}
+      value={routeId || (isUnknown ? '__current' : '')}
+      onChange={(e) => {
+        const selected = routes.find(item => item.id === e.target.value);
+        onChange(selected ? { routeId: selected.id, route: selected.name } : { routeId: null, route: '' });
+      }}
+      required={required}
+    >
+      <option value="">Select a route</option>
+      {isUnknown && <option value="__current" disabled>{route} (not in Routes & Stops)</option>}
+      {isInactive && <option value={routeId}>{route} (inactive)</option>}
+      {routes.map(item => (
+        <option key={item.id} value={item.id}>
+          {item.name}{item.code ? ` (${item.code})` : ''}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default RouteSelect;
@@ -13,6 +13,7 @@ import {
 } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
 import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { checkScheduleCoding } from '/src/pages/settings/numberCoding.js';
 
 // Collection reference
 const TRIP_SCHEDULES_COLLECTION = 'trip_sched';
@@ -191,9 +192,20 @@ export const addTripSchedule = async (scheduleData) => {
       return time24A.localeCompare(time24B);
     });
 
+    // Trips during coding hours on the bus's coding day are refused when coding is enforced
+    const coding = await checkScheduleCoding({
+      conductorId: scheduleData.conductorId.trim(),
+      routeId: scheduleData.routeId || null,
+      schedules: sortedSchedules
+    });
+    if (coding?.blocked && (scheduleData.status || 'active') === 'active') {
+      throw new Error(coding.message);
+    }
+
     // Prepare the document data
     const docData = {
       route: scheduleData.route.trim(),
+      routeId: scheduleData.routeId || null,
       schedules: formatSchedulesForStorage(sortedSchedules), // Store as comma-separated string
       status: scheduleData.status || 'active',
       createdAt: serverTimestamp(),
@@ -211,6 +223,7 @@ export const addTripSchedule = async (scheduleData) => {
       {
         scheduleId: conductorId,
         route: docData.route,
+        routeId: docData.routeId,
         conductorId: conductorId,
         schedules: sortedSchedules,
         schedulesCount: sortedSchedules.length,
@@ -299,6 +312,17 @@ export const updateTripSchedule = async (scheduleId, updateData) => {
     const currentDoc = await getDoc(scheduleRef);
     const currentData = currentDoc.exists() ? currentDoc.data() : null;
 
+    if ('schedules' in processedData || 'routeId' in processedData || 'status' in processedData) {
+      const coding = await checkScheduleCoding({
+        conductorId: scheduleId,
+        routeId: processedData.routeId !== undefined ? processedData.routeId : currentData?.routeId,
+        schedules: parseSchedules(processedData.schedules || currentData?.schedules)
+      });
+      if (coding?.blocked && (processedData.status || currentData?.status || 'active') === 'active') {
+        throw new Error(coding.message);
+      }
+    }
+
     // Update in Firestore
     await updateDoc(scheduleRef, docData);
 
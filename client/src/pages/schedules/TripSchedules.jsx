@@ -14,6 +14,8 @@ import {
   formatDisplayTime 
 } from './TripSchedules.js';
 import { hasPermission } from '/src/pages/auth/authService.js';
+import RouteSelect from '/src/pages/routes/RouteSelect.jsx';
+import { checkScheduleCoding } from '/src/pages/settings/numberCoding.js';
 
 function TripSchedules() {
   const [user] = useAuthState(auth);
@@ -63,9 +65,21 @@ function TripSchedules() {
     return () => unsubscribe();
   }, [user]);
 
+  // Coding conflicts are confirmed here; when coding is enforced the service refuses them instead
+  const confirmCodingConflict = async (conductorId, scheduleData) => {
+    const coding = await checkScheduleCoding({
+      conductorId,
+      routeId: scheduleData.routeId || null,
+      schedules: scheduleData.schedules
+    });
+    if (!coding || coding.blocked || scheduleData.status !== 'active') return true;
+    return window.confirm(`${coding.message}\n\nSave the schedule anyway?`);
+  };
+
   const handleAddSchedule = async (scheduleData) => {
     try {
       setActionLoading(true);
+      if (!(await confirmCodingConflict(scheduleData.conductorId.trim(), scheduleData))) return;
       await addTripSchedule(scheduleData);
       setShowAddModal(false);
     } catch (err) {
@@ -98,6 +112,7 @@ function TripSchedules() {
   const handleUpdateSchedule = async (scheduleData) => {
     try {
       setActionLoading(true);
+      if (!(await confirmCodingConflict(editingSchedule.id, scheduleData))) return;
       await updateTripSchedule(editingSchedule.id, scheduleData);
       setShowEditModal(false);
       setEditingSchedule(null);
@@ -279,6 +294,7 @@ function AddScheduleModal({ onClose, onAdd, loading }) {
   const [formData, setFormData] = useState({
     conductorId: '',
     route: '',
+    routeId: null,
     schedules: [''],
     status: 'active'
   });
@@ -292,7 +308,7 @@ function AddScheduleModal({ onClose, onAdd, loading }) {
     }
     
     if (!formData.route.trim()) {
-      alert('Please enter a route name');
+      alert('Please select a route');
       return;
     }
     
@@ -350,12 +366,11 @@ function AddScheduleModal({ onClose, onAdd, loading }) {
           
           <div className="tripsch-form-group">
             <label className="tripsch-form-label">Route Name</label>
-            <input
-              type="text"
+            <RouteSelect
               className="tripsch-form-input"
-              value={formData.route}
-              onChange={(e) => setFormData({ ...formData, route: e.target.value })}
-              placeholder="e.g., Rosario - SM City Lipa"
+              routeId={formData.routeId}
+              route={formData.route}
+              onChange={({ routeId, route }) => setFormData(prev => ({ ...prev, routeId, route }))}
               required
             />
           </div>
@@ -423,6 +438,7 @@ function EditScheduleModal({ onClose, onUpdate, loading, initialData }) {
   const [formData, setFormData] = useState({
     conductorId: initialData?.conductorId || '',
     route: initialData?.route || '',
+    routeId: initialData?.routeId || null,
     schedules: [],
     status: initialData?.status || 'active'
   });
@@ -482,6 +498,7 @@ function EditScheduleModal({ onClose, onUpdate, loading, initialData }) {
       setFormData({
         conductorId: initialData.conductorId || '',
         route: initialData.route || '',
+        routeId: initialData.routeId || null,
         schedules: schedulesIn24Hour,
         status: initialData.status || 'active'
       });
@@ -497,7 +514,7 @@ function EditScheduleModal({ onClose, onUpdate, loading, initialData }) {
     }
     
     if (!formData.route.trim()) {
-      alert('Please enter a route name');
+      alert('Please select a route');
       return;
     }
     
@@ -555,12 +572,11 @@ function EditScheduleModal({ onClose, onUpdate, loading, initialData }) {
           
           <div className="tripsch-form-group">
             <label className="tripsch-form-label">Route Name</label>
-            <input
-              type="text"
+            <RouteSelect
               className="tripsch-form-input"
-              value={formData.route}
-              onChange={(e) => setFormData({ ...formData, route: e.target.value })}
-              placeholder="e.g., Rosario - SM City Lipa"
+              routeId={formData.routeId}
+              route={formData.route}
+              onChange={({ routeId, route }) => setFormData(prev => ({ ...prev, routeId, route }))}
               required
             />
           </div>
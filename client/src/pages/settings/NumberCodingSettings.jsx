@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { FaPlusCircle, FaTrash } from 'react-icons/fa';
+import { MdOutlineSecurity } from 'react-icons/md';
+import {
+  getCodingRules,
+  saveCodingRules,
+  CODING_DAYS,
+  ENFORCEMENT_MODES
+} from './numberCoding.js';
+import { getRoutes } from '/src/pages/routes/RouteManagement.js';
+
+const DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+const toForm = (rules) => ({
+  enabled: rules.enabled,
+  enforcement: rules.enforcement,
+  digitDays: { ...rules.digitDays },
+  window: { ...rules.window },
+  exemptRouteIds: [...rules.exemptRouteIds],
+  exemptAreas: rules.exemptAreas.join('\n'),
+  holidays: rules.holidays.map(holiday => ({ ...holiday }))
+});
+
+// Number coding rules tab of System Management. Only superadmins can change them.
+function NumberCodingSettings({ canEdit }) {
+  const [form, setForm] = useState(null);
+  const [routes, setRoutes] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getCodingRules({ fresh: true }).then(rules => setForm(toForm(rules)));
+    getRoutes().then(setRoutes);
+  }, []);
+
+  if (!form) {
+    return <div className="backup-loading">Loading number coding rules...</div>;
+  }
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const toggleRoute = (routeId) => update({
+    exemptRouteIds: form.exemptRouteIds.includes(routeId)
+      ? form.exemptRouteIds.filter(id => id !== routeId)
+      : [...form.exemptRouteIds, routeId]
+  });
+
+  const updateHoliday = (index, changes) => update({
+    holidays: form.holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday))
+  });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await saveCodingRules({
+      ...form,
+      exemptAreas: form.exemptAreas.split(/[\n,]/)
+    });
+    setSaving(false);
+
+    if (result.success) {
+      const rules = await getCodingRules();
+      setForm(toForm(rules));
+      alert(result.conductorsUpdated > 0
+        ? `Number coding rules saved. Updated the coding day of ${result.conductorsUpdated} conductor(s).`
+        : 'Number coding rules saved.');
+    } else {
+      alert(`Failed to save number coding rules: ${result.error}`);
+    }
+  };
+
+  return (
+    <form className="number-coding-tab" onSubmit={handleSave}>
+      <div className="backup-section">
+        <div className="backup-section-header">
+          <MdOutlineSecurity size={24} />
+          <h3>Enforcement</h3>
+        </div>
+        <label className="coding-checkbox">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            disabled={!canEdit}
+          />
+          Apply number coding to trip schedules and reservations
+        </label>
+        <div className="settings-form-row">
+          <div className="settings-form-group">
+            <label>When a bus would run on its coding day</label>
+            <select
+              value={form.enforcement}
+              onChange={(e) => update({ enforcement: e.target.value })}
+              disabled={!canEdit}
+            >
+              {ENFORCEMENT_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="settings-form-row">
+            <div className="settings-form-group">
+              <label>Coding starts</label>
+              <input
+                type="time"
+                value={form.window.start}
+                onChange={(e) => update({ window: { ...form.window, start: e.target.value } })}
+                disabled={!canEdit}
+                required
+              />
+            </div>
+            <div className="settings-form-group">
+              <label>Coding ends</label>
+              <input
+                type="time"
+                value={form.window.end}
+                onChange={(e) => update({ window: { ...form.window, end: e.target.value } })}
+                disabled={!canEdit}
+                required
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="backup-section">
+        <div className="backup-section-header">
+          <h3>Coding Day by Last Plate Digit</h3>
+        </div>
+        <div className="coding-digit-grid">
+          {DIGITS.map(digit => (
+            <div key={digit} className="settings-form-group">
+              <label>Ends in {digit}</label>
+              <select
+                value={form.digitDays[digit] || ''}
+                onChange={(e) => update({ digitDays: { ...form.digitDays, [digit]: e.target.value || null } })}
+                disabled={!canEdit}
+              >
+                <option value="">No coding</option>
+                {CODING_DAYS.map(day => (
+                  <option key={day} value={day}>{day}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="backup-section">
+        <div className="backup-section-header">
+          <h3>Exemptions</h3>
+        </div>
+        <div className="settings-form-group">
+          <label>Exempt routes</label>
+          {routes.length === 0 ? (
+            <p className="coding-hint">No routes set up yet.</p>
+          ) : (
+            <div className="coding-route-list">
+              {routes.map(route => (
+                <label key={route.id} className="coding-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={form.exemptRouteIds.includes(route.id)}
+                    onChange={() => toggleRoute(route.id)}
+                    disabled={!canEdit}
+                  />
+                  {route.name}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="settings-form-group">
+          <label>Exempt areas</label>
+          <textarea
+            className="coding-textarea"
+            rows={3}
+            value={form.exemptAreas}
+            onChange={(e) => update({ exemptAreas: e.target.value })}
+            placeholder="One place per line, e.g., Batangas City"
+            disabled={!canEdit}
+          />
+          <p className="coding-hint">Reservations whose pick-up and drop-off are both in exempt areas are not coded.</p>
+        </div>
+      </div>
+
+      <div className="backup-section">
+        <div className="backup-section-header">
+          <h3>Holiday Suspensions</h3>
+        </div>
+        {form.holidays.length === 0 && <p className="coding-hint">No holidays added. Coding applies on every weekday.</p>}
+        {form.holidays.map((holiday, index) => (
+          <div key={index} className="coding-holiday-row">
+            <input
+              type="date"
+              value={holiday.date}
+              onChange={(e) => updateHoliday(index, { date: e.target.value })}
+              disabled={!canEdit}
+              required
+            />
+            <input
+              type="text"
+              value={holiday.name}
+              onChange={(e) => updateHoliday(index, { name: e.target.value })}
+              placeholder="e.g., Independence Day"
+              disabled={!canEdit}
+            />
+            {canEdit && (
+              <button
+                type="button"
+                className="coding-remove-btn"
+                onClick={() => update({ holidays: form.holidays.filter((_, i) => i !== index) })}
+                title="Remove holiday"
+              >
+                <FaTrash />
+              </button>
+            )}
+          </div>
+        ))}
+        {canEdit && (
+          <button
+            type="button"
+            className="coding-add-btn"
+            onClick={() => update({ holidays: [...form.holidays, { date: '', name: '' }] })}
+          >
+            <FaPlusCircle /> Add holiday
+          </button>
+        )}
+      </div>
+
+      {canEdit ? (
+        <div className="settings-form-actions">
+          <button type="submit" className="settings-btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Coding Rules'}
+          </button>
+        </div>
+      ) : (
+        <p className="coding-hint">Only superadmins can change number coding rules.</p>
+      )}
+    </form>
+  );
+}
+
+export default NumberCodingSettings;
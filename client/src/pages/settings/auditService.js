@@ -14,9 +14,16 @@ export const ACTIVITY_TYPES = {
   CONDUCTOR_CREATE: 'CONDUCTOR_CREATE',
   CONDUCTOR_UPDATE: 'CONDUCTOR_UPDATE',
   CONDUCTOR_DELETE: 'CONDUCTOR_DELETE',
+  CONDUCTOR_IMPORT: 'CONDUCTOR_IMPORT',
+  CONDUCTOR_RESTORE: 'CONDUCTOR_RESTORE',
+  CONDUCTOR_PURGE: 'CONDUCTOR_PURGE',
   BUS_CREATE: 'BUS_CREATE',
   BUS_UPDATE: 'BUS_UPDATE',
   BUS_DELETE: 'BUS_DELETE',
+  BUS_ASSIGN: 'BUS_ASSIGN',
+  BUS_UNASSIGN: 'BUS_UNASSIGN',
+  BUS_MAINTENANCE_LOG: 'BUS_MAINTENANCE_LOG',
+  BUS_MAINTENANCE_DELETE: 'BUS_MAINTENANCE_DELETE',
   TICKET_SCAN: 'TICKET_SCAN',
   TICKET_DELETE: 'TICKET_DELETE',
   BOOKING_STATUS_UPDATE: 'BOOKING_STATUS_UPDATE',
@@ -27,8 +34,22 @@ export const ACTIVITY_TYPES = {
   SCHEDULE_DELETE: 'SCHEDULE_DELETE',
   SOS_MARK_RECEIVED: 'SOS_MARK_RECEIVED',
   SOS_DELETE: 'SOS_DELETE',
+  ROUTE_CREATE: 'ROUTE_CREATE',
+  ROUTE_UPDATE: 'ROUTE_UPDATE',
+  ROUTE_DELETE: 'ROUTE_DELETE',
+  FARE_TABLE_CREATE: 'FARE_TABLE_CREATE',
+  FARE_TABLE_ACTIVATE: 'FARE_TABLE_ACTIVATE',
+  FARE_TABLE_CANCEL: 'FARE_TABLE_CANCEL',
+  ROUTE_CORRIDOR_CREATE: 'ROUTE_CORRIDOR_CREATE',
+  ROUTE_CORRIDOR_UPDATE: 'ROUTE_CORRIDOR_UPDATE',
+  ROUTE_CORRIDOR_DELETE: 'ROUTE_CORRIDOR_DELETE',
+  ROUTE_DEVIATION: 'ROUTE_DEVIATION',
+  ROUTE_DEVIATION_RESOLVED: 'ROUTE_DEVIATION_RESOLVED',
+  ROUTE_ALERT_ACKNOWLEDGE: 'ROUTE_ALERT_ACKNOWLEDGE',
   PAYMENT_UPDATE: 'PAYMENT_UPDATE',
   PAYMENT_DELETE: 'PAYMENT_DELETE',
+  PAYMENT_REFUND: 'PAYMENT_REFUND',
+  CODING_RULES_UPDATE: 'CODING_RULES_UPDATE',
   SYSTEM_ERROR: 'SYSTEM_ERROR',
   DATA_EXPORT: 'DATA_EXPORT',
   SYSTEM_BACKUP: 'SYSTEM_BACKUP',
@@ -0,0 +1,285 @@
+import {
+  collection,
+  getDocs,
+  getDoc,
+  setDoc,
+  doc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { auth, db } from '/src/firebase/firebase.js';
+import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+
+// NUMBER CODING
+// settings/numberCoding: {
+//   enabled, enforcement: 'warn' | 'block',
+//   digitDays: { '0'..'9': 'Monday'..'Friday' | null },   last plate digit → coding day
+//   window: { start: 'HH:MM', end: 'HH:MM' },             hours the ban applies
+//   exemptRouteIds: [routeId], exemptAreas: [place name],
+//   holidays: [{ date: 'YYYY-MM-DD', name }]               coding suspended
+// }
+// Until the document is saved the Metro Manila scheme below applies.
+// Conductors keep a `codingDay` copy for display; saving new digit days
+// refreshes those copies.
+
+const SETTINGS_COLLECTION = 'settings';
+const NUMBER_CODING_DOC = 'numberCoding';
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+const BATCH_LIMIT = 400;
+
+export const CODING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+export const ENFORCEMENT_MODES = [
+  { value: 'warn', label: 'Warn and ask to confirm' },
+  { value: 'block', label: 'Block' }
+];
+
+export const DEFAULT_CODING_RULES = {
+  enabled: true,
+  enforcement: 'warn',
+  digitDays: {
+    '1': 'Monday', '2': 'Monday',
+    '3': 'Tuesday', '4': 'Tuesday',
+    '5': 'Wednesday', '6': 'Wednesday',
+    '7': 'Thursday', '8': 'Thursday',
+    '9': 'Friday', '0': 'Friday'
+  },
+  window: { start: '07:00', end: '20:00' },
+  exemptRouteIds: [],
+  exemptAreas: [],
+  holidays: []
+};
+
+let rulesCache = null;
+let rulesCacheTime = 0;
+
+const withDefaults = (data = {}) => ({
+  ...DEFAULT_CODING_RULES,
+  ...data,
+  digitDays: { ...DEFAULT_CODING_RULES.digitDays, ...(data.digitDays || {}) },
+  window: { ...DEFAULT_CODING_RULES.window, ...(data.window || {}) },
+  exemptRouteIds: data.exemptRouteIds || [],
+  exemptAreas: data.exemptAreas || [],
+  holidays: data.holidays || []
+});
+
+export const getCodingRules = async ({ fresh = false } = {}) => {
+  try {
+    if (fresh || !rulesCache || Date.now() - rulesCacheTime >= CACHE_DURATION) {
+      const snapshot = await getDoc(doc(db, SETTINGS_COLLECTION, NUMBER_CODING_DOC));
+      rulesCache = withDefaults(snapshot.exists() ? snapshot.data() : {});
+      rulesCacheTime = Date.now();
+    }
+    return rulesCache;
+  } catch (error) {
+    console.error('Error fetching number coding rules:', error);
+    return withDefaults();
+  }
+};
+
+// Coding day of a plate under the given rules: 'Monday'..'Friday' or 'Unknown'
+export const codingDayForPlate = (plateNumber, rules = DEFAULT_CODING_RULES) => {
+  const match = String(plateNumber || '').match(/(\d)\D*$/);
+  return (match && rules.digitDays[match[1]]) || 'Unknown';
+};
+
+export const getCodingDayFromPlate = async (plateNumber) => codingDayForPlate(plateNumber, await getCodingRules());
+
+// '8:00 AM' or '08:00' → minutes after midnight, null if unreadable
+export const timeToMinutes = (time) => {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10) % (match[3] ? 12 : 24);
+  if (match[3] && match[3].toUpperCase() === 'PM') hours += 12;
+  return hours * 60 + parseInt(match[2], 10);
+};
+
+const formatTime = (time) => {
+  const minutes = timeToMinutes(time);
+  if (minutes === null) return time;
+  const hours = Math.floor(minutes / 60);
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`;
+};
+
+export const codingWindowLabel = (rules) => `${formatTime(rules.window.start)}–${formatTime(rules.window.end)}`;
+
+const inWindow = (time, rules) => {
+  const minutes = timeToMinutes(time);
+  const start = timeToMinutes(rules.window.start);
+  const end = timeToMinutes(rules.window.end);
+  // Unknown times are treated as inside the window
+  return minutes === null || start === null || end === null || (minutes >= start && minutes < end);
+};
+
+const normalizePlace = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Exempt when the route is, or every place the trip touches is in an exempt area
+export const isCodingExempt = ({ routeId = null, places = [] }, rules) => {
+  if (routeId && rules.exemptRouteIds.includes(routeId)) return true;
+
+  const areas = rules.exemptAreas.map(normalizePlace).filter(Boolean);
+  const stops = places.map(normalizePlace).filter(Boolean);
+  return areas.length > 0 && stops.length > 0 &&
+    stops.every(stop => areas.some(area => stop.includes(area)));
+};
+
+const toLocalISODate = (date) => date.toLocaleDateString('en-CA');
+
+export const holidayOn = (date, rules) => rules.holidays.find(holiday => holiday.date === toLocalISODate(date)) || null;
+
+const conflictResult = (rules, message) => ({
+  blocked: rules.enforcement === 'block',
+  message: rules.enforcement === 'block' ? `${message} Number coding is enforced, so this is not allowed.` : message
+});
+
+// Daily trip times a conductor's bus would run during coding hours on its
+// coding day. Null when there's no conflict.
+export const checkScheduleCoding = async ({ conductorId, routeId = null, schedules = [] }) => {
+  const rules = await getCodingRules();
+  if (!rules.enabled || !conductorId) return null;
+  if (isCodingExempt({ routeId }, rules)) return null;
+
+  const conductorDoc = await getDoc(doc(db, 'conductors', conductorId));
+  const plateNumber = conductorDoc.exists() ? conductorDoc.data().plateNumber : null;
+  const codingDay = codingDayForPlate(plateNumber, rules);
+  if (codingDay === 'Unknown') return null;
+
+  const times = (Array.isArray(schedules) ? schedules : String(schedules).split(','))
+    .map(time => String(time).trim())
+    .filter(time => time && inWindow(time, rules));
+  if (times.length === 0) return null;
+
+  return {
+    plateNumber,
+    codingDay,
+    times,
+    ...conflictResult(
+      rules,
+      `Bus ${plateNumber} is coded on ${codingDay}s (${codingWindowLabel(rules)}). ` +
+      `These trips would run during coding hours every ${codingDay}: ${times.map(formatTime).join(', ')}.`
+    )
+  };
+};
+
+// Buses of a reservation that would run on their coding day. `buses` are the
+// fleet records of its selectedBusIds (null entries are skipped). Null when
+// there's no conflict.
+export const checkReservationCoding = async (reservation, buses) => {
+  const rules = await getCodingRules();
+  if (!rules.enabled) return null;
+
+  const rawDate = reservation.travelDate || reservation.departureDate;
+  const date = rawDate?.toDate ? rawDate.toDate() : rawDate ? new Date(rawDate) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+
+  const weekday = date.toLocaleDateString('en-US', { weekday: 'long' });
+  if (!CODING_DAYS.includes(weekday) || holidayOn(date, rules)) return null;
+  if (!inWindow(reservation.departureTime, rules)) return null;
+  if (isCodingExempt({ routeId: reservation.routeId, places: [reservation.from, reservation.to] }, rules)) return null;
+
+  const coded = buses.filter(bus => bus && codingDayForPlate(bus.plateNumber, rules) === weekday);
+  if (coded.length === 0) return null;
+
+  const plates = coded.map(bus => bus.plateNumber);
+  return {
+    plates,
+    codingDay: weekday,
+    ...conflictResult(
+      rules,
+      `${plates.length === 1 ? `Bus ${plates[0]} is` : `Buses ${plates.join(', ')} are`} coded on ${weekday}s ` +
+      `(${codingWindowLabel(rules)}) and the trip is on ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}.`
+    )
+  };
+};
+
+// Rewrites the conductors' codingDay copies after the digit mapping changed
+const refreshConductorCodingDays = async (rules) => {
+  const snapshot = await getDocs(collection(db, 'conductors'));
+  const changed = snapshot.docs.filter(conductorDoc => {
+    const data = conductorDoc.data();
+    return data.status !== 'deleted' && data.codingDay !== codingDayForPlate(data.plateNumber, rules);
+  });
+
+  for (let start = 0; start < changed.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    changed.slice(start, start + BATCH_LIMIT).forEach(conductorDoc => {
+      batch.update(conductorDoc.ref, { codingDay: codingDayForPlate(conductorDoc.data().plateNumber, rules) });
+    });
+    await batch.commit();
+  }
+
+  return changed.length;
+};
+
+export const saveCodingRules = async ({ enabled, enforcement, digitDays, window: hours, exemptRouteIds, exemptAreas, holidays }) => {
+  try {
+    if (!ENFORCEMENT_MODES.some(mode => mode.value === enforcement)) {
+      return { success: false, error: 'Choose how coding conflicts are handled' };
+    }
+
+    const days = {};
+    for (const digit of Object.keys(DEFAULT_CODING_RULES.digitDays)) {
+      const day = digitDays?.[digit] || null;
+      if (day !== null && !CODING_DAYS.includes(day)) {
+        return { success: false, error: `Plate ending ${digit} has an invalid coding day` };
+      }
+      days[digit] = day;
+    }
+
+    const start = timeToMinutes(hours?.start);
+    const end = timeToMinutes(hours?.end);
+    if (start === null || end === null || start >= end) {
+      return { success: false, error: 'Coding hours must start before they end' };
+    }
+
+    const cleanHolidays = (holidays || [])
+      .map(holiday => ({ date: holiday.date, name: (holiday.name || '').trim() }))
+      .filter(holiday => holiday.date);
+    if (cleanHolidays.some(holiday => !/^\d{4}-\d{2}-\d{2}$/.test(holiday.date))) {
+      return { success: false, error: 'Holiday dates are not valid' };
+    }
+
+    const previous = await getCodingRules({ fresh: true });
+    const rules = {
+      enabled: !!enabled,
+      enforcement,
+      digitDays: days,
+      window: { start: hours.start, end: hours.end },
+      exemptRouteIds: Array.from(new Set(exemptRouteIds || [])),
+      exemptAreas: Array.from(new Set((exemptAreas || []).map(area => area.trim()).filter(Boolean))),
+      holidays: cleanHolidays.sort((a, b) => a.date.localeCompare(b.date))
+    };
+
+    await setDoc(doc(db, SETTINGS_COLLECTION, NUMBER_CODING_DOC), {
+      ...rules,
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.email || null
+    });
+    rulesCache = withDefaults(rules);
+    rulesCacheTime = Date.now();
+
+    const digitDaysChanged = Object.keys(days).some(digit => previous.digitDays[digit] !== days[digit]);
+    const conductorsUpdated = digitDaysChanged ? await refreshConductorCodingDays(rules) : 0;
+
+    await logActivity(
+      ACTIVITY_TYPES.CODING_RULES_UPDATE,
+      `Updated number coding rules${rules.enabled ? '' : ' (coding disabled)'}`,
+      {
+        enabled: rules.enabled,
+        enforcement: rules.enforcement,
+        digitDays: rules.digitDays,
+        window: rules.window,
+        exemptRouteIds: rules.exemptRouteIds,
+        exemptAreas: rules.exemptAreas,
+        holidays: rules.holidays.length,
+        conductorsUpdated
+      },
+      'info'
+    );
+
+    return { success: true, conductorsUpdated };
+  } catch (error) {
+    console.error('Error saving number coding rules:', error);
+    return { success: false, error: error.message };
+  }
+};
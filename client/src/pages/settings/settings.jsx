@@ -34,6 +34,7 @@ import {
   ACTIVITY_TYPES
 } from './auditService.js';
 import { backupService, BACKUP_COLLECTIONS } from './backupService.js';
+import NumberCodingSettings from './NumberCodingSettings.jsx';
 import { onSnapshot, collection, query, orderBy, limit, where } from 'firebase/firestore';
 import { db } from '/src/firebase/firebase.js';
 
@@ -146,7 +147,7 @@ const formatLogDescription = (description) => {
 
   const [collapsed, setCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState('account');
-  const [adminTab, setAdminTab] = useState('logs'); // 'logs', 'users', or 'backup'
+  const [adminTab, setAdminTab] = useState('logs'); // 'logs', 'users', 'coding', or 'backup'
   const [userData, setUserData] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
   const [currentPassword, setCurrentPassword] = useState('');
@@ -1327,6 +1328,18 @@ const formatLogDescription = (description) => {
               >
                 Admin Users
               </button>
+              <button
+                type="button"
+                className={`admin-tab-button ${adminTab === 'coding' ? 'active' : ''}`}
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  setAdminTab('coding');
+                }}
+                disabled={loading}
+              >
+                Number Coding
+              </button>
               {userData.role === 'superadmin' && (
                 <button
                   type="button"
@@ -1804,6 +1817,11 @@ const formatLogDescription = (description) => {
               </div>
             )}
 
+            {/* Number Coding Tab Content */}
+            {adminTab === 'coding' && (
+              <NumberCodingSettings canEdit={userData.role === 'superadmin'} />
+            )}
+
             {/* Data Backup Tab Content */}
             {adminTab === 'backup' && userData.role === 'superadmin' && (
               <div className="data-backup-tab">
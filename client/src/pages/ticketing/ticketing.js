@@ -1,9 +1,20 @@
 import { getFirestore, collection, getDocs, doc,setDoc, getDoc, query, orderBy, limit as limitQuery, updateDoc, deleteDoc, serverTimestamp, onSnapshot, writeBatch } from 'firebase/firestore';
 import { auth } from '/src/firebase/firebase.js';
 import { logActivity, ACTIVITY_TYPES } from '/src/pages/settings/auditService.js';
+import { authorizedFetch } from '/src/config/api.js';
 
 const db = getFirestore();
 
+// Ask the server to recompute the conductor's daily revenue summary after a
+// ticket changes. Best effort: the server's periodic sweep catches misses.
+const refreshDailySummary = (conductorId, date) => {
+  if (!date) return;
+  authorizedFetch('/api/revenue/summaries/refresh', {
+    method: 'POST',
+    body: JSON.stringify({ date, conductorId })
+  }).catch(error => console.warn('Daily summary refresh failed:', error.message));
+};
+
 // TICKETING DATA CACHE SERVICE
 class TicketingDataCacheService {
   constructor() {
@@ -1293,6 +1304,7 @@ export const updateTicketStatus = async (conductorId, ticketId, newStatus) => {
     }
     
     await updateDoc(ticketRef, updateData);
+    refreshDailySummary(conductorId, ticket.date);
 
     // Log the ticket status update activity
     const activityType = newStatus === 'boarded' ? ACTIVITY_TYPES.TICKET_SCAN : ACTIVITY_TYPES.TICKET_UPDATE;
@@ -1433,6 +1445,7 @@ export const deleteTicket = async (conductorId, ticketId) => {
       const ticketRef = doc(db, 'conductors', conductorId, 'dailyTrips', dateId, tripId, 'tickets', 'tickets', ticketId);
       await deleteDoc(ticketRef);
     }
+    refreshDailySummary(conductorId, dateId);
 
     // AUDIT LOGGING - Log the ticket deletion activity
     try {
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { 
   getPreTicketingStats, 
   getConductorsWithPreTickets,
@@ -965,6 +966,11 @@ const SetFareModal = ({ onClose, onSuccess }) => {
           </div>
           {/* --------------------------- */}
 
+          <p className="tf-fare-matrix-note">
+            The base fare applies to routes without a fare table. Distance fares, discounts and
+            scheduled fare changes per route are set in the <Link to="/admin/fares">Fare Matrix</Link>.
+          </p>
+
           <form onSubmit={handleSubmit}>
             <div className="tf-form-group">
               <label>New Fare Amount (₱)</label>